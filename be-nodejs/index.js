@@ -5,10 +5,25 @@ import { fileURLToPath } from 'url';
 import swaggerUi from 'swagger-ui-express';
 import dotenv from 'dotenv';
 import { specs } from './src/config/swagger.js';
+import { apiConfig } from './src/config/apiConfig.js';
 import { MessageStorageFactory } from './src/storage/MessageStorageFactory.js';
+import { MessageValidationError } from './src/storage/MessageSchema.js';
+import { createStorageCipher } from './src/storage/StorageCipher.js';
+import { createSummaryStorage } from './src/storage/SummaryStorage.js';
+import { createConversationStorage, DEFAULT_CONVERSATION_ID } from './src/storage/ConversationStorage.js';
 import { createChatService } from './src/services/ChatService.js';
 import { createTextEnhancementService } from './src/services/TextEnhancementService.js';
 import { createReviewSummaryService } from './src/services/ReviewSummaryService.js';
+import { createSecurityCheckService } from './src/services/SecurityCheckService.js';
+import { createTranscriptService, EXPORT_FORMATS, IMPORT_MODES } from './src/services/TranscriptService.js';
+import { getResponseCache } from './src/services/ResponseCache.js';
+import { getUsageTracker } from './src/services/UsageTracker.js';
+import { getBudgetService } from './src/services/BudgetService.js';
+import { getMetrics } from './src/metrics/ServerMetrics.js';
+import { RequestTrace, resolveRequestId, runWithRequestContext } from './src/tracing/RequestContext.js';
+import { createToolRegistry } from './src/tools/ToolRegistry.js';
+import { createBuiltinTools } from './src/tools/BuiltinTools.js';
+import { createLogger } from './src/logging/Logger.js';
 
 // Load environment variables from .env file
 dotenv.config();
@@ -16,37 +31,103 @@ dotenv.config();
 // Get the directory name of the current module (equivalent to __dirname in CommonJS)
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
+const logger = createLogger('api');
+
 const app = express();
 const PORT = process.env.PORT || 3001;
 
+// Encryption of the stored messages, requests, conversations, summaries, cached responses and debug data (null when no key is configured)
+let storageCipher;
+try {
+  storageCipher = createStorageCipher(apiConfig.storage.encryption);
+} catch (error) {
+  logger.error('Error in the storage encryption settings', { error });
+  process.exit(1);
+}
+
 // Initialize message storage
-const messageStorage = MessageStorageFactory.getStorage('file', {
-  filePath: path.join(__dirname, 'messages.json')
+const messageStorage = MessageStorageFactory.getStorage(apiConfig.storage.type, {
+  filePath: path.join(__dirname, 'messages.json'),
+  databasePath: apiConfig.storage.databasePath,
+  cipher: storageCipher
 });
 
-// Initialize request storage
-const requestStorage = MessageStorageFactory.getRequestStorage('file', {
-  filePath: path.join(__dirname, 'requests.json')
-});
+// Initialize request storage, an append-only log unless it should live in the message storage
+const requestStorage = MessageStorageFactory.getRequestStorage(
+  apiConfig.requestLog.type === 'jsonl' ? 'jsonl' : apiConfig.storage.type,
+  {
+    filePath: path.join(__dirname, 'requests.json'),
+    databasePath: apiConfig.storage.databasePath,
+    directory: apiConfig.requestLog.directory,
+    maxFileBytes: apiConfig.requestLog.maxFileBytes,
+    retentionDays: apiConfig.requestLog.retentionDays,
+    searchIndexMaxEntries: apiConfig.requestLog.searchIndexMaxEntries,
+    cipher: storageCipher
+  }
+);
 
-// Initialize chat service
-const chatService = createChatService(messageStorage, requestStorage);
+// Initialize storage for the rolling summary of older chat messages
+const summaryStorage = createSummaryStorage(path.join(__dirname, 'conversation-summary.json'), storageCipher);
+
+// Initialize storage for the list of conversations
+const conversationStorage = createConversationStorage(path.join(__dirname, 'conversations.json'), storageCipher);
 
 // Initialize text enhancement service
 const textEnhancementService = createTextEnhancementService(requestStorage);
 
 // Initialize review summary service
-const reviewSummaryService = createReviewSummaryService(requestStorage);
+const reviewSummaryService = createReviewSummaryService(requestStorage, storageCipher);
+
+// Initialize the tools the chat assistant may call
+const toolRegistry = createToolRegistry(createBuiltinTools({
+  textEnhancementService,
+  reviewSummaryService,
+  messageStorage
+}));
+
+// Initialize the prompt injection check for chat messages
+const securityCheckService = createSecurityCheckService(requestStorage);
+
+// Initialize chat service
+const chatService = createChatService(messageStorage, requestStorage, summaryStorage, conversationStorage, toolRegistry, securityCheckService);
+
+// Initialize export and import of conversations
+const transcriptService = createTranscriptService(chatService);
 
 // Middleware
+// Imported conversations are much larger than a chat message, so the import gets its own size limit
+app.use('/api/messages/import', bodyParser.json({ limit: '10mb' }));
 app.use(bodyParser.json());
 app.use(bodyParser.urlencoded({ extended: true }));
 
+// Request ID and trace: every request gets an ID (the client's X-Request-Id if usable) that is sent back, added to
+// the log entries and stored with the LLM calls it makes. Its stages are timed into a trace, sent as Server-Timing.
+// Registered after the body parsers, whose stream callbacks would lose the request context.
+app.use((req, res, next) => {
+  const requestId = resolveRequestId(req.get('X-Request-Id'));
+  const trace = new RequestTrace(requestId);
+  res.locals.requestId = requestId;
+  res.set('X-Request-Id', requestId);
+  
+  // Headers can only be set until they are sent, so the header holds the stages finished by then
+  const writeHead = res.writeHead;
+  res.writeHead = function (...args) {
+    if (!res.headersSent) {
+      res.setHeader('Server-Timing', trace.toServerTiming());
+    }
+    return writeHead.apply(this, args);
+  };
+  
+  runWithRequestContext({ requestId, trace }, next);
+});
+
 // CORS Middleware
 app.use((req, res, next) => {
   res.header('Access-Control-Allow-Origin', '*');
-  res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization');
-  res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+  res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization, X-Request-Id');
+  res.header('Access-Control-Expose-Headers', 'X-Request-Id, Server-Timing');
+  res.header('Timing-Allow-Origin', '*');
+  res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
   
   if (req.method === 'OPTIONS') {
     return res.sendStatus(200);
@@ -55,6 +136,174 @@ app.use((req, res, next) => {
   next();
 });
 
+// Request log and HTTP metrics: one entry per request once the response is sent (or the client went away)
+app.use((req, res, next) => {
+  const startedAt = Date.now();
+  res.on('close', () => {
+    const durationMs = Date.now() - startedAt;
+    // The response closes outside the request context, so the ID is added here
+    logger.info('Request handled', {
+      requestId: res.locals.requestId,
+      method: req.method,
+      path: req.path,
+      status: res.statusCode,
+      durationMs,
+      ...(!res.writableFinished && { aborted: true })
+    });
+    // Metrics use the route pattern, so every id does not get its own series; static files and Swagger UI share one
+    getMetrics().observeHttpRequest({
+      method: req.method,
+      route: req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched',
+      status: res.statusCode,
+      durationMs
+    });
+  });
+  next();
+});
+
+/**
+ * Work out the HTTP status for an error thrown by a service
+ * Looks through wrapped causes for an error carrying an httpStatus (e.g. an LLMRequestError)
+ * and sets a Retry-After header when the error says when to try again.
+ * @param {Error} error - The error thrown by the service
+ * @param {Object} res - Express response
+ * @returns {number} - The HTTP status to answer with (500 by default)
+ */
+function resolveErrorStatus(error, res) {
+  let current = error;
+  
+  while (current) {
+    if (current.httpStatus) {
+      if (current.retryAfterMs) {
+        res.set('Retry-After', String(Math.ceil(current.retryAfterMs / 1000)));
+      }
+      return current.httpStatus;
+    }
+    current = current.cause;
+  }
+  
+  return 500;
+}
+
+/**
+ * Get the warnings about budgets close to or past their limit, to add to the response of a request that called the LLM
+ * @param {string} service - The service that made the calls
+ * @param {string|null} conversationId - The conversation the calls were made for
+ * @returns {Promise<Object>} - { budgetWarnings } to spread into the response, empty if there are none
+ */
+async function getBudgetWarnings(service, conversationId = null) {
+  try {
+    const budgetWarnings = await getBudgetService().getWarnings({ service, conversationId });
+    return budgetWarnings.length > 0 ? { budgetWarnings } : {};
+  } catch (error) {
+    logger.error('Error checking the LLM budgets', { error });
+    return {};
+  }
+}
+
+/**
+ * Get the conversation a request refers to (query parameter or body field) and make sure it exists
+ * Answers with 404 when the conversation doesn't exist.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {Promise<string|null>} - The conversation id, or null if a 404 response was sent
+ */
+async function resolveConversationId(req, res) {
+  const conversationId = req.query.conversationId || (req.body && req.body.conversationId) || DEFAULT_CONVERSATION_ID;
+  const conversation = await chatService.getConversation(conversationId);
+  
+  if (!conversation) {
+    res.status(404).json({
+      success: false,
+      error: `Conversation ${conversationId} not found`
+    });
+    return null;
+  }
+  
+  return conversationId;
+}
+
+/**
+ * Read the page parameters of a list request, sending a 400 response if a cursor is invalid
+ * Cursors are the ids of the first and last entry of a page: before pages back to older entries, after forward
+ * to newer ones.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {Object|null} - before, after and limit, or null if a response was sent
+ */
+function parsePageParams(req, res) {
+  const page = { before: null, after: null, limit: parseInt(req.query.limit) || null };
+  
+  for (const name of ['before', 'after']) {
+    if (req.query[name] === undefined) {
+      continue;
+    }
+    const cursor = Number(req.query[name]);
+    if (!Number.isInteger(cursor) || cursor < 1) {
+      res.status(400).json({
+        success: false,
+        error: `Invalid ${name} cursor`
+      });
+      return null;
+    }
+    page[name] = cursor;
+  }
+  
+  if (page.before !== null && page.after !== null) {
+    res.status(400).json({
+      success: false,
+      error: "Use either before or after, not both"
+    });
+    return null;
+  }
+  
+  return page;
+}
+
+/**
+ * Get the cursors of a page for the response envelope
+ * nextCursor continues with older entries (pass it as before), prevCursor with newer ones (pass it as after);
+ * each is null when there is nothing more in that direction.
+ * @param {Object} page - Page returned by getMessagePage(), oldest first
+ * @returns {Object} - nextCursor and prevCursor
+ */
+function getPageCursors(page) {
+  const oldest = page.messages[0];
+  const newest = page.messages[page.messages.length - 1];
+  
+  return {
+    nextCursor: page.hasOlder && oldest ? String(oldest.id) : null,
+    prevCursor: page.hasNewer && newest ? String(newest.id) : null
+  };
+}
+
+/**
+ * Read the parameters of a search request, sending a 400 response if the query is missing
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {Object|null} - The query and the search options, or null if a response was sent
+ */
+function parseSearchParams(req, res) {
+  const query = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+  
+  if (!query) {
+    res.status(400).json({
+      success: false,
+      error: "Search query (q) is required"
+    });
+    return null;
+  }
+  
+  return {
+    query,
+    options: {
+      conversationId: req.query.conversationId || undefined,
+      limit: Math.min(parseInt(req.query.limit) || 20, 100),
+      offset: parseInt(req.query.offset) || 0
+    }
+  };
+}
+
 // Swagger UI setup
 app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(specs, {
   explorer: true,
@@ -67,7 +316,9 @@ app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(specs, {
  * /api/messages:
  *   get:
  *     summary: Get all messages
- *     description: Returns a list of all messages from storage
+ *     description: Returns the messages of a conversation from storage, oldest first. With limit only the newest
+ *       messages are returned; page back through older ones by passing nextCursor as before. With role, since, until,
+ *       text or offset only the matching messages are returned (limit then counts from the oldest match, no cursors).
  *     tags:
  *       - Messages
  *     parameters:
@@ -76,6 +327,49 @@ app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(specs, {
  *         schema:
  *           type: integer
  *         description: Maximum number of messages to return
+ *       - in: query
+ *         name: before
+ *         schema:
+ *           type: string
+ *         description: Cursor (nextCursor of a page) - only messages older than it
+ *       - in: query
+ *         name: after
+ *         schema:
+ *           type: string
+ *         description: Cursor (prevCursor of a page) - only messages newer than it
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *         description: Only messages with this role
+ *       - in: query
+ *         name: since
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only messages sent at or after this time
+ *       - in: query
+ *         name: until
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only messages sent at or before this time
+ *       - in: query
+ *         name: text
+ *         schema:
+ *           type: string
+ *         description: Only messages containing this text (case insensitive)
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *         description: Number of matching messages to skip
+ *       - in: query
+ *         name: conversationId
+ *         schema:
+ *           type: string
+ *           default: default
+ *         description: Conversation to use (the default conversation if omitted)
  *     responses:
  *       200:
  *         description: Successfully retrieved messages
@@ -83,6 +377,18 @@ app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(specs, {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/MessagesListResponse'
+ *       400:
+ *         description: Invalid cursor, or a cursor combined with filter criteria
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Conversation not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
  *       500:
  *         description: Server error
  *         content:
@@ -92,23 +398,49 @@ app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(specs, {
  */
 app.get('/api/messages', async (req, res) => {
   try {
-    // Log request
-    console.log('GET /api/messages request received');
+    const conversationId = await resolveConversationId(req, res);
+    if (!conversationId) {
+      return;
+    }
     
-    // Get query parameter for limiting the number of messages
-    const limit = req.query.limit ? parseInt(req.query.limit) : null;
+    const page = parsePageParams(req, res);
+    if (!page) {
+      return;
+    }
+    
+    const { role, since, until, text, offset } = req.query;
+    
+    // Filtered lists are paged with offset
+    if (role || since || until || text || offset) {
+      if (page.before !== null || page.after !== null) {
+        return res.status(400).json({
+          success: false,
+          error: "The before and after cursors can't be combined with role, since, until, text or offset"
+        });
+      }
+      
+      const messages = await chatService.queryMessages({ role, since, until, text, limit: page.limit, offset: parseInt(offset) || 0 }, conversationId);
+      return res.status(200).json({
+        success: true,
+        count: messages.length,
+        data: messages,
+        nextCursor: null,
+        prevCursor: null
+      });
+    }
     
-    // Get messages using the chat service
-    const messages = await chatService.getAllMessages(limit);
+    // Get a page of messages using the chat service, the newest ones unless a cursor is given
+    const messagePage = await chatService.getMessagePage(page, conversationId);
     
     // Return messages
     res.status(200).json({
       success: true,
-      count: messages.length,
-      data: messages
+      count: messagePage.messages.length,
+      data: messagePage.messages,
+      ...getPageCursors(messagePage)
     });
   } catch (error) {
-    console.error('Error getting messages:', error);
+    logger.error('Error getting messages', { error });
     res.status(500).json({
       success: false,
       error: "Server error while retrieving messages"
@@ -118,38 +450,34 @@ app.get('/api/messages', async (req, res) => {
 
 /**
  * @openapi
- * /api/messages:
- *   post:
- *     summary: Add a new message
- *     description: Accepts a message and confirms it was received
+ * /api/messages/summary:
+ *   get:
+ *     summary: Get the conversation summary
+ *     description: Returns the rolling summary of older messages that no longer fit into the model context
  *     tags:
  *       - Messages
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             $ref: '#/components/schemas/MessageRequest'
- *           examples:
- *             example1:
- *               summary: Simple message
- *               value:
- *                 content: "Hello, this is a test message"
- *                 role: "user"
- *             example2:
- *               summary: Using alternative field
- *               value:
- *                 text: "Another test message"
- *                 role: "user"
+ *     parameters:
+ *       - in: query
+ *         name: conversationId
+ *         schema:
+ *           type: string
+ *           default: default
+ *         description: Conversation to use (the default conversation if omitted)
  *     responses:
- *       201:
- *         description: Message received successfully
+ *       200:
+ *         description: Successfully retrieved the summary (data is null when there is no summary yet)
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/SuccessResponse'
- *       400:
- *         description: Bad request - missing message content
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/ConversationSummary'
+ *       404:
+ *         description: Conversation not found
  *         content:
  *           application/json:
  *             schema:
@@ -161,59 +489,73 @@ app.get('/api/messages', async (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-app.post('/api/messages', async (req, res) => {
+app.get('/api/messages/summary', async (req, res) => {
   try {
-    // Log request
-    console.log('POST /api/messages request received');
-    
-    // Check if message content is provided
-    if (!req.body.content && !req.body.text && !req.body.message) {
-      return res.status(400).json({
-        success: false,
-        error: "Please provide message content"
-      });
+    const conversationId = await resolveConversationId(req, res);
+    if (!conversationId) {
+      return;
     }
     
-    // Prepare message object with consistent structure
-    const messageData = {
-      content: req.body.content || req.body.text || req.body.message,
-      role: req.body.role || "user",
-      timestamp: new Date().toISOString()
-    };
-    
-    // Add message using the chat service
-    const savedMessage = await chatService.addMessage(messageData);
+    const summary = await chatService.getConversationSummary(conversationId);
     
-    // Return confirmation
-    res.status(201).json({
+    res.status(200).json({
       success: true,
-      message: "Message received successfully",
-      data: savedMessage
+      data: summary
     });
   } catch (error) {
-    console.error('Error adding message:', error);
+    logger.error('Error getting conversation summary', { error });
     res.status(500).json({
       success: false,
-      error: "Server error while saving message"
+      error: "Server error while retrieving conversation summary"
     });
   }
 });
 
 /**
  * @openapi
- * /api/messages:
- *   delete:
- *     summary: Delete all messages
- *     description: Clears all messages from storage
+ * /api/messages/search:
+ *   get:
+ *     summary: Search the chat history
+ *     description: Full-text search over the user messages and assistant replies, ranked by relevance. Each result has an HTML snippet with the matched words highlighted.
  *     tags:
  *       - Messages
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Words to search for; all of them have to match, the last one also matches longer words starting with it
+ *       - in: query
+ *         name: conversationId
+ *         schema:
+ *           type: string
+ *         description: Only messages of this conversation (all conversations if omitted)
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *         description: Maximum number of results to return
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *         description: Number of results to skip
  *     responses:
  *       200:
- *         description: All messages cleared successfully
+ *         description: Matching messages, best match first
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/SuccessResponse'
+ *               $ref: '#/components/schemas/SearchResponse'
+ *       400:
+ *         description: Missing search query
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
  *       500:
  *         description: Server error
  *         content:
@@ -221,146 +563,147 @@ app.post('/api/messages', async (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-app.delete('/api/messages', async (req, res) => {
+app.get('/api/messages/search', async (req, res) => {
   try {
-    // Log request
-    console.log('DELETE /api/messages request received');
+    const search = parseSearchParams(req, res);
+    if (!search) {
+      return;
+    }
     
-    // Clear all messages and get the updated messages list with initial welcome message
-    const updatedMessages = await chatService.clearAllMessages();
+    const { total, results } = await chatService.searchMessages(search.query, search.options);
     
-    // Return confirmation with the updated messages
     res.status(200).json({
       success: true,
-      message: "All messages cleared successfully",
-      data: updatedMessages
+      count: results.length,
+      total,
+      data: results
     });
   } catch (error) {
-    console.error('Error clearing messages:', error);
-    res.status(500).json({
+    logger.error('Error searching messages', { error });
+    res.status(resolveErrorStatus(error, res)).json({
       success: false,
-      error: "Server error while clearing messages"
+      error: "Server error while searching messages"
     });
   }
 });
 
 /**
  * @openapi
- * /api/chat:
- *   post:
- *     summary: Send message to LLM
- *     description: Sends a message to the OpenAI API and returns the response
+ * /api/messages/export:
+ *   get:
+ *     summary: Export a conversation
+ *     description: Downloads a conversation as JSON (all messages, can be imported again), Markdown (the assistant's
+ *       HTML replies converted to Markdown) or a standalone HTML page. Tool calls and their results are only part of the JSON export.
  *     tags:
- *       - Chat
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             $ref: '#/components/schemas/ChatRequest'
- *           examples:
- *             example1:
- *               summary: Chat message
- *               value:
- *                 content: "What is the weather like today?"
- *                 role: "user"
+ *       - Messages
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, md, html]
+ *           default: json
+ *         description: Export format
+ *       - in: query
+ *         name: conversationId
+ *         schema:
+ *           type: string
+ *           default: default
+ *         description: Conversation to export (the default conversation if omitted)
  *     responses:
  *       200:
- *         description: LLM response received successfully
+ *         description: The transcript, sent as a file download
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/SuccessResponse'
+ *               $ref: '#/components/schemas/ConversationExport'
+ *           text/markdown:
+ *             schema:
+ *               type: string
+ *           text/html:
+ *             schema:
+ *               type: string
  *       400:
- *         description: Bad request - missing message content
+ *         description: Unsupported export format
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Conversation not found
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  *       500:
- *         description: Error communicating with LLM service
+ *         description: Server error
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-app.post('/api/chat', async (req, res) => {
+app.get('/api/messages/export', async (req, res) => {
   try {
-    // Log request
-    console.log('POST /api/chat request received');
-    
-    // Check if message content is provided
-    if (!req.body.content && !req.body.message) {
+    const format = req.query.format || 'json';
+    if (!EXPORT_FORMATS[format]) {
       return res.status(400).json({
         success: false,
-        error: "Please provide message content"
+        error: `Unsupported export format: ${format} (use ${Object.keys(EXPORT_FORMATS).join(', ')})`
       });
     }
     
-    // Get message content from either property
-    const messageContent = req.body.content || req.body.message;
-    const userRole = req.body.role || 'user';
-    
-    // Process the message using the ChatService
-    const response = await chatService.processUserMessage(messageContent, userRole);
+    const conversationId = await resolveConversationId(req, res);
+    if (!conversationId) {
+      return;
+    }
     
-    // Return the LLM response with consistent structure
-    res.status(200).json({
-      success: true,
-      data: response
-    });
+    const { content, contentType, fileName } = await transcriptService.exportConversation(conversationId, format);
     
+    res.status(200)
+      .type(`${contentType}; charset=utf-8`)
+      .attachment(fileName)
+      .send(content);
   } catch (error) {
-    console.error('Error calling LLM API:', error.message);
-    
-    // Provide more detailed error message
-    let errorMessage = "Error communicating with LLM service";
-    if (error.response && error.response.data) {
-      errorMessage += `: ${JSON.stringify(error.response.data)}`;
-    } else if (error.message) {
-      errorMessage += `: ${error.message}`;
-    }
-    
+    logger.error('Error exporting conversation', { error });
     res.status(500).json({
       success: false,
-      error: errorMessage
+      error: "Server error while exporting conversation"
     });
   }
 });
 
 /**
  * @openapi
- * /api/enhance-text:
+ * /api/messages/import:
  *   post:
- *     summary: Enhance text using AI
- *     description: Takes user text and returns an enhanced version using AI
+ *     summary: Import a conversation
+ *     description: Imports the messages of a JSON export (or a plain array of messages) into a conversation. The whole
+ *       document is validated first; nothing is imported if any message is invalid.
  *     tags:
- *       - Text Enhancement
+ *       - Messages
+ *     parameters:
+ *       - in: query
+ *         name: mode
+ *         schema:
+ *           type: string
+ *           enum: [append, replace]
+ *           default: append
+ *         description: append adds the messages after the existing ones, replace removes the messages, requests and summary the conversation had, once the imported messages are stored
+ *       - in: query
+ *         name: conversationId
+ *         schema:
+ *           type: string
+ *           default: default
+ *         description: Conversation to import into (the default conversation if omitted)
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             required:
- *               - text
- *             properties:
- *               text:
- *                 type: string
- *                 description: The text content to enhance
- *                 example: "this is some text that need to be improve and fix grammar errors"
- *           examples:
- *             example1:
- *               summary: Text with grammar issues
- *               value:
- *                 text: "this is some text that need to be improve and fix grammar errors"
- *             example2:
- *               summary: Simple text
- *               value:
- *                 text: "Hello world how are you doing today"
+ *             $ref: '#/components/schemas/ConversationExport'
  *     responses:
  *       200:
- *         description: Text enhanced successfully
+ *         description: Messages imported
  *         content:
  *           application/json:
  *             schema:
@@ -372,17 +715,19 @@ app.post('/api/chat', async (req, res) => {
  *                 data:
  *                   type: object
  *                   properties:
- *                     originalText:
- *                       type: string
- *                       example: "this is some text that need to be improve"
- *                     enhancedText:
- *                       type: string
- *                       example: "This is some text that needs to be improved."
- *                     timestamp:
+ *                     imported:
+ *                       type: integer
+ *                       description: Number of imported messages
+ *                     mode:
  *                       type: string
- *                       format: date-time
  *       400:
- *         description: Bad request - missing or invalid text
+ *         description: Invalid mode or import document; details lists the problems
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Conversation not found
  *         content:
  *           application/json:
  *             schema:
@@ -394,93 +739,87 @@ app.post('/api/chat', async (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-app.post('/api/enhance-text', async (req, res) => {
+app.post('/api/messages/import', async (req, res) => {
   try {
-    // Log request
-    console.log('POST /api/enhance-text request received');
-    
-    // Check if text content is provided
-    if (!req.body.text || typeof req.body.text !== 'string' || req.body.text.trim().length === 0) {
+    const mode = req.query.mode || 'append';
+    if (!IMPORT_MODES.includes(mode)) {
       return res.status(400).json({
         success: false,
-        error: "Please provide valid text content to enhance"
+        error: `Unsupported import mode: ${mode} (use ${IMPORT_MODES.join(' or ')})`
       });
     }
     
-    // Enhance the text using the TextEnhancementService
-    const enhancementResult = await textEnhancementService.enhanceText(req.body.text);
+    const conversationId = await resolveConversationId(req, res);
+    if (!conversationId) {
+      return;
+    }
+    
+    const { imported, errors } = await transcriptService.importConversation(conversationId, req.body, mode);
+    
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid import document",
+        details: errors
+      });
+    }
     
-    // Return the enhanced text
     res.status(200).json({
       success: true,
-      data: enhancementResult
+      data: {
+        imported,
+        mode
+      }
     });
-    
   } catch (error) {
-    console.error('Error enhancing text:', error.message);
-    
-    // Provide more detailed error message
-    let errorMessage = "Error enhancing text";
-    if (error.message) {
-      errorMessage += `: ${error.message}`;
-    }
-    
+    logger.error('Error importing conversation', { error });
     res.status(500).json({
       success: false,
-      error: errorMessage
+      error: "Server error while importing conversation"
     });
   }
 });
 
 /**
  * @openapi
- * /api/summarize-reviews:
+ * /api/messages:
  *   post:
- *     summary: Summarize product reviews
- *     description: Analyzes multiple product reviews and generates a comprehensive summary
+ *     summary: Add a new message
+ *     description: Accepts a message and confirms it was received
  *     tags:
- *       - Reviews
+ *       - Messages
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             properties:
- *               reviews:
- *                 type: array
- *                 items:
- *                   type: object
- *                   properties:
- *                     rating:
- *                       type: integer
- *                       minimum: 1
- *                       maximum: 5
- *                     text:
- *                       type: string
- *                     sentiment:
- *                       type: string
- *                       enum: [positive, negative, mixed]
- *                   required:
- *                     - rating
- *                     - text
- *             required:
- *               - reviews
+ *             $ref: '#/components/schemas/MessageRequest'
+ *           examples:
+ *             example1:
+ *               summary: Simple message
+ *               value:
+ *                 content: "Hello, this is a test message"
+ *                 role: "user"
+ *             example2:
+ *               summary: Using alternative field
+ *               value:
+ *                 text: "Another test message"
+ *                 role: "user"
  *     responses:
- *       200:
- *         description: Successfully generated review summary
+ *       201:
+ *         description: Message received successfully
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                 summary:
- *                   type: string
- *                   description: HTML formatted summary
+ *               $ref: '#/components/schemas/SuccessResponse'
  *       400:
- *         description: Invalid request data
+ *         description: Bad request - missing message content or a message that doesn't match the message schema
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Conversation not found
  *         content:
  *           application/json:
  *             schema:
@@ -492,65 +831,83 @@ app.post('/api/enhance-text', async (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-app.post('/api/summarize-reviews', async (req, res) => {
+app.post('/api/messages', async (req, res) => {
   try {
-    // Log request
-    console.log('POST /api/summarize-reviews request received');
-    
-    // Check if reviews array is provided
-    if (!req.body.reviews || !Array.isArray(req.body.reviews) || req.body.reviews.length === 0) {
+    // Check if message content is provided
+    if (!req.body.content && !req.body.text && !req.body.message) {
       return res.status(400).json({
         success: false,
-        error: "Please provide a valid array of reviews"
+        error: "Please provide message content"
       });
     }
     
-    // Generate summary using the ReviewSummaryService
-    const summary = await reviewSummaryService.generateSummary(req.body.reviews);
+    const conversationId = await resolveConversationId(req, res);
+    if (!conversationId) {
+      return;
+    }
     
-    // Return the summary
-    res.status(200).json({
+    // Prepare message object with consistent structure
+    const messageData = {
+      content: req.body.content || req.body.text || req.body.message,
+      role: req.body.role || "user",
+      conversationId,
+      timestamp: new Date().toISOString()
+    };
+    
+    // Add message using the chat service
+    const savedMessage = await chatService.addMessage(messageData);
+    
+    // Return confirmation
+    res.status(201).json({
       success: true,
-      summary: summary
+      message: "Message received successfully",
+      data: savedMessage
     });
-    
   } catch (error) {
-    console.error('Error summarizing reviews:', error.message);
-    
-    // Provide more detailed error message
-    let errorMessage = "Error summarizing reviews";
-    if (error.message) {
-      errorMessage += `: ${error.message}`;
+    if (error instanceof MessageValidationError) {
+      return res.status(error.httpStatus).json({
+        success: false,
+        error: error.message,
+        details: error.details
+      });
     }
     
+    logger.error('Error adding message', { error });
     res.status(500).json({
       success: false,
-      error: errorMessage
+      error: "Server error while saving message"
     });
   }
 });
 
 /**
  * @openapi
- * /api/requests:
- *   get:
- *     summary: Get all request logs
- *     description: Returns the logs of LLM requests for debugging purposes
+ * /api/messages:
+ *   delete:
+ *     summary: Delete all messages
+ *     description: Clears all messages, request logs and the conversation summary of a conversation from storage
  *     tags:
- *       - Debug
+ *       - Messages
  *     parameters:
  *       - in: query
- *         name: limit
+ *         name: conversationId
  *         schema:
- *           type: integer
- *         description: Maximum number of requests to return
+ *           type: string
+ *           default: default
+ *         description: Conversation to use (the default conversation if omitted)
  *     responses:
  *       200:
- *         description: Successfully retrieved request logs
+ *         description: All messages cleared successfully
  *         content:
  *           application/json:
  *             schema:
- *               type: object
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       404:
+ *         description: Conversation not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
  *       500:
  *         description: Server error
  *         content:
@@ -558,44 +915,67 @@ app.post('/api/summarize-reviews', async (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-app.get('/api/requests', async (req, res) => {
+app.delete('/api/messages', async (req, res) => {
   try {
-    // Log request
-    console.log('GET /api/requests request received');
-    
-    // Get query parameter for limiting the number of requests
-    const limit = req.query.limit ? parseInt(req.query.limit) : null;
+    const conversationId = await resolveConversationId(req, res);
+    if (!conversationId) {
+      return;
+    }
     
-    // Get requests from storage using the storage abstraction
-    // Second parameter true means reversed (newest first)
-    const requests = await requestStorage.getMessages(limit, true);
+    // Clear all messages and get the updated messages list with initial welcome message
+    const updatedMessages = await chatService.clearAllMessages(conversationId);
     
-    // Return the request logs with the same structure as messages endpoint
+    // Return confirmation with the updated messages
     res.status(200).json({
       success: true,
-      count: requests.length,
-      data: requests
+      message: "All messages cleared successfully",
+      data: updatedMessages
     });
   } catch (error) {
-    console.error('Error retrieving request logs:', error);
+    logger.error('Error clearing messages', { error });
     res.status(500).json({
       success: false,
-      error: "Server error while retrieving request logs"
+      error: "Server error while clearing messages"
     });
   }
 });
 
+/**
+ * Read the message id from the route, sending a 400 response if it is not a number
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {number|null} - The message id, or null if a response was sent
+ */
+function parseMessageId(req, res) {
+  const messageId = Number(req.params.id);
+  
+  if (!Number.isInteger(messageId)) {
+    res.status(400).json({
+      success: false,
+      error: "Message id must be a number"
+    });
+    return null;
+  }
+  
+  return messageId;
+}
+
 /**
  * @openapi
- * /api/review-debug:
+ * /api/messages/{id}:
  *   get:
- *     summary: Get latest review summarizer debug information
- *     description: Returns the latest request and response for review summarization for debugging
+ *     summary: Get a message
  *     tags:
- *       - Debug
+ *       - Messages
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
  *     responses:
  *       200:
- *         description: Successfully retrieved debug information
+ *         description: Successfully retrieved the message
  *         content:
  *           application/json:
  *             schema:
@@ -603,11 +983,16 @@ app.get('/api/requests', async (req, res) => {
  *               properties:
  *                 success:
  *                   type: boolean
- *                 debugInfo:
- *                   type: object
- *                   description: Latest debug information
+ *                 data:
+ *                   $ref: '#/components/schemas/Message'
+ *       400:
+ *         description: Invalid message id
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
  *       404:
- *         description: No debug information found
+ *         description: Message not found
  *         content:
  *           application/json:
  *             schema:
@@ -619,54 +1004,1888 @@ app.get('/api/requests', async (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-app.get('/api/review-debug', async (req, res) => {
+app.get('/api/messages/:id', async (req, res) => {
   try {
-    // Log request
-    console.log('GET /api/review-debug request received');
+    const messageId = parseMessageId(req, res);
+    if (messageId === null) {
+      return;
+    }
     
-    // Get debug info from the review summary service
-    const debugInfo = await reviewSummaryService.debugStorage.getDebugInfo();
+    const message = await chatService.getMessage(messageId);
     
-    if (!debugInfo) {
+    if (!message) {
       return res.status(404).json({
         success: false,
-        error: "No debug information found"
+        error: "Message not found"
       });
     }
     
-    // Return the debug information
     res.status(200).json({
       success: true,
-      debugInfo: debugInfo
+      data: message
     });
   } catch (error) {
-    console.error('Error retrieving review debug info:', error);
+    logger.error('Error getting message', { error });
     res.status(500).json({
       success: false,
-      error: "Server error while retrieving debug information"
+      error: "Server error while retrieving message"
     });
   }
 });
 
-// Root route
-app.get('/', (req, res) => {
-  res.send(`
-    <h1>Messages API is running</h1>
-    <p>Available endpoints:</p>
-    <ul>
-      <li><a href="/api-docs">API Documentation (Swagger UI)</a></li>
-      <li>POST /api/messages - Add a message</li>
-      <li>GET /api/messages - Get all messages</li>
-      <li>DELETE /api/messages - Clear all messages</li>
-      <li>POST /api/chat - Chat with LLM</li>
-      <li>POST /api/enhance-text - Enhance text using AI</li>
-      <li>POST /api/summarize-reviews - Summarize product reviews</li>
-      <li>GET /api/requests - Get all request logs</li>
-    </ul>
-  `);
-});
+/**
+ * @openapi
+ * /api/messages/{id}:
+ *   patch:
+ *     summary: Edit a message
+ *     description: Replaces the content of a stored message
+ *     tags:
+ *       - Messages
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - content
+ *             properties:
+ *               content:
+ *                 type: string
+ *                 description: The new message content
+ *     responses:
+ *       200:
+ *         description: Message updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/Message'
+ *       400:
+ *         description: Invalid message id, missing content or an update that doesn't match the message schema
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Message not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+app.patch('/api/messages/:id', async (req, res) => {
+  try {
+    const messageId = parseMessageId(req, res);
+    if (messageId === null) {
+      return;
+    }
+    
+    if (typeof req.body.content !== 'string' || !req.body.content.trim()) {
+      return res.status(400).json({
+        success: false,
+        error: "Please provide message content"
+      });
+    }
+    
+    const message = await chatService.updateMessageContent(messageId, req.body.content);
+    
+    if (!message) {
+      return res.status(404).json({
+        success: false,
+        error: "Message not found"
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      data: message
+    });
+  } catch (error) {
+    if (error instanceof MessageValidationError) {
+      return res.status(error.httpStatus).json({
+        success: false,
+        error: error.message,
+        details: error.details
+      });
+    }
+    
+    logger.error('Error updating message', { error });
+    res.status(500).json({
+      success: false,
+      error: "Server error while updating message"
+    });
+  }
+});
+
+/**
+ * @openapi
+ * /api/messages/{id}:
+ *   delete:
+ *     summary: Delete a message
+ *     tags:
+ *       - Messages
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Message deleted successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       400:
+ *         description: Invalid message id
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Message not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+app.delete('/api/messages/:id', async (req, res) => {
+  try {
+    const messageId = parseMessageId(req, res);
+    if (messageId === null) {
+      return;
+    }
+    
+    const deleted = await chatService.deleteMessage(messageId);
+    
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: "Message not found"
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      message: "Message deleted successfully"
+    });
+  } catch (error) {
+    logger.error('Error deleting message', { error });
+    res.status(500).json({
+      success: false,
+      error: "Server error while deleting message"
+    });
+  }
+});
+
+/**
+ * @openapi
+ * /api/messages/{id}/regenerate:
+ *   post:
+ *     summary: Regenerate a reply
+ *     description: Asks the model again for the reply to a user message. The id can be the user message or its reply.
+ *       The replaced reply is kept as an alternate version; later messages stay as they are.
+ *     tags:
+ *       - Messages
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The new reply, with all its versions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/Message'
+ *       400:
+ *         description: Invalid message id, or the message can't be answered
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Message not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: The message has no reply to replace
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       429:
+ *         description: An LLM budget is used up, see the Retry-After header for daily budgets
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Server error or LLM service error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+app.post('/api/messages/:id/regenerate', async (req, res) => {
+  try {
+    const messageId = parseMessageId(req, res);
+    if (messageId === null) {
+      return;
+    }
+    
+    const reply = await chatService.regenerateReply(messageId);
+    
+    if (!reply) {
+      return res.status(404).json({
+        success: false,
+        error: "Message not found"
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      data: reply,
+      ...(await getBudgetWarnings('chat', reply.conversationId))
+    });
+  } catch (error) {
+    logger.error('Error regenerating reply', { error });
+    res.status(resolveErrorStatus(error, res)).json({
+      success: false,
+      error: `Error regenerating reply: ${error.message}`
+    });
+  }
+});
+
+/**
+ * @openapi
+ * /api/messages/{id}/edit:
+ *   post:
+ *     summary: Edit a user message and answer it again
+ *     description: Replaces the content of a user message, removes all later messages of the conversation and gets a
+ *       new reply. The previous reply is kept as an alternate version of the new one.
+ *     tags:
+ *       - Messages
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - content
+ *             properties:
+ *               content:
+ *                 type: string
+ *                 description: The new message content
+ *     responses:
+ *       200:
+ *         description: The new reply (same shape as the reply of /api/chat)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       400:
+ *         description: Invalid message id, missing content, or not a user message
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Message not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       429:
+ *         description: An LLM budget is used up, see the Retry-After header for daily budgets
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Server error or LLM service error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+app.post('/api/messages/:id/edit', async (req, res) => {
+  try {
+    const messageId = parseMessageId(req, res);
+    if (messageId === null) {
+      return;
+    }
+    
+    if (typeof req.body.content !== 'string' || !req.body.content.trim()) {
+      return res.status(400).json({
+        success: false,
+        error: "Please provide message content"
+      });
+    }
+    
+    const response = await chatService.editUserMessage(messageId, req.body.content);
+    
+    if (!response) {
+      return res.status(404).json({
+        success: false,
+        error: "Message not found"
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      data: response,
+      ...(await getBudgetWarnings('chat', response.conversationId))
+    });
+  } catch (error) {
+    logger.error('Error editing message', { error });
+    res.status(resolveErrorStatus(error, res)).json({
+      success: false,
+      error: `Error editing message: ${error.message}`
+    });
+  }
+});
+
+/**
+ * @openapi
+ * /api/messages/{id}/versions/{version}/select:
+ *   post:
+ *     summary: Show another version of a reply
+ *     description: Makes one of the versions of a regenerated reply the active one
+ *     tags:
+ *       - Messages
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: version
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Index of the version (0 is the original reply)
+ *     responses:
+ *       200:
+ *         description: The reply showing the selected version
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/Message'
+ *       400:
+ *         description: Invalid message id or unknown version
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Message not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+app.post('/api/messages/:id/versions/:version/select', async (req, res) => {
+  try {
+    const messageId = parseMessageId(req, res);
+    if (messageId === null) {
+      return;
+    }
+    
+    const message = await chatService.selectReplyVersion(messageId, Number(req.params.version));
+    
+    if (!message) {
+      return res.status(404).json({
+        success: false,
+        error: "Message not found"
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      data: message
+    });
+  } catch (error) {
+    logger.error('Error selecting reply version', { error });
+    res.status(resolveErrorStatus(error, res)).json({
+      success: false,
+      error: `Error selecting reply version: ${error.message}`
+    });
+  }
+});
+
+/**
+ * @openapi
+ * /api/conversations:
+ *   get:
+ *     summary: Get all conversations
+ *     description: Returns all conversations, most recently updated first
+ *     tags:
+ *       - Conversations
+ *     responses:
+ *       200:
+ *         description: Successfully retrieved conversations
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 count:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Conversation'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+app.get('/api/conversations', async (req, res) => {
+  try {
+    const conversations = await chatService.listConversations();
+    
+    res.status(200).json({
+      success: true,
+      count: conversations.length,
+      data: conversations
+    });
+  } catch (error) {
+    logger.error('Error getting conversations', { error });
+    res.status(500).json({
+      success: false,
+      error: "Server error while retrieving conversations"
+    });
+  }
+});
+
+/**
+ * @openapi
+ * /api/conversations:
+ *   post:
+ *     summary: Create a conversation
+ *     description: Creates a new conversation starting with the welcome message. Without a title the conversation is named after its first message.
+ *     tags:
+ *       - Conversations
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ConversationRequest'
+ *     responses:
+ *       201:
+ *         description: Conversation created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/Conversation'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+app.post('/api/conversations', async (req, res) => {
+  try {
+    const conversation = await chatService.createConversation(req.body.title);
+    
+    res.status(201).json({
+      success: true,
+      data: conversation
+    });
+  } catch (error) {
+    logger.error('Error creating conversation', { error });
+    res.status(500).json({
+      success: false,
+      error: "Server error while creating conversation"
+    });
+  }
+});
+
+/**
+ * @openapi
+ * /api/conversations/{id}:
+ *   get:
+ *     summary: Get a conversation
+ *     tags:
+ *       - Conversations
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Successfully retrieved the conversation
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/Conversation'
+ *       404:
+ *         description: Conversation not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+app.get('/api/conversations/:id', async (req, res) => {
+  try {
+    const conversation = await chatService.getConversation(req.params.id);
+    
+    if (!conversation) {
+      return res.status(404).json({
+        success: false,
+        error: `Conversation ${req.params.id} not found`
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      data: conversation
+    });
+  } catch (error) {
+    logger.error('Error getting conversation', { error });
+    res.status(500).json({
+      success: false,
+      error: "Server error while retrieving conversation"
+    });
+  }
+});
+
+/**
+ * @openapi
+ * /api/conversations/{id}:
+ *   patch:
+ *     summary: Rename a conversation
+ *     tags:
+ *       - Conversations
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ConversationRequest'
+ *           examples:
+ *             example1:
+ *               summary: New title
+ *               value:
+ *                 title: "Trip planning"
+ *     responses:
+ *       200:
+ *         description: Conversation renamed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/Conversation'
+ *       400:
+ *         description: Bad request - missing title
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Conversation not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+app.patch('/api/conversations/:id', async (req, res) => {
+  try {
+    if (typeof req.body.title !== 'string' || !req.body.title.trim()) {
+      return res.status(400).json({
+        success: false,
+        error: "Please provide a title"
+      });
+    }
+    
+    const conversation = await chatService.renameConversation(req.params.id, req.body.title);
+    
+    if (!conversation) {
+      return res.status(404).json({
+        success: false,
+        error: `Conversation ${req.params.id} not found`
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      data: conversation
+    });
+  } catch (error) {
+    logger.error('Error renaming conversation', { error });
+    res.status(500).json({
+      success: false,
+      error: "Server error while renaming conversation"
+    });
+  }
+});
+
+/**
+ * @openapi
+ * /api/conversations/{id}:
+ *   delete:
+ *     summary: Delete a conversation
+ *     description: Deletes the conversation together with its messages, request logs and summary
+ *     tags:
+ *       - Conversations
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Conversation deleted successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       400:
+ *         description: The default conversation can't be deleted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Conversation not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+app.delete('/api/conversations/:id', async (req, res) => {
+  try {
+    if (req.params.id === DEFAULT_CONVERSATION_ID) {
+      return res.status(400).json({
+        success: false,
+        error: "The default conversation can't be deleted"
+      });
+    }
+    
+    const deleted = await chatService.deleteConversation(req.params.id);
+    
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: `Conversation ${req.params.id} not found`
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      message: "Conversation deleted successfully"
+    });
+  } catch (error) {
+    logger.error('Error deleting conversation', { error });
+    res.status(500).json({
+      success: false,
+      error: "Server error while deleting conversation"
+    });
+  }
+});
+
+/**
+ * @openapi
+ * /api/chat:
+ *   post:
+ *     summary: Send message to LLM
+ *     description: |
+ *       Sends a message to the OpenAI API and returns the response.
+ *       When the request has an `Accept: text/event-stream` header the reply is streamed
+ *       as Server-Sent Events: `delta` events carry pieces of content as they arrive,
+ *       a final `done` event carries the stored assistant message and an `error` event
+ *       is sent if the LLM call fails. If the client disconnects, the content received
+ *       so far is stored and marked as partial. If the provider fails after content arrived, that
+ *       content is stored as well, marked as partial with `interruptedBy` set to the error type, and the
+ *       stored message is sent as `message` in the `error` event.
+ *       The model may call tools (date/time, text enhancement, review summaries, message search)
+ *       before it answers. Tool calls and their results are stored as messages; they are returned
+ *       in `toolMessages`, or sent as `tool` events when streaming.
+ *       Messages are checked for prompt injection first. A flagged message is stored with
+ *       `securityFlagged`, left out of all future context, and answered with `securityCheckFailed: true`
+ *       instead of a reply (also in the `done` event when streaming).
+ *       Every LLM call is checked against the spending budgets first; a used up budget is answered with 429.
+ *       Budgets close to their limit are reported in `budgetWarnings`, or in a `budget` event before `done`.
+ *     tags:
+ *       - Chat
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ChatRequest'
+ *           examples:
+ *             example1:
+ *               summary: Chat message
+ *               value:
+ *                 content: "What is the weather like today?"
+ *                 role: "user"
+ *                 conversationId: "default"
+ *     responses:
+ *       200:
+ *         description: LLM response received successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *               example: "event: delta\ndata: {\"content\":\"Hel\"}\n\n"
+ *       400:
+ *         description: Bad request - missing message content
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Conversation not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       429:
+ *         description: An LLM budget is used up, see the Retry-After header for daily budgets
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Error communicating with LLM service
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       503:
+ *         description: LLM provider unavailable - the circuit breaker is open, see the Retry-After header
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       504:
+ *         description: LLM provider did not answer in time
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+app.post('/api/chat', async (req, res) => {
+  try {
+    // Check if message content is provided
+    if (!req.body.content && !req.body.message) {
+      return res.status(400).json({
+        success: false,
+        error: "Please provide message content"
+      });
+    }
+    
+    // Get message content from either property
+    const messageContent = req.body.content || req.body.message;
+    const userRole = req.body.role || 'user';
+    
+    const conversationId = await resolveConversationId(req, res);
+    if (!conversationId) {
+      return;
+    }
+    
+    // Stream the reply if the client asked for Server-Sent Events
+    if (wantsEventStream(req)) {
+      return streamChatResponse(req, res, messageContent, userRole, conversationId);
+    }
+    
+    // Process the message using the ChatService
+    const response = await chatService.processUserMessage(messageContent, userRole, conversationId);
+    
+    // Return the LLM response with consistent structure
+    res.status(200).json({
+      success: true,
+      data: response,
+      ...(await getBudgetWarnings('chat', conversationId))
+    });
+    
+  } catch (error) {
+    logger.error('Error calling LLM API', { error });
+    
+    // The message only; the provider's response body may echo the request and is logged at debug level instead
+    let errorMessage = "Error communicating with LLM service";
+    if (error.message) {
+      errorMessage += `: ${error.message}`;
+    }
+    
+    res.status(resolveErrorStatus(error, res)).json({
+      success: false,
+      error: errorMessage
+    });
+  }
+});
+
+/**
+ * Check whether the client asked for a Server-Sent Events response
+ * @param {Object} req - Express request
+ * @returns {boolean} - True if the Accept header contains text/event-stream
+ */
+function wantsEventStream(req) {
+  const accept = req.get('Accept') || '';
+  return accept.includes('text/event-stream');
+}
+
+/**
+ * Write a single Server-Sent Event to the response
+ * @param {Object} res - Express response
+ * @param {string} event - Event name
+ * @param {Object} data - Event payload, sent as JSON
+ */
+function sendEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Stream the LLM reply for a chat message as Server-Sent Events
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {string} messageContent - The user message content
+ * @param {string} userRole - The role of the user
+ * @param {string} conversationId - The conversation the message belongs to
+ * @returns {Promise<void>}
+ */
+async function streamChatResponse(req, res, messageContent, userRole, conversationId) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+  res.flushHeaders();
+  
+  // Abort the LLM stream if the client disconnects before it finishes
+  const abortController = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      logger.info('Client disconnected, aborting chat stream', { requestId: res.locals.requestId, conversationId });
+      abortController.abort();
+    }
+  });
+  
+  try {
+    const message = await chatService.processUserMessageStream(messageContent, userRole, conversationId, {
+      onDelta: (content) => sendEvent(res, 'delta', { content }),
+      onToolMessage: (toolMessage) => sendEvent(res, 'tool', toolMessage),
+      signal: abortController.signal
+    });
+    
+    if (!abortController.signal.aborted) {
+      const { budgetWarnings } = await getBudgetWarnings('chat', conversationId);
+      if (budgetWarnings) {
+        sendEvent(res, 'budget', { budgetWarnings });
+      }
+      sendEvent(res, 'done', message);
+    }
+  } catch (error) {
+    logger.error('Error streaming LLM response', { error });
+    
+    if (!abortController.signal.aborted) {
+      sendEvent(res, 'error', {
+        error: `Error communicating with LLM service: ${error.message}`,
+        ...(error.partialMessage && { message: error.partialMessage })
+      });
+    }
+  } finally {
+    res.end();
+  }
+}
+
+/**
+ * @openapi
+ * /api/enhance-text:
+ *   post:
+ *     summary: Enhance text using AI
+ *     description: Takes user text and returns an enhanced version using AI
+ *     tags:
+ *       - Text Enhancement
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - text
+ *             properties:
+ *               text:
+ *                 type: string
+ *                 description: The text content to enhance
+ *                 example: "this is some text that need to be improve and fix grammar errors"
+ *           examples:
+ *             example1:
+ *               summary: Text with grammar issues
+ *               value:
+ *                 text: "this is some text that need to be improve and fix grammar errors"
+ *             example2:
+ *               summary: Simple text
+ *               value:
+ *                 text: "Hello world how are you doing today"
+ *     responses:
+ *       200:
+ *         description: Text enhanced successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     originalText:
+ *                       type: string
+ *                       example: "this is some text that need to be improve"
+ *                     enhancedText:
+ *                       type: string
+ *                       example: "This is some text that needs to be improved."
+ *                     timestamp:
+ *                       type: string
+ *                       format: date-time
+ *       400:
+ *         description: Bad request - missing or invalid text
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       429:
+ *         description: An LLM budget is used up, see the Retry-After header for daily budgets
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       503:
+ *         description: LLM provider unavailable - the circuit breaker is open, see the Retry-After header
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       504:
+ *         description: LLM provider did not answer in time
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+app.post('/api/enhance-text', async (req, res) => {
+  try {
+    // Check if text content is provided
+    if (!req.body.text || typeof req.body.text !== 'string' || req.body.text.trim().length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: "Please provide valid text content to enhance"
+      });
+    }
+    
+    // Enhance the text using the TextEnhancementService
+    const enhancementResult = await textEnhancementService.enhanceText(req.body.text);
+    
+    // Return the enhanced text
+    res.status(200).json({
+      success: true,
+      data: enhancementResult,
+      ...(await getBudgetWarnings('enhance-text'))
+    });
+    
+  } catch (error) {
+    logger.error('Error enhancing text', { error });
+    
+    // Provide more detailed error message
+    let errorMessage = "Error enhancing text";
+    if (error.message) {
+      errorMessage += `: ${error.message}`;
+    }
+    
+    res.status(resolveErrorStatus(error, res)).json({
+      success: false,
+      error: errorMessage
+    });
+  }
+});
+
+/**
+ * @openapi
+ * /api/summarize-reviews:
+ *   post:
+ *     summary: Summarize product reviews
+ *     description: Analyzes multiple product reviews and generates a comprehensive summary
+ *     tags:
+ *       - Reviews
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reviews:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     rating:
+ *                       type: integer
+ *                       minimum: 1
+ *                       maximum: 5
+ *                     text:
+ *                       type: string
+ *                     sentiment:
+ *                       type: string
+ *                       enum: [positive, negative, mixed]
+ *                   required:
+ *                     - rating
+ *                     - text
+ *             required:
+ *               - reviews
+ *     responses:
+ *       200:
+ *         description: Successfully generated review summary
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 summary:
+ *                   type: string
+ *                   description: HTML formatted summary
+ *       400:
+ *         description: Invalid request data
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       429:
+ *         description: An LLM budget is used up, see the Retry-After header for daily budgets
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       503:
+ *         description: LLM provider unavailable - the circuit breaker is open, see the Retry-After header
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       504:
+ *         description: LLM provider did not answer in time
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+app.post('/api/summarize-reviews', async (req, res) => {
+  try {
+    // Check if reviews array is provided
+    if (!req.body.reviews || !Array.isArray(req.body.reviews) || req.body.reviews.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: "Please provide a valid array of reviews"
+      });
+    }
+    
+    // Generate summary using the ReviewSummaryService
+    const summary = await reviewSummaryService.generateSummary(req.body.reviews);
+    
+    // Return the summary
+    res.status(200).json({
+      success: true,
+      summary: summary,
+      ...(await getBudgetWarnings('summarize-reviews'))
+    });
+    
+  } catch (error) {
+    logger.error('Error summarizing reviews', { error });
+    
+    // Provide more detailed error message
+    let errorMessage = "Error summarizing reviews";
+    if (error.message) {
+      errorMessage += `: ${error.message}`;
+    }
+    
+    res.status(resolveErrorStatus(error, res)).json({
+      success: false,
+      error: errorMessage
+    });
+  }
+});
+
+/**
+ * @openapi
+ * /api/requests:
+ *   get:
+ *     summary: Get all request logs
+ *     description: Returns the logs of LLM requests for debugging purposes, newest first. With limit only the newest
+ *       requests are returned; page back through older ones by passing nextCursor as before. Entries removed by the
+ *       log retention are not available anymore. Every entry carries the requestId of the HTTP request that made the
+ *       call (the X-Request-Id response header) and its trace - the timed stages up to the end of the call.
+ *     tags:
+ *       - Debug
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *         description: Maximum number of requests to return
+ *       - in: query
+ *         name: before
+ *         schema:
+ *           type: string
+ *         description: Cursor (nextCursor of a page) - only requests older than it
+ *       - in: query
+ *         name: after
+ *         schema:
+ *           type: string
+ *         description: Cursor (prevCursor of a page) - only requests newer than it
+ *       - in: query
+ *         name: conversationId
+ *         schema:
+ *           type: string
+ *         description: Only return requests made for this conversation (all requests if omitted). Calls made
+ *           outside a conversation are logged as service:<service>, e.g. service:enhance-text
+ *     responses:
+ *       200:
+ *         description: Successfully retrieved request logs
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                 nextCursor:
+ *                   type: string
+ *                   nullable: true
+ *                   description: Pass as before to get the older requests, null if there are none
+ *                 prevCursor:
+ *                   type: string
+ *                   nullable: true
+ *                   description: Pass as after to get the newer requests, null if there are none
+ *       400:
+ *         description: Invalid cursor
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+app.get('/api/requests', async (req, res) => {
+  try {
+    const page = parsePageParams(req, res);
+    if (!page) {
+      return;
+    }
+    
+    // Only the requests of one conversation if asked for
+    const filter = req.query.conversationId ? { conversationId: req.query.conversationId } : {};
+    
+    // Get a page of requests from storage using the storage abstraction, the newest ones unless a cursor is given
+    const requestPage = await requestStorage.getMessagePage({ ...page, filter });
+    
+    // Return the request logs newest first, with the same structure as messages endpoint
+    res.status(200).json({
+      success: true,
+      count: requestPage.messages.length,
+      data: [...requestPage.messages].reverse(),
+      ...getPageCursors(requestPage)
+    });
+  } catch (error) {
+    logger.error('Error retrieving request logs', { error });
+    res.status(500).json({
+      success: false,
+      error: "Server error while retrieving request logs"
+    });
+  }
+});
+
+/**
+ * @openapi
+ * /api/requests/search:
+ *   get:
+ *     summary: Search the LLM request logs
+ *     description: Full-text search over the message each logged request was made for, the responses of the model and the errors of failed requests, ranked by relevance. Only the newest REQUEST_LOG_SEARCH_MAX_ENTRIES requests (5000 by default) are searchable.
+ *     tags:
+ *       - Debug
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Words to search for; all of them have to match, the last one also matches longer words starting with it
+ *       - in: query
+ *         name: conversationId
+ *         schema:
+ *           type: string
+ *         description: Only requests of this conversation (all conversations if omitted)
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *         description: Maximum number of results to return
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *         description: Number of results to skip
+ *     responses:
+ *       200:
+ *         description: Matching requests, best match first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SearchResponse'
+ *       400:
+ *         description: Missing search query
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+app.get('/api/requests/search', async (req, res) => {
+  try {
+    const search = parseSearchParams(req, res);
+    if (!search) {
+      return;
+    }
+    
+    const { total, results } = await requestStorage.search(search.query, search.options);
+    
+    res.status(200).json({
+      success: true,
+      count: results.length,
+      total,
+      data: results
+    });
+  } catch (error) {
+    logger.error('Error searching request logs', { error });
+    res.status(500).json({
+      success: false,
+      error: "Server error while searching request logs"
+    });
+  }
+});
+
+/**
+ * @openapi
+ * /api/review-debug:
+ *   get:
+ *     summary: Get latest review summarizer debug information
+ *     description: Returns the latest request and response for review summarization for debugging
+ *     tags:
+ *       - Debug
+ *     responses:
+ *       200:
+ *         description: Successfully retrieved debug information
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 debugInfo:
+ *                   type: object
+ *                   description: Latest debug information
+ *       404:
+ *         description: No debug information found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+app.get('/api/review-debug', async (req, res) => {
+  try {
+    // Get debug info from the review summary service
+    const debugInfo = await reviewSummaryService.debugStorage.getDebugInfo();
+    
+    if (!debugInfo) {
+      return res.status(404).json({
+        success: false,
+        error: "No debug information found"
+      });
+    }
+    
+    // Return the debug information
+    res.status(200).json({
+      success: true,
+      debugInfo: debugInfo
+    });
+  } catch (error) {
+    logger.error('Error retrieving review debug info', { error });
+    res.status(500).json({
+      success: false,
+      error: "Server error while retrieving debug information"
+    });
+  }
+});
+
+/**
+ * @openapi
+ * /api/cache:
+ *   get:
+ *     summary: Inspect the LLM response cache
+ *     description: Returns cache statistics and the cached entries (without the cached responses), most recently used first
+ *     tags:
+ *       - Cache
+ *     responses:
+ *       200:
+ *         description: Successfully retrieved the cache
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     stats:
+ *                       type: object
+ *                       description: Number of entries, hits and misses since start, and the cache settings
+ *                     entries:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+app.get('/api/cache', async (req, res) => {
+  try {
+    const responseCache = getResponseCache();
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        stats: await responseCache.getStats(),
+        entries: await responseCache.list()
+      }
+    });
+  } catch (error) {
+    logger.error('Error retrieving response cache', { error });
+    res.status(500).json({
+      success: false,
+      error: "Server error while retrieving the response cache"
+    });
+  }
+});
+
+/**
+ * @openapi
+ * /api/cache:
+ *   delete:
+ *     summary: Purge the LLM response cache
+ *     description: Removes all cached responses
+ *     tags:
+ *       - Cache
+ *     responses:
+ *       200:
+ *         description: Cache purged successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 deleted:
+ *                   type: integer
+ *                   description: Number of removed entries
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+app.delete('/api/cache', async (req, res) => {
+  try {
+    const deleted = await getResponseCache().clear();
+    
+    res.status(200).json({
+      success: true,
+      deleted
+    });
+  } catch (error) {
+    logger.error('Error purging response cache', { error });
+    res.status(500).json({
+      success: false,
+      error: "Server error while purging the response cache"
+    });
+  }
+});
+
+/**
+ * @openapi
+ * /api/cache/{key}:
+ *   delete:
+ *     summary: Remove a single cached response
+ *     tags:
+ *       - Cache
+ *     parameters:
+ *       - in: path
+ *         name: key
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The cache key, as listed by GET /api/cache
+ *     responses:
+ *       200:
+ *         description: Entry removed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *       404:
+ *         description: No cache entry with this key
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+app.delete('/api/cache/:key', async (req, res) => {
+  try {
+    const deleted = await getResponseCache().delete(req.params.key);
+    
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: "Cache entry not found"
+      });
+    }
+    
+    res.status(200).json({
+      success: true
+    });
+  } catch (error) {
+    logger.error('Error removing cache entry', { error });
+    res.status(500).json({
+      success: false,
+      error: "Server error while removing the cache entry"
+    });
+  }
+});
+
+/**
+ * @openapi
+ * /api/usage:
+ *   get:
+ *     summary: Get the token usage and cost of the LLM calls
+ *     description: Adds up the tokens and cost of every LLM call by day (UTC), model and service (chat, enhance-text,
+ *       summarize-reviews, security-check). The cost comes from the price table (LLM_PRICES_FILE); calls of models
+ *       without a price are counted as unpriced. Responses served from the cache are counted but cost nothing.
+ *     tags:
+ *       - Usage
+ *     parameters:
+ *       - in: query
+ *         name: since
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: First day to include (YYYY-MM-DD)
+ *       - in: query
+ *         name: until
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Last day to include (YYYY-MM-DD)
+ *       - in: query
+ *         name: service
+ *         schema:
+ *           type: string
+ *         description: Only calls made by this service
+ *       - in: query
+ *         name: model
+ *         schema:
+ *           type: string
+ *         description: Only calls of this model
+ *     responses:
+ *       200:
+ *         description: Successfully retrieved the usage
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     currency:
+ *                       type: string
+ *                     totals:
+ *                       type: object
+ *                       description: calls, cachedCalls, failedCalls, unpricedCalls, promptTokens, completionTokens,
+ *                         totalTokens and cost of all matching calls
+ *                     byDay:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                       description: The same counters per day
+ *                     byModel:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                       description: The same counters per model
+ *                     byService:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                       description: The same counters per service
+ *                     entries:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                       description: The counters per day, service and model
+ *       400:
+ *         description: Invalid date
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+app.get('/api/usage', async (req, res) => {
+  try {
+    const { since, until, service, model } = req.query;
+    const invalidDate = [since, until].find(day => day !== undefined && !/^\d{4}-\d{2}-\d{2}$/.test(day));
+    
+    if (invalidDate !== undefined) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid date ${invalidDate}, use YYYY-MM-DD`
+      });
+    }
+    
+    const report = await getUsageTracker().getReport({ since, until, service, model });
+    
+    res.status(200).json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    logger.error('Error retrieving LLM usage', { error });
+    res.status(500).json({
+      success: false,
+      error: "Server error while retrieving the LLM usage"
+    });
+  }
+});
+
+/**
+ * @openapi
+ * /api/budgets:
+ *   get:
+ *     summary: Get the spend against the LLM budgets
+ *     description: Lists the configured budgets (daily for all services, daily per service and per conversation)
+ *       with what has been spent. LLM calls are rejected with 429 once a budget that applies to them is used up.
+ *     tags:
+ *       - Usage
+ *     parameters:
+ *       - in: query
+ *         name: service
+ *         schema:
+ *           type: string
+ *         description: Only the budget of this service (all service budgets if omitted)
+ *       - in: query
+ *         name: conversationId
+ *         schema:
+ *           type: string
+ *         description: Include the budget of this conversation
+ *     responses:
+ *       200:
+ *         description: Successfully retrieved the budgets
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     currency:
+ *                       type: string
+ *                     warnRatio:
+ *                       type: number
+ *                       description: Share of a budget from which responses carry a warning
+ *                     budgets:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Budget'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+app.get('/api/budgets', async (req, res) => {
+  try {
+    const status = await getBudgetService().getStatus({
+      service: req.query.service || null,
+      conversationId: req.query.conversationId || null
+    });
+    
+    res.status(200).json({
+      success: true,
+      data: status
+    });
+  } catch (error) {
+    logger.error('Error retrieving LLM budgets', { error });
+    res.status(500).json({
+      success: false,
+      error: "Server error while retrieving the LLM budgets"
+    });
+  }
+});
+
+/**
+ * @openapi
+ * /metrics:
+ *   get:
+ *     summary: Get the server metrics for Prometheus
+ *     description: Metrics in the Prometheus text format - HTTP requests and their duration per route, LLM calls,
+ *       their duration and failures per model and failure type, tokens, LLM calls in flight and the duration and
+ *       failures of storage operations. Durations are in seconds.
+ *     tags:
+ *       - Metrics
+ *     responses:
+ *       200:
+ *         description: The metrics
+ *         content:
+ *           text/plain:
+ *             schema:
+ *               type: string
+ */
+app.get('/metrics', (req, res) => {
+  res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+  res.send(getMetrics().render());
+});
+
+// Root route
+app.get('/', (req, res) => {
+  res.send(`
+    <h1>Messages API is running</h1>
+    <p>Available endpoints:</p>
+    <ul>
+      <li><a href="/api-docs">API Documentation (Swagger UI)</a></li>
+      <li>POST /api/messages - Add a message</li>
+      <li>GET /api/conversations - List conversations</li>
+      <li>POST /api/conversations - Create a conversation</li>
+      <li>GET /api/conversations/:id - Get a conversation</li>
+      <li>PATCH /api/conversations/:id - Rename a conversation</li>
+      <li>DELETE /api/conversations/:id - Delete a conversation and its messages</li>
+      <li>GET /api/messages - Get all messages (?conversationId= to pick a conversation, ?limit=&before= to page back)</li>
+      <li>GET /api/messages/summary - Get the summary of older messages</li>
+      <li>GET /api/messages/search?q= - Search the chat history</li>
+      <li>GET /api/messages/export?format=json|md|html - Export a conversation</li>
+      <li>POST /api/messages/import?mode=append|replace - Import a conversation from a JSON export</li>
+      <li>DELETE /api/messages - Clear all messages of a conversation</li>
+      <li>GET /api/messages/:id - Get a message</li>
+      <li>PATCH /api/messages/:id - Edit a message</li>
+      <li>DELETE /api/messages/:id - Delete a message</li>
+      <li>POST /api/messages/:id/regenerate - Regenerate the reply to a message</li>
+      <li>POST /api/messages/:id/edit - Edit a user message and answer it again</li>
+      <li>POST /api/messages/:id/versions/:version/select - Show another version of a reply</li>
+      <li>POST /api/chat - Chat with LLM (send Accept: text/event-stream to stream the reply)</li>
+      <li>POST /api/enhance-text - Enhance text using AI</li>
+      <li>POST /api/summarize-reviews - Summarize product reviews</li>
+      <li>GET /api/requests - Get all request logs (?limit=&before= to page back)</li>
+      <li>GET /api/requests/search?q= - Search the request logs</li>
+      <li>GET /api/cache - Inspect the LLM response cache</li>
+      <li>DELETE /api/cache - Purge the LLM response cache</li>
+      <li>DELETE /api/cache/:key - Remove a single cached response</li>
+      <li>GET /api/usage - Token usage and cost by day, model and service (?since=&until=)</li>
+      <li>GET /api/budgets - Spend against the LLM budgets (?conversationId= for a conversation's budget)</li>
+      <li>GET /metrics - Server metrics in the Prometheus text format</li>
+    </ul>
+  `);
+});
+
+// Prepare the storages before accepting requests; data that can't be decrypted with the configured keys stops the start
+try {
+  await Promise.all([
+    messageStorage.init(),
+    requestStorage.init(),
+    summaryStorage.init(),
+    conversationStorage.init(),
+    getResponseCache().storage.init(),
+    reviewSummaryService.debugStorage.init()
+  ]);
+} catch (error) {
+  logger.error('Error preparing the storages', { error });
+  process.exit(1);
+}
 
 // Start server
 app.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
+  logger.info('Server running', { port: Number(PORT) });
 });
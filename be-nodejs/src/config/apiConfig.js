@@ -3,15 +3,150 @@
  * This file reads configuration from environment variables
  */
 import dotenv from 'dotenv';
+import path from 'path';
+import { fileURLToPath } from 'url';
 
 // Load environment variables from .env file
 dotenv.config();
 
+// Get the directory name of the current module
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+/**
+ * Read a numeric environment variable, falling back to a default when it is missing or invalid
+ * @param {string} name - Name of the environment variable
+ * @param {number} defaultValue - Value to use when the variable is not set
+ * @returns {number} - The parsed value
+ */
+const numberFromEnv = (name, defaultValue) => {
+  const value = Number(process.env[name]);
+  return process.env[name] !== undefined && process.env[name] !== '' && !Number.isNaN(value)
+    ? value
+    : defaultValue;
+};
+
 export const apiConfig = {
+  // Settings of the LLM provider; the block keeps its historical name but any supported provider can be selected
   openai: {
+    // 'openai' (any OpenAI-compatible API), 'anthropic' (Messages API) or 'ollama' (Ollama/llama.cpp-style local server)
+    provider: process.env.LLM_PROVIDER || 'openai',
     apiKey: process.env.LLM_KEY,
     apiUrl: process.env.LLM_API_URL,
     model: process.env.LLM_MODEL,
-    additionalModel: process.env.LLM_ADDITIONAL_MODEL
+    additionalModel: process.env.LLM_ADDITIONAL_MODEL,
+    // Ordered, comma separated models tried when the primary model fails; defaults to the additional model
+    fallbackModels: process.env.LLM_FALLBACK_MODELS
+      ? process.env.LLM_FALLBACK_MODELS.split(',').map(model => model.trim()).filter(Boolean)
+      : [process.env.LLM_ADDITIONAL_MODEL].filter(Boolean)
+  },
+  // How much of the conversation is sent to the model with every chat message
+  context: {
+    // Token budget for the whole prompt (system prompt and history); capped by the model's context window
+    maxTokens: numberFromEnv('LLM_CONTEXT_MAX_TOKENS', 8000),
+    // Tokens kept free for the model's reply
+    responseReserveTokens: numberFromEnv('LLM_CONTEXT_RESPONSE_RESERVE_TOKENS', 1024)
+  },
+  // How calls to the LLM provider deal with slow or failing responses
+  resilience: {
+    // Per-request timeout, can be overridden per call with the timeoutMs option
+    timeoutMs: numberFromEnv('LLM_TIMEOUT_MS', 60000),
+    // Retries after the first attempt for retryable errors (429, 5xx, timeouts, network errors)
+    maxRetries: numberFromEnv('LLM_MAX_RETRIES', 3),
+    // Exponential backoff with full jitter: random delay up to base * 2^(attempt - 1), capped at max.
+    // A Retry-After header longer than the max delay is not waited for; the error is returned instead.
+    retryBaseDelayMs: numberFromEnv('LLM_RETRY_BASE_DELAY_MS', 500),
+    retryMaxDelayMs: numberFromEnv('LLM_RETRY_MAX_DELAY_MS', 10000),
+    // Consecutive provider failures that open the circuit, and how long it stays open before a trial request
+    circuitBreakerThreshold: numberFromEnv('LLM_CIRCUIT_BREAKER_THRESHOLD', 5),
+    circuitBreakerResetMs: numberFromEnv('LLM_CIRCUIT_BREAKER_RESET_MS', 30000)
+  },
+  // Tools the chat assistant may call (see src/tools)
+  tools: {
+    enabled: process.env.LLM_TOOLS_ENABLED !== 'false',
+    // Rounds of tool calls per user message; after the last one the model has to answer without tools
+    maxSteps: numberFromEnv('LLM_MAX_TOOL_STEPS', 5)
+  },
+  // Prompt injection and jailbreak detection on chat messages before they reach the model
+  security: {
+    // 'heuristic' (pattern rules, default), 'classifier' (ask the LLM), 'both' or 'off'
+    mode: process.env.LLM_SECURITY_CHECK || 'heuristic',
+    // Score from which the heuristic rules flag a message; every matching rule adds its weight
+    heuristicThreshold: numberFromEnv('LLM_SECURITY_HEURISTIC_THRESHOLD', 1),
+    // Model used by the classifier, defaults to the primary model
+    classifierModel: process.env.LLM_SECURITY_CLASSIFIER_MODEL || null,
+    // Let messages through when the classifier call fails (true) or flag them (false)
+    failOpen: process.env.LLM_SECURITY_FAIL_OPEN !== 'false'
+  },
+  // Cache of LLM responses for calls that opt in with the cache option (text enhancement, review summaries)
+  cache: {
+    // Master switch; when false no call is cached even if it asks for it
+    enabled: process.env.LLM_CACHE_ENABLED !== 'false',
+    ttlMs: numberFromEnv('LLM_CACHE_TTL_MS', 24 * 60 * 60 * 1000),
+    // Least recently used entries are evicted beyond this number
+    maxEntries: numberFromEnv('LLM_CACHE_MAX_ENTRIES', 500),
+    // Responses larger than this (serialized, in bytes) are not cached
+    maxEntryBytes: numberFromEnv('LLM_CACHE_MAX_ENTRY_BYTES', 100 * 1024),
+    filePath: process.env.LLM_CACHE_FILE || path.join(__dirname, '../../llm-cache.json')
+  },
+  // Tokens and cost of the LLM calls, added up per day, service and model (see GET /api/usage)
+  usage: {
+    filePath: process.env.LLM_USAGE_FILE || path.join(__dirname, '../../llm-usage.json'),
+    // JSON file with the currency and the prompt and completion price of each model per million tokens
+    pricesFile: process.env.LLM_PRICES_FILE || path.join(__dirname, 'llmPrices.json')
+  },
+  // Spending limits checked before every LLM call, in the currency of the price table; 0 means no limit
+  budgets: {
+    // Spend of all services together per day (UTC)
+    daily: numberFromEnv('LLM_BUDGET_DAILY', 0),
+    // Spend per day of single services, as comma separated service=limit pairs, e.g. chat=5,enhance-text=1
+    services: Object.fromEntries((process.env.LLM_BUDGET_SERVICES || '').split(',')
+      .map(pair => pair.split('=').map(part => part.trim()))
+      .filter(([service, limit]) => service && limit !== undefined && !Number.isNaN(Number(limit)))
+      .map(([service, limit]) => [service, Number(limit)])),
+    // Spend of a conversation over its whole life
+    conversation: numberFromEnv('LLM_BUDGET_CONVERSATION', 0),
+    // Share of a budget from which responses carry a warning
+    warnRatio: numberFromEnv('LLM_BUDGET_WARN_RATIO', 0.8)
+  },
+  // Where chat messages and the LLM request log are kept
+  storage: {
+    // 'file' (messages.json and requests.json, default), 'sqlite' (imports the JSON files on first start)
+    // or 'memory' (nothing is kept after a restart, meant for tests)
+    type: process.env.STORAGE_TYPE || 'file',
+    databasePath: process.env.SQLITE_PATH || path.join(__dirname, '../../storage.sqlite'),
+    // AES-256-GCM encryption of messages, the request log, conversations, summaries, the response cache and the
+    // review debug file; off without a key
+    encryption: {
+      key: process.env.STORAGE_ENCRYPTION_KEY || null,
+      // Keys the data may still be encrypted with; everything is re-encrypted with the current key on start
+      previousKeys: (process.env.STORAGE_ENCRYPTION_PREVIOUS_KEYS || '').split(',').map(key => key.trim()).filter(Boolean)
+    }
+  },
+  // Application log; secrets, email addresses and phone numbers are redacted from every entry
+  logging: {
+    // 'debug' (adds the LLM request and response bodies), 'info', 'warn', 'error' or 'silent'
+    level: process.env.LOG_LEVEL || 'info',
+    // Console output as 'json' (one object per line) or 'text' (readable lines); files are always JSON
+    format: process.env.LOG_FORMAT || 'json',
+    file: {
+      enabled: process.env.LOG_FILE_ENABLED === 'true',
+      directory: process.env.LOG_DIR || path.join(__dirname, '../../logs/app'),
+      fileName: 'app.log',
+      // The file is rotated to app.log.1, app.log.2, ... once it reaches this size
+      maxFileBytes: numberFromEnv('LOG_MAX_FILE_BYTES', 10 * 1024 * 1024),
+      maxFiles: numberFromEnv('LOG_MAX_FILES', 5)
+    }
+  },
+  // Log of every LLM request and response
+  requestLog: {
+    // 'jsonl' (append-only daily files, default; imports requests.json on first start) or 'storage' (same as STORAGE_TYPE)
+    type: process.env.REQUEST_LOG_TYPE || 'jsonl',
+    directory: process.env.REQUEST_LOG_DIR || path.join(__dirname, '../../logs/requests'),
+    // A day's file is continued in a new numbered part once it reaches this size
+    maxFileBytes: numberFromEnv('REQUEST_LOG_MAX_FILE_BYTES', 10 * 1024 * 1024),
+    // Days log files are kept, 0 keeps them forever
+    retentionDays: numberFromEnv('REQUEST_LOG_RETENTION_DAYS', 14),
+    // Newest requests kept in the in-memory search index, 0 indexes all of them
+    searchIndexMaxEntries: numberFromEnv('REQUEST_LOG_SEARCH_MAX_ENTRIES', 5000)
   }
 };
@@ -33,17 +33,138 @@ const options = {
             },
             role: {
               type: 'string',
-              enum: ['user', 'assistant', 'system'],
+              enum: ['user', 'assistant', 'system', 'tool'],
               description: 'Role of the message sender'
             },
+            conversationId: {
+              type: 'string',
+              description: 'Conversation the message belongs to'
+            },
             timestamp: {
               type: 'string',
               format: 'date-time',
               description: 'When the message was created'
+            },
+            model: {
+              type: 'string',
+              description: 'Model that produced an assistant message'
+            },
+            fallbackUsed: {
+              type: 'boolean',
+              description: 'Set when the primary model failed and a fallback model produced the reply'
+            },
+            partial: {
+              type: 'boolean',
+              description: 'Set when a streamed reply was cut off before it finished'
+            },
+            toolCalls: {
+              type: 'array',
+              description: 'Tools the model asked to call (assistant messages only)',
+              items: {
+                type: 'object',
+                properties: {
+                  id: { type: 'string' },
+                  name: { type: 'string' },
+                  arguments: { type: 'object' }
+                }
+              }
+            },
+            toolCallId: {
+              type: 'string',
+              description: 'Tool call a tool message answers'
+            },
+            name: {
+              type: 'string',
+              description: 'Name of the tool that produced a tool message'
+            },
+            toolError: {
+              type: 'boolean',
+              description: 'Set on tool messages when the tool failed'
+            },
+            securityFlagged: {
+              type: 'boolean',
+              description: 'Set on user messages that failed the prompt injection check; they are never sent to the model'
+            },
+            securityReasons: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Why the security check flagged the message'
+            },
+            versions: {
+              type: 'array',
+              description: 'All versions of a regenerated reply; content holds the active one',
+              items: {
+                type: 'object',
+                properties: {
+                  content: { type: 'string' },
+                  model: { type: 'string' },
+                  userContent: { type: 'string', description: 'The user message this version answered' },
+                  timestamp: { type: 'string', format: 'date-time' }
+                }
+              }
+            },
+            activeVersion: {
+              type: 'integer',
+              description: 'Index of the version shown as content'
             }
           },
           required: ['content', 'role']
         },
+        Conversation: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+              description: 'Unique identifier for the conversation'
+            },
+            title: {
+              type: 'string',
+              description: 'Title of the conversation'
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time',
+              description: 'When the conversation was created'
+            },
+            updatedAt: {
+              type: 'string',
+              format: 'date-time',
+              description: 'When the conversation was last renamed or received a message'
+            }
+          }
+        },
+        ConversationRequest: {
+          type: 'object',
+          properties: {
+            title: {
+              type: 'string',
+              description: 'Title of the conversation'
+            }
+          }
+        },
+        ConversationSummary: {
+          type: 'object',
+          nullable: true,
+          properties: {
+            content: {
+              type: 'string',
+              description: 'Summary of the older part of the conversation'
+            },
+            summarizedUntilId: {
+              type: 'integer',
+              description: 'Id of the newest message covered by the summary'
+            },
+            summarizedMessages: {
+              type: 'integer',
+              description: 'Number of messages condensed into the summary'
+            },
+            updatedAt: {
+              type: 'string',
+              format: 'date-time',
+              description: 'When the summary was last refreshed'
+            }
+          }
+        },
         SuccessResponse: {
           type: 'object',
           properties: {
@@ -54,6 +175,56 @@ const options = {
             data: {
               type: 'object',
               description: 'Response data'
+            },
+            budgetWarnings: {
+              type: 'array',
+              items: { $ref: '#/components/schemas/Budget' },
+              description: 'Budgets close to or past their limit after the LLM calls of the request; only set by endpoints that call the LLM, and only when there are any'
+            }
+          }
+        },
+        Budget: {
+          type: 'object',
+          properties: {
+            budget: {
+              type: 'string',
+              enum: ['daily', 'service', 'conversation'],
+              description: 'Spend of all services per day, of one service per day, or of one conversation'
+            },
+            service: {
+              type: 'string',
+              description: 'The service of a service budget'
+            },
+            conversationId: {
+              type: 'string',
+              description: 'The conversation of a conversation budget'
+            },
+            limit: {
+              type: 'number'
+            },
+            spent: {
+              type: 'number'
+            },
+            remaining: {
+              type: 'number'
+            },
+            usedRatio: {
+              type: 'number',
+              description: 'Share of the limit spent'
+            },
+            status: {
+              type: 'string',
+              enum: ['ok', 'warning', 'exceeded']
+            },
+            resetsAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+              description: 'When a daily budget starts over; conversation budgets never do'
+            },
+            message: {
+              type: 'string',
+              description: 'Only in budget warnings: what the warning is about'
             }
           }
         },
@@ -67,6 +238,11 @@ const options = {
             error: {
               type: 'string',
               description: 'Error message'
+            },
+            details: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Individual problems, for errors that have several (e.g. an invalid import)'
             }
           }
         },
@@ -86,6 +262,101 @@ const options = {
               items: {
                 $ref: '#/components/schemas/Message'
               }
+            },
+            nextCursor: {
+              type: 'string',
+              nullable: true,
+              description: 'Pass as before to get the older messages, null if there are none'
+            },
+            prevCursor: {
+              type: 'string',
+              nullable: true,
+              description: 'Pass as after to get the newer messages, null if there are none'
+            }
+          }
+        },
+        ConversationExport: {
+          type: 'object',
+          description: 'JSON export of a conversation; a plain array of messages is accepted on import as well',
+          properties: {
+            format: {
+              type: 'string',
+              example: 'ai-talk-conversation'
+            },
+            version: {
+              type: 'integer',
+              example: 1
+            },
+            exportedAt: {
+              type: 'string',
+              format: 'date-time'
+            },
+            conversation: {
+              $ref: '#/components/schemas/Conversation'
+            },
+            messages: {
+              type: 'array',
+              description: 'Messages without their ids, oldest first',
+              items: {
+                $ref: '#/components/schemas/Message'
+              }
+            }
+          },
+          required: ['messages']
+        },
+        SearchResult: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'integer',
+              description: 'Id of the matching message or request log entry'
+            },
+            score: {
+              type: 'number',
+              description: 'Relevance of the match (BM25), higher is better'
+            },
+            snippet: {
+              type: 'string',
+              description: 'HTML-escaped text around the first match, matched words wrapped in <mark>'
+            },
+            conversationId: {
+              type: 'string',
+              description: 'Conversation the match belongs to'
+            },
+            role: {
+              type: 'string',
+              description: 'Role of a matching message'
+            },
+            title: {
+              type: 'string',
+              description: 'Title of a matching request log entry'
+            },
+            timestamp: {
+              type: 'string',
+              format: 'date-time'
+            }
+          }
+        },
+        SearchResponse: {
+          type: 'object',
+          properties: {
+            success: {
+              type: 'boolean',
+              example: true
+            },
+            count: {
+              type: 'integer',
+              description: 'Number of results returned'
+            },
+            total: {
+              type: 'integer',
+              description: 'Number of matches in total'
+            },
+            data: {
+              type: 'array',
+              items: {
+                $ref: '#/components/schemas/SearchResult'
+              }
             }
           }
         },
@@ -105,6 +376,11 @@ const options = {
               enum: ['user', 'assistant', 'system'],
               default: 'user',
               description: 'Role of the message sender'
+            },
+            conversationId: {
+              type: 'string',
+              default: 'default',
+              description: 'Conversation the message belongs to'
             }
           },
           required: ['content']
@@ -129,6 +405,11 @@ const options = {
               enum: ['user', 'assistant', 'system'],
               default: 'user',
               description: 'Role of the message sender'
+            },
+            conversationId: {
+              type: 'string',
+              default: 'default',
+              description: 'Conversation the message belongs to'
             }
           }
         }
@@ -0,0 +1,179 @@
+import { apiConfig } from '../config/apiConfig.js';
+import { Redactor } from './Redactor.js';
+import { RotatingFileWriter } from './RotatingFileWriter.js';
+import { getRequestContext } from '../tracing/RequestContext.js';
+
+// Levels by severity; a logger writes its own level and everything more severe
+export const LOG_LEVELS = {
+  debug: 10,
+  info: 20,
+  warn: 30,
+  error: 40,
+  silent: 100
+};
+
+/**
+ * Structured logger
+ * Every entry is one JSON object with time, level, message and fields. Fields and message are redacted before they
+ * are written (see Redactor). Entries go to the console, as JSON or as readable text, and optionally to rotating
+ * files, always as JSON. Child loggers add fixed fields, such as the component, to every entry; entries written while
+ * a request is handled carry its requestId.
+ */
+export class Logger {
+  /**
+   * Constructor
+   * @param {Object} options - Logger options
+   * @param {string} options.level - Lowest level written ('debug', 'info', 'warn', 'error' or 'silent')
+   * @param {string} options.format - Console format, 'json' or 'text'
+   * @param {Redactor} options.redactor - Removes secrets and personal data
+   * @param {RotatingFileWriter|null} options.file - Writes the entries to files as well
+   * @param {Object} options.fields - Fields added to every entry
+   */
+  constructor({ level = 'info', format = 'json', redactor = new Redactor(), file = null, fields = {} } = {}) {
+    this.level = level in LOG_LEVELS ? level : 'info';
+    this.format = format;
+    this.redactor = redactor;
+    this.file = file;
+    this.fields = fields;
+  }
+
+  /**
+   * Create a logger that adds fields to every entry and writes to the same outputs
+   * @param {Object} fields - The fields, e.g. { component: 'LLMService' }
+   * @returns {Logger} - The child logger
+   */
+  child(fields) {
+    return new Logger({
+      level: this.level,
+      format: this.format,
+      redactor: this.redactor,
+      file: this.file,
+      fields: { ...this.fields, ...fields }
+    });
+  }
+
+  /**
+   * Whether entries of a level are written
+   * Lets callers skip building expensive fields, such as whole request bodies, that would not be logged.
+   * @param {string} level - The level
+   * @returns {boolean}
+   */
+  isLevelEnabled(level) {
+    return LOG_LEVELS[level] >= LOG_LEVELS[this.level];
+  }
+
+  /**
+   * Log details that only help when debugging, e.g. request and response bodies
+   * @param {string} message - What happened
+   * @param {Object} fields - Details of the entry
+   */
+  debug(message, fields = {}) {
+    this.log('debug', message, fields);
+  }
+
+  /**
+   * Log what the server does
+   * @param {string} message - What happened
+   * @param {Object} fields - Details of the entry
+   */
+  info(message, fields = {}) {
+    this.log('info', message, fields);
+  }
+
+  /**
+   * Log something unexpected the server recovered from
+   * @param {string} message - What happened
+   * @param {Object} fields - Details of the entry
+   */
+  warn(message, fields = {}) {
+    this.log('warn', message, fields);
+  }
+
+  /**
+   * Log a failure
+   * @param {string} message - What happened
+   * @param {Object} fields - Details of the entry, usually with the error
+   */
+  error(message, fields = {}) {
+    this.log('error', message, fields);
+  }
+
+  /**
+   * Write an entry
+   * @param {string} level - The level
+   * @param {string} message - What happened
+   * @param {Object} fields - Details of the entry
+   * @private
+   */
+  log(level, message, fields) {
+    if (!this.isLevelEnabled(level)) {
+      return;
+    }
+
+    const context = getRequestContext();
+    const entry = this.redactor.redact({
+      time: new Date().toISOString(),
+      level,
+      ...(context && { requestId: context.requestId }),
+      ...this.fields,
+      msg: message,
+      ...fields
+    });
+    const json = JSON.stringify(entry);
+    const line = this.format === 'text' ? formatText(entry) : json;
+
+    if (LOG_LEVELS[level] >= LOG_LEVELS.warn) {
+      process.stderr.write(`${line}\n`);
+    } else {
+      process.stdout.write(`${line}\n`);
+    }
+    if (this.file) {
+      this.file.write(json);
+    }
+  }
+}
+
+/**
+ * Format an entry as a readable line: time, level, component, message and the other fields as JSON
+ * @param {Object} entry - The redacted entry
+ * @returns {string} - The line
+ */
+function formatText(entry) {
+  const { time, level, component, msg, ...fields } = entry;
+  const details = Object.keys(fields).length > 0 ? ` ${JSON.stringify(fields)}` : '';
+  return `${time} ${level.toUpperCase().padEnd(5)} ${component ? `[${component}] ` : ''}${msg}${details}`;
+}
+
+// All components log through children of one root logger, so they share the file and its rotation
+let rootLogger = null;
+
+/**
+ * Get the root logger, created on first use from apiConfig.logging
+ * Besides the patterns of the Redactor, the configured LLM API key and storage encryption keys are never logged.
+ * @returns {Logger} - The root logger
+ */
+export const getLogger = () => {
+  if (!rootLogger) {
+    const { level, format, file } = apiConfig.logging;
+    rootLogger = new Logger({
+      level,
+      format,
+      redactor: new Redactor([
+        apiConfig.openai.apiKey,
+        apiConfig.storage.encryption.key,
+        ...apiConfig.storage.encryption.previousKeys
+      ]),
+      file: file.enabled ? new RotatingFileWriter(file) : null
+    });
+  }
+  return rootLogger;
+};
+
+/**
+ * Create the logger of a component
+ * @param {string} component - Name of the component, added to every entry
+ * @returns {Logger} - The logger
+ */
+export const createLogger = (component) => {
+  return getLogger().child({ component });
+};
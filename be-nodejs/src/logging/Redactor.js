@@ -0,0 +1,127 @@
+// Fields whose values are secrets, whatever they contain (header names and config keys)
+const SECRET_KEY_PATTERN = /^(authorization|proxy-authorization|cookie|set-cookie|x-api-key|api[-_]?key|password|secret|client[-_]?secret|access[-_]?token|refresh[-_]?token)$/i;
+
+// Patterns replaced in every logged string, in this order
+const TEXT_PATTERNS = [
+  // Credentials after an auth scheme, e.g. in a dumped Authorization header
+  { pattern: /\b(Bearer|Basic)\s+[A-Za-z0-9._~+/=-]+/gi, replacement: '$1 [REDACTED]' },
+  // Provider API keys such as sk-... and sk-ant-...
+  { pattern: /\b(?:sk|pk|rk)-[A-Za-z0-9_-]{16,}/g, replacement: '[REDACTED]' },
+  { pattern: /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g, replacement: '[EMAIL]' },
+  // Digit groups with optional country code, area code in parentheses and separators; dates are too short to match
+  {
+    pattern: /(?<![\w-])(?:\+\d{1,3}[\s.-]?)?(?:\(\d{2,4}\)[\s.-]?)?\d{2,4}(?:[\s.-]?\d{2,4}){2,4}(?![\w-])/g,
+    replacement: match => (match.replace(/\D/g, '').length >= 9 ? '[PHONE]' : match)
+  }
+];
+
+// Objects nested deeper than this are logged as a placeholder
+const MAX_DEPTH = 20;
+
+/**
+ * Removes secrets and personal data from what is logged
+ * Values of secret fields (Authorization headers, API keys, passwords) are replaced as a whole; in every string the
+ * configured secrets, auth credentials, API keys, email addresses and phone numbers are replaced by placeholders.
+ */
+export class Redactor {
+  /**
+   * Constructor
+   * @param {Array<string>} secrets - Values that must never appear in a log, e.g. the configured API key
+   */
+  constructor(secrets = []) {
+    // Short values would blank out ordinary words
+    this.secrets = secrets.filter(secret => typeof secret === 'string' && secret.length >= 8);
+  }
+
+  /**
+   * Redact a string
+   * @param {string} text - The text
+   * @returns {string} - The text with secrets and personal data replaced
+   */
+  redactText(text) {
+    let result = text;
+    for (const secret of this.secrets) {
+      result = result.split(secret).join('[REDACTED]');
+    }
+    for (const { pattern, replacement } of TEXT_PATTERNS) {
+      result = result.replace(pattern, replacement);
+    }
+    return result;
+  }
+
+  /**
+   * Redact a value of any type into something that can be serialized as JSON
+   * Errors become plain objects with their name, message, classification and stack. Objects are copied, never changed.
+   * @param {*} value - The value
+   * @returns {*} - The redacted copy
+   */
+  redact(value) {
+    return this.redactValue(value, 0, new WeakSet());
+  }
+
+  /**
+   * Do the work of redact()
+   * @param {*} value - The value
+   * @param {number} depth - How deep the value is nested
+   * @param {WeakSet} seen - Objects on the current path, to cut circular references
+   * @returns {*} - The redacted copy
+   * @private
+   */
+  redactValue(value, depth, seen) {
+    if (typeof value === 'string') {
+      return this.redactText(value);
+    }
+    if (typeof value === 'bigint') {
+      return value.toString();
+    }
+    if (!value || typeof value !== 'object') {
+      return value;
+    }
+    if (value instanceof Date) {
+      return value.toISOString();
+    }
+    if (Buffer.isBuffer(value)) {
+      return `[Buffer of ${value.length} bytes]`;
+    }
+    if (seen.has(value)) {
+      return '[Circular]';
+    }
+    if (depth >= MAX_DEPTH) {
+      return '[Nested too deep]';
+    }
+
+    seen.add(value);
+    let result;
+    if (Array.isArray(value)) {
+      result = value.map(item => this.redactValue(item, depth + 1, seen));
+    } else {
+      const source = value instanceof Error ? serializeError(value) : value;
+      result = {};
+      for (const [key, item] of Object.entries(source)) {
+        result[key] = SECRET_KEY_PATTERN.test(key) && item ? '[REDACTED]' : this.redactValue(item, depth + 1, seen);
+      }
+    }
+    seen.delete(value);
+    return result;
+  }
+}
+
+/**
+ * Turn an error into a plain object; the fields of an error are not enumerable
+ * The response of a failed HTTP call is reduced to its status, its body is often long and may echo the request.
+ * @param {Error} error - The error
+ * @returns {Object} - name, message, the classification of an LLMRequestError or EncryptionKeyError, stack and cause
+ */
+function serializeError(error) {
+  return {
+    name: error.name,
+    message: error.message,
+    ...(error.type !== undefined && { type: error.type }),
+    ...(error.status !== undefined && error.status !== null && { status: error.status }),
+    ...(error.reason !== undefined && { reason: error.reason }),
+    ...(error.code !== undefined && { code: error.code }),
+    ...(error.response && { responseStatus: error.response.status }),
+    stack: error.stack,
+    ...(error.cause !== undefined && { cause: error.cause })
+  };
+}
@@ -0,0 +1,81 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Writes log lines to a file that is rotated by size
+ * Once the file would grow past the maximum size it becomes app.log.1, the previous app.log.1 becomes app.log.2
+ * and so on; the oldest file beyond the maximum number is removed. Lines are written synchronously, so they keep
+ * their order and the last lines before a crash are not lost.
+ */
+export class RotatingFileWriter {
+  /**
+   * Constructor
+   * @param {Object} options - File options
+   * @param {string} options.directory - Directory of the log files
+   * @param {string} options.fileName - Name of the current file
+   * @param {number} options.maxFileBytes - Size from which the file is rotated
+   * @param {number} options.maxFiles - Rotated files kept next to the current one
+   */
+  constructor({ directory, fileName = 'app.log', maxFileBytes = 10 * 1024 * 1024, maxFiles = 5 }) {
+    this.directory = directory;
+    this.filePath = path.join(directory, fileName);
+    this.maxFileBytes = maxFileBytes;
+    this.maxFiles = maxFiles;
+    this.size = null;
+  }
+
+  /**
+   * Append a line
+   * A line that can't be written is reported on stderr instead; logging must never stop the server.
+   * @param {string} line - The line, without the line break
+   */
+  write(line) {
+    const data = `${line}\n`;
+    const bytes = Buffer.byteLength(data);
+
+    try {
+      if (this.size === null) {
+        this.open();
+      }
+      if (this.size > 0 && this.size + bytes > this.maxFileBytes) {
+        this.rotate();
+      }
+      fs.appendFileSync(this.filePath, data, 'utf8');
+      this.size += bytes;
+    } catch (error) {
+      process.stderr.write(`Error writing log file ${this.filePath}: ${error.message}\n${data}`);
+    }
+  }
+
+  /**
+   * Create the directory and pick up the size of an existing file
+   * @private
+   */
+  open() {
+    fs.mkdirSync(this.directory, { recursive: true });
+    try {
+      this.size = fs.statSync(this.filePath).size;
+    } catch (error) {
+      this.size = 0;
+    }
+  }
+
+  /**
+   * Move the current file to .1 and every rotated file one number up
+   * @private
+   */
+  rotate() {
+    fs.rmSync(`${this.filePath}.${this.maxFiles}`, { force: true });
+    for (let number = this.maxFiles - 1; number >= 1; number--) {
+      if (fs.existsSync(`${this.filePath}.${number}`)) {
+        fs.renameSync(`${this.filePath}.${number}`, `${this.filePath}.${number + 1}`);
+      }
+    }
+    if (this.maxFiles > 0) {
+      fs.renameSync(this.filePath, `${this.filePath}.1`);
+    } else {
+      fs.rmSync(this.filePath, { force: true });
+    }
+    this.size = 0;
+  }
+}
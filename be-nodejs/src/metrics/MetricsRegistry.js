@@ -0,0 +1,300 @@
+/**
+ * Base class of the metric types
+ * A metric keeps one series per combination of label values; the label names are fixed when it is created.
+ */
+class Metric {
+  /**
+   * Constructor
+   * @param {string} type - Prometheus type ('counter', 'gauge' or 'histogram')
+   * @param {string} name - Metric name, e.g. 'http_requests_total'
+   * @param {string} help - Description shown by Prometheus
+   * @param {Array<string>} labelNames - Names of the labels of every series
+   */
+  constructor(type, name, help, labelNames = []) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map();
+  }
+
+  /**
+   * Get the series of a combination of label values, creating it on first use
+   * @param {Object} labels - Label values by name; missing labels are empty
+   * @returns {Object} - The series, with its labels and the state of the metric type
+   * @protected
+   */
+  getSeries(labels) {
+    const values = this.labelNames.map(name => (labels[name] === undefined || labels[name] === null ? '' : String(labels[name])));
+    const key = JSON.stringify(values);
+
+    if (!this.series.has(key)) {
+      this.series.set(key, { labels: values, ...this.createState() });
+    }
+    return this.series.get(key);
+  }
+
+  /**
+   * Create the state of a new series
+   * @returns {Object} - The state
+   * @protected
+   */
+  createState() {
+    return { value: 0 };
+  }
+
+  /**
+   * Render the metric in the Prometheus text format
+   * @returns {string} - The HELP and TYPE lines and a line per sample
+   */
+  render() {
+    const lines = [`# HELP ${this.name} ${escapeHelp(this.help)}`, `# TYPE ${this.name} ${this.type}`];
+    for (const series of this.series.values()) {
+      lines.push(...this.renderSeries(series));
+    }
+    return lines.join('\n');
+  }
+
+  /**
+   * Render the samples of a series
+   * @param {Object} series - The series
+   * @returns {Array<string>} - The sample lines
+   * @protected
+   */
+  renderSeries(series) {
+    return [formatSample(this.name, this.labelNames, series.labels, series.value)];
+  }
+}
+
+/**
+ * A value that only goes up, e.g. the number of requests
+ */
+export class Counter extends Metric {
+  /**
+   * Constructor
+   * @param {string} name - Metric name
+   * @param {string} help - Description shown by Prometheus
+   * @param {Array<string>} labelNames - Names of the labels of every series
+   */
+  constructor(name, help, labelNames = []) {
+    super('counter', name, help, labelNames);
+  }
+
+  /**
+   * Increase the counter
+   * @param {Object} labels - Label values of the series
+   * @param {number} amount - Amount to add, never negative
+   */
+  inc(labels = {}, amount = 1) {
+    if (amount > 0) {
+      this.getSeries(labels).value += amount;
+    }
+  }
+}
+
+/**
+ * A value that goes up and down, e.g. the number of calls in progress
+ */
+export class Gauge extends Metric {
+  /**
+   * Constructor
+   * @param {string} name - Metric name
+   * @param {string} help - Description shown by Prometheus
+   * @param {Array<string>} labelNames - Names of the labels of every series
+   */
+  constructor(name, help, labelNames = []) {
+    super('gauge', name, help, labelNames);
+  }
+
+  /**
+   * Increase the gauge
+   * @param {Object} labels - Label values of the series
+   * @param {number} amount - Amount to add
+   */
+  inc(labels = {}, amount = 1) {
+    this.getSeries(labels).value += amount;
+  }
+
+  /**
+   * Decrease the gauge
+   * @param {Object} labels - Label values of the series
+   * @param {number} amount - Amount to subtract
+   */
+  dec(labels = {}, amount = 1) {
+    this.getSeries(labels).value -= amount;
+  }
+}
+
+/**
+ * Distribution of observed values, e.g. durations, counted in cumulative buckets
+ */
+export class Histogram extends Metric {
+  /**
+   * Constructor
+   * @param {string} name - Metric name, e.g. 'http_request_duration_seconds'
+   * @param {string} help - Description shown by Prometheus
+   * @param {Array<string>} labelNames - Names of the labels of every series
+   * @param {Array<number>} buckets - Upper bounds of the buckets, ascending; +Inf is added
+   */
+  constructor(name, help, labelNames = [], buckets = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]) {
+    super('histogram', name, help, labelNames);
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  /**
+   * Create the state of a new series: a count per bucket, the sum and the count of the observed values
+   * @returns {Object} - The state
+   * @protected
+   */
+  createState() {
+    return { counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+  }
+
+  /**
+   * Record a value
+   * @param {Object} labels - Label values of the series
+   * @param {number} value - The value, e.g. a duration in seconds
+   */
+  observe(labels, value) {
+    const series = this.getSeries(labels);
+    const index = this.buckets.findIndex(bound => value <= bound);
+    if (index !== -1) {
+      series.counts[index]++;
+    }
+    series.sum += value;
+    series.count++;
+  }
+
+  /**
+   * Render the samples of a series: the cumulative buckets, the sum and the count
+   * @param {Object} series - The series
+   * @returns {Array<string>} - The sample lines
+   * @protected
+   */
+  renderSeries(series) {
+    const labelNames = [...this.labelNames, 'le'];
+    const lines = [];
+    let cumulative = 0;
+
+    this.buckets.forEach((bound, index) => {
+      cumulative += series.counts[index];
+      lines.push(formatSample(`${this.name}_bucket`, labelNames, [...series.labels, String(bound)], cumulative));
+    });
+    lines.push(formatSample(`${this.name}_bucket`, labelNames, [...series.labels, '+Inf'], series.count));
+    lines.push(formatSample(`${this.name}_sum`, this.labelNames, series.labels, series.sum));
+    lines.push(formatSample(`${this.name}_count`, this.labelNames, series.labels, series.count));
+    return lines;
+  }
+}
+
+/**
+ * Collection of metrics, rendered together for the /metrics endpoint
+ */
+export class MetricsRegistry {
+  constructor() {
+    this.metrics = new Map();
+  }
+
+  /**
+   * Create and register a counter
+   * @param {string} name - Metric name
+   * @param {string} help - Description
+   * @param {Array<string>} labelNames - Label names
+   * @returns {Counter} - The counter
+   */
+  counter(name, help, labelNames = []) {
+    return this.register(new Counter(name, help, labelNames));
+  }
+
+  /**
+   * Create and register a gauge
+   * @param {string} name - Metric name
+   * @param {string} help - Description
+   * @param {Array<string>} labelNames - Label names
+   * @returns {Gauge} - The gauge
+   */
+  gauge(name, help, labelNames = []) {
+    return this.register(new Gauge(name, help, labelNames));
+  }
+
+  /**
+   * Create and register a histogram
+   * @param {string} name - Metric name
+   * @param {string} help - Description
+   * @param {Array<string>} labelNames - Label names
+   * @param {Array<number>} buckets - Upper bounds of the buckets (the defaults suit durations in seconds of a web request)
+   * @returns {Histogram} - The histogram
+   */
+  histogram(name, help, labelNames = [], buckets = undefined) {
+    return this.register(new Histogram(name, help, labelNames, buckets));
+  }
+
+  /**
+   * Add a metric
+   * @param {Metric} metric - The metric
+   * @returns {Metric} - The same metric
+   * @throws {Error} - If a metric with the same name is already registered
+   * @private
+   */
+  register(metric) {
+    if (this.metrics.has(metric.name)) {
+      throw new Error(`Metric ${metric.name} is already registered`);
+    }
+    this.metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  /**
+   * Render all metrics in the Prometheus text exposition format (version 0.0.4)
+   * @returns {string} - The exposition, ending with a line break
+   */
+  render() {
+    return `${[...this.metrics.values()].map(metric => metric.render()).join('\n')}\n`;
+  }
+}
+
+/**
+ * Format one sample line
+ * @param {string} name - Sample name
+ * @param {Array<string>} labelNames - Label names
+ * @param {Array<string>} labelValues - Label values, in the order of the names
+ * @param {number} value - The value
+ * @returns {string} - E.g. 'http_requests_total{method="GET",status="200"} 3'
+ */
+function formatSample(name, labelNames, labelValues, value) {
+  const labels = labelNames.map((label, index) => `${label}="${escapeLabelValue(labelValues[index])}"`).join(',');
+  return `${name}${labels ? `{${labels}}` : ''} ${formatValue(value)}`;
+}
+
+/**
+ * Format a sample value; Prometheus spells infinity and NaN its own way
+ * @param {number} value - The value
+ * @returns {string} - The formatted value
+ */
+function formatValue(value) {
+  if (Number.isNaN(value)) {
+    return 'NaN';
+  }
+  if (!Number.isFinite(value)) {
+    return value > 0 ? '+Inf' : '-Inf';
+  }
+  return String(value);
+}
+
+/**
+ * Escape a label value: backslash, double quote and line break
+ * @param {string} value - The value
+ * @returns {string} - The escaped value
+ */
+function escapeLabelValue(value) {
+  return value.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * Escape a help text: backslash and line break
+ * @param {string} help - The help text
+ * @returns {string} - The escaped text
+ */
+function escapeHelp(help) {
+  return help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n');
+}
@@ -0,0 +1,172 @@
+import { MetricsRegistry } from './MetricsRegistry.js';
+import { startStage } from '../tracing/RequestContext.js';
+
+// LLM calls take seconds to minutes, storage operations well under a second
+const LLM_DURATION_BUCKETS = [0.25, 0.5, 1, 2, 5, 10, 20, 30, 60, 120];
+const STORAGE_DURATION_BUCKETS = [0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5];
+
+/**
+ * The metrics of the server, exposed on /metrics in the Prometheus text format
+ * HTTP requests are recorded by a middleware, LLM calls by the LLM service and storage operations by the storages.
+ * Durations are in seconds, as Prometheus expects.
+ */
+export class ServerMetrics {
+  /**
+   * Constructor
+   * @param {MetricsRegistry} registry - Registry the metrics are created in
+   */
+  constructor(registry = new MetricsRegistry()) {
+    this.registry = registry;
+
+    this.httpRequests = registry.counter(
+      'http_requests_total',
+      'HTTP requests handled, by method, route and status code',
+      ['method', 'route', 'status']
+    );
+    this.httpRequestDuration = registry.histogram(
+      'http_request_duration_seconds',
+      'Time from receiving an HTTP request until its response was sent',
+      ['method', 'route']
+    );
+
+    this.llmCalls = registry.counter(
+      'llm_calls_total',
+      'LLM calls by model, service and outcome (success, error, aborted or cached)',
+      ['model', 'service', 'outcome']
+    );
+    this.llmCallErrors = registry.counter(
+      'llm_call_errors_total',
+      'Failed LLM calls by model and failure type (rate_limit, timeout, server, client, network, circuit_open, empty_response)',
+      ['model', 'service', 'type']
+    );
+    this.llmCallDuration = registry.histogram(
+      'llm_call_duration_seconds',
+      'Duration of the LLM calls that reached the provider, including retries',
+      ['model', 'service', 'outcome'],
+      LLM_DURATION_BUCKETS
+    );
+    this.llmTokens = registry.counter(
+      'llm_tokens_total',
+      'Tokens reported by the provider, by model, service and kind (prompt or completion)',
+      ['model', 'service', 'kind']
+    );
+    this.llmCallsInFlight = registry.gauge(
+      'llm_calls_in_flight',
+      'LLM calls waiting for the provider right now',
+      ['model', 'service']
+    );
+
+    this.storageOperationDuration = registry.histogram(
+      'storage_operation_duration_seconds',
+      'Duration of storage operations by storage and operation',
+      ['storage', 'operation'],
+      STORAGE_DURATION_BUCKETS
+    );
+    this.storageOperationErrors = registry.counter(
+      'storage_operation_errors_total',
+      'Failed storage operations by storage and operation',
+      ['storage', 'operation']
+    );
+  }
+
+  /**
+   * Record a handled HTTP request
+   * @param {Object} request - The request
+   * @param {string} request.method - HTTP method
+   * @param {string} request.route - Route pattern, e.g. '/api/messages/:id', so ids don't create a series each
+   * @param {number} request.status - Status code of the response
+   * @param {number} request.durationMs - Time until the response was sent
+   */
+  observeHttpRequest({ method, route, status, durationMs }) {
+    this.httpRequests.inc({ method, route, status });
+    this.httpRequestDuration.observe({ method, route }, durationMs / 1000);
+  }
+
+  /**
+   * Record the start of an LLM call that goes to the provider
+   * @param {Object} call - The call
+   * @param {string} call.model - The model called
+   * @param {string} call.service - The service making the call
+   * @returns {Function} - Ends the call; takes { outcome, error, usage } and only counts the first time it is called
+   */
+  startLLMCall({ model, service }) {
+    const startedAt = Date.now();
+    let ended = false;
+    this.llmCallsInFlight.inc({ model, service });
+
+    return ({ outcome, error = null, usage = null }) => {
+      if (ended) {
+        return;
+      }
+      ended = true;
+
+      this.llmCallsInFlight.dec({ model, service });
+      this.llmCalls.inc({ model, service, outcome });
+      this.llmCallDuration.observe({ model, service, outcome }, (Date.now() - startedAt) / 1000);
+      if (error) {
+        this.llmCallErrors.inc({ model, service, type: error.type || 'unknown' });
+      }
+      if (usage) {
+        this.llmTokens.inc({ model, service, kind: 'prompt' }, usage.promptTokens || 0);
+        this.llmTokens.inc({ model, service, kind: 'completion' }, usage.completionTokens || 0);
+      }
+    };
+  }
+
+  /**
+   * Record an LLM call answered from the response cache
+   * @param {Object} call - The call
+   * @param {string} call.model - The model the cached response is for
+   * @param {string} call.service - The service making the call
+   */
+  recordCachedLLMCall({ model, service }) {
+    this.llmCalls.inc({ model, service, outcome: 'cached' });
+  }
+
+  /**
+   * Run a storage operation and record its duration, and its failure if it throws
+   * A missing file is not a failure: it is how the file storages find out nothing has been stored yet.
+   * The operation is also timed into the trace of the current request, as stage 'storage.<storage>.<operation>'.
+   * @param {string} storage - Name of the storage, e.g. 'messages'
+   * @param {string} operation - Name of the operation, e.g. 'getMessages'
+   * @param {Function} operationFn - The operation, may return a promise
+   * @returns {Promise<*>} - What the operation returned
+   */
+  async observeStorageOperation(storage, operation, operationFn) {
+    const startedAt = process.hrtime.bigint();
+    const endStage = startStage(`storage.${storage}.${operation}`);
+    try {
+      return await operationFn();
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        this.storageOperationErrors.inc({ storage, operation });
+      }
+      throw error;
+    } finally {
+      this.storageOperationDuration.observe({ storage, operation }, Number(process.hrtime.bigint() - startedAt) / 1e9);
+      endStage();
+    }
+  }
+
+  /**
+   * Render all metrics for the /metrics endpoint
+   * @returns {string} - The Prometheus text exposition
+   */
+  render() {
+    return this.registry.render();
+  }
+}
+
+// The LLM services and storages are created in several places, but record into the same metrics
+let sharedMetrics = null;
+
+/**
+ * Get the shared server metrics
+ * @returns {ServerMetrics} - The metrics, created on first use
+ */
+export const getMetrics = () => {
+  if (!sharedMetrics) {
+    sharedMetrics = new ServerMetrics();
+  }
+  return sharedMetrics;
+};
@@ -0,0 +1,241 @@
+import { ProviderAdapterInterface, createNormalizedResponse, createUsage, parseToolArguments } from './ProviderAdapterInterface.js';
+
+const ANTHROPIC_VERSION = '2023-06-01';
+const DEFAULT_MAX_TOKENS = 1024;
+
+// Map Anthropic stop reasons onto the finish reasons used across the app
+const FINISH_REASONS = {
+  end_turn: 'stop',
+  stop_sequence: 'stop',
+  max_tokens: 'length',
+  tool_use: 'tool_calls'
+};
+
+/**
+ * Adapter for Anthropic Messages-style APIs
+ */
+export class AnthropicProviderAdapter extends ProviderAdapterInterface {
+  get name() {
+    return 'Anthropic';
+  }
+
+  /**
+   * Build the HTTP request for the Messages API
+   * System messages are moved into the top-level system field and consecutive
+   * messages with the same role are merged, as the API expects alternating turns.
+   * Tool results are sent as tool_result blocks of a user turn.
+   * @param {Array} messages - Array of message objects with role and content
+   * @param {Object} options - Call options (model, stream, temperature, max_tokens, top_p, stop, tools, toolChoice)
+   * @returns {Object} - Request with url, headers and body
+   */
+  buildRequest(messages, options = {}) {
+    const systemPrompt = messages
+      .filter(msg => msg.role === 'system')
+      .map(msg => msg.content)
+      .join('\n\n');
+
+    const body = {
+      model: options.model,
+      messages: this.mergeConsecutiveMessages(
+        messages.filter(msg => msg.role !== 'system').map(msg => this.formatMessage(msg))
+      ),
+      max_tokens: options.max_tokens || DEFAULT_MAX_TOKENS
+    };
+
+    if (systemPrompt) {
+      body.system = systemPrompt;
+    }
+    if (options.temperature !== undefined) {
+      body.temperature = options.temperature;
+    }
+    if (options.top_p !== undefined) {
+      body.top_p = options.top_p;
+    }
+    if (options.stop) {
+      body.stop_sequences = Array.isArray(options.stop) ? options.stop : [options.stop];
+    }
+    if (options.stream) {
+      body.stream = true;
+    }
+    if (options.tools && options.tools.length > 0) {
+      body.tools = options.tools.map(tool => ({
+        name: tool.name,
+        description: tool.description,
+        input_schema: tool.parameters
+      }));
+      if (options.toolChoice) {
+        body.tool_choice = { type: options.toolChoice };
+      }
+    }
+
+    return {
+      url: this.apiUrl,
+      headers: {
+        'Content-Type': 'application/json',
+        'x-api-key': this.apiKey,
+        'anthropic-version': ANTHROPIC_VERSION
+      },
+      body
+    };
+  }
+
+  /**
+   * Translate a normalized message into the Messages API format
+   * @param {Object} msg - Message with role and content
+   * @returns {Object} - Message in the Messages API format
+   * @private
+   */
+  formatMessage(msg) {
+    if (msg.role === 'tool') {
+      return {
+        role: 'user',
+        content: [{ type: 'tool_result', tool_use_id: msg.toolCallId, content: msg.content }]
+      };
+    }
+
+    if (msg.toolCalls && msg.toolCalls.length > 0) {
+      return {
+        role: 'assistant',
+        content: [
+          ...(msg.content ? [{ type: 'text', text: msg.content }] : []),
+          ...msg.toolCalls.map(call => ({
+            type: 'tool_use',
+            id: call.id,
+            name: call.name,
+            input: call.arguments || {}
+          }))
+        ]
+      };
+    }
+
+    return { role: msg.role, content: msg.content };
+  }
+
+  /**
+   * Merge consecutive messages with the same role into one message
+   * Text is joined; as soon as one of the messages has content blocks (tool use), the blocks are concatenated.
+   * @param {Array} messages - Messages without system messages
+   * @returns {Array} - Messages with alternating roles
+   * @private
+   */
+  mergeConsecutiveMessages(messages) {
+    const toBlocks = (content) => Array.isArray(content) ? content : [{ type: 'text', text: content }];
+
+    return messages.reduce((merged, msg) => {
+      const previous = merged[merged.length - 1];
+      if (previous && previous.role === msg.role) {
+        previous.content = typeof previous.content === 'string' && typeof msg.content === 'string'
+          ? `${previous.content}\n\n${msg.content}`
+          : [...toBlocks(previous.content), ...toBlocks(msg.content)];
+      } else {
+        merged.push({ role: msg.role, content: msg.content });
+      }
+      return merged;
+    }, []);
+  }
+
+  /**
+   * Convert a Messages API response into a normalized response
+   * @param {Object} data - The raw response body
+   * @returns {Object} - Normalized response
+   */
+  parseResponse(data) {
+    const blocks = (data && data.content) || [];
+    const usage = data && data.usage;
+
+    return createNormalizedResponse({
+      text: blocks
+        .filter(block => block.type === 'text')
+        .map(block => block.text)
+        .join(''),
+      toolCalls: blocks
+        .filter(block => block.type === 'tool_use')
+        .map(block => ({ id: block.id, name: block.name, arguments: block.input || {} })),
+      finishReason: data && data.stop_reason ? FINISH_REASONS[data.stop_reason] || data.stop_reason : null,
+      usage: usage ? createUsage(usage.input_tokens, usage.output_tokens) : null,
+      model: data ? data.model || null : null,
+      raw: data
+    });
+  }
+
+  /**
+   * Create a parser for Messages API stream events
+   * @returns {Object} - Stream parser
+   */
+  createStreamParser() {
+    let text = '';
+    // Tool use blocks by content block index; their input arrives as pieces of JSON
+    const toolUseBlocks = [];
+    let stopReason = null;
+    let inputTokens;
+    let outputTokens;
+    let model = null;
+
+    return {
+      push(event) {
+        switch (event.type) {
+          case 'message_start':
+            model = event.message.model || null;
+            if (event.message.usage) {
+              inputTokens = event.message.usage.input_tokens;
+              outputTokens = event.message.usage.output_tokens;
+            }
+            return '';
+
+          case 'content_block_start':
+            if (event.content_block && event.content_block.type === 'tool_use') {
+              toolUseBlocks[event.index] = { id: event.content_block.id, name: event.content_block.name, json: '' };
+            }
+            return '';
+
+          case 'content_block_delta':
+            if (event.delta && event.delta.type === 'text_delta') {
+              text += event.delta.text;
+              return event.delta.text;
+            }
+            if (event.delta && event.delta.type === 'input_json_delta' && toolUseBlocks[event.index]) {
+              toolUseBlocks[event.index].json += event.delta.partial_json;
+            }
+            return '';
+
+          case 'message_delta':
+            if (event.delta && event.delta.stop_reason) {
+              stopReason = event.delta.stop_reason;
+            }
+            if (event.usage && event.usage.output_tokens !== undefined) {
+              outputTokens = event.usage.output_tokens;
+            }
+            return '';
+
+          default:
+            return '';
+        }
+      },
+
+      getResponse() {
+        const toolCalls = toolUseBlocks.filter(Boolean).map(block => ({
+          id: block.id,
+          name: block.name,
+          arguments: parseToolArguments(block.json)
+        }));
+
+        return createNormalizedResponse({
+          text,
+          toolCalls,
+          finishReason: stopReason ? FINISH_REASONS[stopReason] || stopReason : null,
+          usage: createUsage(inputTokens, outputTokens),
+          model,
+          raw: {
+            model,
+            content: [
+              { type: 'text', text },
+              ...toolCalls.map(call => ({ type: 'tool_use', id: call.id, name: call.name, input: call.arguments }))
+            ],
+            stop_reason: stopReason,
+            usage: { input_tokens: inputTokens, output_tokens: outputTokens }
+          }
+        });
+      }
+    };
+  }
+}
@@ -0,0 +1,179 @@
+import { ProviderAdapterInterface, createNormalizedResponse, createUsage, parseToolArguments } from './ProviderAdapterInterface.js';
+
+/**
+ * Adapter for local model servers with an Ollama-style /api/chat endpoint
+ * (Ollama, and llama.cpp-based servers that mimic it)
+ */
+export class OllamaProviderAdapter extends ProviderAdapterInterface {
+  get name() {
+    return 'Ollama';
+  }
+
+  get requiresApiKey() {
+    return false;
+  }
+
+  get streamFormat() {
+    return 'ndjson';
+  }
+
+  /**
+   * Build the HTTP request for the /api/chat endpoint
+   * @param {Array} messages - Array of message objects with role and content
+   * @param {Object} options - Call options (model, stream, temperature, max_tokens, top_p, stop, tools, toolChoice)
+   * @returns {Object} - Request with url, headers and body
+   */
+  buildRequest(messages, options = {}) {
+    const modelOptions = {};
+
+    if (options.temperature !== undefined) {
+      modelOptions.temperature = options.temperature;
+    }
+    if (options.top_p !== undefined) {
+      modelOptions.top_p = options.top_p;
+    }
+    if (options.max_tokens !== undefined) {
+      modelOptions.num_predict = options.max_tokens;
+    }
+    if (options.stop) {
+      modelOptions.stop = Array.isArray(options.stop) ? options.stop : [options.stop];
+    }
+
+    const body = {
+      model: options.model,
+      messages: messages.map(msg => this.formatMessage(msg)),
+      // The server streams by default, so always say what we want
+      stream: Boolean(options.stream)
+    };
+
+    // There is no tool_choice, so tools are simply left out when the model must answer without them
+    if (options.tools && options.tools.length > 0 && options.toolChoice !== 'none') {
+      body.tools = options.tools.map(tool => ({
+        type: 'function',
+        function: {
+          name: tool.name,
+          description: tool.description,
+          parameters: tool.parameters
+        }
+      }));
+    }
+
+    if (Object.keys(modelOptions).length > 0) {
+      body.options = modelOptions;
+    }
+
+    const headers = {
+      'Content-Type': 'application/json'
+    };
+
+    // Local servers usually have no auth, but some setups sit behind a proxy that needs a key
+    if (this.apiKey) {
+      headers['Authorization'] = `Bearer ${this.apiKey}`;
+    }
+
+    return {
+      url: this.apiUrl,
+      headers,
+      body
+    };
+  }
+
+  /**
+   * Translate a normalized message into the /api/chat format
+   * @param {Object} msg - Message with role and content
+   * @returns {Object} - Message in the /api/chat format
+   * @private
+   */
+  formatMessage(msg) {
+    if (msg.role === 'tool') {
+      return { role: 'tool', content: msg.content, tool_name: msg.name };
+    }
+
+    if (msg.toolCalls && msg.toolCalls.length > 0) {
+      return {
+        role: 'assistant',
+        content: msg.content || '',
+        tool_calls: msg.toolCalls.map(call => ({
+          function: { name: call.name, arguments: call.arguments || {} }
+        }))
+      };
+    }
+
+    return { role: msg.role, content: msg.content };
+  }
+
+  /**
+   * Convert the tool calls of a response message into normalized tool calls
+   * The server does not always give tool calls an id, so one is made up from their position.
+   * @param {Array} toolCalls - Tool calls in the /api/chat format
+   * @returns {Array} - Normalized tool calls
+   * @private
+   */
+  parseToolCalls(toolCalls = []) {
+    return toolCalls.map((call, index) => ({
+      id: call.id || `call_${index}`,
+      name: call.function.name,
+      arguments: parseToolArguments(call.function.arguments)
+    }));
+  }
+
+  /**
+   * Convert an /api/chat response into a normalized response
+   * @param {Object} data - The raw response body
+   * @returns {Object} - Normalized response
+   */
+  parseResponse(data) {
+    return createNormalizedResponse({
+      text: data && data.message ? data.message.content : '',
+      toolCalls: data && data.message ? this.parseToolCalls(data.message.tool_calls) : [],
+      finishReason: data ? data.done_reason || (data.done ? 'stop' : null) : null,
+      usage: data ? createUsage(data.prompt_eval_count, data.eval_count) : null,
+      model: data ? data.model || null : null,
+      raw: data
+    });
+  }
+
+  /**
+   * Create a parser for /api/chat stream lines
+   * @returns {Object} - Stream parser
+   */
+  createStreamParser() {
+    const adapter = this;
+    let text = '';
+    // Tool calls come complete, in one of the chunks before the final one
+    let rawToolCalls = [];
+    let lastChunk = null;
+
+    return {
+      push(chunk) {
+        lastChunk = chunk;
+        if (chunk.message && chunk.message.tool_calls) {
+          rawToolCalls = rawToolCalls.concat(chunk.message.tool_calls);
+        }
+        const delta = (chunk.message && chunk.message.content) || '';
+        text += delta;
+        return delta;
+      },
+
+      getResponse() {
+        const finalChunk = lastChunk || {};
+
+        return createNormalizedResponse({
+          text,
+          toolCalls: adapter.parseToolCalls(rawToolCalls),
+          finishReason: finalChunk.done_reason || (finalChunk.done ? 'stop' : null),
+          usage: createUsage(finalChunk.prompt_eval_count, finalChunk.eval_count),
+          model: finalChunk.model || null,
+          raw: {
+            ...finalChunk,
+            message: {
+              role: 'assistant',
+              content: text,
+              ...(rawToolCalls.length > 0 && { tool_calls: rawToolCalls })
+            }
+          }
+        });
+      }
+    };
+  }
+}
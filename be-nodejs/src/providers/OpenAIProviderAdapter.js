@@ -0,0 +1,197 @@
+import { ProviderAdapterInterface, createNormalizedResponse, createUsage, parseToolArguments } from './ProviderAdapterInterface.js';
+
+/**
+ * Adapter for OpenAI-compatible chat completions APIs
+ * (OpenAI, Azure OpenAI, OpenRouter, vLLM and other servers exposing /v1/chat/completions)
+ */
+export class OpenAIProviderAdapter extends ProviderAdapterInterface {
+  get name() {
+    return 'OpenAI';
+  }
+
+  /**
+   * Build the HTTP request for a chat completion
+   * @param {Array} messages - Array of message objects with role and content
+   * @param {Object} options - Call options, passed through to the request body (tools and toolChoice are translated)
+   * @returns {Object} - Request with url, headers and body
+   */
+  buildRequest(messages, options = {}) {
+    const { stream, tools, toolChoice, ...params } = options;
+
+    const body = {
+      messages: messages.map(msg => this.formatMessage(msg)),
+      ...params
+    };
+
+    if (tools && tools.length > 0) {
+      body.tools = tools.map(tool => ({
+        type: 'function',
+        function: {
+          name: tool.name,
+          description: tool.description,
+          parameters: tool.parameters
+        }
+      }));
+      if (toolChoice) {
+        body.tool_choice = toolChoice;
+      }
+    }
+
+    if (stream) {
+      // Ask for the usage block in the last chunk of the stream
+      body.stream = true;
+      body.stream_options = { include_usage: true };
+    }
+
+    return {
+      url: this.apiUrl,
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${this.apiKey}`
+      },
+      body
+    };
+  }
+
+  /**
+   * Translate a normalized tool calling message into the chat completions format
+   * @param {Object} msg - Message with role and content
+   * @returns {Object} - Message in the chat completions format
+   * @private
+   */
+  formatMessage(msg) {
+    if (msg.role === 'tool') {
+      return {
+        role: 'tool',
+        tool_call_id: msg.toolCallId,
+        content: msg.content
+      };
+    }
+
+    if (msg.toolCalls && msg.toolCalls.length > 0) {
+      return {
+        role: 'assistant',
+        content: msg.content || null,
+        tool_calls: msg.toolCalls.map(call => ({
+          id: call.id,
+          type: 'function',
+          function: {
+            name: call.name,
+            arguments: JSON.stringify(call.arguments || {})
+          }
+        }))
+      };
+    }
+
+    return msg;
+  }
+
+  /**
+   * Convert a chat completions response into a normalized response
+   * @param {Object} data - The raw response body
+   * @returns {Object} - Normalized response
+   */
+  parseResponse(data) {
+    const choice = data && data.choices && data.choices[0];
+    const usage = data && data.usage;
+
+    const toolCalls = (choice && choice.message && choice.message.tool_calls) || [];
+
+    return createNormalizedResponse({
+      text: choice && choice.message ? choice.message.content : '',
+      toolCalls: toolCalls.map(call => ({
+        id: call.id,
+        name: call.function.name,
+        arguments: parseToolArguments(call.function.arguments)
+      })),
+      finishReason: choice ? choice.finish_reason || null : null,
+      usage: usage ? createUsage(usage.prompt_tokens, usage.completion_tokens) : null,
+      model: data ? data.model || null : null,
+      raw: data
+    });
+  }
+
+  /**
+   * Create a parser for chat completions chunks
+   * @returns {Object} - Stream parser
+   */
+  createStreamParser() {
+    let text = '';
+    // Tool calls arrive in pieces keyed by their index; the arguments are a JSON string split over many chunks
+    const toolCallParts = [];
+    let finishReason = null;
+    let usage = null;
+    let rawUsage = null;
+    let model = null;
+
+    return {
+      push(chunk) {
+        if (chunk.model) {
+          model = chunk.model;
+        }
+
+        if (chunk.usage) {
+          rawUsage = chunk.usage;
+          usage = createUsage(chunk.usage.prompt_tokens, chunk.usage.completion_tokens);
+        }
+
+        const choice = chunk.choices && chunk.choices[0];
+        if (!choice) {
+          return '';
+        }
+
+        if (choice.finish_reason) {
+          finishReason = choice.finish_reason;
+        }
+
+        const toolCallDeltas = (choice.delta && choice.delta.tool_calls) || [];
+        toolCallDeltas.forEach(part => {
+          const index = part.index || 0;
+          const toolCall = toolCallParts[index] || (toolCallParts[index] = { id: null, name: '', arguments: '' });
+          if (part.id) {
+            toolCall.id = part.id;
+          }
+          if (part.function && part.function.name) {
+            toolCall.name += part.function.name;
+          }
+          if (part.function && part.function.arguments) {
+            toolCall.arguments += part.function.arguments;
+          }
+        });
+
+        const delta = (choice.delta && choice.delta.content) || '';
+        text += delta;
+        return delta;
+      },
+
+      getResponse() {
+        const toolCalls = toolCallParts.filter(Boolean);
+        const message = { role: 'assistant', content: text };
+        if (toolCalls.length > 0) {
+          message.tool_calls = toolCalls.map(call => ({
+            id: call.id,
+            type: 'function',
+            function: { name: call.name, arguments: call.arguments }
+          }));
+        }
+
+        return createNormalizedResponse({
+          text,
+          toolCalls: toolCalls.map(call => ({
+            id: call.id,
+            name: call.name,
+            arguments: parseToolArguments(call.arguments)
+          })),
+          finishReason,
+          usage,
+          model,
+          raw: {
+            model,
+            choices: [{ message, finish_reason: finishReason }],
+            usage: rawUsage
+          }
+        });
+      }
+    };
+  }
+}
@@ -0,0 +1,31 @@
+import { OpenAIProviderAdapter } from './OpenAIProviderAdapter.js';
+import { AnthropicProviderAdapter } from './AnthropicProviderAdapter.js';
+import { OllamaProviderAdapter } from './OllamaProviderAdapter.js';
+
+/**
+ * Factory for creating LLM provider adapters
+ */
+export class ProviderAdapterFactory {
+  /**
+   * Get a provider adapter implementation
+   * @param {string} type - Type of provider ('openai' by default, 'anthropic' or 'ollama')
+   * @param {Object} options - Options for the adapter (apiKey, apiUrl)
+   * @returns {Object} - A provider adapter implementation
+   */
+  static getAdapter(type = 'openai', options = {}) {
+    switch (type.toLowerCase()) {
+      case 'openai':
+        return new OpenAIProviderAdapter(options);
+
+      case 'anthropic':
+        return new AnthropicProviderAdapter(options);
+
+      case 'ollama':
+      case 'llamacpp':
+        return new OllamaProviderAdapter(options);
+
+      default:
+        throw new Error(`Unsupported LLM provider: ${type}`);
+    }
+  }
+}
@@ -0,0 +1,144 @@
+import { createLogger } from '../logging/Logger.js';
+
+const logger = createLogger('ProviderAdapter');
+
+/**
+ * Abstract base class for LLM provider adapters
+ * An adapter translates between the chat messages used across the app and the
+ * request/response format of a specific LLM provider, so services never have to
+ * know which provider is behind LLMService.
+ *
+ * Besides plain { role, content } messages, adapters understand the normalized tool calling messages:
+ * - { role: 'assistant', content, toolCalls: [{ id, name, arguments }] } - the model asked for tool calls
+ * - { role: 'tool', toolCallId, name, content } - the result of one tool call
+ * and the normalized tool definitions { name, description, parameters } passed in options.tools.
+ */
+export class ProviderAdapterInterface {
+  /**
+   * Constructor
+   * @param {Object} config - Provider configuration
+   * @param {string} config.apiKey - API key for the provider (optional for local servers)
+   * @param {string} config.apiUrl - Endpoint URL of the provider
+   */
+  constructor(config = {}) {
+    this.apiKey = config.apiKey;
+    this.apiUrl = config.apiUrl;
+  }
+
+  /**
+   * Human readable provider name used in logs
+   * @returns {string}
+   */
+  get name() {
+    throw new Error('Getter name must be implemented');
+  }
+
+  /**
+   * Whether the provider needs an API key
+   * @returns {boolean}
+   */
+  get requiresApiKey() {
+    return true;
+  }
+
+  /**
+   * Format of the streaming response body: 'sse' (Server-Sent Events) or 'ndjson' (one JSON object per line)
+   * @returns {string}
+   */
+  get streamFormat() {
+    return 'sse';
+  }
+
+  /**
+   * Build the HTTP request for a chat completion
+   * @param {Array} messages - Array of message objects with role and content
+   * @param {Object} options - Call options (model, stream, temperature, max_tokens, ...)
+   * @param {Array} options.tools - Normalized tool definitions the model may call
+   * @param {string} options.toolChoice - 'auto' (default) or 'none' to make the model answer without calling tools
+   * @returns {Object} - Request with url, headers and body
+   */
+  buildRequest(messages, options = {}) {
+    throw new Error('Method buildRequest() must be implemented');
+  }
+
+  /**
+   * Convert a provider response body into a normalized response
+   * @param {Object} data - The raw response body
+   * @returns {Object} - Normalized response (see createNormalizedResponse)
+   */
+  parseResponse(data) {
+    throw new Error('Method parseResponse() must be implemented');
+  }
+
+  /**
+   * Create a parser that assembles a streamed response chunk by chunk
+   * @returns {Object} - Parser with push(payload) returning the text delta of a chunk
+   *                     and getResponse() returning the normalized response so far
+   */
+  createStreamParser() {
+    throw new Error('Method createStreamParser() must be implemented');
+  }
+}
+
+/**
+ * Create the normalized response object that every service consumes, whatever the provider
+ * @param {Object} fields - Response fields
+ * @param {string} fields.text - The generated text
+ * @param {Array} fields.toolCalls - Tool calls requested by the model, each with id, name and arguments (object)
+ * @param {string|null} fields.finishReason - Why generation stopped ('stop', 'length', 'tool_calls', ...)
+ * @param {Object|null} fields.usage - Token usage with promptTokens, completionTokens and totalTokens
+ * @param {string|null} fields.model - The model that produced the response
+ * @param {Object} fields.raw - The raw provider response
+ * @returns {Object} - Normalized response
+ */
+export function createNormalizedResponse({ text = '', toolCalls = [], finishReason = null, usage = null, model = null, raw = null }) {
+  return {
+    text: text || '',
+    toolCalls,
+    finishReason,
+    usage,
+    model,
+    raw
+  };
+}
+
+/**
+ * Create a normalized usage object, or null if the provider did not report any usage
+ * @param {number|undefined} promptTokens - Tokens in the prompt
+ * @param {number|undefined} completionTokens - Tokens in the completion
+ * @returns {Object|null} - Usage with promptTokens, completionTokens and totalTokens
+ */
+export function createUsage(promptTokens, completionTokens) {
+  if (promptTokens === undefined && completionTokens === undefined) {
+    return null;
+  }
+
+  const prompt = promptTokens || 0;
+  const completion = completionTokens || 0;
+
+  return {
+    promptTokens: prompt,
+    completionTokens: completion,
+    totalTokens: prompt + completion
+  };
+}
+
+/**
+ * Parse the JSON arguments of a tool call
+ * Models occasionally produce invalid JSON; the tool then gets no arguments and reports what is missing.
+ * @param {string|Object} json - Arguments as a JSON string, or already parsed
+ * @returns {Object} - The arguments
+ */
+export function parseToolArguments(json) {
+  if (json && typeof json === 'object') {
+    return json;
+  }
+
+  try {
+    const args = JSON.parse(json || '{}');
+    return args && typeof args === 'object' ? args : {};
+  } catch (error) {
+    logger.warn('Invalid tool call arguments from model', { arguments: json });
+    return {};
+  }
+}
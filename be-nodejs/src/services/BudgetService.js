@@ -0,0 +1,156 @@
+import { apiConfig } from '../config/apiConfig.js';
+import { LLMRequestError } from './LLMRequestError.js';
+import { getUsageTracker } from './UsageTracker.js';
+
+/**
+ * Spending limits on the LLM calls
+ * There is a daily budget for all services together, daily budgets per service and a budget per conversation, each
+ * compared with the spend in the usage ledger. A call is rejected once a budget that applies to it is used up;
+ * calls running at the same time are checked against the same spend, so together they can go slightly over.
+ * Calls of models without a price cost nothing and never use up a budget.
+ */
+export class BudgetService {
+  /**
+   * Constructor
+   * @param {UsageTracker} usageTracker - Ledger the spend is read from
+   * @param {Object} config - Budget settings (see apiConfig.budgets)
+   */
+  constructor(usageTracker, config = apiConfig.budgets) {
+    this.usageTracker = usageTracker;
+    this.config = config;
+  }
+
+  /**
+   * Make sure no budget that applies to a call is used up
+   * @param {Object} scope - The call
+   * @param {string} scope.service - The service making the call
+   * @param {string|null} scope.conversationId - The conversation the call is made for
+   * @returns {Promise<void>}
+   * @throws {LLMRequestError} - With type 'budget_exceeded' if a budget is used up
+   */
+  async check({ service, conversationId = null }) {
+    const { currency, budgets } = await this.getStatus({ service, conversationId });
+    const exceeded = budgets.find(budget => budget.status === 'exceeded');
+
+    if (exceeded) {
+      const retryAfterMs = exceeded.resetsAt ? Date.parse(exceeded.resetsAt) - Date.now() : null;
+      throw new LLMRequestError(
+        `${describeBudget(exceeded)} of ${exceeded.limit} ${currency} is used up (${exceeded.spent} ${currency} spent)` +
+          (exceeded.resetsAt ? `, calls are possible again after ${exceeded.resetsAt}` : ''),
+        { type: 'budget_exceeded', retryAfterMs }
+      );
+    }
+  }
+
+  /**
+   * Get warnings for the budgets of a call that passed the warning threshold
+   * @param {Object} scope - The call
+   * @param {string} scope.service - The service that made the call
+   * @param {string|null} scope.conversationId - The conversation the call was made for
+   * @returns {Promise<Array<Object>>} - The budgets in warning or exceeded state, each with a message
+   */
+  async getWarnings({ service, conversationId = null }) {
+    const { currency, budgets } = await this.getStatus({ service, conversationId });
+
+    return budgets
+      .filter(budget => budget.status !== 'ok')
+      .map(budget => ({
+        ...budget,
+        message: budget.status === 'exceeded'
+          ? `${describeBudget(budget)} of ${budget.limit} ${currency} is used up, further calls will be rejected`
+          : `${describeBudget(budget)} is ${Math.floor(budget.usedRatio * 100)}% used (${budget.spent} of ${budget.limit} ${currency})`
+      }));
+  }
+
+  /**
+   * Get the spend against the configured budgets
+   * @param {Object} scope - Budgets to include
+   * @param {string|null} scope.service - Only the budget of this service, all service budgets if omitted
+   * @param {string|null} scope.conversationId - Include the budget of this conversation
+   * @returns {Promise<Object>} - Currency, warning ratio and the budgets with limit, spent, remaining, usedRatio,
+   *   status ('ok', 'warning' or 'exceeded') and, for daily budgets, resetsAt
+   */
+  async getStatus({ service = null, conversationId = null } = {}) {
+    const today = new Date().toISOString().slice(0, 10);
+    const resetsAt = new Date(Date.parse(today) + 24 * 60 * 60 * 1000).toISOString();
+    const budgets = [];
+
+    if (this.config.daily > 0) {
+      const spent = await this.usageTracker.getSpend({ day: today });
+      budgets.push({ budget: 'daily', limit: this.config.daily, spent, resetsAt });
+    }
+
+    const services = service ? [service] : Object.keys(this.config.services);
+    for (const name of services) {
+      const limit = this.config.services[name];
+      if (limit > 0) {
+        const spent = await this.usageTracker.getSpend({ day: today, service: name });
+        budgets.push({ budget: 'service', service: name, limit, spent, resetsAt });
+      }
+    }
+
+    if (conversationId && this.config.conversation > 0) {
+      const spent = await this.usageTracker.getSpend({ conversationId });
+      budgets.push({ budget: 'conversation', conversationId, limit: this.config.conversation, spent, resetsAt: null });
+    }
+
+    return {
+      currency: await this.usageTracker.getCurrency(),
+      warnRatio: this.config.warnRatio,
+      budgets: budgets.map(budget => this.withState(budget))
+    };
+  }
+
+  /**
+   * Add the remaining amount, the used share and the state to a budget
+   * @param {Object} budget - The budget with limit and spent
+   * @returns {Object} - The budget with remaining, usedRatio and status
+   * @private
+   */
+  withState(budget) {
+    const usedRatio = budget.spent / budget.limit;
+    let status = 'ok';
+    if (usedRatio >= 1) {
+      status = 'exceeded';
+    } else if (usedRatio >= this.config.warnRatio) {
+      status = 'warning';
+    }
+
+    return {
+      ...budget,
+      remaining: Math.max(0, Math.round((budget.limit - budget.spent) * 1e6) / 1e6),
+      usedRatio: Math.round(usedRatio * 1000) / 1000,
+      status
+    };
+  }
+}
+
+/**
+ * Name a budget in a message
+ * @param {Object} budget - The budget
+ * @returns {string} - E.g. 'Daily LLM budget of chat'
+ */
+function describeBudget(budget) {
+  switch (budget.budget) {
+    case 'service':
+      return `Daily LLM budget of ${budget.service}`;
+    case 'conversation':
+      return `LLM budget of conversation ${budget.conversationId}`;
+    default:
+      return 'Daily LLM budget';
+  }
+}
+
+// Every service creates its own LLMService, so they all check the same budgets
+let sharedBudgets = null;
+
+/**
+ * Get the shared budget service
+ * @returns {BudgetService} - The budget service, created on first use from apiConfig.budgets
+ */
+export const getBudgetService = () => {
+  if (!sharedBudgets) {
+    sharedBudgets = new BudgetService(getUsageTracker(), apiConfig.budgets);
+  }
+  return sharedBudgets;
+};
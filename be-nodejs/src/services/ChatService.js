@@ -1,5 +1,15 @@
 import { createLLMService } from './LLMService.js';
 import { PromptService } from './PromptService.js';
+import { createTokenEstimator } from './TokenEstimator.js';
+import { apiConfig } from '../config/apiConfig.js';
+import { DEFAULT_CONVERSATION_ID, DEFAULT_CONVERSATION_TITLE } from '../storage/ConversationStorage.js';
+import { createLogger } from '../logging/Logger.js';
+import { traceStage } from '../tracing/RequestContext.js';
+
+const logger = createLogger('ChatService');
+
+// Number of words of the first user message used as the title of a new conversation
+const AUTO_TITLE_WORDS = 6;
 
 /**
  * Service for handling chat functionality
@@ -9,12 +19,21 @@ export class ChatService {
    * Constructor
    * @param {Object} messageStorage - The message storage to use for saving messages
    * @param {Object} requestStorage - The storage to use for saving LLM requests
+   * @param {Object} summaryStorage - The storage for the rolling summary of older messages
+   * @param {Object} conversationStorage - The storage for conversation metadata (titles)
+   * @param {Object} toolRegistry - The tools the model may call (see src/tools)
+   * @param {Object} securityCheckService - Checks user messages for prompt injection before they reach the model
    */
-  constructor(messageStorage, requestStorage = null) {
+  constructor(messageStorage, requestStorage = null, summaryStorage = null, conversationStorage = null, toolRegistry = null, securityCheckService = null) {
     this.messageStorage = messageStorage;
     this.requestStorage = requestStorage;
+    this.summaryStorage = summaryStorage;
+    this.conversationStorage = conversationStorage;
+    this.toolRegistry = toolRegistry;
+    this.securityCheckService = securityCheckService;
     this.llmService = this.initializeLLMService(requestStorage);
     this.promptService = new PromptService();
+    this.tokenEstimator = createTokenEstimator(this.llmService.model);
   }
   
   /**
@@ -25,33 +44,290 @@ export class ChatService {
    */
   initializeLLMService(requestStorage) {
     try {
-      return createLLMService(requestStorage);
+      return createLLMService(requestStorage, 'chat');
     } catch (error) {
-      console.error('Error initializing LLM service:', error);
+      logger.error('Error initializing LLM service', { error });
       throw new Error(`Failed to initialize ChatService: ${error.message}`);
     }
   }
   
   /**
    * Process a user message and get a response from the LLM
+   * While the model asks for tool calls, the tools are run and their results sent back,
+   * up to the configured number of steps. Tool calls and results are stored as messages.
    * @param {string} userContent - The message content from the user
    * @param {string} userRole - The role of the user (default: "user")
-   * @returns {Promise<Object>} - The response message with content, role, and timestamp
+   * @param {string} conversationId - The conversation the message belongs to
+   * @returns {Promise<Object>} - The response message with content, role, timestamp and the userMessageId it answers
+   *                              (and toolMessages if tools were used), or a response with securityCheckFailed if the message was flagged
    */
-  async processUserMessage(userContent, userRole = 'user') {
+  async processUserMessage(userContent, userRole = 'user', conversationId = DEFAULT_CONVERSATION_ID) {
     this.validateUserMessage(userContent);
     
+    const securityResult = await this.checkMessageSecurity(userContent, conversationId);
+    const userMessage = await this.storeUserMessage(userContent, userRole, conversationId, securityResult);
+    
+    if (securityResult.flagged) {
+      return this.buildSecurityFailedResponse(userMessage);
+    }
+    
     // Continue with normal flow if message passed security check
-    await this.storeUserMessage(userContent, userRole);
     
-    const conversationHistory = await this.prepareConversationHistory(userContent, userRole);
+    const { messages: conversationHistory, context } = await traceStage('chat.prepare-history', () => this.prepareConversationHistory(conversationId));
     
-    const llmResponse = await this.getLLMResponse(conversationHistory);
+    const { llmResponse, toolMessages } = await this.generateReply(conversationHistory, {
+      conversationId,
+      context,
+      userMessageId: userMessage.id
+    });
     
     const responseContent = this.extractAssistantContent(llmResponse);
-    const assistantMessage = await this.storeAssistantMessage(responseContent);
+    const assistantMessage = await this.storeAssistantMessage(responseContent, conversationId, {
+      model: llmResponse.model,
+      fallbackUsed: llmResponse.fallbackUsed
+    });
+    
+    return {
+      ...assistantMessage,
+      userMessageId: userMessage.id,
+      ...(toolMessages.length > 0 && { toolMessages })
+    };
+  }
+  
+  /**
+   * Process a user message and stream the LLM response as it is generated.
+   * The assistant message is stored once the stream finishes; if the stream is aborted
+   * the content received so far is stored and marked as partial. When the provider fails mid-stream the content
+   * received so far is stored the same way, with interruptedBy set to the error type, and the error is rethrown
+   * carrying the stored message as partialMessage.
+   * Tool calls are run between streamed steps, like in processUserMessage.
+   * @param {string} userContent - The message content from the user
+   * @param {string} userRole - The role of the user (default: "user")
+   * @param {string} conversationId - The conversation the message belongs to
+   * @param {Object} handlers - Stream handlers
+   * @param {Function} handlers.onDelta - Called with every piece of content as it arrives
+   * @param {Function} handlers.onToolMessage - Called with every stored tool call and tool result message
+   * @param {AbortSignal} handlers.signal - Signal to abort the stream
+   * @returns {Promise<Object|null>} - The stored response message with the userMessageId it answers, a response with
+   *                                   securityCheckFailed if the message was flagged, or null if nothing was received before an abort
+   */
+  async processUserMessageStream(userContent, userRole = 'user', conversationId = DEFAULT_CONVERSATION_ID, { onDelta, onToolMessage, signal } = {}) {
+    this.validateUserMessage(userContent);
+    
+    const securityResult = await this.checkMessageSecurity(userContent, conversationId);
+    const userMessage = await this.storeUserMessage(userContent, userRole, conversationId, securityResult);
+    
+    if (securityResult.flagged) {
+      return this.buildSecurityFailedResponse(userMessage);
+    }
+    
+    const { messages: conversationHistory, context } = await traceStage('chat.prepare-history', () => this.prepareConversationHistory(conversationId));
+    
+    let streamResult;
+    
+    for (let step = 0; ; step++) {
+      try {
+        streamResult = await this.getLLMStream(conversationHistory, {
+          ...this.getToolOptions(step),
+          meta: { conversationId, context, ...(step > 0 && { toolStep: step }) }
+        }, { onDelta, signal });
+      } catch (error) {
+        await this.storeInterruptedReply(error, conversationId, userMessage.id);
+        throw error;
+      }
+      
+      if (streamResult.aborted || streamResult.toolCalls.length === 0 || step >= apiConfig.tools.maxSteps) {
+        break;
+      }
+      
+      const stepMessages = await this.runToolCalls(streamResult, conversationId, userMessage.id, { onToolMessage });
+      conversationHistory.push(...stepMessages.map(msg => this.toLLMMessage(msg)));
+    }
+    
+    if (!streamResult.text) {
+      if (streamResult.aborted) {
+        logger.info('Stream aborted before any content was received, nothing to store', { conversationId });
+        return null;
+      }
+      throw new Error('Invalid response from LLM service');
+    }
+    
+    const assistantMessage = await this.storeAssistantMessage(streamResult.text, conversationId, {
+      partial: streamResult.aborted,
+      model: streamResult.model,
+      fallbackUsed: streamResult.fallbackUsed
+    });
+    
+    return {
+      ...assistantMessage,
+      userMessageId: userMessage.id
+    };
+  }
+  
+  /**
+   * Get the model's reply to a prepared conversation history, running the tool calls it asks for
+   * up to the configured number of steps
+   * @param {Array} conversationHistory - Messages formatted for the LLM; tool traffic is appended to it
+   * @param {Object} options - Details of the turn
+   * @param {string} options.conversationId - The conversation the reply belongs to
+   * @param {Object} options.context - Context stats for the request log
+   * @param {number} options.userMessageId - Id of the user message being answered
+   * @param {boolean} options.persistToolMessages - Store tool calls and results as messages (false keeps them in memory)
+   * @param {Object} options.meta - Additional details for the request log
+   * @returns {Promise<Object>} - The final LLM response and the tool messages of the turn
+   * @private
+   */
+  async generateReply(conversationHistory, { conversationId, context, userMessageId, persistToolMessages = true, meta = {} }) {
+    const toolMessages = [];
+    let llmResponse;
+    
+    for (let step = 0; ; step++) {
+      llmResponse = await this.getLLMResponse(conversationHistory, {
+        ...this.getToolOptions(step),
+        meta: { conversationId, context, ...meta, ...(step > 0 && { toolStep: step }) }
+      });
+      
+      if (llmResponse.toolCalls.length === 0 || step >= apiConfig.tools.maxSteps) {
+        break;
+      }
+      
+      const stepMessages = await this.runToolCalls(llmResponse, conversationId, userMessageId, { persist: persistToolMessages });
+      conversationHistory.push(...stepMessages.map(msg => this.toLLMMessage(msg)));
+      toolMessages.push(...stepMessages);
+    }
     
-    return assistantMessage;
+    return { llmResponse, toolMessages };
+  }
+  
+  /**
+   * Run the security check on a user message
+   * @param {string} content - The message content
+   * @param {string} conversationId - The conversation the message belongs to
+   * @returns {Promise<Object>} - The check result with flagged and reasons (never flagged without a security check service)
+   * @private
+   */
+  async checkMessageSecurity(content, conversationId) {
+    if (!this.securityCheckService) {
+      return { flagged: false, reasons: [] };
+    }
+    return traceStage('chat.security-check', () => this.securityCheckService.checkMessage(content, { conversationId }));
+  }
+  
+  /**
+   * Build the response for a user message that failed the security check
+   * @param {Object} userMessage - The stored (flagged) user message
+   * @returns {Object} - Response the frontend shows a security warning for
+   * @private
+   */
+  buildSecurityFailedResponse(userMessage) {
+    return {
+      content: null,
+      role: 'assistant',
+      conversationId: userMessage.conversationId,
+      timestamp: new Date().toISOString(),
+      securityCheckFailed: true,
+      flaggedMessageId: userMessage.id
+    };
+  }
+  
+  /**
+   * Get the tool options for a step of the tool-call loop
+   * Once the step limit is reached the model still sees the tools (earlier calls refer to them),
+   * but is told to answer without calling them.
+   * @param {number} step - Index of the step, 0 for the first call
+   * @returns {Object} - tools and toolChoice options for the LLM call, empty if tools are disabled
+   * @private
+   */
+  getToolOptions(step) {
+    if (!this.toolRegistry || this.toolRegistry.isEmpty() || !apiConfig.tools.enabled || apiConfig.tools.maxSteps <= 0) {
+      return {};
+    }
+    
+    return {
+      tools: this.toolRegistry.getDefinitions(),
+      toolChoice: step < apiConfig.tools.maxSteps ? 'auto' : 'none'
+    };
+  }
+  
+  /**
+   * Run the tool calls the model asked for and store them as messages:
+   * the assistant message carrying the calls, then one tool message per result
+   * @param {Object} llmResponse - The normalized LLM response with toolCalls
+   * @param {string} conversationId - The conversation the calls are made in
+   * @param {number} userMessageId - Id of the user message being answered
+   * @param {Object} options - Options
+   * @param {Function} options.onToolMessage - Optional callback for every stored message
+   * @param {boolean} options.persist - Set to false to only return the messages without storing them
+   * @returns {Promise<Array>} - The stored messages
+   * @private
+   */
+  async runToolCalls(llmResponse, conversationId, userMessageId, { onToolMessage = null, persist = true } = {}) {
+    const storedMessages = [];
+    const store = async (message) => {
+      const formatted = {
+        ...message,
+        conversationId,
+        timestamp: new Date().toISOString()
+      };
+      const stored = persist ? await this.messageStorage.addMessage(formatted) : formatted;
+      storedMessages.push(stored);
+      if (onToolMessage) {
+        onToolMessage(stored);
+      }
+    };
+    
+    await store({
+      content: llmResponse.text || '',
+      role: 'assistant',
+      toolCalls: llmResponse.toolCalls,
+      ...(llmResponse.model && { model: llmResponse.model })
+    });
+    
+    // Run the calls one after another; their order may matter to the model
+    for (const toolCall of llmResponse.toolCalls) {
+      const result = await traceStage('chat.tool', () => this.toolRegistry.execute(toolCall.name, toolCall.arguments, { conversationId, userMessageId }), {
+        tool: toolCall.name
+      });
+      await store({
+        content: result.content,
+        role: 'tool',
+        toolCallId: toolCall.id,
+        name: toolCall.name,
+        ...(result.error && { toolError: true })
+      });
+    }
+    
+    return storedMessages;
+  }
+  
+  /**
+   * Convert a stored message into the message format LLMService expects
+   * @param {Object} msg - Stored message
+   * @returns {Object} - Message with role and content, plus tool call fields for tool traffic
+   * @private
+   */
+  toLLMMessage(msg) {
+    if (msg.role === 'tool') {
+      return {
+        role: 'tool',
+        toolCallId: msg.toolCallId,
+        name: msg.name,
+        content: msg.content
+      };
+    }
+    
+    if (msg.toolCalls) {
+      return {
+        role: msg.role,
+        content: msg.content,
+        toolCalls: msg.toolCalls
+      };
+    }
+    
+    return {
+      role: msg.role,
+      content: msg.content
+    };
   }
   
   /**
@@ -70,83 +346,340 @@ export class ChatService {
    * Store the user message in storage
    * @param {string} content - The message content
    * @param {string} role - The role of the user
+   * @param {string} conversationId - The conversation the message belongs to
+   * @param {Object} securityResult - Result of the security check; flagged messages are stored with the flag and reasons
    * @returns {Promise<Object>} - The stored message
    * @private
    */
-  async storeUserMessage(content, role) {
+  async storeUserMessage(content, role, conversationId, securityResult = { flagged: false }) {
     const message = await this.messageStorage.addMessage({
       content,
       role,
+      conversationId,
+      ...(securityResult.flagged && {
+        securityFlagged: true,
+        securityReasons: securityResult.reasons
+      }),
       timestamp: new Date().toISOString()
     });
     
-    console.log(`Processing user message: "${content.substring(0, 50)}${content.length > 50 ? '...' : ''}"`);
+    // A flagged message doesn't get to name the conversation
+    await this.touchConversation(conversationId, securityResult.flagged ? null : content);
+    
+    logger.info('Processing user message', {
+      conversationId,
+      messageId: message.id,
+      preview: `${content.substring(0, 50)}${content.length > 50 ? '...' : ''}`
+    });
     return message;
   }
   
   /**
-   * Prepare the conversation history with system prompt, last 10 messages, plus new message
-   * @param {string} userContent - The new message content
-   * @param {string} userRole - The role of the user
-   * @returns {Promise<Array>} - The conversation history formatted for LLM
+   * Mark a conversation as updated; a conversation still carrying the default title
+   * is named after the first words of its first user message
+   * @param {string} conversationId - The conversation id
+   * @param {string|null} content - The user message content, null to leave the title alone
+   * @private
+   */
+  async touchConversation(conversationId, content) {
+    if (!this.conversationStorage) {
+      return;
+    }
+    
+    try {
+      const conversation = await this.conversationStorage.getConversation(conversationId);
+      if (!conversation) {
+        return;
+      }
+      
+      const changes = {};
+      if (content && conversation.title === DEFAULT_CONVERSATION_TITLE) {
+        const words = this.toPlainText(content).split(' ');
+        changes.title = words.slice(0, AUTO_TITLE_WORDS).join(' ') + (words.length > AUTO_TITLE_WORDS ? '...' : '');
+      }
+      
+      await this.conversationStorage.updateConversation(conversationId, changes);
+    } catch (error) {
+      // The title is cosmetic, don't fail the message because of it
+      logger.error('Error updating conversation', { conversationId, error });
+    }
+  }
+  
+  /**
+   * Prepare the conversation history with the system prompt, the rolling summary of older messages
+   * and as many of the newest messages as fit into the context token budget. The newest message
+   * (the user's new turn) is always kept. Messages that no longer fit are condensed into the summary.
+   * @param {string} conversationId - The conversation to prepare the history of
+   * @param {number|null} untilId - Leave out the messages after this one (to answer an earlier message again)
+   * @param {Set<number>} excludedIds - Leave out these messages (the turns an edited message replaces)
+   * @returns {Promise<Object>} - The conversation history formatted for LLM, and context stats for the request log
    * @private
    */
-  async prepareConversationHistory(userContent, userRole) {
+  async prepareConversationHistory(conversationId, untilId = null, excludedIds = new Set()) {
+    const systemMessages = [];
+    
     try {
       // Load the system prompt
       const systemPrompt = await this.promptService.loadPrompt('system.prompt.xml');
+      systemMessages.push({
+        role: 'system',
+        content: systemPrompt
+      });
+    } catch (error) {
+      // If there's an error loading the system prompt, continue without it
+      logger.error('Error preparing conversation history', { error });
+    }
+    
+    // Get previous messages from storage in chronological order (not reversed - this is the default);
+    // the new user message has already been stored, so it is the last one
+    const storedMessages = await this.messageStorage.getMessages(null, false, { conversationId });
+    const previousMessages = storedMessages.filter(msg => (untilId === null || msg.id <= untilId) && !excludedIds.has(msg.id));
+    
+    let summary = await this.getConversationSummary(conversationId);
+    let result = this.fitToContextBudget(systemMessages, summary, previousMessages);
+    
+    // Condense the messages that no longer fit into the summary, then fit again around the new summary
+    if (result.omitted.length > 0 && this.summaryStorage) {
+      const updatedSummary = await traceStage('chat.update-summary', () => this.updateConversationSummary(conversationId, summary, result.omitted));
+      if (updatedSummary) {
+        summary = updatedSummary;
+        result = this.fitToContextBudget(systemMessages, summary, previousMessages);
+      }
+    }
+    
+    return {
+      messages: result.messages,
+      context: {
+        ...result.context,
+        summarizedMessages: summary ? summary.summarizedMessages : 0
+      }
+    };
+  }
+  
+  /**
+   * Keep the system messages, the summary and the newest history messages that fit into the context budget
+   * @param {Array} systemMessages - Messages that are always sent (system prompt)
+   * @param {Object|null} summary - The rolling summary; messages it covers are not sent again
+   * @param {Array} storedMessages - Stored conversation messages in chronological order
+   * @returns {Object} - The messages to send, the messages left out and stats about the trimming
+   * @private
+   */
+  fitToContextBudget(systemMessages, summary, storedMessages) {
+    const fixedMessages = [...systemMessages, ...this.buildSummaryMessages(summary)];
+    const summarizedUntilId = summary ? summary.summarizedUntilId : 0;
+    // Messages that failed the security check never reach the model
+    const history = storedMessages.filter(msg => msg.id > summarizedUntilId && !msg.securityFlagged);
+    
+    const budgetTokens = this.getContextBudget();
+    let estimatedTokens = this.tokenEstimator.estimateMessages(fixedMessages);
+    let firstIncluded = history.length;
+    
+    // Walk back from the newest message until the budget is used up
+    for (let index = history.length - 1; index >= 0; index--) {
+      const messageTokens = this.tokenEstimator.estimateMessage(history[index]);
+      const isNewestMessage = index === history.length - 1;
       
-      // Get previous messages from storage in chronological order (not reversed - this is the default)
-      const previousMessages = await this.messageStorage.getMessages();
+      if (!isNewestMessage && estimatedTokens + messageTokens > budgetTokens) {
+        break;
+      }
       
-      // Return conversation history with system prompt first, without storing it
-      return [
-        // Add system prompt as first message
+      estimatedTokens += messageTokens;
+      firstIncluded = index;
+    }
+    
+    // Tool results can't be sent without the assistant message that asked for them
+    while (firstIncluded < history.length - 1 && history[firstIncluded].role === 'tool') {
+      estimatedTokens -= this.tokenEstimator.estimateMessage(history[firstIncluded]);
+      firstIncluded++;
+    }
+    
+    const omitted = history.slice(0, firstIncluded);
+    if (omitted.length > 0) {
+      logger.info('Context budget reached, left out the oldest messages', { budgetTokens, omitted: omitted.length });
+    }
+    
+    return {
+      messages: [
+        ...fixedMessages,
+        ...history.slice(firstIncluded).map(msg => this.toLLMMessage(msg))
+      ],
+      omitted,
+      context: {
+        budgetTokens,
+        estimatedTokens,
+        includedMessages: history.length - omitted.length,
+        omittedMessages: omitted.length
+      }
+    };
+  }
+  
+  /**
+   * Build the system message carrying the rolling summary
+   * @param {Object|null} summary - The rolling summary
+   * @returns {Array} - Empty array or a single system message
+   * @private
+   */
+  buildSummaryMessages(summary) {
+    if (!summary || !summary.content) {
+      return [];
+    }
+    
+    return [{
+      role: 'system',
+      content: `<conversation-summary>\nSummary of the earlier part of this conversation, whose messages are no longer included:\n${summary.content}\n</conversation-summary>`
+    }];
+  }
+  
+  /**
+   * Ask the LLM to fold messages that no longer fit into the context into the rolling summary
+   * @param {string} conversationId - The conversation the summary belongs to
+   * @param {Object|null} currentSummary - The current summary
+   * @param {Array} messages - Stored messages to add to the summary, in chronological order
+   * @returns {Promise<Object|null>} - The updated summary, or null if summarizing failed
+   * @private
+   */
+  async updateConversationSummary(conversationId, currentSummary, messages) {
+    try {
+      const summaryPrompt = await this.promptService.loadPrompt('conversation-summary.prompt.xml');
+      const transcript = messages
+        .map(msg => `${this.getTranscriptLabel(msg)}: ${this.toPlainText(msg.content)}`)
+        .join('\n\n');
+      
+      logger.info('Adding messages to the conversation summary', { conversationId, messages: messages.length });
+      const response = await this.llmService.sendMessage([
         {
           role: 'system',
-          content: systemPrompt
+          content: summaryPrompt
         },
-        // Add previous conversation messages
-        ...previousMessages.map(msg => ({
-          role: msg.role,
-          content: msg.content
-        })),
-      ];
-    } catch (error) {
-      console.error('Error preparing conversation history:', error);
-      // If there's an error loading the system prompt, continue without it
-      const previousMessages = await this.messageStorage.getMessages();
-      
-      return [
-        ...previousMessages.map(msg => ({
-          role: msg.role,
-          content: msg.content
-        })),
         {
-          role: userRole,
-          content: userContent
+          role: 'user',
+          content: `Current summary:\n${currentSummary ? currentSummary.content : '(none yet)'}\n\nMessages being removed:\n${transcript}`
         }
-      ];
+      ], { meta: { conversationId, purpose: 'conversation-summary' } });
+      
+      return this.summaryStorage.saveSummary(conversationId, {
+        content: response.text.trim(),
+        summarizedUntilId: messages[messages.length - 1].id,
+        summarizedMessages: (currentSummary ? currentSummary.summarizedMessages : 0) + messages.length
+      });
+    } catch (error) {
+      // Without a new summary the older messages are simply left out
+      logger.error('Error updating conversation summary', { conversationId, error });
+      return null;
     }
   }
   
+  /**
+   * Get the speaker label of a message in the summary transcript
+   * @param {Object} msg - Stored message
+   * @returns {string} - Label
+   * @private
+   */
+  getTranscriptLabel(msg) {
+    if (msg.role === 'user') {
+      return 'User';
+    }
+    if (msg.role === 'tool') {
+      return `Tool result (${msg.name})`;
+    }
+    if (msg.toolCalls) {
+      return `Assistant (calling ${msg.toolCalls.map(call => call.name).join(', ')})`;
+    }
+    return 'Assistant';
+  }
+  
+  /**
+   * Turn an HTML message into plain text to save tokens when summarizing
+   * @param {string} content - Message content
+   * @returns {string} - Plain text content
+   * @private
+   */
+  toPlainText(content) {
+    return String(content)
+      .replace(/<[^>]+>/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+  
+  /**
+   * Get the token budget for the prompt: the configured budget, capped by the model's
+   * context window, minus the tokens reserved for the reply
+   * @returns {number} - Token budget
+   * @private
+   */
+  getContextBudget() {
+    const { maxTokens, responseReserveTokens } = apiConfig.context;
+    return Math.min(maxTokens, this.tokenEstimator.contextWindow) - responseReserveTokens;
+  }
+  
   /**
    * Get response from LLM API
    * @param {Array} messages - The conversation history
-   * @returns {Promise<Object>} - The LLM response
+   * @param {Object} options - Options for the LLM call
+   * @returns {Promise<Object>} - The normalized LLM response
    * @private
    */
-  async getLLMResponse(messages) {
+  async getLLMResponse(messages, options = {}) {
     try {
-      console.log('Calling LLM API...');
-      const response = await this.llmService.sendMessage(messages);
-      console.log('LLM API response received');
+      logger.debug('Calling LLM API');
+      const response = await this.llmService.sendMessage(messages, options);
+      logger.debug('LLM API response received');
       
       this.validateLLMResponse(response);
       return response;
     } catch (error) {
-      console.error('Error in LLM API call:', error.message);
-      throw new Error(`LLM API call failed: ${error.message}`);
+      // Logged by the LLM service and by the caller that handles the error
+      logger.debug('LLM API call failed', { error: error.message });
+      throw new Error(`LLM API call failed: ${error.message}`, { cause: error });
+    }
+  }
+  
+  /**
+   * Stream a response from LLM API
+   * @param {Array} messages - The conversation history
+   * @param {Object} options - Options for the LLM call
+   * @param {Object} handlers - Stream handlers passed to the LLM service
+   * @returns {Promise<Object>} - The normalized LLM response and whether the stream was aborted
+   * @private
+   */
+  async getLLMStream(messages, options, handlers) {
+    try {
+      logger.debug('Calling LLM API (streaming)');
+      const result = await this.llmService.streamMessage(messages, options, handlers);
+      logger.debug(`LLM API stream ${result.aborted ? 'aborted' : 'completed'}`);
+      return result;
+    } catch (error) {
+      logger.debug('LLM API stream failed', { error: error.message });
+      throw new Error(`LLM API call failed: ${error.message}`, { cause: error });
+    }
+  }
+  
+  /**
+   * Store the content a failed stream delivered before the provider failed, so the reply the user already saw
+   * isn't lost; the stored message is attached to the error as partialMessage
+   * @param {Error} error - The error thrown by getLLMStream
+   * @param {string} conversationId - The conversation the reply belongs to
+   * @param {number} userMessageId - Id of the user message being answered
+   * @returns {Promise<void>}
+   * @private
+   */
+  async storeInterruptedReply(error, conversationId, userMessageId) {
+    const llmError = error.cause;
+    if (!llmError || !llmError.partialResponse) {
+      return;
+    }
+    
+    try {
+      const assistantMessage = await this.storeAssistantMessage(llmError.partialResponse.text, conversationId, {
+        partial: true,
+        interruptedBy: llmError.type,
+        model: llmError.partialResponse.model
+      });
+      error.partialMessage = { ...assistantMessage, userMessageId };
+      logger.warn('LLM stream failed mid-reply, stored the content received so far', { conversationId, errorType: llmError.type });
+    } catch (storageError) {
+      // The LLM error is what the caller has to hear about
+      logger.error('Error storing interrupted reply', { error: storageError });
     }
   }
   
@@ -156,7 +689,7 @@ export class ChatService {
    * @private
    */
   validateLLMResponse(response) {
-    if (!response || !response.choices || response.choices.length === 0) {
+    if (!response || (!response.text && response.toolCalls.length === 0)) {
       throw new Error('Invalid response from LLM service');
     }
   }
@@ -168,72 +701,492 @@ export class ChatService {
    * @private
    */
   extractAssistantContent(llmResponse) {
-    return llmResponse.choices[0].message.content;
+    if (!llmResponse.text) {
+      // The model kept calling tools until the step limit and never answered
+      throw new Error('Invalid response from LLM service: no answer after tool calls');
+    }
+    return llmResponse.text;
   }
 
   /**
    * Store the assistant message in storage
    * @param {string} content - The assistant message content
+   * @param {string} conversationId - The conversation the message belongs to
+   * @param {Object} details - Optional details about the reply
+   * @param {boolean} details.partial - Whether the reply was cut off before it finished
+   * @param {string} details.interruptedBy - Type of the LLM error that cut the reply off, if it wasn't the client
+   * @param {string} details.model - The model that produced the reply
+   * @param {boolean} details.fallbackUsed - Whether a fallback model produced the reply
    * @returns {Promise<Object>} - The stored assistant message
    * @private
    */
-  async storeAssistantMessage(content) {
+  async storeAssistantMessage(content, conversationId, { partial = false, interruptedBy = null, model = null, fallbackUsed = false } = {}) {
+    const details = {
+      ...(model && { model }),
+      ...(fallbackUsed && { fallbackUsed: true }),
+      ...(partial && { partial: true }),
+      ...(interruptedBy && { interruptedBy })
+    };
+    
     const assistantMessage = await this.messageStorage.addMessage({
       content,
       role: 'assistant',
-      timestamp: new Date().toISOString()
+      conversationId,
+      timestamp: new Date().toISOString(),
+      ...details
     });
     return {
+      id: assistantMessage.id,
       content,
       role: 'assistant',
-      timestamp: assistantMessage.timestamp
+      conversationId,
+      timestamp: assistantMessage.timestamp,
+      ...details
+    };
+  }
+  
+  /**
+   * Ask the model for a new reply to a user message; the replaced reply is kept as an alternate version
+   * Messages after the turn stay as they are. Tool calls made for the new reply are returned with it,
+   * but not stored as messages, as they would end up after the later turns.
+   * @param {number} messageId - Id of the user message, or of a message of its reply
+   * @returns {Promise<Object|null>} - The updated reply (with toolMessages if tools were used), or null if the message doesn't exist
+   */
+  async regenerateReply(messageId) {
+    const turn = await this.getTurn(messageId);
+    if (!turn) {
+      return null;
+    }
+    
+    const { userMessage, reply, laterMessages } = turn;
+    const conversationId = userMessage.conversationId || DEFAULT_CONVERSATION_ID;
+    
+    if (userMessage.securityFlagged) {
+      throw createRequestError('A message that failed the security check can\'t be answered', 400);
+    }
+    if (!reply && laterMessages.length > 0) {
+      throw createRequestError('The message has no reply to replace', 409);
+    }
+    
+    await this.discardSummaryFrom(conversationId, userMessage.id);
+    const { messages: conversationHistory, context } = await traceStage('chat.prepare-history', () => this.prepareConversationHistory(conversationId, userMessage.id));
+    
+    const { llmResponse, toolMessages } = await this.generateReply(conversationHistory, {
+      conversationId,
+      context,
+      userMessageId: userMessage.id,
+      // Without a reply this is the last turn, so tool messages can be stored in order
+      persistToolMessages: !reply,
+      meta: { regeneratedMessageId: reply ? reply.id : null }
+    });
+    
+    const content = this.extractAssistantContent(llmResponse);
+    
+    if (!reply) {
+      const assistantMessage = await this.storeAssistantMessage(content, conversationId, {
+        model: llmResponse.model,
+        fallbackUsed: llmResponse.fallbackUsed
+      });
+      return toolMessages.length > 0 ? { ...assistantMessage, toolMessages } : assistantMessage;
+    }
+    
+    const newVersion = this.createReplyVersion({
+      content,
+      model: llmResponse.model,
+      fallbackUsed: llmResponse.fallbackUsed,
+      timestamp: new Date().toISOString()
+    }, userMessage.content);
+    const versions = [...this.getReplyVersions(reply, userMessage.content), newVersion];
+    
+    const updatedReply = await this.messageStorage.updateMessage(reply.id, {
+      ...this.getVersionFields(newVersion),
+      versions,
+      activeVersion: versions.length - 1
+    });
+    
+    return toolMessages.length > 0 ? { ...updatedReply, toolMessages } : updatedReply;
+  }
+  
+  /**
+   * Change a user message and answer it again
+   * The edited message is answered as a new turn, without the message and the messages after it. Only once the
+   * new reply is stored are they removed, so a failed call (budget, timeout, provider down) leaves the conversation
+   * as it was. The reply the message had is kept as an alternate version of the new reply.
+   * @param {number} messageId - Id of the user message
+   * @param {string} content - The new message content
+   * @returns {Promise<Object|null>} - The response like processUserMessage's, or null if the message doesn't exist
+   */
+  async editUserMessage(messageId, content) {
+    this.validateUserMessage(content);
+    
+    const turn = await this.getTurn(messageId);
+    if (!turn) {
+      return null;
+    }
+    
+    const { userMessage, reply, otherMessages, laterMessages } = turn;
+    const conversationId = userMessage.conversationId || DEFAULT_CONVERSATION_ID;
+    
+    if (userMessage.id !== messageId) {
+      throw createRequestError('Only user messages can be edited and answered again', 400);
+    }
+    
+    const droppedMessages = [userMessage, ...otherMessages, ...(reply ? [reply] : []), ...laterMessages];
+    const droppedIds = new Set(droppedMessages.map(message => message.id));
+    
+    const securityResult = await this.checkMessageSecurity(content, conversationId);
+    const newUserMessage = await this.storeUserMessage(content, userMessage.role, conversationId, securityResult);
+    
+    let response;
+    if (securityResult.flagged) {
+      response = this.buildSecurityFailedResponse(newUserMessage);
+    } else {
+      try {
+        await this.discardSummaryFrom(conversationId, userMessage.id);
+        const { messages: conversationHistory, context } = await traceStage('chat.prepare-history', () => this.prepareConversationHistory(conversationId, null, droppedIds));
+        
+        // Tool messages are stored with the reply, so a failure part way leaves none behind
+        const { llmResponse, toolMessages } = await this.generateReply(conversationHistory, {
+          conversationId,
+          context,
+          userMessageId: newUserMessage.id,
+          persistToolMessages: false
+        });
+        
+        const storedToolMessages = [];
+        for (const toolMessage of toolMessages) {
+          storedToolMessages.push(await this.messageStorage.addMessage(toolMessage));
+        }
+        const assistantMessage = await this.storeAssistantMessage(this.extractAssistantContent(llmResponse), conversationId, {
+          model: llmResponse.model,
+          fallbackUsed: llmResponse.fallbackUsed
+        });
+        
+        response = {
+          ...assistantMessage,
+          userMessageId: newUserMessage.id,
+          ...(storedToolMessages.length > 0 && { toolMessages: storedToolMessages })
+        };
+      } catch (error) {
+        await this.messageStorage.deleteMessage(newUserMessage.id);
+        throw error;
+      }
+    }
+    
+    // The new turn is stored, now the turns it replaces can go
+    for (const message of droppedMessages) {
+      await this.messageStorage.deleteMessage(message.id);
+    }
+    logger.info('Edited message, removed it and the messages after it', { messageId, removed: droppedMessages.length, conversationId });
+    
+    if (!reply || response.securityCheckFailed) {
+      return response;
+    }
+    
+    const { toolMessages, userMessageId, ...newReply } = response;
+    const versions = [
+      ...this.getReplyVersions(reply, userMessage.content),
+      this.createReplyVersion(newReply, content)
+    ];
+    const updatedReply = await this.messageStorage.updateMessage(newReply.id, {
+      versions,
+      activeVersion: versions.length - 1
+    });
+    
+    return {
+      ...updatedReply,
+      userMessageId,
+      ...(toolMessages && { toolMessages })
+    };
+  }
+  
+  /**
+   * Show another version of a regenerated reply
+   * @param {number} messageId - Id of the reply
+   * @param {number} versionIndex - Index of the version in the reply's versions
+   * @returns {Promise<Object|null>} - The updated reply, or null if the message doesn't exist
+   */
+  async selectReplyVersion(messageId, versionIndex) {
+    const message = await this.messageStorage.getMessageById(messageId);
+    if (!message) {
+      return null;
+    }
+    
+    if (!Array.isArray(message.versions) || !message.versions[versionIndex]) {
+      throw createRequestError(`The message has no version ${versionIndex}`, 400);
+    }
+    
+    return this.messageStorage.updateMessage(messageId, {
+      ...this.getVersionFields(message.versions[versionIndex]),
+      activeVersion: versionIndex
+    });
+  }
+  
+  /**
+   * Find the turn a message belongs to: the user message and the messages that answer it
+   * @param {number} messageId - Id of the user message or of any message of its reply
+   * @returns {Promise<Object|null>} - userMessage, reply (the final assistant message, or null), otherMessages
+   *                                   (tool traffic of the turn) and laterMessages, or null if the message doesn't exist
+   * @private
+   */
+  async getTurn(messageId) {
+    const message = await this.messageStorage.getMessageById(messageId);
+    if (!message) {
+      return null;
+    }
+    
+    const messages = await this.messageStorage.getMessages(null, false, {
+      conversationId: message.conversationId || DEFAULT_CONVERSATION_ID
+    });
+    
+    // Replies and tool messages belong to the user message before them
+    let start = messages.findIndex(msg => msg.id === message.id);
+    while (start >= 0 && messages[start].role !== 'user') {
+      start--;
+    }
+    if (start < 0) {
+      throw createRequestError('The message does not answer a user message', 400);
+    }
+    
+    let end = start + 1;
+    while (end < messages.length && messages[end].role !== 'user') {
+      end++;
+    }
+    
+    const turnMessages = messages.slice(start + 1, end);
+    const reply = [...turnMessages].reverse().find(msg => msg.role === 'assistant' && !msg.toolCalls) || null;
+    
+    return {
+      userMessage: messages[start],
+      reply,
+      otherMessages: turnMessages.filter(msg => msg !== reply),
+      laterMessages: messages.slice(end)
+    };
+  }
+  
+  /**
+   * Create a version entry of a reply
+   * @param {Object} reply - The reply (content, model, fallbackUsed, partial, interruptedBy, timestamp)
+   * @param {string} userContent - The user message the reply answers
+   * @returns {Object} - The version
+   * @private
+   */
+  createReplyVersion(reply, userContent) {
+    return {
+      content: reply.content,
+      ...(reply.model && { model: reply.model }),
+      ...(reply.fallbackUsed && { fallbackUsed: true }),
+      ...(reply.partial && { partial: true }),
+      ...(reply.interruptedBy && { interruptedBy: reply.interruptedBy }),
+      userContent,
+      timestamp: reply.timestamp
+    };
+  }
+  
+  /**
+   * Get the versions of a reply; a reply that was never regenerated is its own only version
+   * @param {Object} reply - The stored reply
+   * @param {string} userContent - The user message the reply answers
+   * @returns {Array} - The versions
+   * @private
+   */
+  getReplyVersions(reply, userContent) {
+    return reply.versions || [this.createReplyVersion(reply, userContent)];
+  }
+  
+  /**
+   * Get the message fields a version sets when it becomes the active one
+   * Fields the version doesn't have are set to undefined, which removes them from the stored message
+   * @param {Object} version - The version
+   * @returns {Object} - Message fields
+   * @private
+   */
+  getVersionFields(version) {
+    return {
+      content: version.content,
+      model: version.model,
+      fallbackUsed: version.fallbackUsed,
+      partial: version.partial,
+      interruptedBy: version.interruptedBy
     };
   }
   
   /**
-   * Get all chat messages
+   * Drop the rolling summary if it covers messages from the given one on, as they are being replaced
+   * @param {string} conversationId - The conversation id
+   * @param {number} messageId - Id of the first replaced message
+   * @returns {Promise<void>}
+   * @private
+   */
+  async discardSummaryFrom(conversationId, messageId) {
+    const summary = await this.getConversationSummary(conversationId);
+    if (summary && summary.summarizedUntilId >= messageId) {
+      await this.summaryStorage.clearSummary(conversationId);
+    }
+  }
+  
+  /**
+   * Get the rolling summary of older messages of a conversation
+   * @param {string} conversationId - The conversation id
+   * @returns {Promise<Object|null>} - The summary, or null if there is none
+   */
+  async getConversationSummary(conversationId = DEFAULT_CONVERSATION_ID) {
+    return this.summaryStorage ? this.summaryStorage.getSummary(conversationId) : null;
+  }
+  
+  /**
+   * Get all chat messages of a conversation
    * @param {number|null} limit - Maximum number of messages to retrieve (null for all)
+   * @param {string} conversationId - The conversation id
    * @returns {Promise<Array>} - Array of messages
    */
-  async getAllMessages(limit = null) {
+  async getAllMessages(limit = null, conversationId = DEFAULT_CONVERSATION_ID) {
     // For UI, we maintain original behavior (not reversed - messages in chronological order)
-    return this.messageStorage.getMessages(limit, false);
+    return this.messageStorage.getMessages(limit, false, { conversationId });
   }
   
   /**
-   * Clear all chat messages and requests
+   * Get a page of the chat messages of a conversation, for scrolling back through the history
+   * @param {Object} page - Page options
+   * @param {number|null} page.before - Only messages older than the message with this id
+   * @param {number|null} page.after - Only messages newer than the message with this id (the newest page if neither is given)
+   * @param {number|null} page.limit - Maximum number of messages (null for all)
+   * @param {string} conversationId - The conversation id
+   * @returns {Promise<Object>} - The messages, oldest first, and whether there are older and newer messages
+   */
+  async getMessagePage({ before = null, after = null, limit = null } = {}, conversationId = DEFAULT_CONVERSATION_ID) {
+    return this.messageStorage.getMessagePage({ before, after, limit, filter: { conversationId } });
+  }
+  
+  /**
+   * Clear all chat messages and requests of a conversation
+   * @param {string} conversationId - The conversation id
    * @returns {Promise<Array>} - Array of messages after clearing and adding initial message
    */
-  async clearAllMessages() {
-    const clearMessagesPromise = this.messageStorage.clearMessages();
+  async clearAllMessages(conversationId = DEFAULT_CONVERSATION_ID) {
+    await this.removeConversationData(conversationId);
+    
+    // Load and add the initial welcome message after clearing
+    await this.addInitialMessage(conversationId);
+    
+    // Return the updated message list to be sent to frontend
+    return this.getAllMessages(null, conversationId);
+  }
+  
+  /**
+   * Remove the messages, requests and summary of a conversation
+   * @param {string} conversationId - The conversation id
+   * @param {Array<number>|null} messageIds - Remove only these messages (all messages of the conversation if omitted)
+   * @returns {Promise<void>}
+   * @private
+   */
+  async removeConversationData(conversationId, messageIds = null) {
+    const clearMessagesPromise = messageIds
+      ? this.messageStorage.deleteMessages(messageIds)
+      : this.messageStorage.clearMessages({ conversationId });
     
     // If request storage exists, clear it too
     const clearRequestsPromise = this.requestStorage 
-      ? this.requestStorage.clearMessages() 
+      ? this.requestStorage.clearMessages({ conversationId }) 
       : Promise.resolve();
     
-    // Wait for both operations to complete
-    await Promise.all([clearMessagesPromise, clearRequestsPromise]);
+    // The summary describes the cleared messages, so it goes as well
+    const clearSummaryPromise = this.summaryStorage
+      ? this.summaryStorage.clearSummary(conversationId)
+      : Promise.resolve();
     
-    // Load and add the initial welcome message after clearing
+    // Wait for all operations to complete
+    await Promise.all([clearMessagesPromise, clearRequestsPromise, clearSummaryPromise]);
+  }
+  
+  /**
+   * Add the initial welcome message to a conversation
+   * @param {string} conversationId - The conversation id
+   * @returns {Promise<void>}
+   * @private
+   */
+  async addInitialMessage(conversationId) {
     try {
       const initialMessage = await this.promptService.loadPrompt('initial-message.html');
       await this.messageStorage.addMessage({
         content: initialMessage,
         role: 'assistant',
+        conversationId,
         timestamp: new Date().toISOString()
       });
-      console.log('Initial welcome message added successfully');
-      
-      // Return the updated message list to be sent to frontend
-      return this.getAllMessages();
+      logger.info('Initial welcome message added');
     } catch (error) {
-      console.error('Error adding initial welcome message:', error);
-      // Even in case of error, return the current state of messages
-      return this.getAllMessages();
+      // Even in case of error, the conversation stays usable without the welcome message
+      logger.error('Error adding initial welcome message', { error });
     }
   }
   
+  /**
+   * Get all conversations, most recently updated first
+   * @returns {Promise<Array>} - Array of conversations
+   */
+  async listConversations() {
+    return this.getConversationStorage().listConversations();
+  }
+  
+  /**
+   * Get a single conversation
+   * @param {string} conversationId - The conversation id
+   * @returns {Promise<Object|null>} - The conversation, or null if it doesn't exist
+   */
+  async getConversation(conversationId) {
+    return this.getConversationStorage().getConversation(conversationId);
+  }
+  
+  /**
+   * Create a new conversation, starting with the initial welcome message
+   * @param {string} title - Optional title (a title is derived from the first message otherwise)
+   * @returns {Promise<Object>} - The created conversation
+   */
+  async createConversation(title) {
+    const conversation = await this.getConversationStorage().createConversation({ title });
+    await this.addInitialMessage(conversation.id);
+    return conversation;
+  }
+  
+  /**
+   * Rename a conversation
+   * @param {string} conversationId - The conversation id
+   * @param {string} title - The new title
+   * @returns {Promise<Object|null>} - The updated conversation, or null if it doesn't exist
+   */
+  async renameConversation(conversationId, title) {
+    if (!title || !title.trim()) {
+      throw new Error('Conversation title is required');
+    }
+    return this.getConversationStorage().updateConversation(conversationId, { title: title.trim() });
+  }
+  
+  /**
+   * Delete a conversation together with its messages, requests and summary
+   * @param {string} conversationId - The conversation id
+   * @returns {Promise<boolean>} - True if the conversation existed
+   */
+  async deleteConversation(conversationId) {
+    const deleted = await this.getConversationStorage().deleteConversation(conversationId);
+    if (deleted) {
+      await this.removeConversationData(conversationId);
+    }
+    return deleted;
+  }
+  
+  /**
+   * Get the conversation storage, failing if the service was created without one
+   * @returns {Object} - The conversation storage
+   * @private
+   */
+  getConversationStorage() {
+    if (!this.conversationStorage) {
+      throw new Error('Conversation storage is not configured');
+    }
+    return this.conversationStorage;
+  }
+  
   /**
    * Add a single message to storage
    * @param {Object} messageData - The message data
@@ -245,6 +1198,91 @@ export class ChatService {
     return this.messageStorage.addMessage(formattedMessage);
   }
   
+  /**
+   * Add imported messages to a conversation, after its existing messages or in their place
+   * @param {Array} messages - The messages, oldest first
+   * @param {string} conversationId - The conversation id
+   * @param {Object} options - Import options
+   * @param {boolean} options.replace - Remove the messages, requests and summary the conversation had
+   * @returns {Promise<Array>} - The stored messages
+   */
+  async importMessages(messages, conversationId = DEFAULT_CONVERSATION_ID, { replace = false } = {}) {
+    const replacedMessages = replace ? await this.messageStorage.getMessages(null, false, { conversationId }) : [];
+    
+    // Stored in one write, so a failed import leaves the conversation as it was
+    const stored = await this.messageStorage.addMessages(messages.map(message => ({
+      ...message,
+      conversationId,
+      timestamp: message.timestamp || new Date().toISOString()
+    })));
+    
+    // The old messages only go once the new ones are stored
+    if (replace) {
+      await this.removeConversationData(conversationId, replacedMessages.map(message => message.id));
+    }
+    
+    // Name a conversation that still has the default title after its first imported question
+    const firstUserMessage = messages.find(message => message.role === 'user' && !message.securityFlagged);
+    await this.touchConversation(conversationId, firstUserMessage ? firstUserMessage.content : null);
+    
+    return stored;
+  }
+  
+  /**
+   * Get a single message
+   * @param {number} messageId - The message id
+   * @returns {Promise<Object|null>} - The message, or null if it doesn't exist
+   */
+  async getMessage(messageId) {
+    return this.messageStorage.getMessageById(messageId);
+  }
+  
+  /**
+   * Change the content of a message
+   * @param {number} messageId - The message id
+   * @param {string} content - The new content
+   * @returns {Promise<Object|null>} - The updated message, or null if it doesn't exist
+   */
+  async updateMessageContent(messageId, content) {
+    this.validateMessageContent(content);
+    return this.messageStorage.updateMessage(messageId, { content });
+  }
+  
+  /**
+   * Delete a single message
+   * @param {number} messageId - The message id
+   * @returns {Promise<boolean>} - True if the message existed
+   */
+  async deleteMessage(messageId) {
+    return this.messageStorage.deleteMessage(messageId);
+  }
+  
+  /**
+   * Find messages of a conversation by role, time range or text
+   * @param {Object} criteria - Query criteria (see MessageStorageInterface.query)
+   * @param {string} conversationId - The conversation id
+   * @returns {Promise<Array>} - Matching messages, oldest first
+   */
+  async queryMessages(criteria, conversationId = DEFAULT_CONVERSATION_ID) {
+    return this.messageStorage.query({ ...criteria, conversationId });
+  }
+  
+  /**
+   * Search the chat history by text, best matches first
+   * @param {string} query - Words to search for
+   * @param {Object} options - Search options
+   * @param {string} options.conversationId - Only messages of this conversation (all conversations if omitted)
+   * @param {number} options.limit - Maximum number of results
+   * @param {number} options.offset - Number of results to skip
+   * @returns {Promise<Object>} - The total number of matches and the results with id, score, snippet, conversationId, role and timestamp
+   */
+  async searchMessages(query, options = {}) {
+    if (typeof this.messageStorage.search !== 'function') {
+      throw createRequestError('The message storage does not support search', 501);
+    }
+    return this.messageStorage.search(query, options);
+  }
+  
   /**
    * Validate that message content is not empty
    * @param {string} content - The content to validate
@@ -266,6 +1304,7 @@ export class ChatService {
     return {
       content: messageData.content,
       role: messageData.role || 'user',
+      conversationId: messageData.conversationId || DEFAULT_CONVERSATION_ID,
       timestamp: messageData.timestamp || new Date().toISOString()
     };
   }
@@ -275,13 +1314,30 @@ export class ChatService {
  * Factory function to create a Chat service
  * @param {Object} messageStorage - The message storage instance to use
  * @param {Object} requestStorage - Optional storage for LLM requests
+ * @param {Object} summaryStorage - Optional storage for the rolling conversation summary
+ * @param {Object} conversationStorage - Optional storage for conversation metadata
+ * @param {Object} toolRegistry - Optional registry of tools the model may call
+ * @param {Object} securityCheckService - Optional prompt injection check for user messages
  * @returns {ChatService} - Configured Chat service instance
  */
-export const createChatService = (messageStorage, requestStorage = null) => {
+export const createChatService = (messageStorage, requestStorage = null, summaryStorage = null, conversationStorage = null, toolRegistry = null, securityCheckService = null) => {
   validateMessageStorage(messageStorage);
-  return new ChatService(messageStorage, requestStorage);
+  return new ChatService(messageStorage, requestStorage, summaryStorage, conversationStorage, toolRegistry, securityCheckService);
 };
 
+/**
+ * Create an error the REST layer answers with the given HTTP status
+ * @param {string} message - Error message
+ * @param {number} httpStatus - HTTP status
+ * @returns {Error} - The error
+ * @private
+ */
+function createRequestError(message, httpStatus) {
+  const error = new Error(message);
+  error.httpStatus = httpStatus;
+  return error;
+}
+
 /**
  * Validate that message storage is provided
  * @param {Object} messageStorage - The message storage to validate
@@ -0,0 +1,98 @@
+import { createLogger } from '../logging/Logger.js';
+
+const logger = createLogger('CircuitBreaker');
+
+/**
+ * Circuit breaker for calls to an unreliable dependency
+ * After a number of consecutive failures the circuit opens and calls fail fast.
+ * Once the reset timeout has passed a single trial call is let through (half-open):
+ * success closes the circuit again, failure re-opens it. A trial that ends without telling either
+ * (e.g. cancelled by the client) re-opens it with a fresh timeout, so the circuit never stays half-open.
+ */
+export class CircuitBreaker {
+  /**
+   * Constructor
+   * @param {Object} options - Circuit breaker options
+   * @param {string} options.name - Name used in logs
+   * @param {number} options.failureThreshold - Consecutive failures that open the circuit
+   * @param {number} options.resetTimeoutMs - How long the circuit stays open before a trial call
+   */
+  constructor({ name, failureThreshold = 5, resetTimeoutMs = 30000 } = {}) {
+    this.name = name;
+    this.failureThreshold = failureThreshold;
+    this.resetTimeoutMs = resetTimeoutMs;
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+  }
+
+  /**
+   * Check whether a call may be made right now
+   * @returns {boolean} - False while the circuit is open
+   */
+  canRequest() {
+    if (this.state === 'closed') {
+      return true;
+    }
+
+    if (this.state === 'open' && Date.now() - this.openedAt >= this.resetTimeoutMs) {
+      // Let a single trial call through
+      this.state = 'half_open';
+      logger.info('Circuit breaker is half-open, trying one request', { circuit: this.name });
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Time left until the circuit lets a trial call through
+   * @returns {number} - Milliseconds, 0 if the circuit is not open
+   */
+  getRemainingOpenMs() {
+    if (this.state !== 'open') {
+      return 0;
+    }
+    return Math.max(0, this.resetTimeoutMs - (Date.now() - this.openedAt));
+  }
+
+  /**
+   * Record a successful call
+   */
+  recordSuccess() {
+    if (this.state !== 'closed') {
+      logger.info('Circuit breaker closed', { circuit: this.name });
+    }
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+  }
+
+  /**
+   * End the trial call of a half-open circuit that was neither recorded as success nor as failure
+   * Called after every call; does nothing when the call was recorded or the circuit isn't half-open.
+   */
+  endTrial() {
+    if (this.state !== 'half_open') {
+      return;
+    }
+    logger.info('Circuit breaker trial ended without a result, staying open', { circuit: this.name });
+    this.state = 'open';
+    this.openedAt = Date.now();
+  }
+
+  /**
+   * Record a failed call
+   */
+  recordFailure() {
+    this.failures++;
+
+    if (this.state === 'half_open' || this.failures >= this.failureThreshold) {
+      if (this.state !== 'open') {
+        logger.warn('Circuit breaker opened', { circuit: this.name, failures: this.failures });
+      }
+      this.state = 'open';
+      this.openedAt = Date.now();
+    }
+  }
+}
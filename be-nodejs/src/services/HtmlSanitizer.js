@@ -0,0 +1,92 @@
+import { parseHtml } from './HtmlToMarkdown.js';
+
+// Elements kept in sanitized HTML: the formatting the assistant uses and the chat renders
+const ALLOWED_ELEMENTS = new Set([
+  'p', 'div', 'span', 'br', 'hr', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+  'strong', 'b', 'em', 'i', 'u', 'del', 's', 'mark', 'small', 'sub', 'sup',
+  'code', 'pre', 'blockquote', 'a', 'img', 'ul', 'ol', 'li', 'dl', 'dt', 'dd',
+  'table', 'thead', 'tbody', 'tfoot', 'tr', 'th', 'td', 'caption',
+  'section', 'article', 'header', 'footer', 'figure', 'figcaption', 'details', 'summary'
+]);
+
+// Attributes kept per element; every other attribute (event handlers, style, ...) is dropped
+const ALLOWED_ATTRIBUTES = {
+  a: ['href', 'title'],
+  img: ['src', 'alt', 'title', 'width', 'height'],
+  ol: ['start'],
+  th: ['colspan', 'rowspan'],
+  td: ['colspan', 'rowspan']
+};
+
+// Attributes holding a URL, which must not run script (javascript:, data:text/html, ...)
+const URL_ATTRIBUTES = new Set(['href', 'src']);
+
+// Elements dropped with their content instead of being reduced to their text
+const REMOVED_ELEMENTS = new Set(['script', 'style', 'head', 'title', 'iframe', 'object', 'embed', 'template', 'noscript', 'svg', 'math']);
+
+// Elements that never have content or a closing tag
+const VOID_ELEMENTS = new Set(['br', 'hr', 'img']);
+
+/**
+ * Escape text for use in HTML
+ * @param {string} text - The text
+ * @returns {string} - The escaped text
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Check whether a URL is safe to link to: web and mail links, relative links and embedded images
+ * @param {string} url - The URL
+ * @returns {boolean}
+ */
+function isSafeUrl(url) {
+  const value = url.trim();
+  return /^(https?:|mailto:|data:image\/(png|gif|jpe?g|webp);)/i.test(value) || !value.includes(':');
+}
+
+/**
+ * Render a parsed node back into HTML, keeping only the allowed elements and attributes
+ * @param {Object} node - Element or text node
+ * @returns {string} - HTML
+ */
+function renderNode(node) {
+  if (node.text !== undefined) {
+    return escapeHtml(node.text);
+  }
+
+  if (REMOVED_ELEMENTS.has(node.tag)) {
+    return '';
+  }
+
+  const content = node.children.map(renderNode).join('');
+  if (!ALLOWED_ELEMENTS.has(node.tag)) {
+    return content;
+  }
+
+  const attributes = (ALLOWED_ATTRIBUTES[node.tag] || [])
+    .filter(name => node.attributes[name] !== undefined)
+    .filter(name => !URL_ATTRIBUTES.has(name) || isSafeUrl(node.attributes[name]))
+    .map(name => ` ${name}="${escapeHtml(node.attributes[name])}"`)
+    .join('');
+
+  return VOID_ELEMENTS.has(node.tag)
+    ? `<${node.tag}${attributes}>`
+    : `<${node.tag}${attributes}>${content}</${node.tag}>`;
+}
+
+/**
+ * Reduce HTML, such as an assistant reply, to the formatting elements the chat renders
+ * Scripts, event handlers, styles, frames and script URLs are removed, unknown elements are reduced to their text,
+ * so the result can be embedded in a page without running anything.
+ * @param {string} html - The HTML
+ * @returns {string} - Sanitized HTML
+ */
+export function sanitizeHtml(html) {
+  return parseHtml(html).children.map(renderNode).join('');
+}
@@ -0,0 +1,257 @@
+// Elements that never have content or a closing tag
+const VOID_ELEMENTS = new Set(['br', 'hr', 'img', 'input', 'meta', 'link', 'source', 'wbr', 'col', 'area', 'base', 'embed', 'track']);
+
+// Elements whose content is dropped
+const SKIPPED_ELEMENTS = new Set(['script', 'style', 'head', 'title']);
+
+// Elements rendered as a paragraph of their own
+const BLOCK_ELEMENTS = new Set(['p', 'div', 'section', 'article', 'header', 'footer', 'main', 'aside', 'nav', 'figure', 'figcaption', 'details', 'summary', 'dl', 'dt', 'dd']);
+
+const NAMED_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' ',
+  mdash: '—',
+  ndash: '–',
+  hellip: '…',
+  copy: '©'
+};
+
+/**
+ * Decode the HTML entities of a text
+ * @param {string} text - The text
+ * @returns {string} - The decoded text
+ */
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+    if (code[0] === '#') {
+      const codePoint = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return Number.isNaN(codePoint) ? entity : String.fromCodePoint(codePoint);
+    }
+    return NAMED_ENTITIES[code.toLowerCase()] ?? entity;
+  });
+}
+
+/**
+ * Read the attributes of a tag
+ * @param {string} source - The attribute part of the tag
+ * @returns {Object} - Attribute values by lower case name
+ */
+function parseAttributes(source) {
+  const attributes = {};
+  for (const [, name, , doubleQuoted, singleQuoted, unquoted] of source.matchAll(/([a-z][a-z0-9-:]*)\s*=\s*("([^"]*)"|'([^']*)'|([^\s>]+))/gi)) {
+    attributes[name.toLowerCase()] = decodeEntities(doubleQuoted ?? singleQuoted ?? unquoted);
+  }
+  return attributes;
+}
+
+/**
+ * Parse HTML into a tree of { tag, attributes, children } elements and { text } nodes
+ * The model's replies are not always well formed, so unknown closing tags are ignored and unclosed tags end with their parent.
+ * @param {string} html - The HTML
+ * @returns {Object} - The root element
+ */
+export function parseHtml(html) {
+  const root = { tag: 'root', attributes: {}, children: [] };
+  const stack = [root];
+
+  for (const [token, tagName, attributeSource] of String(html).matchAll(/<!--[\s\S]*?-->|<!doctype[^>]*>|<\/?([a-z][a-z0-9]*)([^>]*)>|[^<]+|</gi)) {
+    const parent = stack[stack.length - 1];
+
+    if (!tagName) {
+      if (!token.startsWith('<!')) {
+        parent.children.push({ text: decodeEntities(token) });
+      }
+      continue;
+    }
+
+    const tag = tagName.toLowerCase();
+
+    if (token.startsWith('</')) {
+      const index = stack.map(element => element.tag).lastIndexOf(tag);
+      if (index > 0) {
+        stack.length = index;
+      }
+      continue;
+    }
+
+    const element = { tag, attributes: parseAttributes(attributeSource), children: [] };
+    parent.children.push(element);
+
+    if (!VOID_ELEMENTS.has(tag) && !attributeSource.trim().endsWith('/')) {
+      stack.push(element);
+    }
+  }
+
+  return root;
+}
+
+/**
+ * Render the children of an element
+ * @param {Array} nodes - The child nodes
+ * @param {Object} context - Rendering context ({ pre } inside preformatted text)
+ * @returns {string} - Markdown
+ */
+function renderChildren(nodes, context) {
+  return nodes.map(node => renderNode(node, context)).join('');
+}
+
+/**
+ * Wrap inline content in Markdown markers, keeping the surrounding whitespace outside of them
+ * @param {string} content - Rendered content
+ * @param {string} marker - Marker such as ** or *
+ * @returns {string} - Markdown
+ */
+function wrapInline(content, marker) {
+  const text = content.trim();
+  if (!text) {
+    return content;
+  }
+  return content.match(/^\s*/)[0] + marker + text + marker + content.match(/\s*$/)[0];
+}
+
+/**
+ * Render a list, indenting the continuation lines of every item below its marker
+ * @param {Object} element - The ul or ol element
+ * @param {Object} context - Rendering context
+ * @returns {string} - Markdown
+ */
+function renderList(element, context) {
+  const start = parseInt(element.attributes.start) || 1;
+  const items = element.children.filter(child => child.tag === 'li');
+
+  const lines = items.map((item, index) => {
+    const marker = element.tag === 'ol' ? `${start + index}. ` : '- ';
+    const content = renderChildren(item.children, context).trim().replace(/\n{2,}/g, '\n');
+    return marker + content.split('\n').join('\n' + ' '.repeat(marker.length));
+  });
+
+  return `\n\n${lines.join('\n')}\n\n`;
+}
+
+/**
+ * Render a table as a Markdown table; the first row becomes the header
+ * @param {Object} element - The table element
+ * @param {Object} context - Rendering context
+ * @returns {string} - Markdown
+ */
+function renderTable(element, context) {
+  const rows = [];
+  const collectRows = (node) => {
+    for (const child of node.children || []) {
+      if (child.tag === 'tr') {
+        rows.push(child.children
+          .filter(cell => cell.tag === 'td' || cell.tag === 'th')
+          .map(cell => renderChildren(cell.children, context).trim().replace(/\s*\n\s*/g, ' ').replace(/\|/g, '\\|')));
+      } else if (child.tag) {
+        collectRows(child);
+      }
+    }
+  };
+  collectRows(element);
+
+  if (rows.length === 0) {
+    return '';
+  }
+
+  const columns = Math.max(...rows.map(row => row.length));
+  const toLine = row => `| ${Array.from({ length: columns }, (_, index) => row[index] || '').join(' | ')} |`;
+
+  return `\n\n${[toLine(rows[0]), toLine(Array(columns).fill('---')), ...rows.slice(1).map(toLine)].join('\n')}\n\n`;
+}
+
+/**
+ * Render a node
+ * @param {Object} node - Element or text node
+ * @param {Object} context - Rendering context
+ * @returns {string} - Markdown
+ */
+function renderNode(node, context) {
+  if (node.text !== undefined) {
+    return context.pre ? node.text : node.text.replace(/\s+/g, ' ');
+  }
+
+  const { tag } = node;
+
+  if (SKIPPED_ELEMENTS.has(tag)) {
+    return '';
+  }
+
+  if (/^h[1-6]$/.test(tag)) {
+    return `\n\n${'#'.repeat(Number(tag[1]))} ${renderChildren(node.children, context).trim()}\n\n`;
+  }
+
+  if (BLOCK_ELEMENTS.has(tag)) {
+    return `\n\n${renderChildren(node.children, context).trim()}\n\n`;
+  }
+
+  const content = () => renderChildren(node.children, context);
+
+  switch (tag) {
+    case 'br':
+      return context.pre ? '\n' : '  \n';
+    case 'hr':
+      return '\n\n---\n\n';
+    case 'strong':
+    case 'b':
+      return wrapInline(content(), '**');
+    case 'em':
+    case 'i':
+      return wrapInline(content(), '*');
+    case 'del':
+    case 's':
+      return wrapInline(content(), '~~');
+    case 'code':
+      return context.pre ? content() : `\`${content()}\``;
+    case 'pre': {
+      const code = renderChildren(node.children, { ...context, pre: true }).replace(/^\n+|\n+$/g, '');
+      return `\n\n\`\`\`\n${code}\n\`\`\`\n\n`;
+    }
+    case 'a': {
+      const text = content().trim();
+      return node.attributes.href ? `[${text || node.attributes.href}](${node.attributes.href})` : text;
+    }
+    case 'img':
+      return node.attributes.src ? `![${node.attributes.alt || ''}](${node.attributes.src})` : '';
+    case 'ul':
+    case 'ol':
+      return renderList(node, context);
+    case 'li':
+      // A list item outside of a list
+      return `\n- ${content().trim()}\n`;
+    case 'blockquote':
+      return `\n\n${content().trim().replace(/\n{3,}/g, '\n\n').split('\n').map(line => `> ${line}`).join('\n')}\n\n`;
+    case 'table':
+      return renderTable(node, context);
+    default:
+      return content();
+  }
+}
+
+/**
+ * Convert HTML, such as an assistant reply, into Markdown
+ * Covers the elements the assistant uses: headings, paragraphs, emphasis, links, images, lists, quotes,
+ * code and tables. Other elements are reduced to their text.
+ * @param {string} html - The HTML
+ * @returns {string} - Markdown
+ */
+export function htmlToMarkdown(html) {
+  let inCodeBlock = false;
+
+  // Tidy the whitespace left between elements, except in code blocks and the two spaces of a line break
+  const lines = renderNode(parseHtml(html), {}).split('\n').map(line => {
+    if (line.startsWith('```')) {
+      inCodeBlock = !inCodeBlock;
+      return line;
+    }
+    if (inCodeBlock) {
+      return line;
+    }
+    return line.replace(/^ (?=\S)/, '').replace(/(\S) {2,}(?=\S)/g, '$1 ').replace(/(\S) +$/, (match, last) => (match.endsWith('  ') ? `${last}  ` : last)).replace(/^\s+$/, '');
+  });
+
+  return lines.join('\n').replace(/\n{3,}/g, '\n\n').trim();
+}
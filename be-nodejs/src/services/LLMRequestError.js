@@ -0,0 +1,127 @@
+/**
+ * Error thrown by LLMService when a call to the LLM provider fails
+ * Carries a classification that decides whether the call is retried and which
+ * HTTP status the API answers with.
+ */
+export class LLMRequestError extends Error {
+  /**
+   * Constructor
+   * @param {string} message - Error message
+   * @param {Object} details - Error classification
+   * @param {string} details.type - One of 'timeout', 'network', 'rate_limit', 'server', 'client', 'empty_response', 'circuit_open', 'aborted',
+   *   'budget_exceeded'
+   * @param {number|null} details.status - HTTP status returned by the provider, if any
+   * @param {boolean} details.retryable - Whether the same request may succeed when retried
+   * @param {number|null} details.retryAfterMs - Delay requested by the provider (Retry-After) or the circuit breaker
+   * @param {Object|null} details.partialResponse - The normalized response streamed before the call failed, if any content arrived
+   * @param {Error} details.cause - The original error
+   */
+  constructor(message, { type, status = null, retryable = false, retryAfterMs = null, partialResponse = null, cause } = {}) {
+    super(message, { cause });
+    this.name = 'LLMRequestError';
+    this.type = type;
+    this.status = status;
+    this.retryable = retryable;
+    this.retryAfterMs = retryAfterMs;
+    this.partialResponse = partialResponse;
+  }
+
+  /**
+   * Whether the error means the provider itself is unhealthy (counted by the circuit breaker)
+   * @returns {boolean}
+   */
+  get isProviderFailure() {
+    return ['timeout', 'network', 'server'].includes(this.type);
+  }
+
+  /**
+   * HTTP status the API should answer with
+   * @returns {number}
+   */
+  get httpStatus() {
+    switch (this.type) {
+      case 'circuit_open':
+        return 503;
+      case 'budget_exceeded':
+        return 429;
+      case 'timeout':
+        return 504;
+      default:
+        return 500;
+    }
+  }
+}
+
+// Network error codes that are worth retrying
+const RETRYABLE_NETWORK_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'EPIPE', 'ENETUNREACH'];
+
+/**
+ * Convert any error thrown by an LLM call into a classified LLMRequestError
+ * @param {Error} error - Error thrown by axios or by the stream reader
+ * @returns {LLMRequestError} - Classified error
+ */
+export function classifyLLMError(error) {
+  if (error instanceof LLMRequestError) {
+    return error;
+  }
+
+  const message = `Failed to get LLM response: ${error.message}`;
+
+  if (error.name === 'CanceledError' || error.code === 'ERR_CANCELED') {
+    return new LLMRequestError(message, { type: 'aborted', cause: error });
+  }
+
+  if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+    return new LLMRequestError(message, { type: 'timeout', retryable: true, cause: error });
+  }
+
+  if (error.response) {
+    const status = error.response.status;
+    const retryAfterMs = parseRetryAfter(error.response.headers);
+
+    if (status === 429) {
+      return new LLMRequestError(message, { type: 'rate_limit', status, retryable: true, retryAfterMs, cause: error });
+    }
+
+    if (status === 408) {
+      return new LLMRequestError(message, { type: 'timeout', status, retryable: true, retryAfterMs, cause: error });
+    }
+
+    if (status >= 500) {
+      return new LLMRequestError(message, { type: 'server', status, retryable: true, retryAfterMs, cause: error });
+    }
+
+    return new LLMRequestError(message, { type: 'client', status, cause: error });
+  }
+
+  if (RETRYABLE_NETWORK_CODES.includes(error.code)) {
+    return new LLMRequestError(message, { type: 'network', retryable: true, cause: error });
+  }
+
+  return new LLMRequestError(message, { type: 'client', cause: error });
+}
+
+/**
+ * Read the delay requested by the provider from Retry-After (seconds or HTTP date) or retry-after-ms headers
+ * @param {Object} headers - Response headers
+ * @returns {number|null} - Delay in milliseconds, or null if the provider did not ask for one
+ */
+function parseRetryAfter(headers = {}) {
+  const retryAfterMs = Number(headers['retry-after-ms']);
+  if (headers['retry-after-ms'] !== undefined && !Number.isNaN(retryAfterMs)) {
+    return retryAfterMs;
+  }
+
+  const retryAfter = headers['retry-after'];
+  if (retryAfter === undefined) {
+    return null;
+  }
+
+  const seconds = Number(retryAfter);
+  if (!Number.isNaN(seconds)) {
+    return seconds * 1000;
+  }
+
+  const date = Date.parse(retryAfter);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
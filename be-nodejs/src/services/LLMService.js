@@ -1,27 +1,66 @@
 import axios from 'axios';
+import { StringDecoder } from 'string_decoder';
 import { apiConfig } from '../config/apiConfig.js';
+import { ProviderAdapterFactory } from '../providers/ProviderAdapterFactory.js';
+import { CircuitBreaker } from './CircuitBreaker.js';
+import { LLMRequestError, classifyLLMError } from './LLMRequestError.js';
+import { getBudgetService } from './BudgetService.js';
+import { getResponseCache } from './ResponseCache.js';
+import { getUsageTracker } from './UsageTracker.js';
+import { getMetrics } from '../metrics/ServerMetrics.js';
+import { startStage, getTraceSnapshot } from '../tracing/RequestContext.js';
+import { createLogger } from '../logging/Logger.js';
+
+const logger = createLogger('LLMService');
+
+// Request log entries of calls made outside a conversation get 'service:<service>' as conversationId
+const NO_CONVERSATION_PREFIX = 'service:';
 
 /**
- * Service for interacting with the OpenAI LLM API
+ * Service for interacting with the LLM API
+ * The provider specific request/response format is handled by a provider adapter,
+ * every method returns a normalized response with text, toolCalls, finishReason, usage, model and raw.
  */
 export class LLMService {
   /**
    * Constructor
    * @param {Object} config - Configuration for the LLM service
-   * @param {string} config.apiKey - The OpenAI API key
-   * @param {string} config.apiUrl - The OpenAI API URL
+   * @param {string} config.provider - The LLM provider ('openai' by default, 'anthropic' or 'ollama')
+   * @param {string} config.apiKey - The provider API key (optional for local servers)
+   * @param {string} config.apiUrl - The provider API URL
    * @param {string} config.model - The LLM model to use
    * @param {string} config.additionalModel - Additional LLM model option
+   * @param {Array<string>} config.fallbackModels - Models tried in order when the primary model fails
    * @param {Object} config.requestStorage - Optional storage for LLM requests
+   * @param {Object} config.resilience - Timeout, retry and circuit breaker settings (see apiConfig.resilience)
+   * @param {Object} config.responseCache - Cache for opted-in calls (the shared cache by default)
+   * @param {string} config.service - The service making the calls (e.g. 'chat'), which their usage is booked to
+   * @param {Object} config.usageTracker - Ledger of token usage and cost (the shared ledger by default)
+   * @param {Object} config.budgetService - Spending limits checked before every call (the shared budgets by default)
+   * @param {ServerMetrics} config.metrics - Metrics the calls are recorded in (the shared metrics by default)
    */
   constructor(config) {
+    this.provider = config.provider || 'openai';
     this.apiKey = config.apiKey;
     this.apiUrl = config.apiUrl;
     this.model = config.model;
     this.additionalModel = config.additionalModel;
+    this.fallbackModels = config.fallbackModels || [this.additionalModel].filter(Boolean);
     this.requestStorage = config.requestStorage;
+    this.resilience = { ...apiConfig.resilience, ...config.resilience };
+    this.responseCache = config.responseCache || getResponseCache();
+    this.service = config.service || 'other';
+    this.usageTracker = config.usageTracker || getUsageTracker();
+    this.budgetService = config.budgetService || getBudgetService();
+    this.metrics = config.metrics || getMetrics();
+    // One circuit breaker per model, so a failing model does not block the others
+    this.circuitBreakers = new Map();
+    this.adapter = ProviderAdapterFactory.getAdapter(this.provider, {
+      apiKey: this.apiKey,
+      apiUrl: this.apiUrl
+    });
     
-    if (!this.apiKey) {
+    if (!this.apiKey && this.adapter.requiresApiKey) {
       throw new Error('LLM API key is required');
     }
     
@@ -34,65 +73,591 @@ export class LLMService {
     }
 
     if (!this.additionalModel) {
-      console.warn('No additional model configured, using default model only');
+      logger.warn('No additional model configured, using default model only');
     }
   }  
 
   /**
    * Send a message to the LLM and get a response
+   * Retryable failures (429, 5xx, timeouts, network errors) are retried with exponential backoff.
+   * Unless a model is given explicitly, a model that still fails (or answers with nothing)
+   * hands the request over to the next model of the fallback chain.
    * @param {Array} messages - Array of message objects with role and content
    * @param {Object} options - Additional options for the API call
-   * @returns {Promise<Object>} - The LLM response
+   * @param {string} options.model - Use exactly this model, without fallbacks
+   * @param {boolean} options.fallback - Set to false to disable the fallback chain
+   * @param {number} options.timeoutMs - Timeout for this call, overrides the configured timeout
+   * @param {Object} options.meta - Details stored with the request log entry, never sent to the provider
+   * @param {boolean} options.cache - Serve identical requests from the response cache (only for deterministic calls)
+   * @returns {Promise<Object>} - The normalized LLM response, with the model that answered and fallbackUsed
    */
   async sendMessage(messages, options = {}) {
+    const { timeoutMs = this.resilience.timeoutMs, fallback = true, meta = {}, cache = false, ...params } = options;
+    const models = this.getModelChain(params.model, fallback);
+    
+    return this.runWithFallback(models, (model) => this.sendMessageToModel(messages, { ...params, model }, { timeoutMs, meta, cache }));
+  }
+  
+  /**
+   * Send a message to one specific model
+   * @param {Array} messages - Array of message objects with role and content
+   * @param {Object} params - Request parameters, including the model
+   * @param {Object} callOptions - Options of the call
+   * @param {number} callOptions.timeoutMs - Timeout for each attempt
+   * @param {Object} callOptions.meta - Details stored with the request log entry
+   * @param {boolean} callOptions.cache - Whether the response cache may be used
+   * @returns {Promise<Object>} - The normalized LLM response
+   * @private
+   */
+  async sendMessageToModel(messages, params, { timeoutMs, meta, cache = false }) {
+    const request = this.adapter.buildRequest(messages, params);
+    const attempts = [];
+    
+    // The cache key covers the whole provider request body: model, messages and parameters
+    const cacheKey = cache && this.responseCache.enabled ? this.responseCache.createKey(this.provider, request.body) : null;
+    if (cacheKey) {
+      const cached = await this.getCachedResponse(cacheKey);
+      if (cached) {
+        logger.info('Serving LLM response from cache', { provider: this.adapter.name, model: params.model });
+        this.metrics.recordCachedLLMCall({ model: params.model, service: meta.service || this.service });
+        await this.storeRequest(request.body, cached, { meta, cacheKey, cacheHit: true });
+        return cached;
+      }
+    }
+    
+    // Cached responses cost nothing, so only calls that reach the provider are held to the budgets
+    await this.checkBudgets(meta);
+    
+    const endCall = this.startCall(params.model, meta);
     try {
-      const requestBody = {
-        messages,
-        model: options.model || this.model,
-        ...options
-      };
+      logger.debug('Sending request to LLM API', { provider: this.adapter.name, model: params.model, body: request.body });
+      const response = await this.executeWithRetries(params.model, attempts, () => axios.post(request.url, request.body, {
+        headers: request.headers,
+        timeout: timeoutMs
+      }));
       
-      console.log('Sending request to OpenAI API:', JSON.stringify(requestBody, null, 2));
-      const response = await axios.post(this.apiUrl, requestBody, {
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${this.apiKey}`
-        }
+      logger.debug('LLM API response body', { provider: this.adapter.name, model: params.model, body: response.data });
+      
+      const result = this.adapter.parseResponse(response.data);
+      logger.info('LLM API response received', {
+        provider: this.adapter.name,
+        model: params.model,
+        finishReason: result.finishReason,
+        usage: result.usage
       });
       
-      console.log('OpenAI API response received:', JSON.stringify(response.data, null, 2));
+      // A reply that only asks for tool calls has no text, but is not empty
+      if (!result.text && result.toolCalls.length === 0) {
+        throw new LLMRequestError(`Failed to get LLM response: empty response from model ${params.model}`, {
+          type: 'empty_response'
+        });
+      }
+      endCall({ outcome: 'success', usage: result.usage });
+      
+      if (cacheKey) {
+        await this.cacheResponse(cacheKey, result);
+      }
       
       // Store request in storage if available
-      await this.storeRequest(requestBody, response.data);
+      await this.storeRequest(request.body, result, { attempts, meta, cacheKey, cacheHit: false });
       
-      return response.data;
+      return result;
     } catch (error) {
-      console.error('Error calling OpenAI API:', error.message);
+      const llmError = classifyLLMError(error);
+      logger.error('LLM API call failed', { provider: this.adapter.name, model: params.model, error: llmError });
+      endCall({ outcome: 'error', error: llmError });
       if (error.response) {
-        console.error('Status:', error.response.status);
-        console.error('Data:', error.response.data);
+        logger.debug('LLM API error response body', { provider: this.adapter.name, model: params.model, body: error.response.data });
+      }
+      
+      await this.storeRequest(request.body, null, { attempts, meta, cacheKey, cacheHit: false, error: llmError });
+      throw llmError;
+    }
+  }
+  
+  /**
+   * Look up a response in the response cache
+   * @param {string} cacheKey - The cache key of the request
+   * @returns {Promise<Object|null>} - The cached normalized response, or null on a miss or cache failure
+   * @private
+   */
+  async getCachedResponse(cacheKey) {
+    try {
+      return await this.responseCache.get(cacheKey);
+    } catch (error) {
+      logger.error('Error reading response cache', { error });
+      return null;
+    }
+  }
+  
+  /**
+   * Put a response into the response cache
+   * @param {string} cacheKey - The cache key of the request
+   * @param {Object} result - The normalized response
+   * @returns {Promise<void>}
+   * @private
+   */
+  async cacheResponse(cacheKey, result) {
+    try {
+      await this.responseCache.set(cacheKey, result);
+    } catch (error) {
+      logger.error('Error writing response cache', { error });
+      // Don't throw - the response itself is fine
+    }
+  }
+  
+  /**
+   * Send a message to the LLM and stream the response as it is generated
+   * Retries and fallbacks only happen before the stream starts; once content has been received a failure is final.
+   * @param {Array} messages - Array of message objects with role and content
+   * @param {Object} options - Additional options for the API call
+   * @param {string} options.model - Use exactly this model, without fallbacks
+   * @param {boolean} options.fallback - Set to false to disable the fallback chain
+   * @param {number} options.timeoutMs - Idle timeout for this call, overrides the configured timeout
+   * @param {Object} options.meta - Details stored with the request log entry, never sent to the provider
+   * @param {Object} handlers - Stream handlers
+   * @param {Function} handlers.onDelta - Called with every piece of content as it arrives
+   * @param {AbortSignal} handlers.signal - Signal to abort the stream (e.g. when the client disconnects)
+   * @returns {Promise<Object>} - The normalized LLM response plus an aborted flag
+   */
+  async streamMessage(messages, options = {}, { onDelta, signal } = {}) {
+    const { timeoutMs = this.resilience.timeoutMs, fallback = true, meta = {}, ...params } = options;
+    const models = this.getModelChain(params.model, fallback);
+    
+    let receivedContent = false;
+    const handlers = {
+      onDelta: (delta) => {
+        receivedContent = true;
+        if (onDelta) {
+          onDelta(delta);
+        }
+      },
+      signal
+    };
+    
+    return this.runWithFallback(
+      models,
+      (model) => this.streamMessageFromModel(messages, { ...params, model }, { timeoutMs, meta }, handlers),
+      () => !receivedContent
+    );
+  }
+  
+  /**
+   * Stream a response from one specific model
+   * @param {Array} messages - Array of message objects with role and content
+   * @param {Object} params - Request parameters, including the model
+   * @param {Object} callOptions - Options of the call
+   * @param {number} callOptions.timeoutMs - Idle timeout for each attempt
+   * @param {Object} callOptions.meta - Details stored with the request log entry
+   * @param {Object} handlers - Stream handlers (onDelta, signal)
+   * @returns {Promise<Object>} - The normalized LLM response plus an aborted flag
+   * @private
+   */
+  async streamMessageFromModel(messages, params, { timeoutMs, meta }, { onDelta, signal }) {
+    const request = this.adapter.buildRequest(messages, {
+      ...params,
+      stream: true
+    });
+    const parser = this.adapter.createStreamParser();
+    const attempts = [];
+
+    await this.checkBudgets(meta);
+
+    const endCall = this.startCall(params.model, meta);
+    let aborted = false;
+
+    try {
+      logger.debug('Sending streaming request to LLM API', { provider: this.adapter.name, model: params.model, body: request.body });
+      const response = await this.executeWithRetries(params.model, attempts, () => axios.post(request.url, request.body, {
+        headers: request.headers,
+        responseType: 'stream',
+        timeout: timeoutMs,
+        signal
+      }), signal);
+
+      await this.readStream(response.data, this.adapter.streamFormat, (chunk) => {
+        const delta = parser.push(chunk);
+        if (delta && onDelta) {
+          onDelta(delta);
+        }
+      });
+
+      const streamed = parser.getResponse();
+      logger.info('LLM API stream finished', {
+        provider: this.adapter.name,
+        model: params.model,
+        finishReason: streamed.finishReason,
+        usage: streamed.usage
+      });
+      
+      if (!streamed.text && streamed.toolCalls.length === 0) {
+        throw new LLMRequestError(`Failed to get LLM response: empty response from model ${params.model}`, {
+          type: 'empty_response'
+        });
+      }
+    } catch (error) {
+      if (!signal || !signal.aborted) {
+        const llmError = classifyLLMError(error);
+        const received = parser.getResponse();
+        logger.error('LLM API stream failed', { provider: this.adapter.name, model: params.model, characters: received.text.length, error: llmError });
+        endCall({ outcome: 'error', error: llmError, usage: received.usage });
+        await this.storeRequest(request.body, received, { attempts, meta, error: llmError });
+        if (received.text) {
+          // The user already saw this content, the caller decides whether to keep it
+          llmError.partialResponse = { ...received, model: params.model };
+        }
+        throw llmError;
+      }
+
+      // The client went away - keep whatever was received so far
+      aborted = true;
+    }
+
+    const result = parser.getResponse();
+    if (aborted) {
+      logger.info('LLM API stream aborted', { provider: this.adapter.name, model: params.model, characters: result.text.length });
+      result.finishReason = 'aborted';
+    }
+    endCall({ outcome: aborted ? 'aborted' : 'success', usage: result.usage });
+
+    // Store the assembled response the same way as a regular completion
+    await this.storeRequest(request.body, result, { attempts, meta });
+
+    return {
+      ...result,
+      aborted
+    };
+  }
+
+  /**
+   * Get the ordered list of models to try for a call
+   * @param {string|undefined} explicitModel - Model requested by the caller, used on its own
+   * @param {boolean} fallback - Whether fallback models may be used
+   * @returns {Array<string>} - Models to try, primary model first
+   * @private
+   */
+  getModelChain(explicitModel, fallback = true) {
+    if (explicitModel) {
+      return [explicitModel];
+    }
+    
+    if (!fallback) {
+      return [this.model];
+    }
+    
+    return [...new Set([this.model, ...this.fallbackModels])];
+  }
+  
+  /**
+   * Call the models of a chain in order until one of them answers
+   * @param {Array<string>} models - Models to try, primary model first
+   * @param {Function} call - Function calling a single model, receives the model name
+   * @param {Function} canFallback - Optional check whether falling back is still possible
+   * @returns {Promise<Object>} - The normalized response with the model that answered and fallbackUsed
+   * @private
+   */
+  async runWithFallback(models, call, canFallback = () => true) {
+    for (const [index, model] of models.entries()) {
+      try {
+        const result = await call(model);
+        
+        if (index > 0) {
+          logger.warn('Reply produced by a fallback model', { model, primaryModel: models[0] });
+        }
+        
+        return {
+          ...result,
+          model,
+          fallbackUsed: index > 0
+        };
+      } catch (error) {
+        const llmError = classifyLLMError(error);
+        const nextModel = models[index + 1];
+        
+        if (!nextModel || ['aborted', 'budget_exceeded'].includes(llmError.type) || !canFallback()) {
+          throw llmError;
+        }
+        
+        logger.warn('Model failed, falling back to the next model', { model, errorType: llmError.type, nextModel });
       }
-      throw new Error(`Failed to get LLM response: ${error.message}`);
     }
   }
+
+  /**
+   * Run an LLM call, retrying retryable failures with exponential backoff and jitter
+   * Every attempt is recorded in the attempts array so it ends up in the request log.
+   * @param {string} model - Model the call is made for (selects the circuit breaker)
+   * @param {Array} attempts - Array the attempts are recorded in
+   * @param {Function} send - Function making the HTTP call
+   * @param {AbortSignal} signal - Optional signal that cancels waiting between attempts
+   * @returns {Promise<Object>} - The axios response of the successful attempt
+   * @private
+   */
+  async executeWithRetries(model, attempts, send, signal = null) {
+    const circuitBreaker = this.getCircuitBreaker(model);
+    
+    for (let attempt = 1; ; attempt++) {
+      if (!circuitBreaker.canRequest()) {
+        const retryAfterMs = circuitBreaker.getRemainingOpenMs();
+        throw new LLMRequestError(
+          `Failed to get LLM response: ${this.adapter.name} API is unavailable for model ${model}, retry in ${Math.ceil(retryAfterMs / 1000)}s`,
+          { type: 'circuit_open', retryAfterMs }
+        );
+      }
+      
+      const startedAt = Date.now();
+      
+      try {
+        const response = await send();
+        circuitBreaker.recordSuccess();
+        attempts.push({
+          attempt,
+          outcome: 'success',
+          durationMs: Date.now() - startedAt
+        });
+        return response;
+      } catch (error) {
+        const llmError = classifyLLMError(error);
+        
+        if (llmError.isProviderFailure) {
+          circuitBreaker.recordFailure();
+        } else if (llmError.status !== null) {
+          // The provider answered (e.g. 429 or another 4xx), so it is reachable
+          circuitBreaker.recordSuccess();
+        }
+        
+        const delayMs = this.getRetryDelay(attempt, llmError);
+        attempts.push({
+          attempt,
+          outcome: 'error',
+          durationMs: Date.now() - startedAt,
+          errorType: llmError.type,
+          status: llmError.status,
+          message: error.message,
+          ...(delayMs !== null && { retryInMs: delayMs })
+        });
+        
+        if (delayMs === null) {
+          throw llmError;
+        }
+        
+        logger.warn('LLM call failed, retrying', {
+          model,
+          errorType: llmError.type,
+          delayMs,
+          attempt: attempt + 1,
+          maxAttempts: this.resilience.maxRetries + 1
+        });
+        await this.sleep(delayMs, signal);
+      } finally {
+        // A trial call that was cancelled or failed on our side must not leave the circuit half-open
+        circuitBreaker.endTrial();
+      }
+    }
+  }
+  
+  /**
+   * Work out how long to wait before retrying a failed attempt
+   * @param {number} attempt - Number of the attempt that failed (1-based)
+   * @param {LLMRequestError} error - The classified error
+   * @returns {number|null} - Delay in milliseconds, or null if the call must not be retried
+   * @private
+   */
+  getRetryDelay(attempt, error) {
+    const { maxRetries, retryBaseDelayMs, retryMaxDelayMs } = this.resilience;
+    
+    if (!error.retryable || attempt > maxRetries) {
+      return null;
+    }
+    
+    // Honor the delay the provider asked for, unless it is longer than we are willing to wait
+    if (error.retryAfterMs !== null) {
+      return error.retryAfterMs <= retryMaxDelayMs ? error.retryAfterMs : null;
+    }
+    
+    // Exponential backoff with full jitter
+    const maxDelay = Math.min(retryMaxDelayMs, retryBaseDelayMs * 2 ** (attempt - 1));
+    return Math.round(Math.random() * maxDelay);
+  }
   
   /**
-   * Store the request and response in the request storage
-   * @param {Object} request - The request sent to the LLM
-   * @param {Object} response - The response received from the LLM
+   * Get the circuit breaker for a model, creating it on first use
+   * @param {string} model - The model name
+   * @returns {CircuitBreaker} - The circuit breaker
    * @private
    */
-  async storeRequest(request, response) {
+  getCircuitBreaker(model) {
+    if (!this.circuitBreakers.has(model)) {
+      this.circuitBreakers.set(model, new CircuitBreaker({
+        name: `${this.provider}:${model}`,
+        failureThreshold: this.resilience.circuitBreakerThreshold,
+        resetTimeoutMs: this.resilience.circuitBreakerResetMs
+      }));
+    }
+    return this.circuitBreakers.get(model);
+  }
+  
+  /**
+   * Wait for a number of milliseconds
+   * @param {number} ms - Time to wait
+   * @param {AbortSignal} signal - Optional signal that ends the wait early with an error
+   * @returns {Promise<void>}
+   * @private
+   */
+  sleep(ms, signal = null) {
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        reject(new LLMRequestError('Failed to get LLM response: request aborted', { type: 'aborted' }));
+        return;
+      }
+      
+      const timer = setTimeout(resolve, ms);
+      
+      if (signal) {
+        signal.addEventListener('abort', () => {
+          clearTimeout(timer);
+          reject(new LLMRequestError('Failed to get LLM response: request aborted', { type: 'aborted' }));
+        }, { once: true });
+      }
+    });
+  }
+
+  /**
+   * Read a streamed response body and pass every parsed JSON payload to a callback
+   * @param {ReadableStream} stream - The response stream
+   * @param {string} format - 'sse' for Server-Sent Events, 'ndjson' for one JSON object per line
+   * @param {Function} onData - Called with every parsed JSON payload
+   * @returns {Promise<void>}
+   * @private
+   */
+  async readStream(stream, format, onData) {
+    // Chunks can end in the middle of a multi-byte character; the decoder holds those bytes back for the next chunk
+    const decoder = new StringDecoder('utf8');
+    let buffer = '';
+
+    // Parse a single line, returns true once the end-of-stream marker is reached
+    const handleLine = (line) => {
+      let payload = line.trim();
+
+      if (format === 'sse') {
+        // Only data lines carry payloads, event names are repeated inside the JSON
+        if (!payload.startsWith('data:')) {
+          return false;
+        }
+        payload = payload.slice('data:'.length).trim();
+        if (payload === '[DONE]') {
+          return true;
+        }
+      }
+
+      if (payload) {
+        try {
+          onData(JSON.parse(payload));
+        } catch (error) {
+          logger.error('Error parsing stream chunk', { error });
+        }
+      }
+      return false;
+    };
+
+    for await (const chunk of stream) {
+      buffer += decoder.write(chunk);
+      const lines = buffer.split('\n');
+      // The last line may be incomplete, keep it for the next chunk
+      buffer = lines.pop();
+
+      if (lines.some(handleLine)) {
+        return;
+      }
+    }
+
+    // The last line of a stream does not always end with a newline
+    handleLine(buffer + decoder.end());
+  }
+
+  /**
+   * Make sure the budgets that apply to a call are not used up
+   * @param {Object} meta - Details provided by the caller, with the service and conversationId
+   * @returns {Promise<void>}
+   * @throws {LLMRequestError} - With type 'budget_exceeded' if a budget is used up
+   * @private
+   */
+  async checkBudgets(meta = {}) {
+    await this.budgetService.check({
+      service: meta.service || this.service,
+      conversationId: meta.conversationId || null
+    });
+  }
+
+  /**
+   * Record the start of a call that goes to the provider, in the metrics and as stage 'llm.call' of the request trace
+   * @param {string} model - The model called
+   * @param {Object} meta - Details provided by the caller, with the service
+   * @returns {Function} - Ends the call; takes { outcome, error, usage } and only counts the first time it is called
+   * @private
+   */
+  startCall(model, meta = {}) {
+    const endMetrics = this.metrics.startLLMCall({ model, service: meta.service || this.service });
+    const endStage = startStage('llm.call', { provider: this.adapter.name, model });
+
+    return ({ outcome, error = null, usage = null }) => {
+      endMetrics({ outcome, error, usage });
+      endStage({ outcome, ...(error && { errorType: error.type }) });
+    };
+  }
+
+  /**
+   * Book the tokens of a call to the usage ledger
+   * @param {Object} request - The request body sent to the LLM
+   * @param {Object|null} response - The normalized response received from the LLM, null if the call failed
+   * @param {Object} details - Service, conversationId, cacheHit, error and timestamp of the call
+   * @returns {Promise<Object>} - Service, model, usage and cost to store with the request log entry
+   * @private
+   */
+  async recordUsage(request, response, { service, conversationId, cacheHit, error, timestamp }) {
+    const model = (response && response.model) || request.model;
+    // A cached response reports the tokens of the call that produced it, which were booked back then
+    const usage = response && !cacheHit ? response.usage : null;
+
+    try {
+      const cost = await this.usageTracker.record({ service, model, usage, cacheHit, failed: Boolean(error), conversationId, timestamp });
+      return { service, model, usage, cost };
+    } catch (trackingError) {
+      logger.error('Error recording LLM usage', { error: trackingError });
+      return { service, model, usage, cost: null };
+    }
+  }
+
+  /**
+   * Store the request and response in the request storage and book its usage
+   * The entry carries the ID of the HTTP request that made the call and its trace up to the end of the call.
+   * @param {Object} request - The request body sent to the LLM
+   * @param {Object|null} response - The normalized response received from the LLM, null if the call failed
+   * @param {Object} details - Details about how the call went
+   * @param {Array} details.attempts - Every attempt made, including retries
+   * @param {Object} details.meta - Details provided by the caller (e.g. conversationId, context trimming, service)
+   * @param {string} details.cacheKey - The cache key if the call used the response cache
+   * @param {boolean} details.cacheHit - Whether the response was served from the cache
+   * @param {LLMRequestError} details.error - The final error if the call failed
+   * @private
+   */
+  async storeRequest(request, response, { attempts = [], meta = {}, cacheKey = null, cacheHit = false, error = null } = {}) {
+    const timestamp = new Date().toISOString();
+    const usageEntry = await this.recordUsage(request, response, {
+      service: meta.service || this.service,
+      conversationId: meta.conversationId || null,
+      cacheHit,
+      error,
+      timestamp
+    });
+
     if (this.requestStorage) {
+      const trace = getTraceSnapshot();
       try {
         // Get user message content from the last message in the request
         const userMessages = request.messages.filter(msg => msg.role === 'user');
-        const lastUserMessage = userMessages.length > 0 ? userMessages[userMessages.length - 1].content : '';
-        
-        // Get assistant response content
-        const responseContent = response.choices && response.choices.length > 0 
-          ? response.choices[0].message.content 
-          : '';
+        const lastUserContent = userMessages.length > 0 ? userMessages[userMessages.length - 1].content : '';
+        const lastUserMessage = typeof lastUserContent === 'string' ? lastUserContent : '';
         
         // Create a title from the first few words of the user message
         const titleWords = lastUserMessage.split(' ').slice(0, 5).join(' ');
@@ -101,14 +666,30 @@ export class LLMService {
         // Store the request
         await this.requestStorage.addMessage({
           title,
+          provider: this.provider,
           content: {
             request: request,
-            response: response
+            response: response ? response.raw : null
           },
-          timestamp: new Date().toISOString()
+          attempts,
+          ...meta,
+          // Calls made outside a conversation (text enhancement, review summaries) are logged under their service,
+          // so they never match a conversation and are kept when one is cleared
+          conversationId: meta.conversationId || `${NO_CONVERSATION_PREFIX}${usageEntry.service}`,
+          ...usageEntry,
+          ...(trace && { requestId: trace.requestId, trace }),
+          ...(cacheKey && { cacheKey, cacheHit }),
+          ...(error && {
+            error: {
+              type: error.type,
+              status: error.status,
+              message: error.message
+            }
+          }),
+          timestamp
         });
       } catch (error) {
-        console.error('Error storing LLM request:', error);
+        logger.error('Error storing LLM request', { error });
         // Don't throw - we don't want to fail the main flow if storage fails
       }
     }
@@ -130,8 +711,8 @@ export class LLMService {
     
     const response = await this.sendMessage(messages, options);
     
-    if (response.choices && response.choices.length > 0) {
-      return response.choices[0].message.content;
+    if (response.text) {
+      return response.text;
     }
     
     throw new Error('No response content from LLM');
@@ -142,7 +723,7 @@ export class LLMService {
    * @param {Array} conversation - Array of previous messages
    * @param {string} newMessage - The new user message to add
    * @param {Object} options - Additional options for the API call
-   * @returns {Promise<Object>} - The full response from the LLM
+   * @returns {Promise<Object>} - The conversation and the normalized response from the LLM
    */
   async continueConversation(conversation, newMessage, options = {}) {
     const messages = [...conversation];
@@ -157,9 +738,11 @@ export class LLMService {
     const response = await this.sendMessage(messages, options);
     
     // Add the response to the conversation
-    if (response.choices && response.choices.length > 0) {
-      const assistantMessage = response.choices[0].message;
-      messages.push(assistantMessage);
+    if (response.text) {
+      messages.push({
+        role: 'assistant',
+        content: response.text
+      });
     }
     
     return {
@@ -172,11 +755,11 @@ export class LLMService {
    * Send a message using the additional model if available
    * @param {Array} messages - Array of message objects with role and content
    * @param {Object} options - Additional options for the API call
-   * @returns {Promise<Object>} - The LLM response
+   * @returns {Promise<Object>} - The normalized LLM response
    */
   async sendMessageWithAdditionalModel(messages, options = {}) {
     if (!this.additionalModel) {
-      console.log('No additional model configured, using default model instead');
+      logger.info('No additional model configured, using default model instead');
       return this.sendMessage(messages, options);
     }
     
@@ -197,7 +780,7 @@ export class LLMService {
    */
   async askWithAdditionalModel(content, options = {}) {
     if (!this.additionalModel) {
-      console.log('No additional model configured, using default model instead');
+      logger.info('No additional model configured, using default model instead');
       return this.ask(content, options);
     }
     
@@ -216,8 +799,8 @@ export class LLMService {
     
     const response = await this.sendMessage(messages, additionalOptions);
     
-    if (response.choices && response.choices.length > 0) {
-      return response.choices[0].message.content;
+    if (response.text) {
+      return response.text;
     }
     
     throw new Error('No response content from LLM');
@@ -227,21 +810,25 @@ export class LLMService {
 /**
  * Factory function to create an LLM service with configuration from apiConfig
  * @param {Object} requestStorage - Optional storage for LLM requests
+ * @param {string} service - The service making the calls, which their usage is booked to
  * @returns {LLMService} - Configured LLM service instance
  */
-export const createLLMService = (requestStorage = null) => {
+export const createLLMService = (requestStorage = null, service = null) => {
   // Get configuration from apiConfig.js (which loads from environment variables)
-  const { apiKey, apiUrl, model, additionalModel } = apiConfig.openai;
+  const { provider, apiKey, apiUrl, model, additionalModel, fallbackModels } = apiConfig.openai;
   
-  if (!apiKey || !apiUrl || !model) {
-    throw new Error('Missing required environment variables (LLM_KEY, LLM_API_URL, LLM_MODEL).');
+  if (!apiUrl || !model) {
+    throw new Error('Missing required environment variables (LLM_API_URL, LLM_MODEL).');
   }
   
   return new LLMService({
+    provider,
     apiKey,
     apiUrl,
     model,
     additionalModel,
-    requestStorage
+    fallbackModels,
+    requestStorage,
+    service
   });
 };
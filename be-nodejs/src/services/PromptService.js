@@ -1,6 +1,7 @@
 import { promises as fs } from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { traceStage } from '../tracing/RequestContext.js';
 
 // Get the current file directory in ESM
 const __filename = fileURLToPath(import.meta.url);
@@ -22,6 +23,7 @@ export class PromptService {
 
   /**
    * Loads a prompt by name and returns its content
+   * The load is timed into the trace of the current request as stage 'prompt.load'.
    * @param {string} promptName - Name of the prompt to load
    * @returns {Promise<string>} - The content of the prompt
    * @throws {Error} - If prompt doesn't exist or can't be read
@@ -29,7 +31,7 @@ export class PromptService {
   async loadPrompt(promptName) {
     try {
       const promptPath = path.join(this.promptsPath, promptName);
-      const content = await fs.readFile(promptPath, 'utf8');
+      const content = await traceStage('prompt.load', () => fs.readFile(promptPath, 'utf8'), { prompt: promptName });
       return content;
     } catch (error) {
       throw new Error(`Failed to load prompt "${promptName}": ${error.message}`);
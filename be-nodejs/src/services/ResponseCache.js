@@ -0,0 +1,259 @@
+import { createHash } from 'crypto';
+import { apiConfig } from '../config/apiConfig.js';
+import { createResponseCacheStorage } from '../storage/ResponseCacheStorage.js';
+import { createStorageCipher } from '../storage/StorageCipher.js';
+import { createLogger } from '../logging/Logger.js';
+
+const logger = createLogger('ResponseCache');
+
+/**
+ * Cache of normalized LLM responses keyed by a hash of the request
+ * Entries expire after the TTL; beyond the maximum number of entries the least recently used ones are evicted.
+ * Entries are kept in memory (in least recently used order) and written through to the storage.
+ */
+export class ResponseCache {
+  /**
+   * Constructor
+   * @param {Object} storage - Storage the entries are persisted in
+   * @param {Object} config - Cache settings (see apiConfig.cache)
+   */
+  constructor(storage, config = apiConfig.cache) {
+    this.storage = storage;
+    this.config = config;
+    this.entries = null;
+    this.loading = null;
+    this.stats = { hits: 0, misses: 0 };
+  }
+
+  /**
+   * Whether caching is switched on globally
+   * @returns {boolean}
+   */
+  get enabled() {
+    return this.config.enabled;
+  }
+
+  /**
+   * Create the cache key of a request
+   * The request body is serialized with sorted keys, so the same request always gives the same key.
+   * @param {string} provider - The provider the request is sent to
+   * @param {Object} requestBody - The provider request body (model, messages and parameters)
+   * @returns {string} - The cache key (sha256 hex digest)
+   */
+  createKey(provider, requestBody) {
+    return createHash('sha256')
+      .update(stableStringify({ provider, request: requestBody }))
+      .digest('hex');
+  }
+
+  /**
+   * Get a cached response
+   * @param {string} key - The cache key
+   * @returns {Promise<Object|null>} - The cached normalized response, or null on a miss
+   */
+  async get(key) {
+    const entries = await this.load();
+    const entry = entries.get(key);
+
+    if (!entry || Date.parse(entry.expiresAt) <= Date.now()) {
+      if (entry) {
+        entries.delete(key);
+        await this.persist();
+      }
+      this.stats.misses++;
+      return null;
+    }
+
+    // Move the entry to the end, it is now the most recently used one
+    entries.delete(key);
+    entries.set(key, {
+      ...entry,
+      hits: entry.hits + 1,
+      lastUsedAt: new Date().toISOString()
+    });
+    await this.persist();
+
+    this.stats.hits++;
+    return entry.response;
+  }
+
+  /**
+   * Store a response
+   * @param {string} key - The cache key
+   * @param {Object} response - The normalized response to cache
+   * @returns {Promise<boolean>} - False if the response was too large to cache
+   */
+  async set(key, response) {
+    const size = Buffer.byteLength(JSON.stringify(response));
+    if (size > this.config.maxEntryBytes) {
+      logger.info('Response is too large for the cache, not caching it', { bytes: size, maxEntryBytes: this.config.maxEntryBytes });
+      return false;
+    }
+
+    const entries = await this.load();
+    const now = new Date();
+
+    entries.delete(key);
+    entries.set(key, {
+      model: response.model,
+      createdAt: now.toISOString(),
+      expiresAt: new Date(now.getTime() + this.config.ttlMs).toISOString(),
+      lastUsedAt: now.toISOString(),
+      hits: 0,
+      size,
+      response
+    });
+
+    this.evict(entries);
+    await this.persist();
+    return true;
+  }
+
+  /**
+   * Get all cache entries without the cached responses, most recently used first
+   * @returns {Promise<Array>} - Entries with key, model, timestamps, hits, size and a preview of the text
+   */
+  async list() {
+    const entries = await this.load();
+
+    return [...entries.entries()].reverse().map(([key, entry]) => ({
+      key,
+      model: entry.model,
+      createdAt: entry.createdAt,
+      expiresAt: entry.expiresAt,
+      lastUsedAt: entry.lastUsedAt,
+      hits: entry.hits,
+      size: entry.size,
+      expired: Date.parse(entry.expiresAt) <= Date.now(),
+      preview: entry.response.text.substring(0, 100)
+    }));
+  }
+
+  /**
+   * Get cache statistics
+   * @returns {Promise<Object>} - Number of entries, hits and misses since start, and the settings
+   */
+  async getStats() {
+    const entries = await this.load();
+
+    return {
+      enabled: this.config.enabled,
+      entries: entries.size,
+      hits: this.stats.hits,
+      misses: this.stats.misses,
+      ttlMs: this.config.ttlMs,
+      maxEntries: this.config.maxEntries,
+      maxEntryBytes: this.config.maxEntryBytes
+    };
+  }
+
+  /**
+   * Remove a single entry
+   * @param {string} key - The cache key
+   * @returns {Promise<boolean>} - True if the entry existed
+   */
+  async delete(key) {
+    const entries = await this.load();
+    const deleted = entries.delete(key);
+
+    if (deleted) {
+      await this.persist();
+    }
+    return deleted;
+  }
+
+  /**
+   * Remove all entries
+   * @returns {Promise<number>} - Number of removed entries
+   */
+  async clear() {
+    const entries = await this.load();
+    const count = entries.size;
+
+    entries.clear();
+    await this.persist();
+    return count;
+  }
+
+  /**
+   * Drop expired entries, then the least recently used ones beyond the maximum
+   * @param {Map} entries - The entries, least recently used first
+   * @private
+   */
+  evict(entries) {
+    const now = Date.now();
+    for (const [key, entry] of entries) {
+      if (Date.parse(entry.expiresAt) <= now) {
+        entries.delete(key);
+      }
+    }
+
+    while (entries.size > this.config.maxEntries) {
+      entries.delete(entries.keys().next().value);
+    }
+  }
+
+  /**
+   * Load the entries from storage on first use
+   * @returns {Promise<Map>} - The entries, least recently used first
+   * @private
+   */
+  async load() {
+    if (!this.loading) {
+      this.loading = this.storage.readEntries().then(data => {
+        this.entries = new Map(Object.entries(data));
+        return this.entries;
+      }, error => {
+        // Try again on the next use instead of failing every lookup
+        this.loading = null;
+        throw error;
+      });
+    }
+    return this.loading;
+  }
+
+  /**
+   * Write the entries to storage
+   * @returns {Promise<void>}
+   * @private
+   */
+  async persist() {
+    await this.storage.writeEntries(Object.fromEntries(this.entries));
+  }
+}
+
+/**
+ * Serialize a value to JSON with object keys sorted, so equal values always give the same string
+ * @param {*} value - The value to serialize
+ * @returns {string} - JSON string
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+
+  return JSON.stringify(value);
+}
+
+// Every service creates its own LLMService, so they all share one cache
+let sharedCache = null;
+
+/**
+ * Get the shared response cache
+ * @returns {ResponseCache} - The response cache, created on first use from apiConfig.cache, encrypted like the other storages
+ */
+export const getResponseCache = () => {
+  if (!sharedCache) {
+    const storage = createResponseCacheStorage(apiConfig.cache.filePath, createStorageCipher(apiConfig.storage.encryption));
+    sharedCache = new ResponseCache(storage, apiConfig.cache);
+  }
+  return sharedCache;
+};
@@ -3,6 +3,9 @@ import { PromptService } from './PromptService.js';
 import { createDebugStorage } from '../storage/DebugStorage.js';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { createLogger } from '../logging/Logger.js';
+
+const logger = createLogger('ReviewSummaryService');
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -12,13 +15,18 @@ const __dirname = path.dirname(__filename);
  * using AI to generate comprehensive summaries for customers.
  */
 class ReviewSummaryService {
-    constructor(requestStorage = null) {
+    /**
+     * Constructor
+     * @param {MessageStorageInterface} requestStorage - Storage for request logging
+     * @param {StorageCipher|null} storageCipher - Encrypts the debug file (plain JSON if omitted)
+     */
+    constructor(requestStorage = null, storageCipher = null) {
         this.promptService = new PromptService();
         this.llmService = this.initializeLLMService(requestStorage);
         
         // Initialize debug storage
         const debugFilePath = path.join(__dirname, '../../review-summarizer-debug.json');
-        this.debugStorage = createDebugStorage(debugFilePath);
+        this.debugStorage = createDebugStorage(debugFilePath, storageCipher);
     }
 
     /**
@@ -27,9 +35,9 @@ class ReviewSummaryService {
      */
     initializeLLMService(requestStorage) {
         if (requestStorage) {
-            return createLLMService(requestStorage);
+            return createLLMService(requestStorage, 'summarize-reviews');
         } else {
-            return createLLMService();
+            return createLLMService(null, 'summarize-reviews');
         }
     }
 
@@ -116,7 +124,8 @@ class ReviewSummaryService {
                 }
             ];
 
-            const response = await this.llmService.sendMessage(messages);
+            // Identical reviews give an identical prompt, so repeated summaries are served from the cache
+            const response = await this.llmService.sendMessage(messages, { cache: true });
             
             // Store debug information
             await this.debugStorage.storeDebugInfo({
@@ -129,12 +138,12 @@ class ReviewSummaryService {
             });
             
             // Validate response structure
-            if (!response || !response.choices || !response.choices[0] || !response.choices[0].message) {
+            if (!response) {
                 throw new Error('Invalid response from AI service');
             }
             
             // Extract content from the response
-            const content = response.choices[0].message.content;
+            const content = response.text;
             
             if (!content || typeof content !== 'string') {
                 throw new Error('No valid content in AI response');
@@ -142,8 +151,8 @@ class ReviewSummaryService {
             
             return content;
         } catch (error) {
-            console.error('Error requesting AI summary:', error);
-            throw new Error(`Failed to generate summary: ${error.message}`);
+            logger.error('Error requesting AI summary', { error });
+            throw new Error(`Failed to generate summary: ${error.message}`, { cause: error });
         }
     }
 
@@ -232,10 +241,11 @@ class ReviewSummaryService {
 /**
  * Factory function to create a ReviewSummaryService instance
  * @param {MessageStorageInterface} requestStorage - Storage for request logging
+ * @param {StorageCipher|null} storageCipher - Encrypts the debug file (plain JSON if omitted)
  * @returns {ReviewSummaryService} Configured service instance
  */
-export function createReviewSummaryService(requestStorage) {
-    return new ReviewSummaryService(requestStorage);
+export function createReviewSummaryService(requestStorage, storageCipher = null) {
+    return new ReviewSummaryService(requestStorage, storageCipher);
 }
 
 export { ReviewSummaryService };
@@ -0,0 +1,251 @@
+import { createLLMService } from './LLMService.js';
+import { PromptService } from './PromptService.js';
+import { apiConfig } from '../config/apiConfig.js';
+import { createLogger } from '../logging/Logger.js';
+
+const logger = createLogger('SecurityCheckService');
+
+// Verdicts the classifier prompt asks for
+const VERDICTS = ['safe', 'injection'];
+
+/**
+ * Patterns of common prompt injection and jailbreak attempts.
+ * Strong signals weigh 1 and flag a message on their own with the default threshold,
+ * weaker signals only flag a message together with another match.
+ */
+const HEURISTIC_RULES = [
+  {
+    id: 'ignore-instructions',
+    weight: 1,
+    pattern: /\b(ignore|disregard|forget|override)\b[^.\n]{0,40}\b(previous|prior|above|earlier|all|your|system)\b[^.\n]{0,20}\b(instructions?|rules|prompts?|guidelines|directives)\b/i
+  },
+  {
+    id: 'reveal-system-prompt',
+    weight: 1,
+    pattern: /\b(reveal|show|print|repeat|output|leak|tell me)\b[^.\n]{0,40}\b(system|hidden|initial|original)\s+(prompt|instructions?|message)\b/i
+  },
+  {
+    id: 'jailbreak-persona',
+    weight: 1,
+    pattern: /\b(you are now|act as|pretend (to be|you are)|from now on you are)\b[^.\n]{0,60}\b(DAN|jailbroken|unfiltered|uncensored|developer mode|no (restrictions|rules|limits|filters))\b/i
+  },
+  {
+    id: 'do-anything-now',
+    weight: 1,
+    pattern: /\b(do anything now|developer mode (enabled|on)|jailbreak mode)\b/i
+  },
+  {
+    id: 'fake-system-message',
+    weight: 1,
+    pattern: /(<\/?\s*system\s*>|\[\s*system\s*\]|^\s*#{1,3}\s*system\b|^\s*system\s*:)/im
+  },
+  {
+    id: 'bypass-safety',
+    weight: 0.5,
+    pattern: /\b(bypass|disable|turn off|get around)\b[^.\n]{0,30}\b(filters?|safety|guardrails|restrictions|guidelines|moderation)\b/i
+  },
+  {
+    id: 'no-restrictions',
+    weight: 0.5,
+    pattern: /\b(without|no)\s+(any\s+)?(restrictions|censorship|limitations|ethical guidelines)\b/i
+  },
+  {
+    id: 'jailbreak-keyword',
+    weight: 0.5,
+    pattern: /\bjailbreak/i
+  }
+];
+
+/**
+ * Service checking chat messages for prompt injection and jailbreak attempts before they reach the model
+ * The check runs a list of stages; the built-in stages are chosen by the configured mode and more can be
+ * added with addCheck(). A message is flagged as soon as one stage flags it.
+ */
+export class SecurityCheckService {
+  /**
+   * Constructor
+   * @param {Object} requestStorage - The storage to use for saving LLM requests of the classifier
+   * @param {Object} config - Security settings (see apiConfig.security)
+   */
+  constructor(requestStorage = null, config = apiConfig.security) {
+    this.config = config;
+    this.promptService = new PromptService();
+    this.checks = [];
+
+    const mode = (config.mode || 'heuristic').toLowerCase();
+
+    if (mode === 'heuristic' || mode === 'both') {
+      this.addCheck({ name: 'heuristic', run: (content) => this.runHeuristicCheck(content) });
+    }
+
+    if (mode === 'classifier' || mode === 'both') {
+      this.llmService = this.initializeLLMService(requestStorage);
+      this.addCheck({ name: 'classifier', run: (content, context) => this.runClassifierCheck(content, context) });
+    }
+  }
+
+  /**
+   * Initialize the LLM service used by the classifier
+   * @param {Object} requestStorage - The storage for LLM requests
+   * @returns {Object} - Initialized LLM service
+   * @private
+   */
+  initializeLLMService(requestStorage) {
+    try {
+      return createLLMService(requestStorage, 'security-check');
+    } catch (error) {
+      logger.error('Error initializing LLM service', { error });
+      throw new Error(`Failed to initialize SecurityCheckService: ${error.message}`);
+    }
+  }
+
+  /**
+   * Add a check stage
+   * @param {Object} check - The check
+   * @param {string} check.name - Name reported with the result
+   * @param {Function} check.run - async (content, context) => ({ flagged, reasons })
+   * @returns {SecurityCheckService} - The service, for chaining
+   */
+  addCheck(check) {
+    this.checks.push(check);
+    return this;
+  }
+
+  /**
+   * Check a message
+   * @param {string} content - The message content
+   * @param {Object} context - Details about the message (conversationId)
+   * @returns {Promise<Object>} - flagged, the name of the stage that flagged it (checkedBy) and the reasons
+   */
+  async checkMessage(content, context = {}) {
+    for (const check of this.checks) {
+      const result = await check.run(content, context);
+
+      if (result.flagged) {
+        logger.warn('Security check flagged a message', { check: check.name, reasons: result.reasons, conversationId: context.conversationId });
+        return {
+          flagged: true,
+          checkedBy: check.name,
+          reasons: result.reasons
+        };
+      }
+    }
+
+    return {
+      flagged: false,
+      checkedBy: null,
+      reasons: []
+    };
+  }
+
+  /**
+   * Match the message against the heuristic rules
+   * @param {string} content - The message content
+   * @returns {Object} - flagged and the ids of the matching rules
+   * @private
+   */
+  runHeuristicCheck(content) {
+    const matches = HEURISTIC_RULES.filter(rule => rule.pattern.test(content));
+    const score = matches.reduce((total, rule) => total + rule.weight, 0);
+
+    return {
+      flagged: score >= this.config.heuristicThreshold,
+      reasons: matches.map(rule => rule.id)
+    };
+  }
+
+  /**
+   * Ask the LLM whether the message is an injection attempt
+   * @param {string} content - The message content
+   * @param {Object} context - Details about the message (conversationId)
+   * @returns {Promise<Object>} - flagged and the reason given by the classifier
+   * @private
+   */
+  async runClassifierCheck(content, context = {}) {
+    try {
+      const classifierPrompt = await this.promptService.loadPrompt('security-check.prompt.xml');
+      const response = await this.llmService.sendMessage([
+        {
+          role: 'system',
+          content: classifierPrompt
+        },
+        {
+          role: 'user',
+          content: `<message>\n${content}\n</message>`
+        }
+      ], {
+        ...(this.config.classifierModel && { model: this.config.classifierModel }),
+        temperature: 0,
+        max_tokens: 100,
+        meta: { conversationId: context.conversationId || null, purpose: 'security-check' }
+      });
+
+      const verdict = this.parseClassifierVerdict(response.text);
+      if (!verdict.verdict) {
+        // Guessing from an unclear reply could let an injection through, so the patterns decide instead
+        logger.warn('Security classifier reply has no clear verdict, using the heuristic check', { reply: response.text });
+        return this.runHeuristicCheck(content);
+      }
+      return {
+        flagged: verdict.verdict === 'injection',
+        reasons: verdict.reason ? [`classifier: ${verdict.reason}`] : ['classifier']
+      };
+    } catch (error) {
+      // A used up budget is not an outage of the classifier, the message must not get through unchecked
+      if (error.type === 'budget_exceeded') {
+        throw error;
+      }
+      logger.error('Error running security classifier', { error });
+      return this.config.failOpen
+        ? { flagged: false, reasons: [] }
+        : { flagged: true, reasons: ['classifier unavailable'] };
+    }
+  }
+
+  /**
+   * Read the verdict from the classifier reply
+   * The reply should be JSON, but a line holding just the verdict or a 'verdict:' field is accepted too.
+   * Words elsewhere in the text don't count, "not an injection" is no verdict.
+   * @param {string} text - The classifier reply
+   * @returns {Object} - verdict ('safe', 'injection' or null if the reply has no clear verdict) and reason
+   * @private
+   */
+  parseClassifierVerdict(text) {
+    const json = text.match(/\{[\s\S]*\}/);
+
+    if (json) {
+      try {
+        const parsed = JSON.parse(json[0]);
+        const verdict = String(parsed.verdict || '').toLowerCase();
+        if (VERDICTS.includes(verdict)) {
+          return {
+            verdict,
+            reason: parsed.reason || null
+          };
+        }
+      } catch (error) {
+        // Fall through to the plain text check
+      }
+    }
+
+    const verdicts = new Set(text.split('\n')
+      .map(line => line.trim().match(/^(?:verdict\s*:\s*)?["'`*]*(safe|injection)["'`*]*\.?$/i))
+      .filter(Boolean)
+      .map(match => match[1].toLowerCase()));
+
+    return {
+      // Both verdicts in one reply are as unclear as none
+      verdict: verdicts.size === 1 ? [...verdicts][0] : null,
+      reason: null
+    };
+  }
+}
+
+/**
+ * Factory function to create a security check service
+ * @param {Object} requestStorage - Optional storage for the classifier's LLM requests
+ * @returns {SecurityCheckService} - Configured security check service instance
+ */
+export const createSecurityCheckService = (requestStorage = null) => {
+  return new SecurityCheckService(requestStorage);
+};
@@ -1,5 +1,8 @@
 import { createLLMService } from './LLMService.js';
 import { PromptService } from './PromptService.js';
+import { createLogger } from '../logging/Logger.js';
+
+const logger = createLogger('TextEnhancementService');
 
 /**
  * Service for text enhancement functionality
@@ -23,9 +26,9 @@ export class TextEnhancementService {
    */
   initializeLLMService(requestStorage) {
     try {
-      return createLLMService(requestStorage);
+      return createLLMService(requestStorage, 'enhance-text');
     } catch (error) {
-      console.error('Error initializing LLM service:', error);
+      logger.error('Error initializing LLM service', { error });
       throw new Error(`Failed to initialize TextEnhancementService: ${error.message}`);
     }
   }
@@ -46,7 +49,7 @@ export class TextEnhancementService {
       return this.buildSuccessResponse(originalText, enhancedContent);
     } catch (error) {
       this.logEnhancementError(error);
-      throw new Error(`Text enhancement failed: ${error.message}`);
+      throw new Error(`Text enhancement failed: ${error.message}`, { cause: error });
     }
   }
 
@@ -74,17 +77,18 @@ export class TextEnhancementService {
   }
 
   async sendToLLM(messages) {
-    return await this.llmService.sendMessage(messages);
+    // The same text always gets the same prompt, so repeated enhancements are served from the cache
+    return await this.llmService.sendMessage(messages, { cache: true });
   }
 
   validateLLMResponse(llmResponse) {
-    if (!llmResponse || !llmResponse.choices || !llmResponse.choices[0] || !llmResponse.choices[0].message) {
+    if (!llmResponse || !llmResponse.text) {
       throw new Error('Invalid response from LLM service');
     }
   }
 
   extractEnhancedContent(llmResponse) {
-    return llmResponse.choices[0].message.content;
+    return llmResponse.text;
   }
 
   buildSuccessResponse(originalText, enhancedContent) {
@@ -97,7 +101,7 @@ export class TextEnhancementService {
   }
 
   logEnhancementError(error) {
-    console.error('Error enhancing text:', error);
+    logger.error('Error enhancing text', { error });
   }
 }
 
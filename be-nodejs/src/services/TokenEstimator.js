@@ -0,0 +1,80 @@
+/**
+ * Characters per token and context window for known model families.
+ * Without shipping a tokenizer for every provider we estimate tokens from text length;
+ * the ratios are deliberately a bit pessimistic so estimates err on the safe side.
+ */
+const MODEL_PROFILES = [
+  { pattern: /^(gpt-4\.1|gpt-4o|gpt-5|o\d)/i, charsPerToken: 3.8, contextWindow: 128000 },
+  { pattern: /^gpt-4-turbo/i, charsPerToken: 3.8, contextWindow: 128000 },
+  { pattern: /^gpt-4/i, charsPerToken: 3.8, contextWindow: 8192 },
+  { pattern: /^gpt-3\.5/i, charsPerToken: 3.8, contextWindow: 16385 },
+  { pattern: /^claude/i, charsPerToken: 3.5, contextWindow: 200000 },
+  { pattern: /(llama|mistral|mixtral|qwen|gemma|phi)/i, charsPerToken: 3.2, contextWindow: 8192 }
+];
+
+const DEFAULT_PROFILE = { charsPerToken: 3.5, contextWindow: 8192 };
+
+// Tokens every message costs on top of its content (role, separators)
+const MESSAGE_OVERHEAD_TOKENS = 4;
+
+/**
+ * Estimates token counts of chat messages for a specific model
+ */
+export class TokenEstimator {
+  /**
+   * Constructor
+   * @param {string} model - The model the estimates are made for
+   */
+  constructor(model) {
+    this.model = model;
+    this.profile = MODEL_PROFILES.find(profile => profile.pattern.test(model || '')) || DEFAULT_PROFILE;
+  }
+
+  /**
+   * Context window of the model in tokens
+   * @returns {number}
+   */
+  get contextWindow() {
+    return this.profile.contextWindow;
+  }
+
+  /**
+   * Estimate the number of tokens in a text
+   * @param {string} text - The text to estimate
+   * @returns {number} - Estimated token count
+   */
+  estimateText(text) {
+    if (!text) {
+      return 0;
+    }
+    const content = typeof text === 'string' ? text : JSON.stringify(text);
+    return Math.ceil(content.length / this.profile.charsPerToken);
+  }
+
+  /**
+   * Estimate the number of tokens a single chat message takes
+   * @param {Object} message - Message with role and content, and toolCalls if the model called tools
+   * @returns {number} - Estimated token count
+   */
+  estimateMessage(message) {
+    return this.estimateText(message.content) + this.estimateText(message.toolCalls) + MESSAGE_OVERHEAD_TOKENS;
+  }
+
+  /**
+   * Estimate the number of tokens a list of chat messages takes
+   * @param {Array} messages - Messages with role and content
+   * @returns {number} - Estimated token count
+   */
+  estimateMessages(messages) {
+    return messages.reduce((total, message) => total + this.estimateMessage(message), 0);
+  }
+}
+
+/**
+ * Factory function to create a token estimator for a model
+ * @param {string} model - The model name
+ * @returns {TokenEstimator} - Token estimator instance
+ */
+export const createTokenEstimator = (model) => {
+  return new TokenEstimator(model);
+};
@@ -0,0 +1,320 @@
+import { htmlToMarkdown } from './HtmlToMarkdown.js';
+import { sanitizeHtml } from './HtmlSanitizer.js';
+import { MESSAGE_FIELDS, getMessageErrors } from '../storage/MessageSchema.js';
+
+// Identifies the JSON export, so an import can tell it apart from other JSON files
+export const TRANSCRIPT_FORMAT = 'ai-talk-conversation';
+export const TRANSCRIPT_VERSION = 1;
+
+export const EXPORT_FORMATS = {
+  json: { contentType: 'application/json', extension: 'json' },
+  md: { contentType: 'text/markdown', extension: 'md' },
+  html: { contentType: 'text/html', extension: 'html' }
+};
+
+export const IMPORT_MODES = ['append', 'replace'];
+
+// Message fields kept on import; everything else is dropped and the conversation is the one imported into
+const IMPORTED_FIELDS = ['role', 'content', ...Object.keys(MESSAGE_FIELDS).filter(field => field !== 'conversationId')];
+
+// Stop listing validation errors after this many
+const MAX_REPORTED_ERRORS = 20;
+
+/**
+ * Escape text for use in HTML
+ * @param {string} text - The text
+ * @returns {string} - The escaped text
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Service for exporting conversations as JSON, Markdown or HTML transcripts and importing JSON transcripts
+ */
+export class TranscriptService {
+  /**
+   * Constructor
+   * @param {Object} chatService - The chat service holding the conversations
+   */
+  constructor(chatService) {
+    if (!chatService) {
+      throw new Error('Chat service is required for TranscriptService');
+    }
+    this.chatService = chatService;
+  }
+
+  /**
+   * Export a conversation
+   * @param {string} conversationId - The conversation id
+   * @param {string} format - Export format: json, md or html
+   * @returns {Promise<Object>} - The export with content, contentType and fileName
+   */
+  async exportConversation(conversationId, format = 'json') {
+    const exportFormat = EXPORT_FORMATS[format];
+    if (!exportFormat) {
+      throw new Error(`Unsupported export format: ${format}`);
+    }
+
+    const conversation = await this.chatService.getConversation(conversationId);
+    const messages = await this.chatService.getAllMessages(null, conversationId);
+    const exportedAt = new Date().toISOString();
+
+    let content;
+    if (format === 'md') {
+      content = this.toMarkdown(conversation, messages, exportedAt);
+    } else if (format === 'html') {
+      content = this.toHtml(conversation, messages, exportedAt);
+    } else {
+      content = JSON.stringify(this.toJsonDocument(conversation, messages, exportedAt), null, 2);
+    }
+
+    return {
+      content,
+      contentType: exportFormat.contentType,
+      fileName: `${this.getFileBaseName(conversation)}-${exportedAt.slice(0, 10)}.${exportFormat.extension}`
+    };
+  }
+
+  /**
+   * Build the JSON export document
+   * @param {Object} conversation - The conversation
+   * @param {Array} messages - Its messages, oldest first
+   * @param {string} exportedAt - Time of the export
+   * @returns {Object} - The document
+   * @private
+   */
+  toJsonDocument(conversation, messages, exportedAt) {
+    return {
+      format: TRANSCRIPT_FORMAT,
+      version: TRANSCRIPT_VERSION,
+      exportedAt,
+      conversation: {
+        id: conversation.id,
+        title: conversation.title,
+        createdAt: conversation.createdAt,
+        updatedAt: conversation.updatedAt
+      },
+      // Ids belong to the storage the messages came from, an import assigns new ones
+      messages: messages.map(({ id, conversationId, ...message }) => message)
+    };
+  }
+
+  /**
+   * Get the messages shown in the readable transcripts: the chat bubbles, without tool calls and results
+   * @param {Array} messages - All messages of the conversation
+   * @returns {Array} - The user and assistant messages with content
+   * @private
+   */
+  getTranscriptMessages(messages) {
+    return messages.filter(message => (message.role === 'user' || message.role === 'assistant') && message.content);
+  }
+
+  /**
+   * Describe who wrote a message, with the model of a reply
+   * @param {Object} message - The message
+   * @returns {string} - The label
+   * @private
+   */
+  getSpeaker(message) {
+    if (message.role === 'user') {
+      return 'You';
+    }
+    return message.model ? `Assistant (${message.model})` : 'Assistant';
+  }
+
+  /**
+   * Build the Markdown transcript; the assistant's HTML replies are converted to Markdown
+   * @param {Object} conversation - The conversation
+   * @param {Array} messages - Its messages, oldest first
+   * @param {string} exportedAt - Time of the export
+   * @returns {string} - Markdown
+   * @private
+   */
+  toMarkdown(conversation, messages, exportedAt) {
+    const transcript = this.getTranscriptMessages(messages);
+
+    const sections = transcript.map(message => {
+      const notes = [
+        message.securityFlagged && 'flagged by the security check, not sent to the assistant',
+        message.partial && 'cut off before it finished'
+      ].filter(Boolean);
+
+      const header = `**${this.getSpeaker(message)}** · ${message.timestamp}${notes.length > 0 ? ` · _${notes.join(', ')}_` : ''}`;
+      const body = message.role === 'assistant' ? htmlToMarkdown(message.content) : message.content.trim();
+
+      return `${header}\n\n${body}`;
+    });
+
+    return [
+      `# ${conversation.title}\n\n_Exported ${exportedAt} · ${transcript.length} messages_`,
+      ...sections
+    ].join('\n\n---\n\n') + '\n';
+  }
+
+  /**
+   * Build a standalone HTML transcript
+   * The assistant's replies are already HTML; they are reduced to the formatting the chat renders, so a reply
+   * with markup from an imported transcript can't run scripts in the exported page.
+   * @param {Object} conversation - The conversation
+   * @param {Array} messages - Its messages, oldest first
+   * @param {string} exportedAt - Time of the export
+   * @returns {string} - HTML document
+   * @private
+   */
+  toHtml(conversation, messages, exportedAt) {
+    const transcript = this.getTranscriptMessages(messages);
+
+    const items = transcript.map(message => {
+      const body = message.role === 'assistant'
+        ? sanitizeHtml(message.content)
+        : escapeHtml(message.content.trim()).replace(/\n/g, '<br>');
+      const flagged = message.securityFlagged ? ' flagged' : '';
+
+      return `    <div class="message ${message.role}${flagged}">
+      <div class="meta">${escapeHtml(this.getSpeaker(message))} · ${escapeHtml(new Date(message.timestamp).toLocaleString())}</div>
+      <div class="content">${body}</div>
+    </div>`;
+    });
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>${escapeHtml(conversation.title)}</title>
+  <style>
+    body { font-family: Arial, sans-serif; max-width: 800px; margin: 0 auto; padding: 20px; background: #f5f5f5; color: #333; }
+    .exported { color: #777; font-size: 0.85em; }
+    .message { padding: 10px 15px; margin: 12px 0; border-radius: 10px; }
+    .message.user { background: #e3f2fd; margin-left: 60px; }
+    .message.assistant { background: white; margin-right: 60px; }
+    .message.flagged { background: #fce4ec; }
+    .meta { font-size: 0.75em; color: #999; margin-bottom: 6px; }
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(conversation.title)}</h1>
+  <p class="exported">Exported ${escapeHtml(exportedAt)} · ${transcript.length} messages</p>
+  <div class="transcript">
+${items.join('\n')}
+  </div>
+</body>
+</html>
+`;
+  }
+
+  /**
+   * Turn the conversation title into a file name
+   * @param {Object} conversation - The conversation
+   * @returns {string} - File name without extension
+   * @private
+   */
+  getFileBaseName(conversation) {
+    const slug = String(conversation.title || '')
+      .toLowerCase()
+      .normalize('NFKD')
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '')
+      .slice(0, 50);
+    return slug || 'conversation';
+  }
+
+  /**
+   * Check an import document and pick the messages out of it
+   * Accepts a JSON export of this service or a plain array of messages (such as messages.json).
+   * @param {Object|Array} document - The parsed import document
+   * @returns {Object} - The messages to import, and the list of problems (empty if the document is valid)
+   */
+  validateImport(document) {
+    let messages = document;
+
+    if (!Array.isArray(document)) {
+      if (!document || typeof document !== 'object') {
+        return { messages: [], errors: ['Expected a conversation export or an array of messages'] };
+      }
+      if (document.format !== undefined && document.format !== TRANSCRIPT_FORMAT) {
+        return { messages: [], errors: [`Unknown format "${document.format}", expected "${TRANSCRIPT_FORMAT}"`] };
+      }
+      if (document.version !== undefined && document.version > TRANSCRIPT_VERSION) {
+        return { messages: [], errors: [`Export version ${document.version} is newer than the supported version ${TRANSCRIPT_VERSION}`] };
+      }
+      if (!Array.isArray(document.messages)) {
+        return { messages: [], errors: ['messages must be an array'] };
+      }
+      messages = document.messages;
+    }
+
+    const errors = [];
+    const imported = [];
+
+    messages.forEach((message, index) => {
+      const messageErrors = getMessageErrors(message).map(error => `messages[${index}]: ${error}`);
+      errors.push(...messageErrors);
+
+      if (messageErrors.length === 0) {
+        imported.push(this.pickImportedFields(message));
+      }
+    });
+
+    if (messages.length === 0) {
+      errors.push('There are no messages to import');
+    }
+
+    return {
+      messages: imported,
+      errors: errors.length > MAX_REPORTED_ERRORS
+        ? [...errors.slice(0, MAX_REPORTED_ERRORS), `... and ${errors.length - MAX_REPORTED_ERRORS} more problems`]
+        : errors
+    };
+  }
+
+  /**
+   * Keep the known fields of an imported message
+   * @param {Object} message - The validated message
+   * @returns {Object} - The message to store
+   * @private
+   */
+  pickImportedFields(message) {
+    const picked = {};
+    for (const field of IMPORTED_FIELDS) {
+      if (message[field] !== undefined && message[field] !== null) {
+        picked[field] = message[field];
+      }
+    }
+    return picked;
+  }
+
+  /**
+   * Import a conversation export into a conversation
+   * @param {string} conversationId - The conversation to import into
+   * @param {Object|Array} document - The parsed import document
+   * @param {string} mode - append adds the messages after the existing ones, replace removes the existing ones once the new ones are stored
+   * @returns {Promise<Object>} - The number of imported messages, or the validation errors
+   */
+  async importConversation(conversationId, document, mode = 'append') {
+    if (!IMPORT_MODES.includes(mode)) {
+      throw new Error(`Unsupported import mode: ${mode}`);
+    }
+
+    const { messages, errors } = this.validateImport(document);
+    if (errors.length > 0) {
+      return { imported: 0, errors };
+    }
+
+    const stored = await this.chatService.importMessages(messages, conversationId, { replace: mode === 'replace' });
+    return { imported: stored.length, errors: [] };
+  }
+}
+
+/**
+ * Create a new transcript service
+ * @param {Object} chatService - The chat service holding the conversations
+ * @returns {TranscriptService} - New transcript service instance
+ */
+export const createTranscriptService = (chatService) => {
+  return new TranscriptService(chatService);
+};
@@ -0,0 +1,300 @@
+import { promises as fs } from 'fs';
+import { apiConfig } from '../config/apiConfig.js';
+import { createUsageStorage } from '../storage/UsageStorage.js';
+import { createLogger } from '../logging/Logger.js';
+
+const logger = createLogger('UsageTracker');
+
+// Prices in the price table are per million tokens
+const PRICE_UNIT_TOKENS = 1000000;
+
+// Counters kept per day, service and model
+const COUNTERS = ['calls', 'cachedCalls', 'failedCalls', 'unpricedCalls', 'promptTokens', 'completionTokens', 'totalTokens', 'cost'];
+
+/**
+ * Ledger of the tokens every LLM call used and what they cost
+ * Calls are added up per day (UTC), service and model, and per conversation for the conversation budgets. The ledger
+ * is kept apart from the request log, so the numbers survive the log retention and cleared conversations. Responses
+ * served from the cache are counted but cost nothing; calls of models missing from the price table are counted as unpriced.
+ */
+export class UsageTracker {
+  /**
+   * Constructor
+   * @param {Object} storage - Storage the ledger is persisted in
+   * @param {Object} config - Usage settings (see apiConfig.usage)
+   */
+  constructor(storage, config = apiConfig.usage) {
+    this.storage = storage;
+    this.config = config;
+    this.entries = null;
+    this.conversations = null;
+    this.prices = null;
+    this.loading = null;
+  }
+
+  /**
+   * Record an LLM call
+   * @param {Object} call - The call
+   * @param {string} call.service - The service that made the call (e.g. 'chat', 'enhance-text', 'summarize-reviews'),
+   *   'other' if it didn't say
+   * @param {string} call.model - The model the call went to
+   * @param {Object|null} call.usage - Token usage with promptTokens and completionTokens, null if none was reported
+   * @param {boolean} call.cacheHit - Whether the response was served from the cache
+   * @param {boolean} call.failed - Whether the call failed
+   * @param {string} call.conversationId - The conversation the call was made for, null outside a conversation
+   * @param {string} call.timestamp - When the call was made (ISO date)
+   * @returns {Promise<number|null>} - The cost of the call, null if the model has no price
+   */
+  async record({ service = 'other', model = 'unknown', usage = null, cacheHit = false, failed = false, conversationId = null, timestamp = new Date().toISOString() }) {
+    const entries = await this.load();
+    const day = timestamp.slice(0, 10);
+    const key = `${day}|${service}|${model}`;
+
+    // A cached response wasn't generated again, so its tokens were not paid for
+    const billedUsage = cacheHit ? null : usage;
+    const cost = cacheHit ? 0 : this.getCost(model, billedUsage);
+    const call = { usage: billedUsage, cost, cacheHit, failed };
+
+    entries.set(key, addCall(entries.get(key) || { day, service, model, ...emptyCounters() }, call));
+    if (conversationId) {
+      this.conversations.set(conversationId, addCall(this.conversations.get(conversationId) || emptyCounters(), call));
+    }
+
+    await this.persist();
+    return cost;
+  }
+
+  /**
+   * Get the amount spent so far
+   * @param {Object} scope - What to add up
+   * @param {string} scope.day - Only calls of this day (YYYY-MM-DD)
+   * @param {string} scope.service - Only calls of this service
+   * @param {string} scope.conversationId - Only calls of this conversation, over its whole life; day and service are ignored
+   * @returns {Promise<number>} - The cost
+   */
+  async getSpend({ day = null, service = null, conversationId = null } = {}) {
+    const entries = await this.load();
+
+    if (conversationId) {
+      const totals = this.conversations.get(conversationId);
+      return totals ? totals.cost : 0;
+    }
+
+    const matching = [...entries.values()]
+      .filter(entry => (!day || entry.day === day) && (!service || entry.service === service));
+    return sumCounters(matching).cost;
+  }
+
+  /**
+   * Get the currency of the price table
+   * @returns {Promise<string>}
+   */
+  async getCurrency() {
+    await this.load();
+    return this.prices.currency;
+  }
+
+  /**
+   * Calculate the cost of a call from the price table
+   * A model matches its own entry or else the longest entry it starts with, so dated versions such as
+   * gpt-4o-2024-08-06 use the price of gpt-4o.
+   * @param {string} model - The model
+   * @param {Object|null} usage - Token usage with promptTokens and completionTokens
+   * @returns {number|null} - The cost, 0 without usage and null if the model has no price
+   */
+  getCost(model, usage) {
+    if (!usage) {
+      return 0;
+    }
+
+    const price = this.findPrice(model);
+    if (!price) {
+      return null;
+    }
+
+    return roundCost(((usage.promptTokens || 0) * (price.prompt || 0) +
+      (usage.completionTokens || 0) * (price.completion || 0)) / PRICE_UNIT_TOKENS);
+  }
+
+  /**
+   * Find the price of a model
+   * @param {string} model - The model
+   * @returns {Object|null} - Prompt and completion price per million tokens, null if the model has none
+   * @private
+   */
+  findPrice(model) {
+    const models = (this.prices && this.prices.models) || {};
+    if (!model) {
+      return null;
+    }
+    if (models[model]) {
+      return models[model];
+    }
+
+    const prefix = Object.keys(models)
+      .filter(name => model.startsWith(name))
+      .sort((a, b) => b.length - a.length)[0];
+    return prefix ? models[prefix] : null;
+  }
+
+  /**
+   * Get the usage and cost added up by day, model and service
+   * @param {Object} filter - Optional filter
+   * @param {string} filter.since - First day to include (YYYY-MM-DD)
+   * @param {string} filter.until - Last day to include (YYYY-MM-DD)
+   * @param {string} filter.service - Only calls of this service
+   * @param {string} filter.model - Only calls of this model
+   * @returns {Promise<Object>} - Totals, the breakdowns by day, model and service, and the ledger entries
+   */
+  async getReport({ since = null, until = null, service = null, model = null } = {}) {
+    const entries = [...(await this.load()).values()]
+      .filter(entry => (!since || entry.day >= since) && (!until || entry.day <= until))
+      .filter(entry => (!service || entry.service === service) && (!model || entry.model === model))
+      .sort((a, b) => a.day.localeCompare(b.day) || a.service.localeCompare(b.service) || a.model.localeCompare(b.model));
+
+    return {
+      currency: this.prices.currency || 'USD',
+      since,
+      until,
+      totals: sumCounters(entries),
+      byDay: groupEntries(entries, 'day'),
+      byModel: groupEntries(entries, 'model'),
+      byService: groupEntries(entries, 'service'),
+      entries
+    };
+  }
+
+  /**
+   * Load the ledger from storage and the price table on first use
+   * @returns {Promise<Map>} - The ledger entries keyed by day, service and model
+   * @private
+   */
+  async load() {
+    if (!this.loading) {
+      this.loading = Promise.all([this.storage.readEntries(), this.readPrices()]).then(([data, prices]) => {
+        // The first ledgers held only the daily entries, without the conversation totals
+        const days = data.days || (data.conversations ? {} : data);
+        this.entries = new Map(Object.entries(days));
+        this.conversations = new Map(Object.entries(data.conversations || {}));
+        this.prices = prices;
+        return this.entries;
+      });
+    }
+    return this.loading;
+  }
+
+  /**
+   * Read the price table
+   * @returns {Promise<Object>} - The currency and the prices per model; no prices if the file can't be read
+   * @private
+   */
+  async readPrices() {
+    try {
+      const prices = JSON.parse(await fs.readFile(this.config.pricesFile, 'utf8'));
+      return { currency: prices.currency || 'USD', models: prices.models || {} };
+    } catch (error) {
+      logger.error('Error reading LLM price table, costs will not be calculated', { file: this.config.pricesFile, error });
+      return { currency: 'USD', models: {} };
+    }
+  }
+
+  /**
+   * Write the ledger to storage
+   * @returns {Promise<void>}
+   * @private
+   */
+  async persist() {
+    await this.storage.writeEntries({
+      days: Object.fromEntries(this.entries),
+      conversations: Object.fromEntries(this.conversations)
+    });
+  }
+}
+
+/**
+ * Round a cost to a millionth, so adding up many small costs doesn't leave floating point noise
+ * @param {number} cost - The cost
+ * @returns {number} - The rounded cost
+ */
+function roundCost(cost) {
+  return Math.round(cost * 1e6) / 1e6;
+}
+
+/**
+ * Create counters that are all zero
+ * @returns {Object} - The counters
+ */
+function emptyCounters() {
+  return Object.fromEntries(COUNTERS.map(counter => [counter, 0]));
+}
+
+/**
+ * Add a call to ledger counters
+ * @param {Object} counters - The counters, changed in place
+ * @param {Object} call - The billed usage and cost of the call, and whether it was a cache hit or failed
+ * @returns {Object} - The counters
+ */
+function addCall(counters, { usage, cost, cacheHit, failed }) {
+  counters.calls++;
+  counters.cachedCalls += cacheHit ? 1 : 0;
+  counters.failedCalls += failed ? 1 : 0;
+  if (usage) {
+    counters.promptTokens += usage.promptTokens || 0;
+    counters.completionTokens += usage.completionTokens || 0;
+    counters.totalTokens += (usage.promptTokens || 0) + (usage.completionTokens || 0);
+    if (cost === null) {
+      counters.unpricedCalls++;
+    }
+  }
+  counters.cost = roundCost(counters.cost + (cost || 0));
+  return counters;
+}
+
+/**
+ * Add up the counters of ledger entries
+ * @param {Array<Object>} entries - The entries
+ * @returns {Object} - The summed counters
+ */
+function sumCounters(entries) {
+  const totals = emptyCounters();
+  for (const entry of entries) {
+    COUNTERS.forEach(counter => {
+      totals[counter] += entry[counter] || 0;
+    });
+  }
+  totals.cost = roundCost(totals.cost);
+  return totals;
+}
+
+/**
+ * Add up ledger entries by one of their fields
+ * @param {Array<Object>} entries - The entries
+ * @param {string} field - 'day', 'model' or 'service'
+ * @returns {Array<Object>} - One row per value of the field with the summed counters, sorted by the value
+ */
+function groupEntries(entries, field) {
+  const groups = new Map();
+  for (const entry of entries) {
+    if (!groups.has(entry[field])) {
+      groups.set(entry[field], []);
+    }
+    groups.get(entry[field]).push(entry);
+  }
+  return [...groups]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([value, group]) => ({ [field]: value, ...sumCounters(group) }));
+}
+
+// Every service creates its own LLMService, so they all share one ledger
+let sharedTracker = null;
+
+/**
+ * Get the shared usage tracker
+ * @returns {UsageTracker} - The usage tracker, created on first use from apiConfig.usage
+ */
+export const getUsageTracker = () => {
+  if (!sharedTracker) {
+    sharedTracker = new UsageTracker(createUsageStorage(apiConfig.usage.filePath), apiConfig.usage);
+  }
+  return sharedTracker;
+};
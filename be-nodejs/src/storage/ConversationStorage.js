@@ -0,0 +1,222 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { applyCipher, moveCorruptFile, runExclusive, writeFileAtomic } from './FileAccess.js';
+import { decodeStoredText, encodeStoredText } from './StorageCipher.js';
+import { createLogger } from '../logging/Logger.js';
+import { getMetrics } from '../metrics/ServerMetrics.js';
+
+const logger = createLogger('ConversationStorage');
+const metrics = getMetrics();
+
+// Conversation that messages stored before conversations existed belong to
+export const DEFAULT_CONVERSATION_ID = 'default';
+
+// Title given to new conversations until they are renamed
+export const DEFAULT_CONVERSATION_TITLE = 'New chat';
+
+/**
+ * Parse the content of the conversations file
+ * @param {string} data - The file content
+ * @returns {Array} Array of conversations
+ * @throws {SyntaxError} If the content isn't a JSON array
+ */
+function parseConversations(data) {
+    const conversations = JSON.parse(data);
+    if (!Array.isArray(conversations)) {
+        throw new SyntaxError('The conversations file does not contain an array');
+    }
+    return conversations;
+}
+
+/**
+ * Storage for conversation metadata (id, title, timestamps)
+ * The messages themselves stay in the message storage, tagged with a conversationId. Operations on the file run
+ * one after another and writes replace the file atomically, so concurrent chats can't lose conversations.
+ * With a cipher the file is stored encrypted.
+ */
+export class ConversationStorage {
+    /**
+     * Constructor
+     * @param {string} filePath - Path to the conversations file
+     * @param {StorageCipher|null} cipher - Encrypts the file (plain JSON if omitted)
+     */
+    constructor(filePath, cipher = null) {
+        this.filePath = path.resolve(filePath);
+        this.cipher = cipher;
+    }
+
+    /**
+     * Check the stored file against the cipher: a wrong key stops the start, and a plain file or one encrypted
+     * with a previous key is written again with the current key
+     * @returns {Promise<void>}
+     * @throws {EncryptionKeyError} - If the file is encrypted and can't be decrypted with the configured keys
+     */
+    async init() {
+        if (await this.exclusive(() => applyCipher(this.filePath, this.cipher))) {
+            logger.info('Encrypted conversations file', { file: this.filePath, keyId: this.cipher.keyId });
+        }
+    }
+
+    /**
+     * Run an operation on the file once the earlier ones have finished
+     * @param {Function} operation - Async function to run
+     * @returns {Promise<*>} The result of the operation
+     * @private
+     */
+    exclusive(operation) {
+        return runExclusive(this.filePath, operation);
+    }
+
+    /**
+     * Read all conversations from file
+     * The default conversation, which holds the messages stored before conversations existed, is always included;
+     * it is only written to the file with the first change, so reading never writes. A file that can't be parsed
+     * is moved aside to a backup, so the next write doesn't overwrite it.
+     * @returns {Promise<Array>} Array of conversations
+     * @throws {EncryptionKeyError} If the file is encrypted and can't be decrypted
+     * @private
+     */
+    async readConversations() {
+        let conversations = [];
+        try {
+            const data = await metrics.observeStorageOperation('conversations', 'read', () => fs.readFile(this.filePath, 'utf8'));
+            conversations = parseConversations(decodeStoredText(data, this.cipher, this.filePath));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                // First start, there is only the default conversation
+            } else if (error instanceof SyntaxError) {
+                const backupPath = await moveCorruptFile(this.filePath);
+                logger.error('Error parsing conversations file, moved it aside and starting with the default conversation', { file: this.filePath, backupPath, error });
+            } else {
+                throw error;
+            }
+        }
+
+        if (!conversations.some(conversation => conversation.id === DEFAULT_CONVERSATION_ID)) {
+            // A fixed time, so the default conversation reads the same until it is stored with its first change
+            const createdAt = new Date(0).toISOString();
+            conversations.unshift({
+                id: DEFAULT_CONVERSATION_ID,
+                title: 'General',
+                createdAt,
+                updatedAt: createdAt
+            });
+        }
+        return conversations;
+    }
+
+    /**
+     * Write conversations to file
+     * @param {Array} conversations - Array of conversations to write
+     * @private
+     */
+    async writeConversations(conversations) {
+        const data = encodeStoredText(JSON.stringify(conversations, null, 2), this.cipher);
+        await metrics.observeStorageOperation('conversations', 'write', () => writeFileAtomic(this.filePath, data));
+    }
+
+    /**
+     * Get all conversations, most recently updated first
+     * @returns {Promise<Array>} Array of conversations
+     */
+    async listConversations() {
+        const conversations = await this.exclusive(() => this.readConversations());
+        return [...conversations].sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+    }
+
+    /**
+     * Get a single conversation
+     * @param {string} id - Conversation id
+     * @returns {Promise<Object|null>} The conversation or null if it doesn't exist
+     */
+    async getConversation(id) {
+        const conversations = await this.exclusive(() => this.readConversations());
+        return conversations.find(conversation => conversation.id === id) || null;
+    }
+
+    /**
+     * Create a new conversation
+     * @param {Object} data - Conversation data
+     * @param {string} data.title - Conversation title
+     * @returns {Promise<Object>} The created conversation
+     */
+    async createConversation({ title } = {}) {
+        return this.exclusive(async () => {
+            const conversations = await this.readConversations();
+            const now = new Date().toISOString();
+
+            const conversation = {
+                id: randomUUID(),
+                title: title || DEFAULT_CONVERSATION_TITLE,
+                createdAt: now,
+                updatedAt: now
+            };
+
+            conversations.push(conversation);
+            await this.writeConversations(conversations);
+            return conversation;
+        });
+    }
+
+    /**
+     * Update a conversation
+     * @param {string} id - Conversation id
+     * @param {Object} changes - Fields to change (e.g. title)
+     * @returns {Promise<Object|null>} The updated conversation or null if it doesn't exist
+     */
+    async updateConversation(id, changes = {}) {
+        return this.exclusive(async () => {
+            const conversations = await this.readConversations();
+            const index = conversations.findIndex(conversation => conversation.id === id);
+
+            if (index === -1) {
+                return null;
+            }
+
+            conversations[index] = {
+                ...conversations[index],
+                ...changes,
+                id,
+                updatedAt: new Date().toISOString()
+            };
+
+            await this.writeConversations(conversations);
+            return conversations[index];
+        });
+    }
+
+    /**
+     * Delete a conversation
+     * @param {string} id - Conversation id
+     * @returns {Promise<boolean>} True if the conversation existed
+     * @throws {Error} If it is the default conversation, which holds the messages without a conversation
+     */
+    async deleteConversation(id) {
+        if (id === DEFAULT_CONVERSATION_ID) {
+            throw new Error('The default conversation can\'t be deleted');
+        }
+
+        return this.exclusive(async () => {
+            const conversations = await this.readConversations();
+            const remaining = conversations.filter(conversation => conversation.id !== id);
+
+            if (remaining.length === conversations.length) {
+                return false;
+            }
+
+            await this.writeConversations(remaining);
+            return true;
+        });
+    }
+}
+
+/**
+ * Factory function to create a ConversationStorage instance
+ * @param {string} filePath - Path to the conversations file
+ * @param {StorageCipher|null} cipher - Encrypts the file (plain JSON if omitted)
+ * @returns {ConversationStorage} Conversation storage instance
+ */
+export function createConversationStorage(filePath, cipher = null) {
+    return new ConversationStorage(filePath, cipher);
+}
@@ -1,12 +1,47 @@
 import { promises as fs } from 'fs';
 import path from 'path';
+import { decodeStoredText, encodeStoredText, needsRewrite } from './StorageCipher.js';
+import { createLogger } from '../logging/Logger.js';
+import { getMetrics } from '../metrics/ServerMetrics.js';
+
+const logger = createLogger('DebugStorage');
+const metrics = getMetrics();
 
 /**
  * Simple storage for debug information that stores only the latest request/response
+ * With a cipher the file is stored encrypted.
  */
 export class DebugStorage {
-    constructor(filePath) {
+    /**
+     * Constructor
+     * @param {string} filePath - Path to the debug storage file
+     * @param {StorageCipher|null} cipher - Encrypts the file (plain JSON if omitted)
+     */
+    constructor(filePath, cipher = null) {
         this.filePath = filePath;
+        this.cipher = cipher;
+    }
+
+    /**
+     * Check the stored file against the cipher: a wrong key stops the start, and a plain file or one encrypted
+     * with a previous key is written again with the current key
+     * @returns {Promise<void>}
+     * @throws {EncryptionKeyError} - If the file is encrypted and can't be decrypted with the configured keys
+     */
+    async init() {
+        let data;
+        try {
+            data = await fs.readFile(this.filePath, 'utf8');
+        } catch (error) {
+            // Nothing stored yet
+            return;
+        }
+
+        const json = decodeStoredText(data, this.cipher, this.filePath);
+        if (needsRewrite(data, this.cipher)) {
+            await fs.writeFile(this.filePath, encodeStoredText(json, this.cipher), 'utf8');
+            logger.info('Encrypted debug file', { file: this.filePath, keyId: this.cipher.keyId });
+        }
     }
 
     /**
@@ -20,9 +55,10 @@ export class DebugStorage {
                 ...debugInfo
             };
             
-            await fs.writeFile(this.filePath, JSON.stringify(dataToStore, null, 2), 'utf8');
+            const data = encodeStoredText(JSON.stringify(dataToStore, null, 2), this.cipher);
+            await metrics.observeStorageOperation('debug', 'write', () => fs.writeFile(this.filePath, data, 'utf8'));
         } catch (error) {
-            console.error('Error storing debug info:', error);
+            logger.error('Error storing debug info', { error });
         }
     }
 
@@ -32,10 +68,10 @@ export class DebugStorage {
      */
     async getDebugInfo() {
         try {
-            const data = await fs.readFile(this.filePath, 'utf8');
-            return JSON.parse(data);
+            const data = await metrics.observeStorageOperation('debug', 'read', () => fs.readFile(this.filePath, 'utf8'));
+            return JSON.parse(decodeStoredText(data, this.cipher, this.filePath));
         } catch (error) {
-            // File doesn't exist or is invalid, return null
+            // File doesn't exist, is invalid or can't be decrypted, return null
             return null;
         }
     }
@@ -55,8 +91,9 @@ export class DebugStorage {
 /**
  * Factory function to create a DebugStorage instance
  * @param {string} filePath - Path to the debug storage file
+ * @param {StorageCipher|null} cipher - Encrypts the file (plain JSON if omitted)
  * @returns {DebugStorage} Debug storage instance
  */
-export function createDebugStorage(filePath) {
-    return new DebugStorage(filePath);
+export function createDebugStorage(filePath, cipher = null) {
+    return new DebugStorage(filePath, cipher);
 }
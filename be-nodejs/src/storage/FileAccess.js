@@ -0,0 +1,99 @@
+import { promises as fs } from 'fs';
+import { decodeStoredText, encodeStoredText, needsRewrite } from './StorageCipher.js';
+
+// Pending operations per file, so storages sharing a file never interleave their read-modify-write cycles
+const fileQueues = new Map();
+
+/**
+ * Run an operation once every earlier operation on the same file has finished
+ * @param {string} filePath - The file the operation works on
+ * @param {Function} operation - Async function to run
+ * @returns {Promise<*>} - The result of the operation
+ */
+export function runExclusive(filePath, operation) {
+  const previous = fileQueues.get(filePath) || Promise.resolve();
+  const result = previous.then(operation);
+
+  // A failed operation must not block the ones queued after it
+  const queued = result.catch(() => {});
+  fileQueues.set(filePath, queued);
+  queued.then(() => {
+    if (fileQueues.get(filePath) === queued) {
+      fileQueues.delete(filePath);
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Replace the content of a file
+ * The data is written to a temporary file first and then renamed over the original, which is atomic,
+ * so a crash or a full disk can't leave half a file behind
+ * @param {string} filePath - The file to write
+ * @param {string} data - The new content
+ * @returns {Promise<void>}
+ */
+export async function writeFileAtomic(filePath, data) {
+  const tempPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+  try {
+    await fs.writeFile(tempPath, data, 'utf8');
+    await fs.rename(tempPath, filePath);
+  } catch (error) {
+    await fs.rm(tempPath, { force: true });
+    throw error;
+  }
+}
+
+/**
+ * Move a file that can't be parsed aside, so it can be repaired by hand instead of being overwritten
+ * @param {string} filePath - The unreadable file
+ * @returns {Promise<string>} - Path of the backup, e.g. 'messages.json.corrupt-2024-05-01T10-00-00-000Z'
+ */
+export async function moveCorruptFile(filePath) {
+  const backupPath = `${filePath}.corrupt-${new Date().toISOString().replace(/[:.]/g, '-')}`;
+  await fs.rename(filePath, backupPath);
+  return backupPath;
+}
+
+/**
+ * Keep records a storage can't hold anymore in a file next to it, so they can be repaired by hand instead of being lost
+ * @param {string} filePath - The storage file (or database) the records come from
+ * @param {Array} records - The records
+ * @param {StorageCipher|null} cipher - The cipher the storage is stored with; the records are as sensitive as the rest
+ * @returns {Promise<string>} - Path of the quarantine file, e.g. 'messages.json.quarantine-2024-05-01T10-00-00-000Z'
+ */
+export async function writeQuarantineFile(filePath, records, cipher = null) {
+  const quarantinePath = `${filePath}.quarantine-${new Date().toISOString().replace(/[:.]/g, '-')}`;
+  await writeFileAtomic(quarantinePath, encodeStoredText(JSON.stringify(records, null, 2), cipher));
+  return quarantinePath;
+}
+
+/**
+ * Bring a stored file in line with a cipher
+ * The file is decrypted once, so a wrong key stops the start instead of failing the first request. A plain file
+ * is encrypted when encryption was switched on, and a file encrypted with a previous key gets the current key.
+ * @param {string} filePath - The file
+ * @param {StorageCipher|null} cipher - The cipher the file should be stored with
+ * @returns {Promise<boolean>} - True if the file was written again
+ * @throws {EncryptionKeyError} - If the file is encrypted and can't be decrypted with the configured keys
+ */
+export async function applyCipher(filePath, cipher) {
+  let data;
+  try {
+    data = await fs.readFile(filePath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      // Nothing stored yet
+      return false;
+    }
+    throw error;
+  }
+
+  const text = decodeStoredText(data, cipher, filePath);
+  if (!needsRewrite(data, cipher)) {
+    return false;
+  }
+  await writeFileAtomic(filePath, encodeStoredText(text, cipher));
+  return true;
+}
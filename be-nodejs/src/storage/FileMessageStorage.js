@@ -1,56 +1,166 @@
 import { promises as fs } from 'fs';
 import path from 'path';
-import { MessageStorageInterface } from './MessageStorageInterface.js';
+import { MessageStorageInterface, applyQuery, pageMessages, rewriteAll } from './MessageStorageInterface.js';
+import { DEFAULT_CONVERSATION_ID } from './ConversationStorage.js';
+import { decodeStoredText, encodeStoredText, needsRewrite } from './StorageCipher.js';
+import { moveCorruptFile, runExclusive, writeFileAtomic, writeQuarantineFile } from './FileAccess.js';
+import { createLogger } from '../logging/Logger.js';
+
+const logger = createLogger('FileMessageStorage');
 
 /**
  * File-based implementation of message storage
- * Stores messages in a JSON file
+ * Stores messages in a JSON file. All operations on a file run one after another and every write goes to a
+ * temporary file that is renamed over the original, so concurrent requests can't lose messages or reuse ids
+ * and a crash can't leave half a file behind. With a cipher the whole file is stored encrypted.
  */
 export class FileMessageStorage extends MessageStorageInterface {
   /**
    * Constructor
    * @param {string} filePath - Path to the JSON file where messages will be stored
+   * @param {Object} options - Storage options
+   * @param {StorageCipher|null} options.cipher - Encrypts the file (plain JSON if omitted)
    */
-  constructor(filePath) {
+  constructor(filePath, { cipher = null } = {}) {
     super();
-    this.filePath = filePath;
-    this.ensureFileExists();
+    this.filePath = path.resolve(filePath);
+    this.cipher = cipher;
+    // The schema version and the last assigned id live next to the messages, so the messages file stays a plain array
+    this.metaFilePath = path.join(path.dirname(this.filePath), `${path.basename(this.filePath, '.json')}.meta.json`);
+    this.ready = null;
+  }
+
+  /**
+   * Prepare the storage file; safe to call more than once
+   * @returns {Promise<void>}
+   * @throws {EncryptionKeyError} - If the file is encrypted and can't be decrypted with the configured keys
+   */
+  async init() {
+    if (!this.ready) {
+      this.ready = runExclusive(this.filePath, () => this.prepareFile());
+    }
+    return this.ready;
   }
 
   /**
-   * Make sure the storage file exists
+   * Make sure the storage file exists and is stored the way the cipher says
+   * The file is read once, so a wrong key stops the start instead of failing the first request. A plain file
+   * is encrypted when encryption was switched on, and a file encrypted with a previous key gets the current key.
    * @returns {Promise<void>}
+   * @private
    */
-  async ensureFileExists() {
+  async prepareFile() {
+    let data;
     try {
-      await fs.access(this.filePath);
+      data = await fs.readFile(this.filePath, 'utf8');
     } catch (error) {
+      if (error.code !== 'ENOENT') {
+        // Never replace a file that exists but can't be read (e.g. permissions) with an empty one
+        throw error;
+      }
       // File doesn't exist, create it with empty array
-      await fs.writeFile(this.filePath, JSON.stringify([]));
+      await this.writeMessages([]);
+      return;
+    }
+
+    const messages = await this.readMessages();
+    if (needsRewrite(data, this.cipher)) {
+      await this.writeMessages(messages);
+      logger.info('Encrypted messages file', { file: this.filePath, keyId: this.cipher.keyId });
     }
   }
 
+  /**
+   * Run an operation on the file after initialization, one at a time
+   * @param {Function} operation - Async function to run
+   * @returns {Promise<*>} - The result of the operation
+   * @private
+   */
+  async exclusive(operation) {
+    await this.init();
+    return runExclusive(this.filePath, operation);
+  }
+
   /**
    * Read messages from file
+   * A file that can't be parsed is moved aside to a backup and replaced by an empty one; a file that can't be
+   * decrypted is left alone, it is most likely read with the wrong key
    * @returns {Promise<Array>} - Array of messages
+   * @throws {EncryptionKeyError} - If the file is encrypted and can't be decrypted
+   * @private
    */
   async readMessages() {
-    const data = await fs.readFile(this.filePath, 'utf8');
+    const data = decodeStoredText(await fs.readFile(this.filePath, 'utf8'), this.cipher, this.filePath);
     try {
-      return JSON.parse(data);
+      const messages = JSON.parse(data);
+      if (!Array.isArray(messages)) {
+        throw new Error('the file does not contain an array');
+      }
+      return messages;
     } catch (error) {
-      console.error('Error parsing messages file:', error);
+      const backupPath = await moveCorruptFile(this.filePath);
+      logger.error('Error parsing messages file, moved it aside and starting with an empty one', { file: this.filePath, backupPath, error });
+      await this.writeMessages([]);
       return [];
     }
   }
 
   /**
    * Write messages to file
+   * The data is written to a temporary file first and then renamed over the original, which is atomic
    * @param {Array} messages - Array of messages to write
    * @returns {Promise<void>}
+   * @private
    */
   async writeMessages(messages) {
-    await fs.writeFile(this.filePath, JSON.stringify(messages, null, 2), 'utf8');
+    await writeFileAtomic(this.filePath, encodeStoredText(JSON.stringify(messages, null, 2), this.cipher));
+  }
+
+  /**
+   * Read the meta file
+   * @returns {Promise<Object>} - The meta data, e.g. { schemaVersion, lastId }; empty if there is no meta file yet
+   * @private
+   */
+  async readMeta() {
+    try {
+      return JSON.parse(await fs.readFile(this.metaFilePath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error('Error reading meta file, starting from an empty one', { file: this.metaFilePath, error });
+      }
+      return {};
+    }
+  }
+
+  /**
+   * Change fields of the meta file, keeping the others
+   * @param {Object} changes - Fields to change
+   * @returns {Promise<void>}
+   * @private
+   */
+  async writeMeta(changes) {
+    const meta = { ...(await this.readMeta()), ...changes, updatedAt: new Date().toISOString() };
+    await writeFileAtomic(this.metaFilePath, JSON.stringify(meta, null, 2));
+  }
+
+  /**
+   * Reserve the ids for new messages
+   * Ids are counted in the meta file and never handed out twice, also not after the newest messages were deleted,
+   * so cursors, search index entries and references to a message can't end up on another one. Files written before
+   * the counter existed continue after their highest id.
+   * @param {Array} messages - The stored messages
+   * @param {number} count - Number of ids to reserve
+   * @returns {Promise<number>} - The first of the ids, the others follow it
+   * @private
+   */
+  async reserveIds(messages, count = 1) {
+    const meta = await this.readMeta();
+    const maxId = messages.reduce((max, m) => Math.max(max, m.id || 0), 0);
+    const firstId = Math.max(Number(meta.lastId) || 0, maxId) + 1;
+
+    // The counter is saved before the messages, so a failed write can skip ids but never repeat one
+    await this.writeMeta({ lastId: firstId + count - 1 });
+    return firstId;
   }
 
   /**
@@ -59,41 +169,84 @@ export class FileMessageStorage extends MessageStorageInterface {
    * @returns {Promise<Object>} - The added message with ID
    */
   async addMessage(message) {
-    const messages = await this.readMessages();
-    
-    // Generate ID (max ID + 1)
-    const maxId = messages.length > 0 
-      ? Math.max(...messages.map(m => m.id))
-      : 0;
-    
-    const newMessage = {
-      id: maxId + 1,
-      ...message,
-      timestamp: message.timestamp || new Date().toISOString()
-    };
-    
-    messages.push(newMessage);
-    await this.writeMessages(messages);
-    
-    return newMessage;
+    return this.exclusive(async () => {
+      const messages = await this.readMessages();
+      
+      const newMessage = {
+        id: await this.reserveIds(messages),
+        ...message,
+        timestamp: message.timestamp || new Date().toISOString()
+      };
+      
+      messages.push(newMessage);
+      await this.writeMessages(messages);
+      
+      return newMessage;
+    });
+  }
+
+  /**
+   * Add several messages at once, in a single write
+   * @param {Array} messages - The messages to add
+   * @returns {Promise<Array>} - The added messages with their IDs
+   */
+  async addMessages(messages) {
+    return this.exclusive(async () => {
+      const stored = await this.readMessages();
+      const firstId = await this.reserveIds(stored, messages.length);
+
+      const newMessages = messages.map((message, index) => ({
+        id: firstId + index,
+        ...message,
+        timestamp: message.timestamp || new Date().toISOString()
+      }));
+
+      await this.writeMessages([...stored, ...newMessages]);
+      return newMessages;
+    });
+  }
+
+  /**
+   * Check whether a message matches a filter
+   * Messages stored before conversations existed have no conversationId and belong to the default conversation
+   * @param {Object} message - The message to check
+   * @param {Object} filter - Filter with optional conversationId
+   * @returns {boolean} - True if the message matches
+   */
+  matchesFilter(message, filter = {}) {
+    if (filter.conversationId === undefined) {
+      return true;
+    }
+    return (message.conversationId || DEFAULT_CONVERSATION_ID) === filter.conversationId;
   }
 
   /**
-   * Clear all messages from storage
+   * Clear messages from storage
+   * @param {Object} filter - Optional filter, e.g. { conversationId } to clear a single conversation (all messages if omitted)
    * @returns {Promise<void>}
    */
-  async clearMessages() {
-    await this.writeMessages([]);
+  async clearMessages(filter = {}) {
+    return this.exclusive(async () => {
+      if (filter.conversationId === undefined) {
+        await this.writeMessages([]);
+        return;
+      }
+
+      const messages = await this.readMessages();
+      await this.writeMessages(messages.filter(message => !this.matchesFilter(message, filter)));
+    });
   }
 
   /**
    * Get messages from storage
    * @param {number|null} quantity - Number of messages to retrieve (null for all)
    * @param {boolean} reverseOrder - Whether to return messages in reverse order (newest first)
+   * @param {Object} filter - Optional filter, e.g. { conversationId } to get a single conversation (all messages if omitted)
    * @returns {Promise<Array>} - Array of messages
    */
-  async getMessages(quantity = null, reverseOrder = false) {
-    const messages = await this.readMessages();
+  async getMessages(quantity = null, reverseOrder = false, filter = {}) {
+    // Reads wait for pending writes too, so a message is visible as soon as addMessage resolved
+    const messages = (await this.exclusive(() => this.readMessages())).filter(message => this.matchesFilter(message, filter));
     
     // If quantity is specified, return only that many
     if (quantity && typeof quantity === 'number') {
@@ -106,4 +259,139 @@ export class FileMessageStorage extends MessageStorageInterface {
     // Otherwise return all messages in specified order
     return reverseOrder ? [...messages].reverse() : messages;
   }
+
+  /**
+   * Get a page of messages, to page through the history with cursors
+   * The file is one JSON document, so it is read as a whole and the page is cut out of it
+   * @param {Object} options - Page options (see MessageStorageInterface.getMessagePage)
+   * @returns {Promise<Object>} - The messages of the page, oldest first, and whether there are older and newer messages
+   */
+  async getMessagePage({ before = null, after = null, limit = null, filter = {} } = {}) {
+    const messages = (await this.exclusive(() => this.readMessages())).filter(message => this.matchesFilter(message, filter));
+    return pageMessages(messages, { before, after, limit });
+  }
+
+  /**
+   * Get a single message
+   * @param {number} id - Message id
+   * @returns {Promise<Object|null>} - The message or null if it doesn't exist
+   */
+  async getMessageById(id) {
+    const messages = await this.exclusive(() => this.readMessages());
+    return messages.find(message => message.id === id) || null;
+  }
+
+  /**
+   * Update a message
+   * @param {number} id - Message id
+   * @param {Object} changes - Fields to change; the id can't be changed
+   * @returns {Promise<Object|null>} - The updated message or null if it doesn't exist
+   */
+  async updateMessage(id, changes = {}) {
+    return this.exclusive(async () => {
+      const messages = await this.readMessages();
+      const index = messages.findIndex(message => message.id === id);
+
+      if (index === -1) {
+        return null;
+      }
+
+      messages[index] = {
+        ...messages[index],
+        ...changes,
+        id,
+        updatedAt: new Date().toISOString()
+      };
+
+      await this.writeMessages(messages);
+      return messages[index];
+    });
+  }
+
+  /**
+   * Delete a message
+   * @param {number} id - Message id
+   * @returns {Promise<boolean>} - True if the message existed
+   */
+  async deleteMessage(id) {
+    return this.exclusive(async () => {
+      const messages = await this.readMessages();
+      const remaining = messages.filter(message => message.id !== id);
+
+      if (remaining.length === messages.length) {
+        return false;
+      }
+
+      await this.writeMessages(remaining);
+      return true;
+    });
+  }
+
+  /**
+   * Delete several messages at once, in a single write
+   * @param {Array<number>} ids - Message ids
+   * @returns {Promise<number>} - Number of messages that existed
+   */
+  async deleteMessages(ids) {
+    const deletedIds = new Set(ids);
+    return this.exclusive(async () => {
+      const messages = await this.readMessages();
+      const remaining = messages.filter(message => !deletedIds.has(message.id));
+
+      if (remaining.length !== messages.length) {
+        await this.writeMessages(remaining);
+      }
+      return messages.length - remaining.length;
+    });
+  }
+
+  /**
+   * Find messages by their fields
+   * @param {Object} criteria - Query criteria (see MessageStorageInterface.query)
+   * @returns {Promise<Array>} - Matching messages, oldest first
+   */
+  async query(criteria = {}) {
+    const messages = await this.exclusive(() => this.readMessages());
+    return applyQuery(messages, criteria);
+  }
+
+  /**
+   * Get the schema version the stored messages are at
+   * @returns {Promise<number>} - The version, 0 if the file has no version marker yet
+   */
+  async getSchemaVersion() {
+    return this.exclusive(async () => {
+      const meta = await this.readMeta();
+      return Number(meta.schemaVersion) || 0;
+    });
+  }
+
+  /**
+   * Set the schema version marker
+   * @param {number} version - The version the stored messages are at
+   * @returns {Promise<void>}
+   */
+  async setSchemaVersion(version) {
+    return this.exclusive(() => this.writeMeta({ schemaVersion: version }));
+  }
+
+  /**
+   * Pass every stored message through a function and store what it returns, in a single write
+   * Quarantined messages go to a file next to the storage file, written before they leave the storage.
+   * @param {Function} transform - Returns the message to store in place of the given one, or null to quarantine it
+   * @returns {Promise<Object>} - Number of updated and quarantined messages
+   */
+  async rewriteMessages(transform) {
+    return this.exclusive(async () => {
+      const { messages, updated, quarantined } = rewriteAll(await this.readMessages(), transform);
+      if (quarantined.length > 0) {
+        const quarantinePath = await writeQuarantineFile(this.filePath, quarantined, this.cipher);
+        logger.warn('Moved messages to quarantine', { messages: quarantined.length, quarantinePath });
+      }
+      if (updated > 0 || quarantined.length > 0) {
+        await this.writeMessages(messages);
+      }
+      return { updated, quarantined: quarantined.length };
+    });
+  }
 }
@@ -0,0 +1,157 @@
+import { MessageStorageInterface, applyQuery, matchesQuery, pageMessages, rewriteAll } from './MessageStorageInterface.js';
+
+/**
+ * In-memory implementation of message storage
+ * Nothing is persisted, which makes it a fast and isolated storage for tests and throwaway servers
+ */
+export class InMemoryMessageStorage extends MessageStorageInterface {
+  /**
+   * Constructor
+   * @param {Array} messages - Optional messages to start with
+   */
+  constructor(messages = []) {
+    super();
+    this.messages = messages.map(message => ({ ...message }));
+    this.lastId = this.messages.reduce((max, message) => Math.max(max, message.id || 0), 0);
+    this.schemaVersion = 0;
+    // Messages a migration couldn't bring into the current schema
+    this.quarantined = [];
+  }
+
+  /**
+   * Add a new message to storage
+   * @param {Object} message - The message to add
+   * @returns {Promise<Object>} - The added message with ID
+   */
+  async addMessage(message) {
+    const newMessage = {
+      id: ++this.lastId,
+      ...message,
+      timestamp: message.timestamp || new Date().toISOString()
+    };
+
+    this.messages.push(newMessage);
+    return { ...newMessage };
+  }
+
+  /**
+   * Clear messages from storage
+   * @param {Object} filter - Optional filter, e.g. { conversationId } to clear a single conversation (all messages if omitted)
+   * @returns {Promise<void>}
+   */
+  async clearMessages(filter = {}) {
+    this.messages = filter.conversationId === undefined
+      ? []
+      : this.messages.filter(message => !matchesQuery(message, { conversationId: filter.conversationId }));
+  }
+
+  /**
+   * Get messages from storage
+   * @param {number|null} quantity - Number of messages to retrieve (null for all)
+   * @param {boolean} reverseOrder - Whether to return messages in reverse order (newest first)
+   * @param {Object} filter - Optional filter, e.g. { conversationId } to get a single conversation (all messages if omitted)
+   * @returns {Promise<Array>} - Array of messages
+   */
+  async getMessages(quantity = null, reverseOrder = false, filter = {}) {
+    let messages = applyQuery(this.messages, { conversationId: filter.conversationId });
+
+    if (quantity && typeof quantity === 'number') {
+      messages = messages.slice(-quantity);
+    }
+
+    // Return copies, so callers can't change the stored messages by accident
+    messages = messages.map(message => ({ ...message }));
+    return reverseOrder ? messages.reverse() : messages;
+  }
+
+  /**
+   * Get a page of messages, to page through the history with cursors
+   * @param {Object} options - Page options (see MessageStorageInterface.getMessagePage)
+   * @returns {Promise<Object>} - The messages of the page, oldest first, and whether there are older and newer messages
+   */
+  async getMessagePage({ before = null, after = null, limit = null, filter = {} } = {}) {
+    const page = pageMessages(applyQuery(this.messages, { conversationId: filter.conversationId }), { before, after, limit });
+    return { ...page, messages: page.messages.map(message => ({ ...message })) };
+  }
+
+  /**
+   * Get a single message
+   * @param {number} id - Message id
+   * @returns {Promise<Object|null>} - The message or null if it doesn't exist
+   */
+  async getMessageById(id) {
+    const message = this.messages.find(item => item.id === id);
+    return message ? { ...message } : null;
+  }
+
+  /**
+   * Update a message
+   * @param {number} id - Message id
+   * @param {Object} changes - Fields to change; the id can't be changed
+   * @returns {Promise<Object|null>} - The updated message or null if it doesn't exist
+   */
+  async updateMessage(id, changes = {}) {
+    const index = this.messages.findIndex(message => message.id === id);
+
+    if (index === -1) {
+      return null;
+    }
+
+    this.messages[index] = {
+      ...this.messages[index],
+      ...changes,
+      id,
+      updatedAt: new Date().toISOString()
+    };
+    return { ...this.messages[index] };
+  }
+
+  /**
+   * Delete a message
+   * @param {number} id - Message id
+   * @returns {Promise<boolean>} - True if the message existed
+   */
+  async deleteMessage(id) {
+    const count = this.messages.length;
+    this.messages = this.messages.filter(message => message.id !== id);
+    return this.messages.length !== count;
+  }
+
+  /**
+   * Find messages by their fields
+   * @param {Object} criteria - Query criteria (see MessageStorageInterface.query)
+   * @returns {Promise<Array>} - Matching messages, oldest first
+   */
+  async query(criteria = {}) {
+    return applyQuery(this.messages, criteria).map(message => ({ ...message }));
+  }
+
+  /**
+   * Get the schema version the stored messages are at
+   * @returns {Promise<number>} - The version, 0 if none was set
+   */
+  async getSchemaVersion() {
+    return this.schemaVersion;
+  }
+
+  /**
+   * Set the schema version marker
+   * @param {number} version - The version the stored messages are at
+   * @returns {Promise<void>}
+   */
+  async setSchemaVersion(version) {
+    this.schemaVersion = version;
+  }
+
+  /**
+   * Pass every stored message through a function and store what it returns
+   * @param {Function} transform - Returns the message to store in place of the given one, or null to quarantine it
+   * @returns {Promise<Object>} - Number of updated and quarantined messages
+   */
+  async rewriteMessages(transform) {
+    const result = rewriteAll(this.messages, transform);
+    this.messages = result.messages;
+    this.quarantined.push(...result.quarantined);
+    return { updated: result.updated, quarantined: result.quarantined.length };
+  }
+}
@@ -0,0 +1,161 @@
+import { MessageStorageInterface } from './MessageStorageInterface.js';
+import { getMetrics } from '../metrics/ServerMetrics.js';
+
+/**
+ * Message storage that records the duration and failures of every operation in the server metrics
+ * Wraps the storage implementation itself, so the metrics show the time spent in the file, database or log files
+ * and not the validation and indexing done by the other wrappers.
+ */
+export class InstrumentedMessageStorage extends MessageStorageInterface {
+  /**
+   * Constructor
+   * @param {MessageStorageInterface} storage - The storage implementation
+   * @param {Object} options - Metrics options
+   * @param {string} options.name - Name of the storage in the metrics, e.g. 'messages'
+   * @param {ServerMetrics} options.metrics - Metrics the operations are recorded in (the shared metrics by default)
+   */
+  constructor(storage, { name, metrics = getMetrics() }) {
+    super();
+    this.storage = storage;
+    this.name = name;
+    this.metrics = metrics;
+  }
+
+  /**
+   * Run an operation of the wrapped storage and record it
+   * @param {string} operation - Name of the operation
+   * @param {Function} operationFn - Calls the wrapped storage
+   * @returns {Promise<*>} - What the wrapped storage returned
+   * @private
+   */
+  observe(operation, operationFn) {
+    return this.metrics.observeStorageOperation(this.name, operation, operationFn);
+  }
+
+  /**
+   * Prepare the wrapped storage
+   * @returns {Promise<void>}
+   */
+  async init() {
+    return this.observe('init', () => this.storage.init());
+  }
+
+  /**
+   * Add a new message to storage
+   * @param {Object} message - The message to add
+   * @returns {Promise<Object>} - The added message
+   */
+  async addMessage(message) {
+    return this.observe('addMessage', () => this.storage.addMessage(message));
+  }
+
+  /**
+   * Add several messages at once
+   * @param {Array} messages - The messages to add
+   * @returns {Promise<Array>} - The added messages
+   */
+  async addMessages(messages) {
+    return this.observe('addMessages', () => this.storage.addMessages(messages));
+  }
+
+  /**
+   * Clear messages from storage
+   * @param {Object} filter - Optional filter, e.g. { conversationId } to clear a single conversation (all messages if omitted)
+   * @returns {Promise<void>}
+   */
+  async clearMessages(filter = {}) {
+    return this.observe('clearMessages', () => this.storage.clearMessages(filter));
+  }
+
+  /**
+   * Get messages from storage
+   * @param {number|null} quantity - Number of messages to retrieve (null for all)
+   * @param {boolean} reverseOrder - Whether to return messages in reverse order (newest first)
+   * @param {Object} filter - Optional filter, e.g. { conversationId } to get a single conversation (all messages if omitted)
+   * @returns {Promise<Array>} - Array of messages
+   */
+  async getMessages(quantity = null, reverseOrder = false, filter = {}) {
+    return this.observe('getMessages', () => this.storage.getMessages(quantity, reverseOrder, filter));
+  }
+
+  /**
+   * Get a page of messages, to page through the history with cursors
+   * @param {Object} options - Page options (see MessageStorageInterface.getMessagePage)
+   * @returns {Promise<Object>} - The messages of the page, oldest first, and whether there are older and newer messages
+   */
+  async getMessagePage(options = {}) {
+    return this.observe('getMessagePage', () => this.storage.getMessagePage(options));
+  }
+
+  /**
+   * Get a single message
+   * @param {number} id - Message id
+   * @returns {Promise<Object|null>} - The message or null if it doesn't exist
+   */
+  async getMessageById(id) {
+    return this.observe('getMessageById', () => this.storage.getMessageById(id));
+  }
+
+  /**
+   * Update a message
+   * @param {number} id - Message id
+   * @param {Object} changes - Fields to change; the id can't be changed
+   * @returns {Promise<Object|null>} - The updated message or null if it doesn't exist
+   */
+  async updateMessage(id, changes) {
+    return this.observe('updateMessage', () => this.storage.updateMessage(id, changes));
+  }
+
+  /**
+   * Delete a message
+   * @param {number} id - Message id
+   * @returns {Promise<boolean>} - True if the message existed
+   */
+  async deleteMessage(id) {
+    return this.observe('deleteMessage', () => this.storage.deleteMessage(id));
+  }
+
+  /**
+   * Delete several messages at once
+   * @param {Array<number>} ids - Message ids
+   * @returns {Promise<number>} - Number of messages that existed
+   */
+  async deleteMessages(ids) {
+    return this.observe('deleteMessages', () => this.storage.deleteMessages(ids));
+  }
+
+  /**
+   * Find messages by their fields
+   * @param {Object} criteria - Query criteria (see MessageStorageInterface.query)
+   * @returns {Promise<Array>} - Matching messages, oldest first
+   */
+  async query(criteria = {}) {
+    return this.observe('query', () => this.storage.query(criteria));
+  }
+
+  /**
+   * Get the schema version the stored messages are at
+   * @returns {Promise<number>} - The version
+   */
+  async getSchemaVersion() {
+    return this.observe('getSchemaVersion', () => this.storage.getSchemaVersion());
+  }
+
+  /**
+   * Set the schema version marker
+   * @param {number} version - The version the stored messages are at
+   * @returns {Promise<void>}
+   */
+  async setSchemaVersion(version) {
+    return this.observe('setSchemaVersion', () => this.storage.setSchemaVersion(version));
+  }
+
+  /**
+   * Pass every stored message through a function and store what it returns
+   * @param {Function} transform - Returns the message to store in place of the given one, or null to quarantine it
+   * @returns {Promise<Object>} - Number of updated and quarantined messages
+   */
+  async rewriteMessages(transform) {
+    return this.observe('rewriteMessages', () => this.storage.rewriteMessages(transform));
+  }
+}
@@ -0,0 +1,546 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { MessageStorageInterface } from './MessageStorageInterface.js';
+import { DEFAULT_CONVERSATION_ID } from './ConversationStorage.js';
+import { EncryptionKeyError, decodeStoredText, encodeStoredText, needsRewrite } from './StorageCipher.js';
+import { writeFileAtomic } from './FileAccess.js';
+import { createLogger } from '../logging/Logger.js';
+
+const logger = createLogger('JsonlRequestLogStorage');
+
+// requests-2026-01-31.jsonl, then requests-2026-01-31.1.jsonl, requests-2026-01-31.2.jsonl, ... once a file is full
+const LOG_FILE_PATTERN = /^requests-(\d{4}-\d{2}-\d{2})(?:\.(\d+))?\.jsonl$/;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Append-only request log
+ * Every entry is one JSON line. There is one file per day (UTC), split into numbered parts when a file
+ * reaches the maximum size, and files older than the retention period are removed. Reads go through the
+ * files from newest to oldest and stop as soon as enough entries were found. With a cipher every line is
+ * encrypted on its own, so the files stay append-only. The last id handed out is kept in requests.meta.json,
+ * so ids are never reused after old files were removed or the log was cleared.
+ */
+export class JsonlRequestLogStorage extends MessageStorageInterface {
+  /**
+   * Constructor
+   * @param {string} directory - Directory holding the log files
+   * @param {Object} options - Log options
+   * @param {number} options.maxFileBytes - Size from which a new part of the day's file is started
+   * @param {number} options.retentionDays - Days log files are kept (0 keeps them forever)
+   * @param {string} options.importFrom - JSON array request storage to import when the directory is created
+   * @param {StorageCipher|null} options.cipher - Encrypts the log lines (plain JSON if omitted)
+   */
+  constructor(directory, { maxFileBytes = 10 * 1024 * 1024, retentionDays = 14, importFrom = null, cipher = null } = {}) {
+    super();
+    this.directory = directory;
+    this.cipher = cipher;
+    this.maxFileBytes = maxFileBytes;
+    this.retentionDays = retentionDays;
+    this.importFrom = importFrom;
+    this.metaFilePath = path.join(directory, 'requests.meta.json');
+    this.ready = null;
+    // Appends are chained so ids are handed out in order and lines are never interleaved
+    this.pendingWrite = Promise.resolve();
+    this.lastId = 0;
+    this.currentFile = null;
+    this.currentSize = 0;
+  }
+
+  /**
+   * Create the log directory, import the old request storage, remove expired files and encrypt the others
+   * @returns {Promise<void>}
+   * @throws {EncryptionKeyError} - If a line is encrypted and can't be decrypted with the configured keys
+   */
+  async init() {
+    if (!this.ready) {
+      this.ready = this.prepare();
+    }
+    return this.ready;
+  }
+
+  /**
+   * Do the work of init()
+   * @returns {Promise<void>}
+   * @private
+   */
+  async prepare() {
+    const isNew = !(await this.exists(this.directory));
+    await fs.mkdir(this.directory, { recursive: true });
+
+    if (isNew && this.importFrom) {
+      await this.importFromFile(this.importFrom);
+    }
+
+    await this.removeExpiredFiles();
+    await this.encryptLogFiles();
+
+    // Continue the id counter; logs written before the counter existed continue after their newest entry
+    this.lastId = Number((await this.readMeta()).lastId) || 0;
+    const files = await this.listLogFiles();
+    for (const file of files) {
+      const entries = await this.readLogFile(file.name);
+      if (entries.length > 0) {
+        this.lastId = Math.max(this.lastId, ...entries.map(entry => entry.id || 0));
+        break;
+      }
+    }
+  }
+
+  /**
+   * Read the meta file holding the id counter
+   * @returns {Promise<Object>} - The meta data, empty if there is no meta file yet
+   * @private
+   */
+  async readMeta() {
+    try {
+      return JSON.parse(await fs.readFile(this.metaFilePath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error('Error reading meta file, continuing after the newest entry', { file: this.metaFilePath, error });
+      }
+      return {};
+    }
+  }
+
+  /**
+   * Save the id counter to the meta file
+   * @param {number} lastId - The last id handed out
+   * @returns {Promise<void>}
+   * @private
+   */
+  async writeMeta(lastId) {
+    await writeFileAtomic(this.metaFilePath, JSON.stringify({ lastId, updatedAt: new Date().toISOString() }, null, 2));
+  }
+
+  /**
+   * Import the entries of a JSON array request storage, each into the file of its day
+   * Entries older than the retention period are left out; the JSON file itself is never changed.
+   * @param {string} filePath - Path to the JSON file
+   * @returns {Promise<void>}
+   * @private
+   */
+  async importFromFile(filePath) {
+    let entries;
+    try {
+      entries = JSON.parse(decodeStoredText(await fs.readFile(filePath, 'utf8'), this.cipher, filePath));
+    } catch (error) {
+      if (error instanceof EncryptionKeyError) {
+        throw error;
+      }
+      if (error.code !== 'ENOENT') {
+        logger.error('Error reading request storage for import, nothing imported', { file: filePath, error });
+      }
+      return;
+    }
+
+    if (!Array.isArray(entries) || entries.length === 0) {
+      return;
+    }
+
+    // Days past the retention period would be removed right after the import, so they stay in the old file instead
+    const oldestKeptDay = this.getOldestKeptDay();
+    const linesByDay = new Map();
+    let skipped = 0;
+    for (const entry of entries) {
+      const day = this.getDay(entry.timestamp);
+      if (oldestKeptDay && day < oldestKeptDay) {
+        skipped++;
+        continue;
+      }
+      linesByDay.set(day, (linesByDay.get(day) || '') + this.toLine(entry));
+    }
+
+    for (const [day, lines] of linesByDay) {
+      await fs.appendFile(path.join(this.directory, `requests-${day}.jsonl`), lines, 'utf8');
+    }
+
+    if (linesByDay.size > 0) {
+      logger.info('Imported requests into the request log', { requests: entries.length - skipped, file: filePath, directory: this.directory });
+    }
+    if (skipped > 0) {
+      logger.warn('Requests older than the retention period were not imported, they stay in the old file; set REQUEST_LOG_RETENTION_DAYS=0 before the first start to import them all', {
+        requests: skipped,
+        file: filePath,
+        retentionDays: this.retentionDays
+      });
+    }
+  }
+
+  /**
+   * Add a new entry to the log
+   * @param {Object} message - The entry to add
+   * @returns {Promise<Object>} - The added entry with ID
+   */
+  async addMessage(message) {
+    await this.init();
+
+    const append = this.pendingWrite.then(async () => {
+      const entry = {
+        id: this.lastId + 1,
+        ...message,
+        timestamp: message.timestamp || new Date().toISOString()
+      };
+      const line = this.toLine(entry);
+
+      // The counter is saved before the entry, so a failed append can skip an id but never repeat one
+      await this.writeMeta(entry.id);
+      this.lastId = entry.id;
+
+      const file = await this.getFileForAppend(this.getDay(entry.timestamp), Buffer.byteLength(line));
+      await fs.appendFile(path.join(this.directory, file), line, 'utf8');
+
+      this.currentSize += Buffer.byteLength(line);
+      return entry;
+    });
+
+    // A failed append must not block the ones queued after it
+    this.pendingWrite = append.catch(() => {});
+    return append;
+  }
+
+  /**
+   * Clear entries from the log
+   * @param {Object} filter - Optional filter, e.g. { conversationId } to clear a single conversation (everything if omitted)
+   * @returns {Promise<void>}
+   */
+  async clearMessages(filter = {}) {
+    await this.init();
+
+    const clear = this.pendingWrite.then(async () => {
+      for (const file of await this.listLogFiles()) {
+        const filePath = path.join(this.directory, file.name);
+
+        if (filter.conversationId === undefined) {
+          await fs.rm(filePath, { force: true });
+          continue;
+        }
+
+        const entries = await this.readLogFile(file.name);
+        const remaining = entries.filter(entry => !this.matchesFilter(entry, filter));
+        if (remaining.length !== entries.length) {
+          await this.writeLogFile(file.name, remaining);
+        }
+      }
+
+      // Start from a fresh file on the next append
+      this.currentFile = null;
+    });
+
+    this.pendingWrite = clear.catch(() => {});
+    return clear;
+  }
+
+  /**
+   * Get entries from the log
+   * @param {number|null} quantity - Number of entries to retrieve (null for all)
+   * @param {boolean} reverseOrder - Whether to return entries in reverse order (newest first)
+   * @param {Object} filter - Optional filter, e.g. { conversationId } to get a single conversation (everything if omitted)
+   * @returns {Promise<Array>} - Array of entries
+   */
+  async getMessages(quantity = null, reverseOrder = false, filter = {}) {
+    await this.init();
+    // Wait for pending appends, so an entry is visible as soon as addMessage resolved
+    await this.pendingWrite;
+
+    const limit = quantity && typeof quantity === 'number' ? quantity : Infinity;
+    const newestFirst = [];
+
+    for (const file of await this.listLogFiles()) {
+      const entries = await this.readLogFile(file.name);
+
+      for (let index = entries.length - 1; index >= 0 && newestFirst.length < limit; index--) {
+        if (this.matchesFilter(entries[index], filter)) {
+          newestFirst.push(entries[index]);
+        }
+      }
+
+      if (newestFirst.length >= limit) {
+        break;
+      }
+    }
+
+    return reverseOrder ? newestFirst : newestFirst.reverse();
+  }
+
+  /**
+   * Get a page of entries, to page through the log with cursors
+   * Like getMessages() the files are read from newest to oldest, and reading stops as soon as the page is complete
+   * @param {Object} options - Page options (see MessageStorageInterface.getMessagePage)
+   * @returns {Promise<Object>} - The entries of the page, oldest first, and whether there are older and newer entries
+   */
+  async getMessagePage({ before = null, after = null, limit = null, filter = {} } = {}) {
+    await this.init();
+    await this.pendingWrite;
+
+    // One entry more than the page tells whether there are more in that direction
+    const wanted = limit ? limit + 1 : Infinity;
+    const newestFirst = [];
+    let hasOlder = false;
+    let hasNewer = false;
+    let complete = false;
+
+    for (const file of await this.listLogFiles()) {
+      const entries = await this.readLogFile(file.name);
+
+      for (let index = entries.length - 1; index >= 0 && !complete; index--) {
+        const entry = entries[index];
+        if (!this.matchesFilter(entry, filter)) {
+          continue;
+        }
+
+        if (after !== null && entry.id <= after) {
+          // Everything from here on is older than the cursor
+          hasOlder = true;
+          complete = true;
+        } else if (before !== null && entry.id >= before) {
+          hasNewer = true;
+        } else {
+          newestFirst.push(entry);
+          complete = after === null && newestFirst.length >= wanted;
+        }
+      }
+
+      if (complete) {
+        break;
+      }
+    }
+
+    if (after !== null) {
+      // Collected from the newest entry down to the cursor, the page is the oldest part of it
+      const oldestFirst = newestFirst.reverse();
+      const page = limit ? oldestFirst.slice(0, limit) : oldestFirst;
+      return { messages: page, hasOlder, hasNewer: page.length < oldestFirst.length };
+    }
+
+    const page = limit ? newestFirst.slice(0, limit) : newestFirst;
+    return { messages: page.reverse(), hasOlder: page.length < newestFirst.length, hasNewer };
+  }
+
+  /**
+   * Check whether an entry matches a filter
+   * Entries without a conversationId count as the default conversation, the same as in the file storage
+   * @param {Object} entry - The entry to check
+   * @param {Object} filter - Filter with optional conversationId
+   * @returns {boolean} - True if the entry matches
+   * @private
+   */
+  matchesFilter(entry, filter = {}) {
+    if (filter.conversationId === undefined) {
+      return true;
+    }
+    return (entry.conversationId || DEFAULT_CONVERSATION_ID) === filter.conversationId;
+  }
+
+  /**
+   * Pick the file the next line goes to, rotating on a new day or when the current file is full
+   * @param {string} day - Day of the entry (YYYY-MM-DD)
+   * @param {number} lineBytes - Size of the line to append
+   * @returns {Promise<string>} - Name of the file
+   * @private
+   */
+  async getFileForAppend(day, lineBytes) {
+    if (!this.currentFile || this.currentFile.day !== day) {
+      // New day (or first append since start): continue the day's newest part if there is one
+      const latest = (await this.listLogFiles()).find(file => file.day === day);
+      this.currentFile = latest || { name: this.getFileName(day, 0), day, part: 0 };
+      this.currentSize = latest ? (await fs.stat(path.join(this.directory, latest.name))).size : 0;
+
+      if (!latest) {
+        await this.removeExpiredFiles();
+      }
+    }
+
+    if (this.currentSize > 0 && this.currentSize + lineBytes > this.maxFileBytes) {
+      const part = this.currentFile.part + 1;
+      this.currentFile = { name: this.getFileName(day, part), day, part };
+      this.currentSize = 0;
+    }
+
+    return this.currentFile.name;
+  }
+
+  /**
+   * Get the oldest day whose entries are kept
+   * @returns {string|null} - Day (YYYY-MM-DD), null if entries are kept forever
+   * @private
+   */
+  getOldestKeptDay() {
+    if (!this.retentionDays) {
+      return null;
+    }
+    return this.getDay(new Date(Date.now() - (this.retentionDays - 1) * DAY_MS).toISOString());
+  }
+
+  /**
+   * Remove the log files that are older than the retention period
+   * @returns {Promise<void>}
+   * @private
+   */
+  async removeExpiredFiles() {
+    const oldestKeptDay = this.getOldestKeptDay();
+    if (!oldestKeptDay) {
+      return;
+    }
+
+    for (const file of await this.listLogFiles()) {
+      if (file.day < oldestKeptDay) {
+        await fs.rm(path.join(this.directory, file.name), { force: true });
+        logger.info('Removed expired request log', { file: file.name, retentionDays: this.retentionDays });
+      }
+    }
+  }
+
+  /**
+   * List the log files, newest first
+   * @returns {Promise<Array>} - Files with name, day and part
+   * @private
+   */
+  async listLogFiles() {
+    let names;
+    try {
+      names = await fs.readdir(this.directory);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    return names
+      .map(name => name.match(LOG_FILE_PATTERN))
+      .filter(Boolean)
+      .map(([name, day, part]) => ({ name, day, part: part ? parseInt(part) : 0 }))
+      .sort((a, b) => b.day.localeCompare(a.day) || b.part - a.part);
+  }
+
+  /**
+   * Bring every log file in line with the cipher
+   * Every line is decrypted once, so a wrong key stops the start instead of failing the first request. Files
+   * with plain lines are encrypted when encryption was switched on, and lines encrypted with a previous key get
+   * the current key.
+   * @returns {Promise<void>}
+   * @private
+   */
+  async encryptLogFiles() {
+    let encrypted = 0;
+
+    for (const file of await this.listLogFiles()) {
+      const data = await fs.readFile(path.join(this.directory, file.name), 'utf8');
+      const entries = await this.readLogFile(file.name);
+
+      if (data.split('\n').some(line => line.trim() && needsRewrite(line, this.cipher))) {
+        await this.writeLogFile(file.name, entries);
+        encrypted++;
+      }
+    }
+
+    if (encrypted > 0) {
+      logger.info('Encrypted request log files', { files: encrypted, keyId: this.cipher.keyId });
+    }
+  }
+
+  /**
+   * Turn an entry into a line of a log file
+   * @param {Object} entry - The entry
+   * @returns {string} - The line with its line break, encrypted if there is a cipher
+   * @private
+   */
+  toLine(entry) {
+    return encodeStoredText(JSON.stringify(entry), this.cipher) + '\n';
+  }
+
+  /**
+   * Replace the content of a log file
+   * The entries are written to a temporary file first and then renamed over the original, which is atomic
+   * @param {string} name - Name of the file
+   * @param {Array} entries - The entries, oldest first
+   * @returns {Promise<void>}
+   * @private
+   */
+  async writeLogFile(name, entries) {
+    const filePath = path.join(this.directory, name);
+    const tempPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+    try {
+      await fs.writeFile(tempPath, entries.map(entry => this.toLine(entry)).join(''), 'utf8');
+      await fs.rename(tempPath, filePath);
+    } catch (error) {
+      await fs.rm(tempPath, { force: true });
+      throw error;
+    }
+  }
+
+  /**
+   * Read the entries of a log file, oldest first
+   * Lines that can't be parsed or decrypted because they are damaged (e.g. cut off by a crash) are skipped;
+   * lines written with a key that isn't configured are not
+   * @param {string} name - Name of the file
+   * @returns {Promise<Array>} - Array of entries
+   * @throws {EncryptionKeyError} - If a line is encrypted and can't be decrypted
+   * @private
+   */
+  async readLogFile(name) {
+    let data;
+    try {
+      data = await fs.readFile(path.join(this.directory, name), 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    const entries = [];
+    for (const line of data.split('\n')) {
+      if (!line.trim()) {
+        continue;
+      }
+      try {
+        entries.push(JSON.parse(decodeStoredText(line, this.cipher, `Request log ${name}`)));
+      } catch (error) {
+        if (error instanceof EncryptionKeyError && error.reason !== 'damaged') {
+          throw error;
+        }
+        logger.error('Skipping unreadable line in request log', { file: name, error });
+      }
+    }
+    return entries;
+  }
+
+  /**
+   * Get the file name of a day's part
+   * @param {string} day - Day (YYYY-MM-DD)
+   * @param {number} part - Part number, 0 for the first file of the day
+   * @returns {string} - File name
+   * @private
+   */
+  getFileName(day, part) {
+    return part > 0 ? `requests-${day}.${part}.jsonl` : `requests-${day}.jsonl`;
+  }
+
+  /**
+   * Get the UTC day of a timestamp
+   * @param {string} timestamp - ISO timestamp
+   * @returns {string} - Day (YYYY-MM-DD)
+   * @private
+   */
+  getDay(timestamp) {
+    const date = new Date(timestamp || Date.now());
+    return (Number.isNaN(date.getTime()) ? new Date() : date).toISOString().slice(0, 10);
+  }
+
+  /**
+   * Check whether a path exists
+   * @param {string} target - The path
+   * @returns {Promise<boolean>}
+   * @private
+   */
+  async exists(target) {
+    try {
+      await fs.access(target);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+}
@@ -0,0 +1,156 @@
+import { DEFAULT_CONVERSATION_ID } from './ConversationStorage.js';
+import { createLogger } from '../logging/Logger.js';
+
+const logger = createLogger('MessageSchema');
+
+export const MESSAGE_ROLES = ['user', 'assistant', 'system', 'tool'];
+
+// Optional message fields and the type each must have when it is set
+export const MESSAGE_FIELDS = {
+  conversationId: 'string',
+  timestamp: 'string',
+  model: 'string',
+  fallbackUsed: 'boolean',
+  partial: 'boolean',
+  interruptedBy: 'string',
+  toolCalls: 'array',
+  toolCallId: 'string',
+  name: 'string',
+  toolError: 'boolean',
+  securityFlagged: 'boolean',
+  securityReasons: 'array',
+  versions: 'array',
+  activeVersion: 'number',
+  updatedAt: 'string'
+};
+
+// Fields of the message shapes from before role/content, which must not come back
+const LEGACY_FIELDS = ['sender', 'text'];
+
+// Senders of legacy messages written by the bot; every other sender was a person
+const LEGACY_ASSISTANT_SENDERS = ['assistant', 'bot', 'ai'];
+
+/**
+ * Error thrown when a message that doesn't match the schema is written
+ */
+export class MessageValidationError extends Error {
+  /**
+   * Constructor
+   * @param {Array<string>} details - The problems found
+   */
+  constructor(details) {
+    super(`Invalid message: ${details.join('; ')}`);
+    this.name = 'MessageValidationError';
+    this.details = details;
+    // The REST layer answers with a bad request
+    this.httpStatus = 400;
+  }
+}
+
+/**
+ * Check a message against the current schema
+ * @param {Object} message - The message
+ * @returns {Array<string>} - Problems found, empty if the message is valid
+ */
+export function getMessageErrors(message) {
+  if (!message || typeof message !== 'object' || Array.isArray(message)) {
+    return ['must be an object'];
+  }
+
+  const errors = [];
+
+  if (!MESSAGE_ROLES.includes(message.role)) {
+    errors.push(`role must be one of ${MESSAGE_ROLES.join(', ')}`);
+  }
+  if (typeof message.content !== 'string') {
+    errors.push('content must be a string');
+  } else if (!message.content.trim() && !(message.role === 'assistant' && message.toolCalls)) {
+    // Only an assistant message asking for tool calls can be empty
+    errors.push('content must not be empty');
+  }
+
+  for (const [field, type] of Object.entries(MESSAGE_FIELDS)) {
+    const value = message[field];
+    if (value === undefined || value === null) {
+      continue;
+    }
+    const valid = type === 'array' ? Array.isArray(value) : typeof value === type;
+    if (!valid) {
+      errors.push(`${field} must be ${type === 'array' ? 'an array' : `a ${type}`}`);
+    }
+  }
+
+  if (typeof message.timestamp === 'string' && Number.isNaN(Date.parse(message.timestamp))) {
+    errors.push('timestamp must be an ISO date');
+  }
+
+  for (const field of LEGACY_FIELDS) {
+    if (message[field] !== undefined) {
+      errors.push(`${field} is a legacy field, use role and content`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Make sure a message matches the current schema
+ * @param {Object} message - The message
+ * @throws {MessageValidationError} - If it doesn't
+ */
+export function assertValidMessage(message) {
+  const errors = getMessageErrors(message);
+  if (errors.length > 0) {
+    throw new MessageValidationError(errors);
+  }
+}
+
+/**
+ * Version 1: bring the messages from before the role/content shape into it
+ * Old records came as { sender, text } from the first messages API or as a bare { text }. Every message also gets
+ * its conversation written down instead of relying on missing conversationIds meaning the default conversation.
+ * Records that still don't match the schema afterwards (e.g. without any text) are moved to the storage's quarantine.
+ * @param {Object} record - The stored record
+ * @returns {Object|null} - The migrated message, or null if the record can't be repaired
+ */
+function migrateLegacyShape(record) {
+  const { sender, text, ...message } = record;
+
+  if (!MESSAGE_ROLES.includes(message.role)) {
+    // The first API stored the sender's name; only the bot's own messages were replies
+    const legacySender = typeof message.role === 'string' ? message.role : sender;
+    message.role = typeof legacySender === 'string' && LEGACY_ASSISTANT_SENDERS.includes(legacySender.toLowerCase())
+      ? 'assistant'
+      : 'user';
+  }
+
+  if (message.content === undefined || message.content === null) {
+    message.content = text;
+  }
+  if (typeof message.content === 'number') {
+    message.content = String(message.content);
+  }
+
+  message.conversationId = message.conversationId || DEFAULT_CONVERSATION_ID;
+
+  const errors = getMessageErrors(message);
+  if (errors.length > 0) {
+    logger.warn('Message can\'t be migrated, moving it to quarantine', { messageId: record.id, errors });
+    return null;
+  }
+  return message;
+}
+
+/**
+ * Migrations of the stored messages, oldest first
+ * Each one upgrades a single record from the previous version; storages without a version marker are at version 0.
+ */
+export const MESSAGE_MIGRATIONS = [
+  {
+    version: 1,
+    description: 'convert legacy sender/text messages to role/content and store every conversationId',
+    migrate: migrateLegacyShape
+  }
+];
+
+export const MESSAGE_SCHEMA_VERSION = MESSAGE_MIGRATIONS[MESSAGE_MIGRATIONS.length - 1].version;
@@ -1,6 +1,13 @@
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { FileMessageStorage } from './FileMessageStorage.js';
+import { SqliteMessageStorage } from './SqliteMessageStorage.js';
+import { JsonlRequestLogStorage } from './JsonlRequestLogStorage.js';
+import { InMemoryMessageStorage } from './InMemoryMessageStorage.js';
+import { DEFAULT_CONVERSATION_ID } from './ConversationStorage.js';
+import { VersionedMessageStorage } from './VersionedMessageStorage.js';
+import { InstrumentedMessageStorage } from './InstrumentedMessageStorage.js';
+import { SearchableMessageStorage, getMessageSearchText, getRequestSearchText } from './SearchableMessageStorage.js';
 
 /**
  * Factory for creating message storage instances
@@ -8,18 +15,48 @@ import { FileMessageStorage } from './FileMessageStorage.js';
 export class MessageStorageFactory {
   /**
    * Get a message storage implementation
-   * @param {string} type - Type of storage ('file' by default)
+   * The storage is versioned: on init its messages are migrated to the current message schema and every message
+   * written is validated. It is also searchable: its user and assistant messages are kept in a full-text search index.
+   * The operations of the implementation are recorded in the server metrics as storage 'messages'.
+   * @param {string} type - Type of storage ('file' by default, 'sqlite' or 'memory')
    * @param {Object} options - Options for the storage implementation
-   * @returns {Object} - A message storage implementation
+   * @param {string} options.filePath - JSON file of the file storage; the sqlite storage imports it on first start
+   * @param {string} options.databasePath - SQLite database file (sqlite only)
+   * @param {StorageCipher|null} options.cipher - Encrypts the stored messages (not used by the memory storage)
+   * @returns {SearchableMessageStorage} - A message storage implementation
    */
   static getStorage(type = 'file', options = {}) {
+    const storage = new InstrumentedMessageStorage(this.createStorage(type, options), { name: 'messages' });
+    return new SearchableMessageStorage(new VersionedMessageStorage(storage), {
+      getText: getMessageSearchText
+    });
+  }
+  
+  /**
+   * Create the message storage implementation wrapped by getStorage()
+   * @param {string} type - Type of storage
+   * @param {Object} options - Options for the storage implementation (see getStorage)
+   * @returns {Object} - A message storage implementation
+   * @private
+   */
+  static createStorage(type, options) {
     // Get the directory name of the current module
     const __dirname = path.dirname(fileURLToPath(import.meta.url));
     
     switch (type.toLowerCase()) {
       case 'file':
         const filePath = options.filePath || path.join(process.cwd(), 'messages.json');
-        return new FileMessageStorage(filePath);
+        return new FileMessageStorage(filePath, { cipher: options.cipher });
+      
+      case 'sqlite':
+        return new SqliteMessageStorage(options.databasePath || path.join(process.cwd(), 'storage.sqlite'), {
+          tableName: 'messages',
+          importFrom: options.filePath || path.join(process.cwd(), 'messages.json'),
+          cipher: options.cipher
+        });
+      
+      case 'memory':
+        return new InMemoryMessageStorage();
       
       // We could add more implementations here in the future
       // case 'mongodb':
@@ -32,15 +69,62 @@ export class MessageStorageFactory {
   
   /**
    * Get a request storage implementation
-   * @param {string} type - Type of storage ('file' by default)
+   * @param {string} type - Type of storage ('file' by default, 'sqlite', 'jsonl' or 'memory')
    * @param {Object} options - Options for the storage implementation
-   * @returns {Object} - A request storage implementation using FileMessageStorage
+   * @param {string} options.filePath - JSON file of the file storage; the sqlite and jsonl storages import it on first start
+   * @param {string} options.databasePath - SQLite database file (sqlite only)
+   * @param {string} options.directory - Directory of the log files (jsonl only)
+   * @param {number} options.maxFileBytes - Size from which a log file is rotated (jsonl only)
+   * @param {number} options.retentionDays - Days log files are kept (jsonl only)
+   * @param {StorageCipher|null} options.cipher - Encrypts the stored requests (not used by the memory storage)
+   * @param {number} options.searchIndexMaxEntries - Newest requests kept in the search index (0 or omitted for all)
+   * @returns {SearchableMessageStorage} - A request storage implementation, searchable like the message storage and
+   *   recorded in the server metrics as storage 'requests'
    */
   static getRequestStorage(type = 'file', options = {}) {
+    const storage = new InstrumentedMessageStorage(this.createRequestStorage(type, options), { name: 'requests' });
+    return new SearchableMessageStorage(storage, {
+      getText: getRequestSearchText,
+      maxIndexed: options.searchIndexMaxEntries || null,
+      getFields: entry => ({
+        conversationId: entry.conversationId || DEFAULT_CONVERSATION_ID,
+        title: entry.title,
+        provider: entry.provider,
+        timestamp: entry.timestamp
+      })
+    });
+  }
+  
+  /**
+   * Create the request storage implementation wrapped by getRequestStorage()
+   * @param {string} type - Type of storage
+   * @param {Object} options - Options for the storage implementation (see getRequestStorage)
+   * @returns {Object} - A request storage implementation
+   * @private
+   */
+  static createRequestStorage(type, options) {
     switch (type.toLowerCase()) {
       case 'file':
         const filePath = options.filePath || path.join(process.cwd(), 'requests.json');
-        return new FileMessageStorage(filePath);
+        return new FileMessageStorage(filePath, { cipher: options.cipher });
+      
+      case 'sqlite':
+        return new SqliteMessageStorage(options.databasePath || path.join(process.cwd(), 'storage.sqlite'), {
+          tableName: 'requests',
+          importFrom: options.filePath || path.join(process.cwd(), 'requests.json'),
+          cipher: options.cipher
+        });
+      
+      case 'jsonl':
+        return new JsonlRequestLogStorage(options.directory || path.join(process.cwd(), 'logs', 'requests'), {
+          maxFileBytes: options.maxFileBytes,
+          retentionDays: options.retentionDays,
+          importFrom: options.filePath || path.join(process.cwd(), 'requests.json'),
+          cipher: options.cipher
+        });
+      
+      case 'memory':
+        return new InMemoryMessageStorage();
       
       default:
         throw new Error(`Unsupported storage type: ${type}`);
@@ -1,10 +1,109 @@
+import { DEFAULT_CONVERSATION_ID } from './ConversationStorage.js';
+
+/**
+ * Check whether a message matches the criteria of MessageStorageInterface.query()
+ * Storages that can't translate the criteria into their own query language filter with this
+ * @param {Object} message - The message to check
+ * @param {Object} criteria - Query criteria (see MessageStorageInterface.query)
+ * @returns {boolean} - True if the message matches
+ */
+export function matchesQuery(message, { conversationId, role, since, until, text } = {}) {
+  if (conversationId !== undefined && (message.conversationId || DEFAULT_CONVERSATION_ID) !== conversationId) {
+    return false;
+  }
+  if (role && message.role !== role) {
+    return false;
+  }
+  if (since && message.timestamp < since) {
+    return false;
+  }
+  if (until && message.timestamp > until) {
+    return false;
+  }
+  if (text && !String(message.content || '').toLowerCase().includes(text.toLowerCase())) {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Apply the criteria of MessageStorageInterface.query() to a list of messages
+ * @param {Array} messages - Messages, oldest first
+ * @param {Object} criteria - Query criteria (see MessageStorageInterface.query)
+ * @returns {Array} - The matching page of messages, oldest first
+ */
+export function applyQuery(messages, criteria = {}) {
+  const { limit = null, offset = 0 } = criteria;
+  const matching = messages.filter(message => matchesQuery(message, criteria));
+  return limit ? matching.slice(offset, offset + limit) : matching.slice(offset);
+}
+
+/**
+ * Cut the page of MessageStorageInterface.getMessagePage() out of a list of messages
+ * @param {Array} messages - The messages matching the filter, oldest first
+ * @param {Object} options - Page options (see MessageStorageInterface.getMessagePage)
+ * @returns {Object} - The messages of the page, oldest first, and whether there are older and newer messages
+ */
+export function pageMessages(messages, { before = null, after = null, limit = null } = {}) {
+  if (after !== null) {
+    const newer = messages.filter(message => message.id > after);
+    const page = limit ? newer.slice(0, limit) : newer;
+    return { messages: page, hasOlder: newer.length < messages.length, hasNewer: page.length < newer.length };
+  }
+
+  const older = before !== null ? messages.filter(message => message.id < before) : messages;
+  const page = limit ? older.slice(-limit) : older;
+  return { messages: page, hasOlder: page.length < older.length, hasNewer: older.length < messages.length };
+}
+
+/**
+ * Pass a list of messages through the transform of MessageStorageInterface.rewriteMessages()
+ * @param {Array} messages - The stored messages
+ * @param {Function} transform - Returns the message to store in place of the given one, or null to quarantine it
+ * @returns {Object} - The new list of messages, the number of updated messages and the messages to quarantine as stored
+ */
+export function rewriteAll(messages, transform) {
+  const rewritten = [];
+  const quarantined = [];
+  let updated = 0;
+
+  for (const message of messages) {
+    const result = transform({ ...message });
+    if (!result) {
+      quarantined.push(message);
+      continue;
+    }
+
+    const next = { id: message.id, ...result };
+    next.id = message.id;
+    // Compare field by field, a transform that only moved fields around changed nothing
+    const keys = Object.keys(next);
+    const changed = keys.length !== Object.keys(message).length
+      || keys.some(key => JSON.stringify(next[key]) !== JSON.stringify(message[key]));
+    if (changed) {
+      updated++;
+    }
+    rewritten.push(next);
+  }
+
+  return { messages: rewritten, updated, quarantined };
+}
+
 /**
  * Abstract base class for message storage
  * Defines the interface that all storage implementations must follow
  */
 export class MessageStorageInterface {
+  /**
+   * Prepare the storage (create files, tables, run imports); awaited once before the server starts
+   * Implementations that need no preparation can keep this default
+   * @returns {Promise<void>}
+   */
+  async init() {}
+
   /**
    * Add a new message to storage
+   * The message gets an id higher than every id handed out before, also of messages deleted since
    * @param {Object} message - The message to add
    * @returns {Promise<Object>} - The added message
    */
@@ -13,10 +112,26 @@ export class MessageStorageInterface {
   }
 
   /**
-   * Clear all messages from storage
+   * Add several messages at once, in the given order
+   * Implementations that write files or databases store them in one write, so either all or none are stored;
+   * this default adds them one by one
+   * @param {Array} messages - The messages to add
+   * @returns {Promise<Array>} - The added messages
+   */
+  async addMessages(messages) {
+    const added = [];
+    for (const message of messages) {
+      added.push(await this.addMessage(message));
+    }
+    return added;
+  }
+
+  /**
+   * Clear messages from storage
+   * @param {Object} filter - Optional filter, e.g. { conversationId } to clear a single conversation (all messages if omitted)
    * @returns {Promise<void>}
    */
-  async clearMessages() {
+  async clearMessages(filter = {}) {
     throw new Error('Method clearMessages() must be implemented');
   }
 
@@ -24,9 +139,112 @@ export class MessageStorageInterface {
    * Get messages from storage
    * @param {number|null} quantity - Number of messages to retrieve (null for all)
    * @param {boolean} reverseOrder - Whether to return messages in reverse order (newest first)
+   * @param {Object} filter - Optional filter, e.g. { conversationId } to get a single conversation (all messages if omitted)
    * @returns {Promise<Array>} - Array of messages
    */
-  async getMessages(quantity = null, reverseOrder = false) {
+  async getMessages(quantity = null, reverseOrder = false, filter = {}) {
     throw new Error('Method getMessages() must be implemented');
   }
+
+  /**
+   * Get a page of messages, to page through the history with cursors
+   * Cursors are message ids, which only grow, so a page stays stable while new messages are added.
+   * @param {Object} options - Page options
+   * @param {number|null} options.before - Only messages older than the message with this id
+   * @param {number|null} options.after - Only messages newer than the message with this id (the newest page if neither is given)
+   * @param {number|null} options.limit - Maximum number of messages (null for all)
+   * @param {Object} options.filter - Optional filter, e.g. { conversationId } to page through a single conversation
+   * @returns {Promise<Object>} - The messages of the page, oldest first, and whether there are older and newer messages
+   */
+  async getMessagePage({ before = null, after = null, limit = null, filter = {} } = {}) {
+    throw new Error('Method getMessagePage() must be implemented');
+  }
+
+  /**
+   * Get a single message
+   * @param {number} id - Message id
+   * @returns {Promise<Object|null>} - The message or null if it doesn't exist
+   */
+  async getMessageById(id) {
+    throw new Error('Method getMessageById() must be implemented');
+  }
+
+  /**
+   * Update a message
+   * @param {number} id - Message id
+   * @param {Object} changes - Fields to change; the id can't be changed
+   * @returns {Promise<Object|null>} - The updated message or null if it doesn't exist
+   */
+  async updateMessage(id, changes) {
+    throw new Error('Method updateMessage() must be implemented');
+  }
+
+  /**
+   * Delete a message
+   * @param {number} id - Message id
+   * @returns {Promise<boolean>} - True if the message existed
+   */
+  async deleteMessage(id) {
+    throw new Error('Method deleteMessage() must be implemented');
+  }
+
+  /**
+   * Delete several messages at once
+   * Implementations that write files or databases delete them in one write; this default deletes them one by one
+   * @param {Array<number>} ids - Message ids
+   * @returns {Promise<number>} - Number of messages that existed
+   */
+  async deleteMessages(ids) {
+    let deleted = 0;
+    for (const id of ids) {
+      if (await this.deleteMessage(id)) {
+        deleted++;
+      }
+    }
+    return deleted;
+  }
+
+  /**
+   * Find messages by their fields
+   * @param {Object} criteria - Query criteria, all optional
+   * @param {string} criteria.conversationId - Only messages of this conversation
+   * @param {string} criteria.role - Only messages with this role
+   * @param {string} criteria.since - Only messages with a timestamp at or after this ISO timestamp
+   * @param {string} criteria.until - Only messages with a timestamp at or before this ISO timestamp
+   * @param {string} criteria.text - Only messages whose content contains this text (case insensitive)
+   * @param {number} criteria.limit - Maximum number of messages to return
+   * @param {number} criteria.offset - Number of matching messages to skip
+   * @returns {Promise<Array>} - Matching messages, oldest first
+   */
+  async query(criteria = {}) {
+    throw new Error('Method query() must be implemented');
+  }
+
+  /**
+   * Get the schema version the stored messages are at (see MessageSchema.js)
+   * @returns {Promise<number>} - The version, 0 if the storage has no version marker yet
+   */
+  async getSchemaVersion() {
+    throw new Error('Method getSchemaVersion() must be implemented');
+  }
+
+  /**
+   * Set the schema version marker
+   * @param {number} version - The version the stored messages are at
+   * @returns {Promise<void>}
+   */
+  async setSchemaVersion(version) {
+    throw new Error('Method setSchemaVersion() must be implemented');
+  }
+
+  /**
+   * Pass every stored message through a function and store what it returns, in one go
+   * Used by migrations; unlike updateMessage() fields can be removed, and updatedAt is left alone. A message the
+   * transform returns null for leaves the storage, but is kept as it was in the storage's quarantine.
+   * @param {Function} transform - Gets a message and returns the message to store in its place (its id is kept), or null to quarantine it
+   * @returns {Promise<Object>} - Number of updated and quarantined messages
+   */
+  async rewriteMessages(transform) {
+    throw new Error('Method rewriteMessages() must be implemented');
+  }
 }
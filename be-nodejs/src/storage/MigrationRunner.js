@@ -0,0 +1,69 @@
+import { createLogger } from '../logging/Logger.js';
+
+const logger = createLogger('MigrationRunner');
+
+/**
+ * Upgrades the records of a storage to the current schema version
+ * The storage keeps a schema version marker. On start the migrations newer than the marker run one after another
+ * over every record, and the marker moves to the version of each migration once it has finished, so an
+ * interrupted upgrade continues with the migration that failed. Records a migration can't upgrade leave the storage
+ * but are kept in its quarantine (see rewriteMessages()).
+ */
+export class MigrationRunner {
+  /**
+   * Constructor
+   * @param {Object} storage - Storage with getSchemaVersion(), setSchemaVersion() and rewriteMessages()
+   * @param {Array} migrations - Migrations ({ version, description, migrate }), oldest first
+   * @param {string} name - Name of the storage in the log
+   */
+  constructor(storage, migrations, name = 'storage') {
+    this.storage = storage;
+    this.migrations = migrations;
+    this.name = name;
+  }
+
+  /**
+   * The version the storage is at once every migration ran
+   * @returns {number}
+   */
+  get latestVersion() {
+    return this.migrations.length > 0 ? this.migrations[this.migrations.length - 1].version : 0;
+  }
+
+  /**
+   * Run the pending migrations
+   * @returns {Promise<Object>} - The versions before and after, and the number of changed and quarantined records
+   */
+  async run() {
+    const fromVersion = await this.storage.getSchemaVersion();
+
+    if (fromVersion > this.latestVersion) {
+      throw new Error(`The ${this.name} has schema version ${fromVersion}, but this server only knows versions up to ${this.latestVersion}`);
+    }
+
+    const pending = this.migrations.filter(migration => migration.version > fromVersion);
+    let updated = 0;
+    let quarantined = 0;
+
+    for (const migration of pending) {
+      const result = await this.storage.rewriteMessages(migration.migrate);
+      await this.storage.setSchemaVersion(migration.version);
+
+      updated += result.updated;
+      quarantined += result.quarantined;
+      logger.info(`Migrated ${this.name} to schema version ${migration.version}`, {
+        description: migration.description,
+        updated: result.updated,
+        quarantined: result.quarantined
+      });
+      if (result.quarantined > 0) {
+        logger.warn(`Records of the ${this.name} couldn't be migrated and were kept in quarantine to repair by hand`, {
+          version: migration.version,
+          records: result.quarantined
+        });
+      }
+    }
+
+    return { fromVersion, toVersion: this.latestVersion, updated, quarantined };
+  }
+}
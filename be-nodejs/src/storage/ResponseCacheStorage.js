@@ -0,0 +1,90 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { applyCipher, moveCorruptFile, runExclusive, writeFileAtomic } from './FileAccess.js';
+import { decodeStoredText, encodeStoredText } from './StorageCipher.js';
+import { createLogger } from '../logging/Logger.js';
+import { getMetrics } from '../metrics/ServerMetrics.js';
+
+const logger = createLogger('ResponseCacheStorage');
+const metrics = getMetrics();
+
+/**
+ * File storage for cached LLM responses
+ * Stores all entries as one JSON object keyed by the cache key. Operations on the file run one after another and
+ * writes replace the file atomically. With a cipher the file is stored encrypted, the cached responses hold the
+ * same text as the messages.
+ */
+export class ResponseCacheStorage {
+    /**
+     * Constructor
+     * @param {string} filePath - Path to the cache file
+     * @param {StorageCipher|null} cipher - Encrypts the file (plain JSON if omitted)
+     */
+    constructor(filePath, cipher = null) {
+        this.filePath = path.resolve(filePath);
+        this.cipher = cipher;
+    }
+
+    /**
+     * Check the stored file against the cipher: a wrong key stops the start, and a plain file or one encrypted
+     * with a previous key is written again with the current key
+     * @returns {Promise<void>}
+     * @throws {EncryptionKeyError} - If the file is encrypted and can't be decrypted with the configured keys
+     */
+    async init() {
+        if (await runExclusive(this.filePath, () => applyCipher(this.filePath, this.cipher))) {
+            logger.info('Encrypted response cache file', { file: this.filePath, keyId: this.cipher.keyId });
+        }
+    }
+
+    /**
+     * Read all cache entries
+     * A file that can't be parsed is moved aside to a backup, so the next write doesn't overwrite it
+     * @returns {Promise<Object>} Entries keyed by cache key
+     * @throws {EncryptionKeyError} If the file is encrypted and can't be decrypted
+     */
+    async readEntries() {
+        return runExclusive(this.filePath, async () => {
+            let data;
+            try {
+                data = await metrics.observeStorageOperation('response-cache', 'read', () => fs.readFile(this.filePath, 'utf8'));
+            } catch (error) {
+                if (error.code === 'ENOENT') {
+                    // Nothing cached yet
+                    return {};
+                }
+                throw error;
+            }
+
+            const json = decodeStoredText(data, this.cipher, this.filePath);
+            try {
+                return JSON.parse(json);
+            } catch (error) {
+                const backupPath = await moveCorruptFile(this.filePath);
+                logger.error('Error parsing response cache file, moved it aside and starting with an empty cache', { file: this.filePath, backupPath, error });
+                return {};
+            }
+        });
+    }
+
+    /**
+     * Write all cache entries (overwrites the file)
+     * @param {Object} entries - Entries keyed by cache key
+     * @returns {Promise<void>}
+     */
+    async writeEntries(entries) {
+        const data = encodeStoredText(JSON.stringify(entries, null, 2), this.cipher);
+        // Queued behind earlier writes, so a slow write can't overwrite a newer one
+        await runExclusive(this.filePath, () => metrics.observeStorageOperation('response-cache', 'write', () => writeFileAtomic(this.filePath, data)));
+    }
+}
+
+/**
+ * Factory function to create a ResponseCacheStorage instance
+ * @param {string} filePath - Path to the cache file
+ * @param {StorageCipher|null} cipher - Encrypts the file (plain JSON if omitted)
+ * @returns {ResponseCacheStorage} Response cache storage instance
+ */
+export function createResponseCacheStorage(filePath, cipher = null) {
+    return new ResponseCacheStorage(filePath, cipher);
+}
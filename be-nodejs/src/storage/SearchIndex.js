@@ -0,0 +1,280 @@
+// BM25 ranking parameters: how fast repeated terms stop adding to the score, and how much long documents are penalized
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+// Characters shown around the first match in a snippet
+const SNIPPET_CONTEXT = 60;
+
+/**
+ * Split text into lower case search terms
+ * @param {string} text - The text
+ * @returns {Array<string>} - Terms in the order they appear
+ */
+export function tokenize(text) {
+  return String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+/**
+ * Escape text for use in HTML
+ * @param {string} text - The text
+ * @returns {string} - The escaped text
+ */
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Escape text for use in a regular expression
+ * @param {string} text - The text
+ * @returns {string} - The escaped text
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Small in-memory inverted index with BM25 ranking
+ * Every document is a piece of text with an id and a few fields returned with the results (conversation,
+ * timestamp, ...). The last word of a query also matches longer words starting with it, so results can
+ * be shown while the user is still typing. With a maximum number of documents the index keeps the ones added last.
+ */
+export class SearchIndex {
+  /**
+   * Constructor
+   * @param {Object} options - Index options
+   * @param {number|null} options.maxDocuments - Documents kept at most; the oldest ones are dropped (no limit if omitted)
+   */
+  constructor({ maxDocuments = null } = {}) {
+    this.maxDocuments = maxDocuments;
+    // id -> { text, fields, termCounts, length }, in the order they were added
+    this.documents = new Map();
+    // term -> Set of document ids
+    this.postings = new Map();
+    this.totalLength = 0;
+  }
+
+  /**
+   * Number of indexed documents
+   * @returns {number}
+   */
+  get size() {
+    return this.documents.size;
+  }
+
+  /**
+   * Add a document, replacing the document with the same id
+   * @param {number|string} id - Document id
+   * @param {string} text - Text to index
+   * @param {Object} fields - Fields returned with the search results
+   */
+  add(id, text, fields = {}) {
+    this.remove(id);
+
+    const terms = tokenize(text);
+    if (terms.length === 0) {
+      return;
+    }
+
+    const termCounts = new Map();
+    for (const term of terms) {
+      termCounts.set(term, (termCounts.get(term) || 0) + 1);
+    }
+
+    for (const term of termCounts.keys()) {
+      if (!this.postings.has(term)) {
+        this.postings.set(term, new Set());
+      }
+      this.postings.get(term).add(id);
+    }
+
+    this.documents.set(id, { text, fields, termCounts, length: terms.length });
+    this.totalLength += terms.length;
+
+    if (this.maxDocuments && this.documents.size > this.maxDocuments) {
+      this.remove(this.documents.keys().next().value);
+    }
+  }
+
+  /**
+   * Remove a document
+   * @param {number|string} id - Document id
+   * @returns {boolean} - True if the document was indexed
+   */
+  remove(id) {
+    const document = this.documents.get(id);
+    if (!document) {
+      return false;
+    }
+
+    for (const term of document.termCounts.keys()) {
+      const ids = this.postings.get(term);
+      ids.delete(id);
+      if (ids.size === 0) {
+        this.postings.delete(term);
+      }
+    }
+
+    this.documents.delete(id);
+    this.totalLength -= document.length;
+    return true;
+  }
+
+  /**
+   * Remove the documents whose fields match a predicate
+   * @param {Function} predicate - Called with the fields of each document
+   */
+  removeWhere(predicate) {
+    for (const [id, document] of this.documents) {
+      if (predicate(document.fields)) {
+        this.remove(id);
+      }
+    }
+  }
+
+  /**
+   * Remove all documents
+   */
+  clear() {
+    this.documents.clear();
+    this.postings.clear();
+    this.totalLength = 0;
+  }
+
+  /**
+   * Search the index
+   * Documents have to contain every term of the query. They are ranked by BM25, newer documents first on equal scores.
+   * @param {string} query - The search query
+   * @param {Object} options - Search options
+   * @param {Function} options.filter - Only documents whose fields pass this predicate
+   * @param {number} options.limit - Maximum number of results
+   * @param {number} options.offset - Number of results to skip
+   * @returns {Object} - The total number of matches and the requested page of results with id, score, snippet and fields
+   */
+  search(query, { filter = null, limit = 20, offset = 0 } = {}) {
+    const queryTerms = [...new Set(tokenize(query))];
+    if (queryTerms.length === 0) {
+      return { total: 0, results: [] };
+    }
+
+    // Every query term becomes the index terms it matches, the last one also by prefix
+    const expandedTerms = queryTerms.map((term, index) => (
+      index === queryTerms.length - 1 ? this.expandPrefix(term) : (this.postings.has(term) ? [term] : [])
+    ));
+    if (expandedTerms.some(terms => terms.length === 0)) {
+      return { total: 0, results: [] };
+    }
+
+    const averageLength = this.totalLength / this.documents.size;
+    const scores = new Map();
+
+    expandedTerms.forEach((terms, index) => {
+      const matchedIds = new Set();
+
+      for (const term of terms) {
+        const ids = this.postings.get(term);
+        const idf = Math.log(1 + (this.documents.size - ids.size + 0.5) / (ids.size + 0.5));
+
+        for (const id of ids) {
+          // From the second term on, only documents that matched all earlier terms are kept
+          if (index > 0 && !scores.has(id)) {
+            continue;
+          }
+
+          const document = this.documents.get(id);
+          const count = document.termCounts.get(term);
+          const score = idf * (count * (BM25_K1 + 1)) /
+            (count + BM25_K1 * (1 - BM25_B + BM25_B * document.length / averageLength));
+
+          scores.set(id, (scores.get(id) || 0) + score);
+          matchedIds.add(id);
+        }
+      }
+
+      if (index > 0) {
+        for (const id of scores.keys()) {
+          if (!matchedIds.has(id)) {
+            scores.delete(id);
+          }
+        }
+      }
+    });
+
+    const matches = [...scores]
+      .filter(([id]) => !filter || filter(this.documents.get(id).fields))
+      .sort(([idA, scoreA], [idB, scoreB]) => scoreB - scoreA || this.compareRecency(idA, idB));
+
+    const highlightTerms = expandedTerms.flat();
+    const results = matches.slice(offset, offset + limit).map(([id, score]) => ({
+      id,
+      score: Math.round(score * 1000) / 1000,
+      snippet: this.createSnippet(this.documents.get(id).text, highlightTerms),
+      ...this.documents.get(id).fields
+    }));
+
+    return { total: matches.length, results };
+  }
+
+  /**
+   * Find the index terms starting with a term
+   * @param {string} term - The term
+   * @returns {Array<string>} - Matching index terms
+   * @private
+   */
+  expandPrefix(term) {
+    const terms = [];
+    for (const indexed of this.postings.keys()) {
+      if (indexed.startsWith(term)) {
+        terms.push(indexed);
+      }
+    }
+    return terms;
+  }
+
+  /**
+   * Order two documents newest first, by timestamp if they have one and by id otherwise
+   * @param {number|string} idA - First document id
+   * @param {number|string} idB - Second document id
+   * @returns {number} - Sort order
+   * @private
+   */
+  compareRecency(idA, idB) {
+    const timestampA = this.documents.get(idA).fields.timestamp || '';
+    const timestampB = this.documents.get(idB).fields.timestamp || '';
+    return timestampB.localeCompare(timestampA) || (idB > idA ? 1 : idB < idA ? -1 : 0);
+  }
+
+  /**
+   * Cut the part around the first match out of a text and highlight the matched words
+   * @param {string} text - The document text
+   * @param {Array<string>} terms - Index terms that matched
+   * @returns {string} - HTML snippet with the matches wrapped in <mark>
+   * @private
+   */
+  createSnippet(text, terms) {
+    // Index terms are whole words, so only whole words are highlighted
+    const pattern = new RegExp(`(?<![\\p{L}\\p{N}])(?:${terms.map(escapeRegExp).join('|')})(?![\\p{L}\\p{N}])`, 'giu');
+
+    const firstMatch = pattern.exec(text);
+    const matchIndex = firstMatch ? firstMatch.index : 0;
+    const start = Math.max(0, matchIndex - SNIPPET_CONTEXT);
+    const end = Math.min(text.length, matchIndex + (firstMatch ? firstMatch[0].length : 0) + SNIPPET_CONTEXT * 2);
+
+    // Highlight the matched words and escape everything else
+    const excerpt = text.slice(start, end);
+    let snippet = '';
+    let position = 0;
+    // matchAll continues where exec() stopped
+    pattern.lastIndex = 0;
+    for (const match of excerpt.matchAll(pattern)) {
+      snippet += escapeHtml(excerpt.slice(position, match.index)) + `<mark>${escapeHtml(match[0])}</mark>`;
+      position = match.index + match[0].length;
+    }
+    snippet += escapeHtml(excerpt.slice(position));
+
+    return (start > 0 ? '…' : '') + snippet.trim() + (end < text.length ? '…' : '');
+  }
+}
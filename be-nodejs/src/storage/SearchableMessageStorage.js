@@ -0,0 +1,323 @@
+import { MessageStorageInterface } from './MessageStorageInterface.js';
+import { DEFAULT_CONVERSATION_ID } from './ConversationStorage.js';
+import { SearchIndex } from './SearchIndex.js';
+import { createLogger } from '../logging/Logger.js';
+
+const logger = createLogger('SearchableMessageStorage');
+
+/**
+ * Turn the HTML of an assistant reply into plain text
+ * @param {string} html - The HTML
+ * @returns {string} - The text
+ */
+function stripHtml(html) {
+  return String(html || '')
+    .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Collect the text of a provider response: the strings in its content and text fields
+ * Every provider nests the generated text differently, but always in one of these fields
+ * @param {*} value - The response or a part of it
+ * @param {Array<string>} strings - Collected strings
+ * @returns {Array<string>} - The collected strings
+ */
+function collectResponseText(value, strings = []) {
+  if (Array.isArray(value)) {
+    value.forEach(item => collectResponseText(item, strings));
+  } else if (value && typeof value === 'object') {
+    for (const [key, item] of Object.entries(value)) {
+      if ((key === 'content' || key === 'text') && typeof item === 'string') {
+        strings.push(item);
+      } else {
+        collectResponseText(item, strings);
+      }
+    }
+  }
+  return strings;
+}
+
+/**
+ * Get the searchable text of a chat message
+ * Only the messages shown as chat bubbles are searchable; tool calls and results are not
+ * @param {Object} message - The message
+ * @returns {string} - The text, empty if the message should not be indexed
+ */
+export function getMessageSearchText(message) {
+  if (message.role !== 'user' && message.role !== 'assistant') {
+    return '';
+  }
+  return typeof message.content === 'string' ? stripHtml(message.content) : '';
+}
+
+/**
+ * Get the searchable text of a request log entry: the message the request was made for (the last user message),
+ * the model's response and the error of a failed request
+ * The earlier messages of the conversation are left out; every request repeats them, and indexing them would keep
+ * the whole history in memory once per request.
+ * @param {Object} entry - The request log entry
+ * @returns {string} - The text
+ */
+export function getRequestSearchText(entry) {
+  const request = entry.content?.request || {};
+  const userMessages = Array.isArray(request.messages) ? request.messages.filter(msg => msg.role === 'user') : [];
+  const lastUserMessage = userMessages[userMessages.length - 1];
+
+  return [
+    lastUserMessage && (typeof lastUserMessage.content === 'string' ? lastUserMessage.content : collectResponseText(lastUserMessage.content).join(' ')),
+    ...collectResponseText(entry.content?.response),
+    entry.error?.message
+  ]
+    .filter(Boolean)
+    .map(stripHtml)
+    .join(' ');
+}
+
+/**
+ * Message storage with full-text search
+ * Wraps another storage and keeps a search index of its messages in sync with every change made through it.
+ * The index lives in memory and is built from the wrapped storage in init(). With maxIndexed only the newest
+ * messages are searchable, which bounds the memory the index takes.
+ */
+export class SearchableMessageStorage extends MessageStorageInterface {
+  /**
+   * Constructor
+   * @param {MessageStorageInterface} storage - The storage holding the messages
+   * @param {Object} options - Search options
+   * @param {Function} options.getText - Returns the searchable text of a message
+   * @param {Function} options.getFields - Returns the fields of a message returned with its search results
+   * @param {number|null} options.maxIndexed - Messages kept in the index at most, the newest ones (no limit if omitted)
+   */
+  constructor(storage, { getText = getMessageSearchText, getFields = null, maxIndexed = null } = {}) {
+    super();
+    this.storage = storage;
+    this.getText = getText;
+    this.getFields = getFields || (message => ({
+      conversationId: message.conversationId || DEFAULT_CONVERSATION_ID,
+      role: message.role,
+      timestamp: message.timestamp,
+      ...(message.securityFlagged && { securityFlagged: true })
+    }));
+    this.maxIndexed = maxIndexed;
+    this.index = new SearchIndex({ maxDocuments: maxIndexed });
+    this.ready = null;
+  }
+
+  /**
+   * Prepare the wrapped storage and index its messages
+   * @returns {Promise<void>}
+   */
+  async init() {
+    if (!this.ready) {
+      this.ready = this.buildIndex();
+    }
+    return this.ready;
+  }
+
+  /**
+   * Do the work of init()
+   * @returns {Promise<void>}
+   * @private
+   */
+  async buildIndex() {
+    await this.storage.init();
+
+    // Only the newest messages end up in a capped index, so the older ones aren't read at all
+    const messages = await this.storage.getMessages(this.maxIndexed);
+    this.index.clear();
+    messages.forEach(message => this.indexMessage(message));
+
+    logger.info('Search index built', { indexed: this.index.size, messages: messages.length });
+  }
+
+  /**
+   * Add a message to the index, or update it
+   * @param {Object} message - The message
+   * @private
+   */
+  indexMessage(message) {
+    const text = this.getText(message);
+    if (text) {
+      this.index.add(message.id, text, this.getFields(message));
+    } else {
+      this.index.remove(message.id);
+    }
+  }
+
+  /**
+   * Add a new message to storage
+   * @param {Object} message - The message to add
+   * @returns {Promise<Object>} - The added message with ID
+   */
+  async addMessage(message) {
+    await this.init();
+    const newMessage = await this.storage.addMessage(message);
+    this.indexMessage(newMessage);
+    return newMessage;
+  }
+
+  /**
+   * Add several messages at once
+   * @param {Array} messages - The messages to add
+   * @returns {Promise<Array>} - The added messages with their IDs
+   */
+  async addMessages(messages) {
+    await this.init();
+    const newMessages = await this.storage.addMessages(messages);
+    newMessages.forEach(message => this.indexMessage(message));
+    return newMessages;
+  }
+
+  /**
+   * Clear messages from storage
+   * @param {Object} filter - Optional filter, e.g. { conversationId } to clear a single conversation (all messages if omitted)
+   * @returns {Promise<void>}
+   */
+  async clearMessages(filter = {}) {
+    await this.init();
+    await this.storage.clearMessages(filter);
+
+    if (filter.conversationId === undefined) {
+      this.index.clear();
+    } else {
+      this.index.removeWhere(fields => fields.conversationId === filter.conversationId);
+    }
+  }
+
+  /**
+   * Get messages from storage
+   * @param {number|null} quantity - Number of messages to retrieve (null for all)
+   * @param {boolean} reverseOrder - Whether to return messages in reverse order (newest first)
+   * @param {Object} filter - Optional filter, e.g. { conversationId } to get a single conversation (all messages if omitted)
+   * @returns {Promise<Array>} - Array of messages
+   */
+  async getMessages(quantity = null, reverseOrder = false, filter = {}) {
+    return this.storage.getMessages(quantity, reverseOrder, filter);
+  }
+
+  /**
+   * Get a page of messages, to page through the history with cursors
+   * @param {Object} options - Page options (see MessageStorageInterface.getMessagePage)
+   * @returns {Promise<Object>} - The messages of the page, oldest first, and whether there are older and newer messages
+   */
+  async getMessagePage(options = {}) {
+    return this.storage.getMessagePage(options);
+  }
+
+  /**
+   * Get a single message
+   * @param {number} id - Message id
+   * @returns {Promise<Object|null>} - The message or null if it doesn't exist
+   */
+  async getMessageById(id) {
+    return this.storage.getMessageById(id);
+  }
+
+  /**
+   * Update a message
+   * @param {number} id - Message id
+   * @param {Object} changes - Fields to change; the id can't be changed
+   * @returns {Promise<Object|null>} - The updated message or null if it doesn't exist
+   */
+  async updateMessage(id, changes) {
+    await this.init();
+    const message = await this.storage.updateMessage(id, changes);
+    if (message) {
+      this.indexMessage(message);
+    }
+    return message;
+  }
+
+  /**
+   * Delete a message
+   * @param {number} id - Message id
+   * @returns {Promise<boolean>} - True if the message existed
+   */
+  async deleteMessage(id) {
+    await this.init();
+    const deleted = await this.storage.deleteMessage(id);
+    this.index.remove(id);
+    return deleted;
+  }
+
+  /**
+   * Delete several messages at once
+   * @param {Array<number>} ids - Message ids
+   * @returns {Promise<number>} - Number of messages that existed
+   */
+  async deleteMessages(ids) {
+    await this.init();
+    const deleted = await this.storage.deleteMessages(ids);
+    ids.forEach(id => this.index.remove(id));
+    return deleted;
+  }
+
+  /**
+   * Find messages by their fields
+   * @param {Object} criteria - Query criteria (see MessageStorageInterface.query)
+   * @returns {Promise<Array>} - Matching messages, oldest first
+   */
+  async query(criteria = {}) {
+    return this.storage.query(criteria);
+  }
+
+  /**
+   * Get the schema version the stored messages are at
+   * @returns {Promise<number>} - The version
+   */
+  async getSchemaVersion() {
+    return this.storage.getSchemaVersion();
+  }
+
+  /**
+   * Set the schema version marker
+   * @param {number} version - The version the stored messages are at
+   * @returns {Promise<void>}
+   */
+  async setSchemaVersion(version) {
+    return this.storage.setSchemaVersion(version);
+  }
+
+  /**
+   * Pass every stored message through a function and store what it returns; the index is rebuilt afterwards
+   * @param {Function} transform - Returns the message to store in place of the given one, or null to quarantine it
+   * @returns {Promise<Object>} - Number of updated and quarantined messages
+   */
+  async rewriteMessages(transform) {
+    await this.init();
+    const result = await this.storage.rewriteMessages(transform);
+    if (result.updated > 0 || result.quarantined > 0) {
+      this.ready = this.buildIndex();
+      await this.ready;
+    }
+    return result;
+  }
+
+  /**
+   * Search the messages by their text
+   * @param {string} query - Words to search for; the last word also matches longer words starting with it
+   * @param {Object} options - Search options
+   * @param {string} options.conversationId - Only messages of this conversation (all conversations if omitted)
+   * @param {number} options.limit - Maximum number of results
+   * @param {number} options.offset - Number of results to skip
+   * @returns {Promise<Object>} - The total number of matches and the best matches first, each with id, score, an HTML snippet and the message fields
+   */
+  async search(query, { conversationId, limit = 20, offset = 0 } = {}) {
+    await this.init();
+
+    return this.index.search(query, {
+      filter: conversationId === undefined ? null : fields => fields.conversationId === conversationId,
+      limit,
+      offset
+    });
+  }
+}
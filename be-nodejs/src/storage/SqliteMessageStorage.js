@@ -0,0 +1,582 @@
+import { promises as fs } from 'fs';
+import Database from 'better-sqlite3';
+import { MessageStorageInterface, applyQuery, rewriteAll } from './MessageStorageInterface.js';
+import { DEFAULT_CONVERSATION_ID } from './ConversationStorage.js';
+import { EncryptionKeyError, decodeStoredText, encodeStoredText, needsRewrite } from './StorageCipher.js';
+import { createLogger } from '../logging/Logger.js';
+
+const logger = createLogger('SqliteMessageStorage');
+
+// Open databases by path, so the message and request tables share one connection
+const databases = new Map();
+
+/**
+ * Open a SQLite database, reusing the connection if it is already open
+ * @param {string} databasePath - Path to the database file
+ * @returns {Database} - The database connection
+ */
+function openDatabase(databasePath) {
+  if (!databases.has(databasePath)) {
+    const db = new Database(databasePath);
+    // Write-ahead logging lets reads run while a write is in progress
+    db.pragma('journal_mode = WAL');
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS storage_meta (
+        key TEXT PRIMARY KEY,
+        value TEXT NOT NULL
+      )
+    `);
+    databases.set(databasePath, db);
+  }
+  return databases.get(databasePath);
+}
+
+/**
+ * SQLite implementation of message storage
+ * Every storage instance owns one table. Messages have no fixed shape, so each row keeps the message as JSON
+ * next to the indexed columns used for lookups: the id, the conversation and the timestamp. With a cipher the JSON
+ * is stored encrypted; the lookup columns stay readable, they hold no message text.
+ */
+export class SqliteMessageStorage extends MessageStorageInterface {
+  /**
+   * Constructor
+   * @param {string} databasePath - Path to the SQLite database file
+   * @param {Object} options - Storage options
+   * @param {string} options.tableName - Table holding the messages
+   * @param {string} options.importFrom - JSON file with messages to import when the table is created
+   * @param {StorageCipher|null} options.cipher - Encrypts the messages (plain JSON if omitted)
+   */
+  constructor(databasePath, { tableName = 'messages', importFrom = null, cipher = null } = {}) {
+    super();
+
+    if (!/^[a-z_]+$/i.test(tableName)) {
+      throw new Error(`Invalid table name: ${tableName}`);
+    }
+
+    this.databasePath = databasePath;
+    this.tableName = tableName;
+    this.cipher = cipher;
+    this.db = openDatabase(databasePath);
+    this.createTable();
+    this.ready = (importFrom ? this.importFromFile(importFrom) : Promise.resolve()).then(() => this.encryptRows());
+  }
+
+  /**
+   * Wait until the import of the JSON file storage and the encryption of the rows have finished
+   * @returns {Promise<void>}
+   * @throws {EncryptionKeyError} - If a row is encrypted and can't be decrypted with the configured keys
+   */
+  async init() {
+    return this.ready;
+  }
+
+  /**
+   * Create the table and its indexes if they don't exist yet
+   * Ids are AUTOINCREMENT, so SQLite never hands out the id of a deleted message again; cursors, search index
+   * entries and references to a message can't end up on another one. Messages a migration can't bring into the
+   * current schema are moved to the quarantine table next to it.
+   * @private
+   */
+  createTable() {
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS ${this.tableName} (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        conversation_id TEXT NOT NULL,
+        timestamp TEXT NOT NULL,
+        data TEXT NOT NULL
+      );
+      CREATE TABLE IF NOT EXISTS ${this.tableName}_quarantine (
+        id INTEGER PRIMARY KEY,
+        quarantined_at TEXT NOT NULL,
+        data TEXT NOT NULL
+      );
+    `);
+    this.migrateToAutoincrement();
+    this.db.exec(`
+      CREATE INDEX IF NOT EXISTS idx_${this.tableName}_conversation ON ${this.tableName} (conversation_id, id);
+      CREATE INDEX IF NOT EXISTS idx_${this.tableName}_timestamp ON ${this.tableName} (timestamp);
+    `);
+  }
+
+  /**
+   * Rebuild a table created before its ids were AUTOINCREMENT
+   * SQLite can't change the primary key of a table, so the rows are copied into a new table that replaces it.
+   * The new table continues after the highest id that is left; ids of messages deleted earlier can't be known.
+   * @private
+   */
+  migrateToAutoincrement() {
+    const { sql } = this.db.prepare("SELECT sql FROM sqlite_master WHERE type = 'table' AND name = ?").get(this.tableName);
+    if (/AUTOINCREMENT/i.test(sql)) {
+      return;
+    }
+
+    const rebuild = this.db.transaction(() => {
+      this.db.exec(`
+        CREATE TABLE ${this.tableName}_rebuild (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          conversation_id TEXT NOT NULL,
+          timestamp TEXT NOT NULL,
+          data TEXT NOT NULL
+        );
+        INSERT INTO ${this.tableName}_rebuild (id, conversation_id, timestamp, data)
+          SELECT id, conversation_id, timestamp, data FROM ${this.tableName} ORDER BY id;
+        DROP TABLE ${this.tableName};
+        ALTER TABLE ${this.tableName}_rebuild RENAME TO ${this.tableName};
+      `);
+    });
+    rebuild();
+    logger.info('Switched SQLite table to ids that are never reused', { table: this.tableName });
+  }
+
+  /**
+   * Import the messages of a JSON file storage, once
+   * Whether the import happened is remembered in the database, so clearing the table later
+   * does not bring the old messages back on the next start.
+   * @param {string} filePath - Path to the JSON file
+   * @returns {Promise<void>}
+   * @private
+   */
+  async importFromFile(filePath) {
+    const importKey = `imported:${this.tableName}`;
+    if (this.db.prepare('SELECT value FROM storage_meta WHERE key = ?').get(importKey)) {
+      return;
+    }
+
+    let messages = [];
+    try {
+      messages = JSON.parse(decodeStoredText(await fs.readFile(filePath, 'utf8'), this.cipher, filePath));
+    } catch (error) {
+      if (error instanceof EncryptionKeyError) {
+        throw error;
+      }
+      if (error.code !== 'ENOENT') {
+        logger.error('Error reading file for import, nothing imported', { file: filePath, error });
+        return;
+      }
+    }
+
+    const importMessages = this.db.transaction((items) => {
+      for (const message of items) {
+        this.insertRow({
+          ...message,
+          timestamp: message.timestamp || new Date().toISOString()
+        });
+      }
+      this.db.prepare('INSERT INTO storage_meta (key, value) VALUES (?, ?)')
+        .run(importKey, new Date().toISOString());
+    });
+    importMessages(Array.isArray(messages) ? messages : []);
+
+    if (messages.length > 0) {
+      logger.info('Imported messages into SQLite', { messages: messages.length, file: filePath, table: this.tableName });
+    }
+  }
+
+  /**
+   * Bring every row in line with the cipher
+   * Every row is decrypted once, so a wrong key stops the start instead of failing the first request. Plain rows
+   * are encrypted when encryption was switched on, and rows encrypted with a previous key get the current key.
+   * @returns {Promise<void>}
+   * @private
+   */
+  async encryptRows() {
+    for (const table of [this.tableName, `${this.tableName}_quarantine`]) {
+      const rows = this.db.prepare(`SELECT id, data FROM ${table}`).all();
+      const update = this.db.prepare(`UPDATE ${table} SET data = ? WHERE id = ?`);
+
+      const encrypt = this.db.transaction(() => {
+        let encrypted = 0;
+        for (const row of rows) {
+          const json = this.decodeData(row);
+          if (needsRewrite(row.data, this.cipher)) {
+            update.run(this.encodeData(json), row.id);
+            encrypted++;
+          }
+        }
+        return encrypted;
+      });
+
+      const encrypted = encrypt();
+      if (encrypted > 0) {
+        logger.info('Encrypted SQLite rows', { rows: encrypted, table, keyId: this.cipher.keyId });
+      }
+    }
+  }
+
+  /**
+   * Turn the JSON of a message into the value of the data column
+   * @param {string} json - The message JSON
+   * @returns {string} - The stored value, encrypted if there is a cipher
+   * @private
+   */
+  encodeData(json) {
+    return encodeStoredText(json, this.cipher);
+  }
+
+  /**
+   * Get the JSON of a message from its row
+   * @param {Object} row - Row with id and data
+   * @returns {string} - The message JSON
+   * @throws {EncryptionKeyError} - If the row is encrypted and can't be decrypted
+   * @private
+   */
+  decodeData(row) {
+    return decodeStoredText(row.data, this.cipher, `Row ${row.id} of SQLite table ${this.tableName}`);
+  }
+
+  /**
+   * Insert a message row
+   * @param {Object} message - The message; its id is used if it has one, otherwise the next id is assigned
+   * @returns {number} - The id of the row
+   * @private
+   */
+  insertRow(message) {
+    const { id, ...data } = message;
+    const result = this.db.prepare(`
+      INSERT INTO ${this.tableName} (id, conversation_id, timestamp, data) VALUES (?, ?, ?, ?)
+    `).run(
+      id ?? null,
+      message.conversationId || DEFAULT_CONVERSATION_ID,
+      message.timestamp,
+      this.encodeData(JSON.stringify(data))
+    );
+    return Number(result.lastInsertRowid);
+  }
+
+  /**
+   * Turn a row back into a message
+   * @param {Object} row - Row with id and data
+   * @returns {Object} - The message
+   * @private
+   */
+  toMessage(row) {
+    return {
+      id: row.id,
+      ...JSON.parse(this.decodeData(row))
+    };
+  }
+
+  /**
+   * Build the WHERE clause of a filter
+   * Messages without a conversationId belong to the default conversation, the same as in the file storage
+   * @param {Object} filter - Filter with optional conversationId
+   * @returns {Object} - SQL clause and its parameters
+   * @private
+   */
+  buildWhere(filter = {}) {
+    if (filter.conversationId === undefined) {
+      return { clause: '', params: [] };
+    }
+    return { clause: 'WHERE conversation_id = ?', params: [filter.conversationId] };
+  }
+
+  /**
+   * Add a new message to storage
+   * @param {Object} message - The message to add
+   * @returns {Promise<Object>} - The added message with ID
+   */
+  async addMessage(message) {
+    await this.ready;
+
+    const newMessage = {
+      ...message,
+      timestamp: message.timestamp || new Date().toISOString()
+    };
+    const id = this.insertRow(newMessage);
+
+    return {
+      id,
+      ...newMessage
+    };
+  }
+
+  /**
+   * Add several messages at once, in one transaction
+   * @param {Array} messages - The messages to add
+   * @returns {Promise<Array>} - The added messages with their IDs
+   */
+  async addMessages(messages) {
+    await this.ready;
+
+    const insert = this.db.transaction(() => messages.map(message => {
+      const newMessage = {
+        ...message,
+        timestamp: message.timestamp || new Date().toISOString()
+      };
+      return {
+        id: this.insertRow(newMessage),
+        ...newMessage
+      };
+    }));
+
+    return insert();
+  }
+
+  /**
+   * Clear messages from storage
+   * @param {Object} filter - Optional filter, e.g. { conversationId } to clear a single conversation (all messages if omitted)
+   * @returns {Promise<void>}
+   */
+  async clearMessages(filter = {}) {
+    await this.ready;
+
+    const { clause, params } = this.buildWhere(filter);
+    this.db.prepare(`DELETE FROM ${this.tableName} ${clause}`).run(...params);
+  }
+
+  /**
+   * Get messages from storage
+   * @param {number|null} quantity - Number of messages to retrieve (null for all)
+   * @param {boolean} reverseOrder - Whether to return messages in reverse order (newest first)
+   * @param {Object} filter - Optional filter, e.g. { conversationId } to get a single conversation (all messages if omitted)
+   * @returns {Promise<Array>} - Array of messages
+   */
+  async getMessages(quantity = null, reverseOrder = false, filter = {}) {
+    await this.ready;
+
+    const { clause, params } = this.buildWhere(filter);
+    const limit = quantity && typeof quantity === 'number' ? quantity : -1;
+
+    // Take the most recent messages, then put them in the requested order
+    const rows = this.db.prepare(`
+      SELECT id, data FROM ${this.tableName} ${clause} ORDER BY id DESC LIMIT ?
+    `).all(...params, limit);
+
+    const messages = rows.map(row => this.toMessage(row));
+    return reverseOrder ? messages : messages.reverse();
+  }
+
+  /**
+   * Get a page of messages, to page through the history with cursors
+   * Only the rows of the page are read, one more to tell whether there are more in that direction
+   * @param {Object} options - Page options (see MessageStorageInterface.getMessagePage)
+   * @returns {Promise<Object>} - The messages of the page, oldest first, and whether there are older and newer messages
+   */
+  async getMessagePage({ before = null, after = null, limit = null, filter = {} } = {}) {
+    await this.ready;
+
+    const { clause, params } = this.buildWhere(filter);
+    const where = condition => (clause ? `${clause} AND ${condition}` : `WHERE ${condition}`);
+    const hasRows = (condition, id) => Boolean(this.db.prepare(`
+      SELECT 1 FROM ${this.tableName} ${where(condition)} LIMIT 1
+    `).get(...params, id));
+    const rowLimit = limit ? limit + 1 : -1;
+
+    if (after !== null) {
+      const rows = this.db.prepare(`
+        SELECT id, data FROM ${this.tableName} ${where('id > ?')} ORDER BY id LIMIT ?
+      `).all(...params, after, rowLimit);
+      const page = limit ? rows.slice(0, limit) : rows;
+
+      return {
+        messages: page.map(row => this.toMessage(row)),
+        hasOlder: hasRows('id <= ?', after),
+        hasNewer: rows.length > page.length
+      };
+    }
+
+    // Newest rows first, so the limit takes the rows right before the cursor
+    const rows = this.db.prepare(`
+      SELECT id, data FROM ${this.tableName} ${before !== null ? where('id < ?') : clause} ORDER BY id DESC LIMIT ?
+    `).all(...params, ...(before !== null ? [before] : []), rowLimit);
+    const page = limit ? rows.slice(0, limit) : rows;
+
+    return {
+      messages: page.map(row => this.toMessage(row)).reverse(),
+      hasOlder: rows.length > page.length,
+      hasNewer: before !== null && hasRows('id >= ?', before)
+    };
+  }
+
+  /**
+   * Get a single message
+   * @param {number} id - Message id
+   * @returns {Promise<Object|null>} - The message or null if it doesn't exist
+   */
+  async getMessageById(id) {
+    await this.ready;
+
+    const row = this.db.prepare(`SELECT id, data FROM ${this.tableName} WHERE id = ?`).get(id);
+    return row ? this.toMessage(row) : null;
+  }
+
+  /**
+   * Update a message
+   * @param {number} id - Message id
+   * @param {Object} changes - Fields to change; the id can't be changed
+   * @returns {Promise<Object|null>} - The updated message or null if it doesn't exist
+   */
+  async updateMessage(id, changes = {}) {
+    await this.ready;
+
+    const update = this.db.transaction(() => {
+      const row = this.db.prepare(`SELECT id, data FROM ${this.tableName} WHERE id = ?`).get(id);
+      if (!row) {
+        return null;
+      }
+
+      const { id: ignoredId, ...data } = {
+        ...this.toMessage(row),
+        ...changes,
+        updatedAt: new Date().toISOString()
+      };
+
+      this.db.prepare(`
+        UPDATE ${this.tableName} SET conversation_id = ?, timestamp = ?, data = ? WHERE id = ?
+      `).run(data.conversationId || DEFAULT_CONVERSATION_ID, data.timestamp, this.encodeData(JSON.stringify(data)), id);
+
+      return { id, ...data };
+    });
+
+    return update();
+  }
+
+  /**
+   * Delete a message
+   * @param {number} id - Message id
+   * @returns {Promise<boolean>} - True if the message existed
+   */
+  async deleteMessage(id) {
+    await this.ready;
+
+    const result = this.db.prepare(`DELETE FROM ${this.tableName} WHERE id = ?`).run(id);
+    return result.changes > 0;
+  }
+
+  /**
+   * Delete several messages at once, in one transaction
+   * @param {Array<number>} ids - Message ids
+   * @returns {Promise<number>} - Number of messages that existed
+   */
+  async deleteMessages(ids) {
+    await this.ready;
+
+    const remove = this.db.prepare(`DELETE FROM ${this.tableName} WHERE id = ?`);
+    const deleteAll = this.db.transaction(() => ids.reduce((deleted, id) => deleted + remove.run(id).changes, 0));
+    return deleteAll();
+  }
+
+  /**
+   * Find messages by their fields
+   * SQLite can't look into encrypted messages, so with a cipher the role and text criteria are checked after
+   * decrypting the rows of the conversation and time range.
+   * @param {Object} criteria - Query criteria (see MessageStorageInterface.query)
+   * @returns {Promise<Array>} - Matching messages, oldest first
+   */
+  async query({ conversationId, role, since, until, text, limit = null, offset = 0 } = {}) {
+    await this.ready;
+
+    if (this.cipher && (role || text)) {
+      const { clause, params } = this.buildWhere({ conversationId });
+      const rows = this.db.prepare(`
+        SELECT id, data FROM ${this.tableName} ${clause} ORDER BY id
+      `).all(...params);
+      return applyQuery(rows.map(row => this.toMessage(row)), { role, since, until, text, limit, offset });
+    }
+
+    const conditions = [];
+    const params = [];
+
+    if (conversationId !== undefined) {
+      conditions.push('conversation_id = ?');
+      params.push(conversationId);
+    }
+    if (role) {
+      conditions.push("json_extract(data, '$.role') = ?");
+      params.push(role);
+    }
+    if (since) {
+      conditions.push('timestamp >= ?');
+      params.push(since);
+    }
+    if (until) {
+      conditions.push('timestamp <= ?');
+      params.push(until);
+    }
+    if (text) {
+      conditions.push("instr(lower(json_extract(data, '$.content')), lower(?)) > 0");
+      params.push(text);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const rows = this.db.prepare(`
+      SELECT id, data FROM ${this.tableName} ${where} ORDER BY id LIMIT ? OFFSET ?
+    `).all(...params, limit || -1, offset);
+
+    return rows.map(row => this.toMessage(row));
+  }
+
+  /**
+   * Get the schema version the messages of the table are at
+   * @returns {Promise<number>} - The version, 0 if the table has no version marker yet
+   */
+  async getSchemaVersion() {
+    await this.ready;
+
+    const row = this.db.prepare('SELECT value FROM storage_meta WHERE key = ?').get(`schema:${this.tableName}`);
+    return row ? Number(row.value) : 0;
+  }
+
+  /**
+   * Set the schema version marker of the table
+   * @param {number} version - The version the stored messages are at
+   * @returns {Promise<void>}
+   */
+  async setSchemaVersion(version) {
+    await this.ready;
+
+    this.db.prepare(`
+      INSERT INTO storage_meta (key, value) VALUES (?, ?)
+      ON CONFLICT (key) DO UPDATE SET value = excluded.value
+    `).run(`schema:${this.tableName}`, String(version));
+  }
+
+  /**
+   * Pass every stored message through a function and store what it returns, in one transaction
+   * Quarantined rows are moved to the quarantine table in the same transaction.
+   * @param {Function} transform - Returns the message to store in place of the given one, or null to quarantine it
+   * @returns {Promise<Object>} - Number of updated and quarantined messages
+   */
+  async rewriteMessages(transform) {
+    await this.ready;
+
+    const rewrite = this.db.transaction(() => {
+      const rows = this.db.prepare(`SELECT id, data FROM ${this.tableName} ORDER BY id`).all();
+      const { messages } = rewriteAll(rows.map(row => this.toMessage(row)), transform);
+      const kept = new Map(messages.map(message => [message.id, message]));
+      const update = this.db.prepare(`UPDATE ${this.tableName} SET conversation_id = ?, timestamp = ?, data = ? WHERE id = ?`);
+      const quarantine = this.db.prepare(`
+        INSERT INTO ${this.tableName}_quarantine (id, quarantined_at, data) SELECT id, ?, data FROM ${this.tableName} WHERE id = ?
+      `);
+      const remove = this.db.prepare(`DELETE FROM ${this.tableName} WHERE id = ?`);
+      const quarantinedAt = new Date().toISOString();
+      let updated = 0;
+      let quarantined = 0;
+
+      for (const row of rows) {
+        const message = kept.get(row.id);
+        if (!message) {
+          quarantine.run(quarantinedAt, row.id);
+          remove.run(row.id);
+          quarantined++;
+          continue;
+        }
+
+        const { id, ...data } = message;
+        const json = JSON.stringify(data);
+        if (json !== this.decodeData(row)) {
+          update.run(data.conversationId || DEFAULT_CONVERSATION_ID, data.timestamp || new Date().toISOString(), this.encodeData(json), id);
+          updated++;
+        }
+      }
+
+      return { updated, quarantined };
+    });
+
+    const result = rewrite();
+    if (result.quarantined > 0) {
+      logger.warn('Moved messages to quarantine', { messages: result.quarantined, table: `${this.tableName}_quarantine` });
+    }
+    return result;
+  }
+}
@@ -0,0 +1,188 @@
+import crypto from 'crypto';
+
+const ALGORITHM = 'aes-256-gcm';
+const KEY_BYTES = 32;
+const IV_BYTES = 12;
+
+// Encrypted data is stored as enc:v1:<key id>:<iv>:<auth tag>:<ciphertext>, the binary parts base64url encoded
+const ENCRYPTED_PREFIX = 'enc:v1:';
+
+/**
+ * Error thrown when stored data can't be decrypted with the configured keys
+ */
+export class EncryptionKeyError extends Error {
+  /**
+   * Constructor
+   * @param {string} message - What went wrong
+   * @param {string} reason - 'invalid-key', 'missing-key' (encryption is off), 'unknown-key' (written with another key)
+   *   or 'damaged' (written with a configured key, but the data was changed or cut off)
+   */
+  constructor(message, reason) {
+    super(message);
+    this.name = 'EncryptionKeyError';
+    this.reason = reason;
+  }
+}
+
+/**
+ * Turn a configured key into the 32 bytes of an AES-256 key
+ * @param {string} value - 64 hex characters or base64 of 32 bytes, e.g. from `openssl rand -base64 32`
+ * @param {string} name - Name of the setting, for the error message
+ * @returns {Buffer} - The key
+ * @throws {EncryptionKeyError} - If the value isn't a key of the right size
+ */
+export function parseEncryptionKey(value, name = 'STORAGE_ENCRYPTION_KEY') {
+  const text = String(value).trim();
+  const key = /^[0-9a-f]{64}$/i.test(text) ? Buffer.from(text, 'hex') : Buffer.from(text, 'base64');
+
+  if (key.length !== KEY_BYTES) {
+    throw new EncryptionKeyError(`${name} must be a ${KEY_BYTES} byte key, as 64 hex characters or base64 (create one with: openssl rand -base64 32)`, 'invalid-key');
+  }
+  return key;
+}
+
+/**
+ * Check whether stored text was written encrypted
+ * @param {string} text - The stored text
+ * @returns {boolean}
+ */
+export function isEncrypted(text) {
+  return typeof text === 'string' && text.startsWith(ENCRYPTED_PREFIX);
+}
+
+/**
+ * AES-256-GCM encryption of stored data
+ * Data is always encrypted with the current key. Every encrypted value names the key it was written with, so
+ * values written with one of the previous keys can still be read while the storages re-encrypt them on start.
+ */
+export class StorageCipher {
+  /**
+   * Constructor
+   * @param {string} key - The current key
+   * @param {Array<string>} previousKeys - Keys data may still be encrypted with, during a key rotation
+   */
+  constructor(key, previousKeys = []) {
+    this.key = parseEncryptionKey(key);
+    this.keyId = this.getKeyId(this.key);
+    this.keys = new Map([[this.keyId, this.key]]);
+
+    previousKeys.forEach((previousKey, index) => {
+      const parsed = parseEncryptionKey(previousKey, `STORAGE_ENCRYPTION_PREVIOUS_KEYS[${index}]`);
+      this.keys.set(this.getKeyId(parsed), parsed);
+    });
+  }
+
+  /**
+   * Get the id of a key: the start of its SHA-256 hash, which tells keys apart without revealing them
+   * @param {Buffer} key - The key
+   * @returns {string} - The key id
+   * @private
+   */
+  getKeyId(key) {
+    return crypto.createHash('sha256').update(key).digest('hex').slice(0, 12);
+  }
+
+  /**
+   * Encrypt text with the current key
+   * @param {string} text - The plain text
+   * @returns {string} - The encrypted value
+   */
+  encrypt(text) {
+    const iv = crypto.randomBytes(IV_BYTES);
+    const cipher = crypto.createCipheriv(ALGORITHM, this.key, iv);
+    const ciphertext = Buffer.concat([cipher.update(text, 'utf8'), cipher.final()]);
+
+    return [
+      `${ENCRYPTED_PREFIX}${this.keyId}`,
+      iv.toString('base64url'),
+      cipher.getAuthTag().toString('base64url'),
+      ciphertext.toString('base64url')
+    ].join(':');
+  }
+
+  /**
+   * Decrypt an encrypted value
+   * @param {string} value - The encrypted value
+   * @param {string} source - What the value was read from, for the error message
+   * @returns {string} - The plain text
+   * @throws {EncryptionKeyError} - If none of the keys can decrypt it
+   */
+  decrypt(value, source = 'Stored data') {
+    const [keyId, iv, tag, ciphertext] = value.slice(ENCRYPTED_PREFIX.length).split(':');
+    const key = this.keys.get(keyId);
+
+    if (!key) {
+      throw new EncryptionKeyError(`${source} is encrypted with key ${keyId}, but STORAGE_ENCRYPTION_KEY is key ${this.keyId}; ` +
+        'when rotating keys, add the old key to STORAGE_ENCRYPTION_PREVIOUS_KEYS', 'unknown-key');
+    }
+
+    try {
+      const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(iv, 'base64url'));
+      decipher.setAuthTag(Buffer.from(tag, 'base64url'));
+      return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64url')), decipher.final()]).toString('utf8');
+    } catch (error) {
+      throw new EncryptionKeyError(`${source} can't be decrypted with key ${keyId}: the data is damaged or was modified`, 'damaged');
+    }
+  }
+
+  /**
+   * Check whether stored text should be written again: it is plain text or encrypted with a previous key
+   * @param {string} text - The stored text
+   * @returns {boolean}
+   */
+  needsReencryption(text) {
+    return !isEncrypted(text) || !text.startsWith(`${ENCRYPTED_PREFIX}${this.keyId}:`);
+  }
+}
+
+/**
+ * Turn text read from a storage into plain text
+ * Plain text is returned as it is, so existing data stays readable when encryption is switched on.
+ * @param {string} text - The stored text
+ * @param {StorageCipher|null} cipher - The cipher, null if encryption is off
+ * @param {string} source - What the text was read from, for the error message
+ * @returns {string} - The plain text
+ * @throws {EncryptionKeyError} - If the text is encrypted and can't be decrypted
+ */
+export function decodeStoredText(text, cipher, source) {
+  if (!isEncrypted(text)) {
+    return text;
+  }
+  if (!cipher) {
+    throw new EncryptionKeyError(`${source} is encrypted, set STORAGE_ENCRYPTION_KEY to the key it was written with`, 'missing-key');
+  }
+  return cipher.decrypt(text, source);
+}
+
+/**
+ * Turn plain text into the text to store
+ * @param {string} text - The plain text
+ * @param {StorageCipher|null} cipher - The cipher, null if encryption is off
+ * @returns {string} - The encrypted text, or the plain text if encryption is off
+ */
+export function encodeStoredText(text, cipher) {
+  return cipher ? cipher.encrypt(text) : text;
+}
+
+/**
+ * Check whether stored text has to be written again to match the encryption settings
+ * With encryption on that is plain text and text encrypted with a previous key, with encryption off nothing is
+ * rewritten: encrypted data can't be read then, and decodeStoredText() reports that.
+ * @param {string} text - The stored text
+ * @param {StorageCipher|null} cipher - The cipher, null if encryption is off
+ * @returns {boolean}
+ */
+export function needsRewrite(text, cipher) {
+  return Boolean(cipher) && cipher.needsReencryption(text);
+}
+
+/**
+ * Create the cipher of the storages
+ * @param {Object} config - Encryption settings
+ * @param {string} config.key - The current key; encryption is off without one
+ * @param {Array<string>} config.previousKeys - Keys data may still be encrypted with
+ * @returns {StorageCipher|null} - The cipher, or null if encryption is off
+ */
+export const createStorageCipher = ({ key, previousKeys = [] } = {}) => {
+  return key ? new StorageCipher(key, previousKeys) : null;
+};
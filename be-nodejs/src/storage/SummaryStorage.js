@@ -0,0 +1,134 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { applyCipher, moveCorruptFile, runExclusive, writeFileAtomic } from './FileAccess.js';
+import { decodeStoredText, encodeStoredText } from './StorageCipher.js';
+import { getMetrics } from '../metrics/ServerMetrics.js';
+import { createLogger } from '../logging/Logger.js';
+
+const logger = createLogger('SummaryStorage');
+const metrics = getMetrics();
+
+/**
+ * Simple storage for the rolling conversation summaries
+ * Stores one summary record per conversation next to the messages. Operations on the file run one after another
+ * and writes replace the file atomically, so concurrent chats can't lose each other's summaries.
+ * With a cipher the file is stored encrypted.
+ */
+export class SummaryStorage {
+    /**
+     * Constructor
+     * @param {string} filePath - Path to the summaries file
+     * @param {StorageCipher|null} cipher - Encrypts the file (plain JSON if omitted)
+     */
+    constructor(filePath, cipher = null) {
+        this.filePath = path.resolve(filePath);
+        this.cipher = cipher;
+    }
+
+    /**
+     * Check the stored file against the cipher: a wrong key stops the start, and a plain file or one encrypted
+     * with a previous key is written again with the current key
+     * @returns {Promise<void>}
+     * @throws {EncryptionKeyError} - If the file is encrypted and can't be decrypted with the configured keys
+     */
+    async init() {
+        if (await runExclusive(this.filePath, () => applyCipher(this.filePath, this.cipher))) {
+            logger.info('Encrypted summaries file', { file: this.filePath, keyId: this.cipher.keyId });
+        }
+    }
+
+    /**
+     * Read all summaries from file
+     * A file that can't be parsed is moved aside to a backup, so the next write doesn't overwrite it
+     * @returns {Promise<Object>} Summaries keyed by conversation id
+     * @throws {EncryptionKeyError} If the file is encrypted and can't be decrypted
+     */
+    async readSummaries() {
+        let data;
+        try {
+            data = await metrics.observeStorageOperation('summaries', 'read', () => fs.readFile(this.filePath, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                // There are no summaries yet
+                return {};
+            }
+            throw error;
+        }
+
+        const json = decodeStoredText(data, this.cipher, this.filePath);
+        try {
+            return JSON.parse(json);
+        } catch (error) {
+            const backupPath = await moveCorruptFile(this.filePath);
+            logger.error('Error parsing summaries file, moved it aside and starting without summaries', { file: this.filePath, backupPath, error });
+            return {};
+        }
+    }
+
+    /**
+     * Write all summaries to file
+     * @param {Object} summaries - Summaries keyed by conversation id
+     */
+    async writeSummaries(summaries) {
+        const data = encodeStoredText(JSON.stringify(summaries, null, 2), this.cipher);
+        await metrics.observeStorageOperation('summaries', 'write', () => writeFileAtomic(this.filePath, data));
+    }
+
+    /**
+     * Get the stored summary of a conversation
+     * @param {string} conversationId - Conversation id
+     * @returns {Promise<Object|null>} The summary (content, summarizedUntilId, summarizedMessages, updatedAt) or null if none exists
+     */
+    async getSummary(conversationId) {
+        // Reads wait for pending writes too, so a summary is visible as soon as saveSummary resolved
+        const summaries = await runExclusive(this.filePath, () => this.readSummaries());
+        return summaries[conversationId] || null;
+    }
+
+    /**
+     * Store the summary of a conversation (overwrites the previous one)
+     * @param {string} conversationId - Conversation id
+     * @param {Object} summary - Summary to store
+     * @param {string} summary.content - Summary text
+     * @param {number} summary.summarizedUntilId - Id of the newest message covered by the summary
+     * @param {number} summary.summarizedMessages - How many messages the summary covers
+     * @returns {Promise<Object>} The stored summary
+     */
+    async saveSummary(conversationId, summary) {
+        return runExclusive(this.filePath, async () => {
+            const summaries = await this.readSummaries();
+            const dataToStore = {
+                ...summary,
+                updatedAt: new Date().toISOString()
+            };
+
+            summaries[conversationId] = dataToStore;
+            await this.writeSummaries(summaries);
+            return dataToStore;
+        });
+    }
+
+    /**
+     * Remove the summary of a conversation
+     * @param {string} conversationId - Conversation id
+     */
+    async clearSummary(conversationId) {
+        return runExclusive(this.filePath, async () => {
+            const summaries = await this.readSummaries();
+            if (summaries[conversationId]) {
+                delete summaries[conversationId];
+                await this.writeSummaries(summaries);
+            }
+        });
+    }
+}
+
+/**
+ * Factory function to create a SummaryStorage instance
+ * @param {string} filePath - Path to the summary storage file
+ * @param {StorageCipher|null} cipher - Encrypts the file (plain JSON if omitted)
+ * @returns {SummaryStorage} Summary storage instance
+ */
+export function createSummaryStorage(filePath, cipher = null) {
+    return new SummaryStorage(filePath, cipher);
+}
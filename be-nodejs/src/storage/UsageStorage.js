@@ -0,0 +1,62 @@
+import { promises as fs } from 'fs';
+import { moveCorruptFile, writeFileAtomic } from './FileAccess.js';
+import { createLogger } from '../logging/Logger.js';
+import { getMetrics } from '../metrics/ServerMetrics.js';
+
+const logger = createLogger('UsageStorage');
+const metrics = getMetrics();
+
+/**
+ * File storage for the LLM usage ledger
+ * Stores the ledger as one JSON object: the daily totals keyed by day, service and model and the totals per conversation
+ */
+export class UsageStorage {
+  constructor(filePath) {
+    this.filePath = filePath;
+    // Writes are chained so a slow write can't overwrite a newer one
+    this.pendingWrite = Promise.resolve();
+  }
+
+  /**
+   * Read the ledger
+   * A ledger that can't be read is moved aside to a backup, so the spend history and budgets in it aren't
+   * overwritten by the next write and can be restored by hand
+   * @returns {Promise<Object>} The ledger with days and conversations
+   */
+  async readEntries() {
+    try {
+      const data = await metrics.observeStorageOperation('usage', 'read', () => fs.readFile(this.filePath, 'utf8'));
+      return JSON.parse(data);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return {};
+      }
+
+      const backupPath = await moveCorruptFile(this.filePath);
+      logger.error('Error reading usage ledger, moved it aside and starting with an empty one', { file: this.filePath, backupPath, error });
+      return {};
+    }
+  }
+
+  /**
+   * Write the ledger (replaces the file atomically, so a crash can't leave a truncated ledger)
+   * @param {Object} entries - The ledger with days and conversations
+   * @returns {Promise<void>}
+   */
+  async writeEntries(entries) {
+    const data = JSON.stringify(entries, null, 2);
+    this.pendingWrite = this.pendingWrite
+      .then(() => metrics.observeStorageOperation('usage', 'write', () => writeFileAtomic(this.filePath, data)))
+      .catch(error => logger.error('Error writing usage ledger', { error }));
+    return this.pendingWrite;
+  }
+}
+
+/**
+ * Factory function to create a UsageStorage instance
+ * @param {string} filePath - Path to the ledger file
+ * @returns {UsageStorage} Usage storage instance
+ */
+export function createUsageStorage(filePath) {
+  return new UsageStorage(filePath);
+}
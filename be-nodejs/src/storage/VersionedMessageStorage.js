@@ -0,0 +1,195 @@
+import { MessageStorageInterface } from './MessageStorageInterface.js';
+import { MigrationRunner } from './MigrationRunner.js';
+import { MESSAGE_MIGRATIONS, assertValidMessage } from './MessageSchema.js';
+
+/**
+ * Message storage that enforces the message schema
+ * Wraps another storage: init() migrates the stored messages to the current schema version, and every message
+ * written afterwards is validated first, so everything read from the storage has the same shape.
+ */
+export class VersionedMessageStorage extends MessageStorageInterface {
+  /**
+   * Constructor
+   * @param {MessageStorageInterface} storage - The storage holding the messages
+   * @param {Object} options - Schema options
+   * @param {Array} options.migrations - Migrations of the stored messages, oldest first
+   * @param {Function} options.validate - Throws if a message doesn't match the schema
+   */
+  constructor(storage, { migrations = MESSAGE_MIGRATIONS, validate = assertValidMessage } = {}) {
+    super();
+    this.storage = storage;
+    this.migrations = migrations;
+    this.validate = validate;
+    this.ready = null;
+  }
+
+  /**
+   * Prepare the wrapped storage and migrate its messages; safe to call more than once
+   * @returns {Promise<void>}
+   */
+  async init() {
+    if (!this.ready) {
+      this.ready = this.migrate();
+    }
+    return this.ready;
+  }
+
+  /**
+   * Do the work of init()
+   * @returns {Promise<void>}
+   * @private
+   */
+  async migrate() {
+    await this.storage.init();
+    await new MigrationRunner(this.storage, this.migrations, 'message storage').run();
+  }
+
+  /**
+   * Add a new message to storage
+   * @param {Object} message - The message to add
+   * @returns {Promise<Object>} - The added message with ID
+   * @throws {MessageValidationError} - If the message doesn't match the schema
+   */
+  async addMessage(message) {
+    await this.init();
+    this.validate(message);
+    return this.storage.addMessage(message);
+  }
+
+  /**
+   * Add several messages at once
+   * @param {Array} messages - The messages to add
+   * @returns {Promise<Array>} - The added messages with their IDs
+   * @throws {MessageValidationError} - If a message doesn't match the schema; then none of them is added
+   */
+  async addMessages(messages) {
+    await this.init();
+    messages.forEach(message => this.validate(message));
+    return this.storage.addMessages(messages);
+  }
+
+  /**
+   * Clear messages from storage
+   * @param {Object} filter - Optional filter, e.g. { conversationId } to clear a single conversation (all messages if omitted)
+   * @returns {Promise<void>}
+   */
+  async clearMessages(filter = {}) {
+    await this.init();
+    return this.storage.clearMessages(filter);
+  }
+
+  /**
+   * Get messages from storage
+   * @param {number|null} quantity - Number of messages to retrieve (null for all)
+   * @param {boolean} reverseOrder - Whether to return messages in reverse order (newest first)
+   * @param {Object} filter - Optional filter, e.g. { conversationId } to get a single conversation (all messages if omitted)
+   * @returns {Promise<Array>} - Array of messages
+   */
+  async getMessages(quantity = null, reverseOrder = false, filter = {}) {
+    await this.init();
+    return this.storage.getMessages(quantity, reverseOrder, filter);
+  }
+
+  /**
+   * Get a page of messages, to page through the history with cursors
+   * @param {Object} options - Page options (see MessageStorageInterface.getMessagePage)
+   * @returns {Promise<Object>} - The messages of the page, oldest first, and whether there are older and newer messages
+   */
+  async getMessagePage(options = {}) {
+    await this.init();
+    return this.storage.getMessagePage(options);
+  }
+
+  /**
+   * Get a single message
+   * @param {number} id - Message id
+   * @returns {Promise<Object|null>} - The message or null if it doesn't exist
+   */
+  async getMessageById(id) {
+    await this.init();
+    return this.storage.getMessageById(id);
+  }
+
+  /**
+   * Update a message; the message as it will be after the change has to match the schema
+   * @param {number} id - Message id
+   * @param {Object} changes - Fields to change; the id can't be changed
+   * @returns {Promise<Object|null>} - The updated message or null if it doesn't exist
+   * @throws {MessageValidationError} - If the updated message wouldn't match the schema
+   */
+  async updateMessage(id, changes = {}) {
+    await this.init();
+
+    const message = await this.storage.getMessageById(id);
+    if (!message) {
+      return null;
+    }
+
+    this.validate({ ...message, ...changes });
+    return this.storage.updateMessage(id, changes);
+  }
+
+  /**
+   * Delete a message
+   * @param {number} id - Message id
+   * @returns {Promise<boolean>} - True if the message existed
+   */
+  async deleteMessage(id) {
+    await this.init();
+    return this.storage.deleteMessage(id);
+  }
+
+  /**
+   * Delete several messages at once
+   * @param {Array<number>} ids - Message ids
+   * @returns {Promise<number>} - Number of messages that existed
+   */
+  async deleteMessages(ids) {
+    await this.init();
+    return this.storage.deleteMessages(ids);
+  }
+
+  /**
+   * Find messages by their fields
+   * @param {Object} criteria - Query criteria (see MessageStorageInterface.query)
+   * @returns {Promise<Array>} - Matching messages, oldest first
+   */
+  async query(criteria = {}) {
+    await this.init();
+    return this.storage.query(criteria);
+  }
+
+  /**
+   * Get the schema version the stored messages are at
+   * @returns {Promise<number>} - The version
+   */
+  async getSchemaVersion() {
+    return this.storage.getSchemaVersion();
+  }
+
+  /**
+   * Set the schema version marker
+   * @param {number} version - The version the stored messages are at
+   * @returns {Promise<void>}
+   */
+  async setSchemaVersion(version) {
+    return this.storage.setSchemaVersion(version);
+  }
+
+  /**
+   * Pass every stored message through a function and store what it returns
+   * The results have to match the schema; nothing is written if one of them doesn't.
+   * @param {Function} transform - Returns the message to store in place of the given one, or null to quarantine it
+   * @returns {Promise<Object>} - Number of updated and quarantined messages
+   */
+  async rewriteMessages(transform) {
+    await this.init();
+    return this.storage.rewriteMessages(message => {
+      const result = transform(message);
+      if (result) {
+        this.validate(result);
+      }
+      return result;
+    });
+  }
+}
@@ -0,0 +1,184 @@
+// Search results returned when the model does not ask for a specific number
+const DEFAULT_SEARCH_LIMIT = 5;
+const MAX_SEARCH_LIMIT = 20;
+
+/**
+ * Create the tools the chat assistant gets out of the box
+ * @param {Object} dependencies - Services the tools delegate to
+ * @param {Object} dependencies.textEnhancementService - Service behind enhance_text
+ * @param {Object} dependencies.reviewSummaryService - Service behind summarize_reviews
+ * @param {Object} dependencies.messageStorage - Storage searched by search_messages
+ * @returns {Array} - Tools to register in a ToolRegistry
+ */
+export function createBuiltinTools({ textEnhancementService, reviewSummaryService, messageStorage }) {
+  const tools = [createDateTimeTool()];
+
+  if (textEnhancementService) {
+    tools.push(createEnhanceTextTool(textEnhancementService));
+  }
+  if (reviewSummaryService) {
+    tools.push(createSummarizeReviewsTool(reviewSummaryService));
+  }
+  if (messageStorage) {
+    tools.push(createSearchMessagesTool(messageStorage));
+  }
+
+  return tools;
+}
+
+/**
+ * Tool returning the current date and time
+ * @returns {Object} - Tool
+ */
+function createDateTimeTool() {
+  return {
+    name: 'get_current_datetime',
+    description: 'Get the current date and time. Use it whenever the answer depends on today\'s date or the current time.',
+    parameters: {
+      type: 'object',
+      properties: {
+        timeZone: {
+          type: 'string',
+          description: 'IANA time zone, e.g. "Europe/Berlin" (defaults to the server time zone)'
+        }
+      }
+    },
+    handler: async ({ timeZone }) => {
+      const now = new Date();
+      const zone = timeZone || Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+      let formatter;
+      try {
+        formatter = new Intl.DateTimeFormat('en-US', { timeZone: zone, dateStyle: 'full', timeStyle: 'long' });
+      } catch (error) {
+        throw new Error(`Unknown time zone "${zone}"`);
+      }
+
+      return {
+        iso: now.toISOString(),
+        timeZone: zone,
+        local: formatter.format(now)
+      };
+    }
+  };
+}
+
+/**
+ * Tool improving a text with the text enhancement service
+ * @param {Object} textEnhancementService - The text enhancement service
+ * @returns {Object} - Tool
+ */
+function createEnhanceTextTool(textEnhancementService) {
+  return {
+    name: 'enhance_text',
+    description: 'Improve the grammar, clarity and style of a text written by the user. Returns the enhanced text.',
+    parameters: {
+      type: 'object',
+      properties: {
+        text: {
+          type: 'string',
+          description: 'The text to enhance'
+        }
+      },
+      required: ['text']
+    },
+    handler: async ({ text }) => {
+      const result = await textEnhancementService.enhanceText(text);
+      return result.enhancedText;
+    }
+  };
+}
+
+/**
+ * Tool summarizing product reviews with the review summary service
+ * @param {Object} reviewSummaryService - The review summary service
+ * @returns {Object} - Tool
+ */
+function createSummarizeReviewsTool(reviewSummaryService) {
+  return {
+    name: 'summarize_reviews',
+    description: 'Summarize a set of product reviews: overall sentiment, pros, cons and recurring themes. Returns an HTML summary.',
+    parameters: {
+      type: 'object',
+      properties: {
+        reviews: {
+          type: 'array',
+          description: 'The reviews to summarize',
+          items: {
+            type: 'object',
+            properties: {
+              text: { type: 'string', description: 'Review text' },
+              rating: { type: 'integer', minimum: 1, maximum: 5, description: 'Star rating from 1 to 5' },
+              sentiment: { type: 'string', description: 'Optional sentiment label, e.g. "positive"' }
+            },
+            required: ['text', 'rating']
+          }
+        }
+      },
+      required: ['reviews']
+    },
+    handler: async ({ reviews }) => reviewSummaryService.generateSummary(reviews)
+  };
+}
+
+/**
+ * Tool searching the stored chat messages
+ * Goes through the full-text search of the message storage, so the model finds the same messages as the search
+ * of the API, best matches first. Flagged messages and the message that triggered the search are left out.
+ * @param {SearchableMessageStorage} messageStorage - The message storage
+ * @returns {Object} - Tool
+ */
+function createSearchMessagesTool(messageStorage) {
+  return {
+    name: 'search_messages',
+    description: 'Search earlier chat messages by words, e.g. to recall something the user said before. Returns the best matches first. Searches the current conversation unless allConversations is true.',
+    parameters: {
+      type: 'object',
+      properties: {
+        query: {
+          type: 'string',
+          description: 'Words to look for (case insensitive); the last word also matches longer words starting with it'
+        },
+        limit: {
+          type: 'integer',
+          description: `Maximum number of results (default ${DEFAULT_SEARCH_LIMIT}, at most ${MAX_SEARCH_LIMIT})`
+        },
+        allConversations: {
+          type: 'boolean',
+          description: 'Search all conversations instead of only the current one'
+        }
+      },
+      required: ['query']
+    },
+    handler: async ({ query, limit, allConversations = false }, context = {}) => {
+      if (!String(query).trim()) {
+        throw new Error('The search query is empty');
+      }
+
+      const maxResults = Math.min(Math.max(parseInt(limit) || DEFAULT_SEARCH_LIMIT, 1), MAX_SEARCH_LIMIT);
+      const conversationId = allConversations || !context.conversationId ? undefined : context.conversationId;
+
+      // Skipped matches make a page come up short, so pages are read until there are enough results
+      const results = [];
+      for (let offset = 0; results.length < maxResults; offset += MAX_SEARCH_LIMIT) {
+        const page = await messageStorage.search(String(query), { conversationId, limit: MAX_SEARCH_LIMIT, offset });
+        results.push(...page.results.filter(result => !result.securityFlagged && result.id !== context.userMessageId));
+        if (offset + MAX_SEARCH_LIMIT >= page.total) {
+          break;
+        }
+      }
+
+      return {
+        query,
+        count: Math.min(results.length, maxResults),
+        results: results.slice(0, maxResults).map(result => ({
+          id: result.id,
+          role: result.role,
+          conversationId: result.conversationId,
+          timestamp: result.timestamp,
+          snippet: result.snippet
+        }))
+      };
+    }
+  };
+}
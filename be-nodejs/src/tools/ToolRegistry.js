@@ -0,0 +1,118 @@
+import { createLogger } from '../logging/Logger.js';
+
+const logger = createLogger('ToolRegistry');
+
+// Longest tool result sent back to the model; longer results are cut to protect the context budget
+const MAX_RESULT_LENGTH = 8000;
+
+/**
+ * Registry of the tools the chat assistant may call
+ * A tool is a plain object with a name, a description, a JSON schema of its parameters
+ * and an async handler(args, context) whose return value is sent back to the model.
+ */
+export class ToolRegistry {
+  constructor() {
+    this.tools = new Map();
+  }
+
+  /**
+   * Register a tool
+   * @param {Object} tool - The tool
+   * @param {string} tool.name - Unique name the model calls the tool by (letters, digits, _ and -)
+   * @param {string} tool.description - What the tool does and when to use it, shown to the model
+   * @param {Object} tool.parameters - JSON schema of the arguments object
+   * @param {Function} tool.handler - async (args, context) => result
+   * @returns {ToolRegistry} - The registry, for chaining
+   */
+  register(tool) {
+    if (!tool || !/^[a-zA-Z0-9_-]{1,64}$/.test(tool.name || '')) {
+      throw new Error(`Invalid tool name: ${tool && tool.name}`);
+    }
+    if (typeof tool.handler !== 'function') {
+      throw new Error(`Tool ${tool.name} needs a handler function`);
+    }
+    if (this.tools.has(tool.name)) {
+      throw new Error(`Tool ${tool.name} is already registered`);
+    }
+
+    this.tools.set(tool.name, {
+      parameters: { type: 'object', properties: {} },
+      ...tool
+    });
+    return this;
+  }
+
+  /**
+   * Check whether any tools are registered
+   * @returns {boolean}
+   */
+  isEmpty() {
+    return this.tools.size === 0;
+  }
+
+  /**
+   * Get the definitions of all tools in the normalized format the provider adapters understand
+   * @returns {Array} - Tool definitions with name, description and parameters
+   */
+  getDefinitions() {
+    return [...this.tools.values()].map(({ name, description, parameters }) => ({
+      name,
+      description,
+      parameters
+    }));
+  }
+
+  /**
+   * Run a tool call requested by the model
+   * Failures are returned as the result instead of being thrown, so the model can see what went wrong
+   * and answer accordingly.
+   * @param {string} name - Name of the tool
+   * @param {Object} args - Arguments given by the model
+   * @param {Object} context - Details about the conversation the call is made in (conversationId, userMessageId)
+   * @returns {Promise<Object>} - The result as text, and whether the call failed
+   */
+  async execute(name, args = {}, context = {}) {
+    const tool = this.tools.get(name);
+    if (!tool) {
+      return { content: `Error: unknown tool "${name}"`, error: true };
+    }
+
+    const missing = (tool.parameters.required || []).filter(param => args[param] === undefined || args[param] === null);
+    if (missing.length > 0) {
+      return { content: `Error: missing required arguments: ${missing.join(', ')}`, error: true };
+    }
+
+    try {
+      logger.info('Running tool', { tool: name, arguments: args });
+      const result = await tool.handler(args, context);
+      return { content: this.formatResult(result), error: false };
+    } catch (error) {
+      logger.error('Error running tool', { tool: name, error });
+      return { content: `Error: ${error.message}`, error: true };
+    }
+  }
+
+  /**
+   * Turn a handler result into the text sent back to the model
+   * @param {*} result - Value returned by the handler
+   * @returns {string} - Result text
+   * @private
+   */
+  formatResult(result) {
+    const content = typeof result === 'string' ? result : JSON.stringify(result === undefined ? null : result);
+    return content.length > MAX_RESULT_LENGTH
+      ? `${content.substring(0, MAX_RESULT_LENGTH)}... (truncated)`
+      : content;
+  }
+}
+
+/**
+ * Factory function to create a tool registry
+ * @param {Array} tools - Tools to register
+ * @returns {ToolRegistry} - Tool registry instance
+ */
+export const createToolRegistry = (tools = []) => {
+  const registry = new ToolRegistry();
+  tools.forEach(tool => registry.register(tool));
+  return registry;
+};
@@ -0,0 +1,166 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import { randomUUID } from 'crypto';
+import { performance } from 'perf_hooks';
+
+// Request IDs taken from the X-Request-Id header; anything else gets a new ID, so a header can't inject into logs
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+// Holds the context of the request being handled across awaits, without passing it through every call
+const contextStorage = new AsyncLocalStorage();
+
+/**
+ * Timing trace of one request
+ * Every stage (prompt loading, storage operations, LLM calls, ...) is a span with its start relative to the start
+ * of the request and its duration, in milliseconds. Stages can nest, e.g. an LLM call lies within the stage of
+ * the chat message it answers.
+ */
+export class RequestTrace {
+  /**
+   * Constructor
+   * @param {string} requestId - ID of the traced request
+   */
+  constructor(requestId) {
+    this.requestId = requestId;
+    this.startedAt = new Date().toISOString();
+    this.origin = performance.now();
+    this.spans = [];
+  }
+
+  /**
+   * Start timing a stage
+   * @param {string} name - Name of the stage, e.g. 'storage.messages.addMessage'
+   * @param {Object} fields - Details of the stage, e.g. { model }
+   * @returns {Function} - Ends the stage; takes more details (e.g. { outcome }) and only counts the first time it is called
+   */
+  startSpan(name, fields = {}) {
+    const start = performance.now();
+    let ended = false;
+
+    return (endFields = {}) => {
+      if (ended) {
+        return;
+      }
+      ended = true;
+
+      this.spans.push({
+        name,
+        startMs: roundMs(start - this.origin),
+        durationMs: roundMs(performance.now() - start),
+        ...fields,
+        ...endFields
+      });
+    };
+  }
+
+  /**
+   * Get the trace as it is now
+   * @returns {Object} - requestId, startedAt, durationMs so far and the finished spans ordered by their start
+   */
+  toJSON() {
+    return {
+      requestId: this.requestId,
+      startedAt: this.startedAt,
+      durationMs: roundMs(performance.now() - this.origin),
+      spans: [...this.spans].sort((a, b) => a.startMs - b.startMs)
+    };
+  }
+
+  /**
+   * Format the trace as a Server-Timing header value
+   * Spans with the same name are added up into one metric, so a request with many storage operations
+   * still gets a header of reasonable length; total is the time since the request started.
+   * @returns {string} - E.g. 'prompt.load;dur=0.8, llm.call;dur=412.3;desc="2 calls", total;dur=430.1'
+   */
+  toServerTiming() {
+    const stages = new Map();
+    for (const span of this.spans) {
+      const stage = stages.get(span.name) || { durationMs: 0, count: 0 };
+      stage.durationMs += span.durationMs;
+      stage.count++;
+      stages.set(span.name, stage);
+    }
+
+    const metrics = [...stages].map(([name, { durationMs, count }]) =>
+      `${name};dur=${roundMs(durationMs)}${count > 1 ? `;desc="${count} calls"` : ''}`
+    );
+    metrics.push(`total;dur=${roundMs(performance.now() - this.origin)}`);
+    return metrics.join(', ');
+  }
+}
+
+/**
+ * Round a duration to a tenth of a millisecond
+ * @param {number} ms - The duration
+ * @returns {number} - The rounded duration
+ */
+function roundMs(ms) {
+  return Math.round(ms * 10) / 10;
+}
+
+/**
+ * Pick the ID of a request: the X-Request-Id sent by the client if it is usable, a new UUID otherwise
+ * @param {string|undefined} headerValue - Value of the X-Request-Id header
+ * @returns {string} - The request ID
+ */
+export function resolveRequestId(headerValue) {
+  return headerValue && REQUEST_ID_PATTERN.test(headerValue) ? headerValue : randomUUID();
+}
+
+/**
+ * Run a function in the context of a request; everything it calls, also after awaits, sees the context
+ * @param {Object} context - The context
+ * @param {string} context.requestId - ID of the request
+ * @param {RequestTrace} context.trace - Trace the stages of the request are timed into
+ * @param {Function} fn - The function
+ * @returns {*} - What the function returned
+ */
+export function runWithRequestContext(context, fn) {
+  return contextStorage.run(context, fn);
+}
+
+/**
+ * Get the context of the request being handled
+ * @returns {Object|null} - The context with requestId and trace, null outside a request (e.g. at startup)
+ */
+export function getRequestContext() {
+  return contextStorage.getStore() || null;
+}
+
+/**
+ * Start timing a stage of the request being handled
+ * @param {string} name - Name of the stage
+ * @param {Object} fields - Details of the stage
+ * @returns {Function} - Ends the stage (see RequestTrace.startSpan); does nothing outside a request
+ */
+export function startStage(name, fields = {}) {
+  const context = getRequestContext();
+  return context ? context.trace.startSpan(name, fields) : () => {};
+}
+
+/**
+ * Time a stage of the request being handled; a stage that throws is recorded with failed: true
+ * @param {string} name - Name of the stage
+ * @param {Function} stageFn - The stage, may return a promise
+ * @param {Object} fields - Details of the stage
+ * @returns {Promise<*>} - What the stage returned
+ */
+export async function traceStage(name, stageFn, fields = {}) {
+  const endStage = startStage(name, fields);
+  try {
+    const result = await stageFn();
+    endStage();
+    return result;
+  } catch (error) {
+    endStage({ failed: true });
+    throw error;
+  }
+}
+
+/**
+ * Get the trace of the request being handled as it is now, to store it with a request log entry
+ * @returns {Object|null} - The trace (see RequestTrace.toJSON), null outside a request
+ */
+export function getTraceSnapshot() {
+  const context = getRequestContext();
+  return context ? context.trace.toJSON() : null;
+}
@@ -6,9 +6,10 @@ async function testLLMService() {
   console.log('Testing LLM Service...');
   
   // Get configuration from apiConfig
-  const { apiKey, apiUrl, model } = apiConfig.openai;
+  const { provider, apiKey, apiUrl, model } = apiConfig.openai;
   
   const llmService = new LLMService({
+    provider,
     apiKey,
     apiUrl,
     model
@@ -22,7 +23,7 @@ async function testLLMService() {
       }
     ];
     
-    console.log('Sending request to OpenAI...');
+    console.log(`Sending request to ${llmService.adapter.name}...`);
     const response = await llmService.sendMessage(messages);
     
     console.log('LLM Response:');
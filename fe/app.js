@@ -2,26 +2,68 @@
 const API_BASE_URL = 'http://localhost:3001/api';
 const MESSAGES_ENDPOINT = `${API_BASE_URL}/messages`;
 const CHAT_ENDPOINT = `${API_BASE_URL}/chat`;
+const CONVERSATIONS_ENDPOINT = `${API_BASE_URL}/conversations`;
+
+// Conversation that holds the messages from before conversations existed
+const DEFAULT_CONVERSATION_ID = 'default';
+
+// localStorage key remembering the open conversation between page loads
+const CONVERSATION_STORAGE_KEY = 'currentConversationId';
+
+// The conversation shown in the chat
+let currentConversationId = localStorage.getItem(CONVERSATION_STORAGE_KEY) || DEFAULT_CONVERSATION_ID;
+
+// Titles of the conversations, to show which conversation a search result is from
+const conversationTitles = new Map();
+
+// Wait this long after the last key press before searching
+const SEARCH_DELAY_MS = 300;
+
+// Messages loaded at once; older ones are loaded when scrolling up
+const MESSAGE_PAGE_SIZE = 50;
+
+// Start loading older messages when scrolled this close to the top
+const OLDER_MESSAGES_THRESHOLD_PX = 100;
+
+// Cursor of the messages older than the ones shown, null when everything is shown
+let olderMessagesCursor = null;
+let loadingOlderMessages = false;
 
 // DOM Elements
 const messagesContainer = document.getElementById('messages-container');
 const messageInput = document.getElementById('message-input');
 const sendButton = document.getElementById('send-button');
 const clearButton = document.getElementById('clear-button');
+const exportSelect = document.getElementById('export-select');
+const importSelect = document.getElementById('import-select');
+const importFileInput = document.getElementById('import-file-input');
+const conversationList = document.getElementById('conversation-list');
+const newConversationButton = document.getElementById('new-conversation-button');
+const searchInput = document.getElementById('search-input');
+const searchResults = document.getElementById('search-results');
 
 // DOM Elements for Debug Modal
 const debugButton = document.getElementById('debug-button');
 const debugModal = document.getElementById('debug-modal');
 const closeModal = document.querySelector('.close-modal');
 const requestsContainer = document.getElementById('requests-container');
+const summaryContainer = document.getElementById('summary-container');
+const requestSearchInput = document.getElementById('request-search-input');
+const requestSearchResults = document.getElementById('request-search-results');
 
 // API Endpoint for requests
 const REQUESTS_ENDPOINT = `${API_BASE_URL}/requests`;
 
+// API Endpoint for the rolling conversation summary
+const SUMMARY_ENDPOINT = `${MESSAGES_ENDPOINT}/summary`;
+
 // Event Listeners
 document.addEventListener('DOMContentLoaded', () => {
-    // Load existing messages when the page loads
-    loadMessages();
+    // Load the conversations and the messages of the open conversation when the page loads
+    loadConversations().then(loadMessages);
+    
+    // Start a new conversation when the new chat button is clicked
+    newConversationButton.addEventListener('click', createConversation);
     
     // Send message when button is clicked
     sendButton.addEventListener('click', sendMessage);
@@ -37,6 +79,17 @@ document.addEventListener('DOMContentLoaded', () => {
     // Clear messages when clear button is clicked
     clearButton.addEventListener('click', clearMessages);
     
+    // Download the conversation in the chosen format
+    exportSelect.addEventListener('change', exportConversation);
+    
+    // Pick the file to import once the import mode was chosen
+    importSelect.addEventListener('change', () => {
+        if (importSelect.value) {
+            importFileInput.click();
+        }
+    });
+    importFileInput.addEventListener('change', importConversation);
+    
     // Open debug modal when debug button is clicked
     debugButton.addEventListener('click', openDebugModal);
     
@@ -49,13 +102,364 @@ document.addEventListener('DOMContentLoaded', () => {
             closeDebugModal();
         }
     });
+    
+    // Load older messages when scrolling up to the top of the chat
+    messagesContainer.addEventListener('scroll', () => {
+        if (messagesContainer.scrollTop < OLDER_MESSAGES_THRESHOLD_PX) {
+            loadOlderMessages();
+        }
+    });
+    
+    // Search the chat history and the request logs while typing
+    searchInput.addEventListener('input', debounce(searchMessages, SEARCH_DELAY_MS));
+    requestSearchInput.addEventListener('input', debounce(searchRequestLogs, SEARCH_DELAY_MS));
 });
 
-// Function to load all messages from the server
+// Function to delay a function until it hasn't been called for a while
+function debounce(callback, delayMs) {
+    let timer = null;
+    return (...args) => {
+        clearTimeout(timer);
+        timer = setTimeout(() => callback(...args), delayMs);
+    };
+}
+
+// Function to fetch search results; returns null after showing an error
+async function fetchSearchResults(endpoint, query, conversationId = null) {
+    const params = new URLSearchParams({ q: query });
+    if (conversationId) {
+        params.set('conversationId', conversationId);
+    }
+    
+    try {
+        const response = await fetch(`${endpoint}/search?${params}`, {
+            method: 'GET',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            mode: 'cors'
+        });
+        const data = await response.json();
+        
+        if (!data.success) {
+            showError(`Search failed: ${data.error || 'Unknown error'}`);
+            return null;
+        }
+        return data.data;
+    } catch (error) {
+        console.error('Error searching:', error);
+        showError('Could not connect to server');
+        return null;
+    }
+}
+
+// Function to display search results; the snippets come highlighted and escaped from the server
+function displaySearchResults(container, results, describeResult, onSelect) {
+    container.innerHTML = '';
+    
+    if (results.length === 0) {
+        const empty = document.createElement('li');
+        empty.className = 'search-result empty';
+        empty.textContent = 'Nothing found';
+        container.appendChild(empty);
+        return;
+    }
+    
+    results.forEach(result => {
+        const item = document.createElement('li');
+        item.className = 'search-result';
+        item.addEventListener('click', () => onSelect(result));
+        
+        const info = document.createElement('div');
+        info.className = 'search-result-info';
+        info.textContent = `${describeResult(result)} · ${new Date(result.timestamp).toLocaleString()}`;
+        
+        const snippet = document.createElement('div');
+        snippet.className = 'search-result-snippet';
+        snippet.innerHTML = result.snippet;
+        
+        item.appendChild(info);
+        item.appendChild(snippet);
+        container.appendChild(item);
+    });
+}
+
+// Function to search the messages of all conversations
+async function searchMessages() {
+    const query = searchInput.value.trim();
+    if (!query) {
+        searchResults.innerHTML = '';
+        return;
+    }
+    
+    const results = await fetchSearchResults(MESSAGES_ENDPOINT, query);
+    if (results) {
+        displaySearchResults(
+            searchResults,
+            results,
+            result => `${result.role === 'user' ? 'You' : 'Assistant'} in ${conversationTitles.get(result.conversationId) || 'a deleted chat'}`,
+            result => jumpToMessage(result.conversationId, result.id)
+        );
+    }
+}
+
+// Function to open the conversation of a message and scroll to it
+async function jumpToMessage(conversationId, messageId) {
+    await switchConversation(conversationId);
+    
+    let messageElement = messagesContainer.querySelector(`[data-message-id="${messageId}"]`);
+    
+    // The message may be older than the messages loaded so far
+    while (!messageElement && olderMessagesCursor && await loadOlderMessages()) {
+        messageElement = messagesContainer.querySelector(`[data-message-id="${messageId}"]`);
+    }
+    
+    if (!messageElement) {
+        showError('The message is no longer in this conversation');
+        return;
+    }
+    
+    messageElement.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    flashElement(messageElement);
+}
+
+// Function to search the request logs of the open conversation
+async function searchRequestLogs() {
+    const query = requestSearchInput.value.trim();
+    if (!query) {
+        requestSearchResults.innerHTML = '';
+        return;
+    }
+    
+    const results = await fetchSearchResults(REQUESTS_ENDPOINT, query, currentConversationId);
+    if (results) {
+        displaySearchResults(
+            requestSearchResults,
+            results,
+            result => result.title || 'LLM API Request',
+            result => jumpToRequest(result.id)
+        );
+    }
+}
+
+// Function to open a request in the debug modal and scroll to it
+function jumpToRequest(requestId) {
+    const requestElement = requestsContainer.querySelector(`[data-request-id="${requestId}"]`);
+    if (!requestElement) {
+        showError('The request is no longer in the log');
+        return;
+    }
+    
+    requestElement.querySelector('.request-content').classList.add('active');
+    requestElement.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    flashElement(requestElement);
+}
+
+// Function to briefly highlight an element the user jumped to
+function flashElement(element) {
+    element.classList.remove('search-highlight');
+    // Restart the animation if the element is still highlighted
+    void element.offsetWidth;
+    element.classList.add('search-highlight');
+}
+
+// Function to build the query string selecting the open conversation
+function conversationQuery() {
+    return new URLSearchParams({ conversationId: currentConversationId }).toString();
+}
+
+// Function to load the list of conversations from the server
+async function loadConversations() {
+    try {
+        const response = await fetch(CONVERSATIONS_ENDPOINT, {
+            method: 'GET',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            mode: 'cors'
+        });
+        const data = await response.json();
+        
+        if (!data.success) {
+            showError('Failed to load conversations');
+            return;
+        }
+        
+        // Fall back to the most recent conversation if the remembered one is gone
+        const conversations = data.data;
+        if (conversations.length > 0 && !conversations.some(conversation => conversation.id === currentConversationId)) {
+            setCurrentConversation(conversations[0].id);
+        }
+        
+        displayConversations(conversations);
+    } catch (error) {
+        console.error('Error loading conversations:', error);
+        showError('Could not connect to server');
+    }
+}
+
+// Function to display the conversations in the sidebar
+function displayConversations(conversations) {
+    conversationList.innerHTML = '';
+    
+    conversations.forEach(conversation => {
+        conversationTitles.set(conversation.id, conversation.title);
+        
+        const item = document.createElement('li');
+        item.className = 'conversation-item';
+        if (conversation.id === currentConversationId) {
+            item.classList.add('active');
+        }
+        item.addEventListener('click', () => switchConversation(conversation.id));
+        
+        const title = document.createElement('span');
+        title.className = 'conversation-title';
+        title.textContent = conversation.title;
+        title.title = conversation.title;
+        
+        const renameButton = document.createElement('button');
+        renameButton.className = 'conversation-action';
+        renameButton.title = 'Rename conversation';
+        renameButton.textContent = '✏️';
+        renameButton.addEventListener('click', (e) => {
+            e.stopPropagation();
+            renameConversation(conversation);
+        });
+        
+        const deleteButton = document.createElement('button');
+        deleteButton.className = 'conversation-action';
+        deleteButton.title = 'Delete conversation';
+        deleteButton.textContent = '🗑️';
+        deleteButton.addEventListener('click', (e) => {
+            e.stopPropagation();
+            deleteConversation(conversation);
+        });
+        
+        item.appendChild(title);
+        item.appendChild(renameButton);
+        // The default conversation holds the messages from before conversations existed and can't be deleted
+        if (conversation.id !== DEFAULT_CONVERSATION_ID) {
+            item.appendChild(deleteButton);
+        }
+        conversationList.appendChild(item);
+    });
+}
+
+// Function to remember the open conversation
+function setCurrentConversation(conversationId) {
+    currentConversationId = conversationId;
+    localStorage.setItem(CONVERSATION_STORAGE_KEY, conversationId);
+}
+
+// Function to open another conversation
+async function switchConversation(conversationId) {
+    if (conversationId === currentConversationId) {
+        return;
+    }
+    
+    setCurrentConversation(conversationId);
+    await loadConversations();
+    await loadMessages();
+}
+
+// Function to start a new conversation
+async function createConversation() {
+    try {
+        const response = await fetch(CONVERSATIONS_ENDPOINT, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            mode: 'cors',
+            body: JSON.stringify({})
+        });
+        const data = await response.json();
+        
+        if (data.success) {
+            await switchConversation(data.data.id);
+            messageInput.focus();
+        } else {
+            showError('Failed to create conversation');
+        }
+    } catch (error) {
+        console.error('Error creating conversation:', error);
+        showError('Could not connect to server');
+    }
+}
+
+// Function to rename a conversation
+async function renameConversation(conversation) {
+    const title = prompt('Conversation title:', conversation.title);
+    if (!title || !title.trim() || title === conversation.title) {
+        return;
+    }
+    
+    try {
+        const response = await fetch(`${CONVERSATIONS_ENDPOINT}/${encodeURIComponent(conversation.id)}`, {
+            method: 'PATCH',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            mode: 'cors',
+            body: JSON.stringify({ title: title.trim() })
+        });
+        const data = await response.json();
+        
+        if (data.success) {
+            await loadConversations();
+        } else {
+            showError('Failed to rename conversation');
+        }
+    } catch (error) {
+        console.error('Error renaming conversation:', error);
+        showError('Could not connect to server');
+    }
+}
+
+// Function to delete a conversation with all its messages
+async function deleteConversation(conversation) {
+    if (!confirm(`Are you sure you want to delete "${conversation.title}" and all its messages?`)) {
+        return;
+    }
+    
+    try {
+        const response = await fetch(`${CONVERSATIONS_ENDPOINT}/${encodeURIComponent(conversation.id)}`, {
+            method: 'DELETE',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            mode: 'cors'
+        });
+        const data = await response.json();
+        
+        if (!data.success) {
+            showError('Failed to delete conversation');
+            return;
+        }
+        
+        if (conversation.id !== currentConversationId) {
+            await loadConversations();
+            return;
+        }
+        
+        // The open conversation is gone: open the most recent remaining one, or start a new one
+        await loadConversations();
+        if (conversationList.children.length === 0) {
+            await createConversation();
+        } else {
+            await loadMessages();
+        }
+    } catch (error) {
+        console.error('Error deleting conversation:', error);
+        showError('Could not connect to server');
+    }
+}
+
+// Function to load the newest messages from the server
 async function loadMessages() {
     try {
         showLoading();
-        const response = await fetch(MESSAGES_ENDPOINT, {
+        const response = await fetch(`${MESSAGES_ENDPOINT}?${conversationQuery()}&limit=${MESSAGE_PAGE_SIZE}`, {
             method: 'GET',
             headers: {
                 'Content-Type': 'application/json'
@@ -65,7 +469,7 @@ async function loadMessages() {
         const data = await response.json();
         
         if (data.success) {
-            displayMessages(data.data);
+            displayMessages(data.data, data.nextCursor);
         } else {
             showError('Failed to load messages');
         }
@@ -77,9 +481,71 @@ async function loadMessages() {
     }
 }
 
+// Function to load the messages before the oldest one shown, keeping the shown messages in place
+async function loadOlderMessages() {
+    if (!olderMessagesCursor || loadingOlderMessages) {
+        return false;
+    }
+    
+    loadingOlderMessages = true;
+    const conversationId = currentConversationId;
+    
+    const loader = document.createElement('div');
+    loader.className = 'loading older-messages-loading';
+    loader.textContent = 'Loading older messages...';
+    messagesContainer.prepend(loader);
+    
+    let loaded = false;
+    try {
+        const response = await fetch(`${MESSAGES_ENDPOINT}?${conversationQuery()}&limit=${MESSAGE_PAGE_SIZE}&before=${encodeURIComponent(olderMessagesCursor)}`, {
+            method: 'GET',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            mode: 'cors'
+        });
+        const data = await response.json();
+        
+        // Another conversation may have been opened in the meantime
+        if (conversationId !== currentConversationId) {
+            return false;
+        }
+        
+        if (data.success) {
+            loader.remove();
+            const previousHeight = messagesContainer.scrollHeight;
+            messagesContainer.prepend(createMessageElements(data.data, data.nextCursor !== null));
+            messagesContainer.scrollTop += messagesContainer.scrollHeight - previousHeight;
+            olderMessagesCursor = data.nextCursor;
+            loaded = true;
+        } else {
+            showError('Failed to load older messages');
+        }
+    } catch (error) {
+        console.error('Error loading older messages:', error);
+        showError('Could not connect to server');
+    } finally {
+        loader.remove();
+        loadingOlderMessages = false;
+    }
+    
+    if (loaded) {
+        fillMessagesContainer();
+    }
+    return loaded;
+}
+
+// Function to keep loading older messages until the chat can be scrolled, so scrolling up can load more
+function fillMessagesContainer() {
+    if (olderMessagesCursor && messagesContainer.scrollHeight <= messagesContainer.clientHeight) {
+        loadOlderMessages();
+    }
+}
+
 // Function to display messages in the UI
-function displayMessages(messages) {
+function displayMessages(messages, nextCursor = null) {
     messagesContainer.innerHTML = '';
+    olderMessagesCursor = nextCursor;
     
     if (messages.length === 0) {
         const emptyMessage = document.createElement('div');
@@ -89,38 +555,61 @@ function displayMessages(messages) {
         return;
     }
     
+    messagesContainer.appendChild(createMessageElements(messages, nextCursor !== null));
+    
+    // Scroll to bottom to see the latest message
+    scrollToBottom();
+    fillMessagesContainer();
+}
+
+// Function to create the elements of a list of messages, oldest first
+function createMessageElements(messages, hasOlderMessages = false) {
+    const fragment = document.createDocumentFragment();
+    
+    // Replies can only be regenerated once there is a user message they answer; with older messages
+    // not loaded yet, that message is among them
+    let hasUserMessage = hasOlderMessages;
+    
     messages.forEach(message => {
-        // Normalize message format
-        let role = 'user';
-        let content = '';
-        let timestamp = message.timestamp;
-        
-        if (message.role && message.content) {
-            // Already using the correct format
-            role = message.role;
-            content = message.content;
-        } else if (message.sender) {
-            // Convert old format messages from messages API
-            role = message.sender === 'Anonymous' ? 'user' : message.sender;
-            content = message.text || '';
-        } else if (message.text) {
-            // Handle legacy format
-            role = 'user';
-            content = message.text;
+        // Tool calls and their results are shown as small notes
+        if (message.role === 'tool' || message.toolCalls) {
+            if (message.toolCalls && message.content) {
+                fragment.appendChild(createMessageElement(message.content, 'assistant', message.timestamp));
+            }
+            fragment.appendChild(createToolNoteElement(message));
+            return;
         }
         
+        // The server migrates and validates stored messages, so every message has a role and content
+        const { role, content } = message;
+        
         if (content) {
-            const messageElement = createMessageElement(content, role, timestamp);
-            messagesContainer.appendChild(messageElement);
+            const messageElement = createMessageElement(content, role, message.timestamp, {
+                partial: message.partial,
+                model: message.model,
+                fallbackUsed: message.fallbackUsed,
+                securityFlagged: message.securityFlagged
+            });
+            // Lets search results find the message
+            if (message.id) {
+                messageElement.dataset.messageId = message.id;
+            }
+            if (message.id && (role === 'user' || hasUserMessage)) {
+                addMessageActions(messageElement, message);
+            }
+            fragment.appendChild(messageElement);
+        }
+        
+        if (role === 'user') {
+            hasUserMessage = true;
         }
     });
     
-    // Scroll to bottom to see the latest message
-    scrollToBottom();
+    return fragment;
 }
 
 // Function to create a message element
-function createMessageElement(content, role, timestampStr) {
+function createMessageElement(content, role, timestampStr, options = {}) {
     const messageContainer = document.createElement('div');
     messageContainer.className = `message-container ${role}-container`;
     
@@ -154,9 +643,193 @@ function createMessageElement(content, role, timestampStr) {
     messageElement.appendChild(timestamp);
     messageContainer.appendChild(messageElement);
     
+    if (options.partial) {
+        markMessageAsPartial(messageContainer);
+    }
+    
+    // Messages that failed the security check keep their highlight after a reload
+    if (options.securityFlagged) {
+        messageElement.classList.add('security-flagged');
+        messageElement.title = 'This message failed the security check and was not sent to the assistant';
+    }
+    
+    // Show which model answered when the primary model failed and a fallback took over
+    if (options.fallbackUsed && options.model) {
+        const fallbackBadge = document.createElement('span');
+        fallbackBadge.className = 'fallback-badge';
+        fallbackBadge.textContent = `via ${options.model}`;
+        fallbackBadge.title = 'The primary model was unavailable, this reply was produced by a fallback model';
+        timestamp.appendChild(fallbackBadge);
+    }
+    
     return messageContainer;
 }
 
+// Function to add the actions of a stored message: edit for user messages,
+// regenerate and switching between versions for replies
+function addMessageActions(messageContainer, message) {
+    const actions = document.createElement('div');
+    actions.className = 'message-actions';
+    
+    if (message.role === 'user') {
+        if (message.securityFlagged) {
+            return;
+        }
+        actions.appendChild(createActionButton('✏️ Edit', 'Edit this message and get a new reply', () => editMessage(message)));
+    } else {
+        const versions = message.versions || [];
+        if (versions.length > 1) {
+            const activeVersion = message.activeVersion ?? versions.length - 1;
+            
+            const previousButton = createActionButton('‹', 'Show the previous version', () => selectReplyVersion(message.id, activeVersion - 1));
+            previousButton.disabled = activeVersion === 0;
+            
+            const versionLabel = document.createElement('span');
+            versionLabel.className = 'version-label';
+            versionLabel.textContent = `${activeVersion + 1}/${versions.length}`;
+            
+            const nextButton = createActionButton('›', 'Show the next version', () => selectReplyVersion(message.id, activeVersion + 1));
+            nextButton.disabled = activeVersion === versions.length - 1;
+            
+            actions.append(previousButton, versionLabel, nextButton);
+            
+            // A version written for an earlier wording of the question says so
+            const userContent = versions[activeVersion].userContent;
+            if (userContent !== undefined && userContent !== versions[versions.length - 1].userContent) {
+                versionLabel.title = `Reply to an earlier version of the message: "${userContent}"`;
+            }
+        }
+        actions.appendChild(createActionButton('🔄 Regenerate', 'Get a new reply to this message', () => regenerateReply(message.id)));
+    }
+    
+    messageContainer.appendChild(actions);
+}
+
+// Function to create a small button of the message actions
+function createActionButton(label, title, onClick) {
+    const button = document.createElement('button');
+    button.className = 'message-action';
+    button.textContent = label;
+    button.title = title;
+    button.addEventListener('click', onClick);
+    return button;
+}
+
+// Function to edit a user message; the later messages are replaced by the new reply
+async function editMessage(message) {
+    const content = prompt('Edit your message (later messages of this chat will be replaced):', message.content);
+    if (content === null || !content.trim() || content.trim() === message.content) {
+        return;
+    }
+    
+    await runMessageAction(`${MESSAGES_ENDPOINT}/${message.id}/edit`, { content: content.trim() }, 'Failed to edit message');
+    // The conversation may have been renamed after the edited message
+    loadConversations();
+}
+
+// Function to ask for a new reply; the current one stays available as a version
+async function regenerateReply(messageId) {
+    await runMessageAction(`${MESSAGES_ENDPOINT}/${messageId}/regenerate`, {}, 'Failed to regenerate reply');
+}
+
+// Function to show another version of a reply
+async function selectReplyVersion(messageId, versionIndex) {
+    await runMessageAction(`${MESSAGES_ENDPOINT}/${messageId}/versions/${versionIndex}/select`, {}, 'Failed to switch version', false);
+}
+
+// Function to call a message action endpoint and show the updated conversation
+async function runMessageAction(url, body, errorMessage, showTyping = true) {
+    try {
+        if (showTyping) {
+            showTypingIndicator();
+        }
+        
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            mode: 'cors',
+            body: JSON.stringify(body)
+        });
+        const data = await response.json();
+        
+        if (!data.success) {
+            showError(`${errorMessage}: ${data.error || 'Unknown error'}`);
+            return;
+        }
+        
+        if (data.data && data.data.securityCheckFailed) {
+            await loadMessages();
+            showSecurityWarning();
+            return;
+        }
+        
+        await loadMessages();
+    } catch (error) {
+        console.error(`${errorMessage}:`, error);
+        showError('Could not connect to server');
+    } finally {
+        hideTypingIndicator();
+    }
+}
+
+// Function to create a note for a tool call made by the assistant, or for a tool result
+function createToolNoteElement(message) {
+    const note = document.createElement('details');
+    note.className = 'tool-note';
+    
+    const summary = document.createElement('summary');
+    const details = document.createElement('pre');
+    
+    if (message.toolCalls) {
+        summary.textContent = `🔧 Calling ${message.toolCalls.map(call => call.name).join(', ')}`;
+        details.textContent = message.toolCalls
+            .map(call => `${call.name}(${JSON.stringify(call.arguments)})`)
+            .join('\n');
+    } else {
+        summary.textContent = `🔧 ${message.name} ${message.toolError ? 'failed' : 'returned a result'}`;
+        details.textContent = message.content;
+        if (message.toolError) {
+            note.classList.add('tool-error');
+        }
+    }
+    
+    note.appendChild(summary);
+    note.appendChild(details);
+    return note;
+}
+
+// Function to add an element above the typing indicator, so the indicator stays last
+function appendAboveTypingIndicator(element) {
+    const indicator = document.getElementById('typing-indicator');
+    if (indicator) {
+        messagesContainer.insertBefore(element, indicator);
+    } else {
+        messagesContainer.appendChild(element);
+    }
+}
+
+// Function to replace the content of an existing message element, keeping its timestamp
+function updateMessageContent(messageContainer, content) {
+    const messageElement = messageContainer.querySelector('.message');
+    const timestamp = messageElement.querySelector('.timestamp');
+    
+    messageElement.innerHTML = content;
+    messageElement.appendChild(timestamp);
+}
+
+// Function to mark a reply that was cut off before it finished
+function markMessageAsPartial(messageContainer) {
+    const messageElement = messageContainer.querySelector('.message');
+    const timestamp = messageElement.querySelector('.timestamp');
+    
+    const partialNote = document.createElement('span');
+    partialNote.className = 'partial-note';
+    partialNote.textContent = ' · interrupted';
+    timestamp.appendChild(partialNote);
+}
+
 // Function to send a message
 async function sendMessage() {
     const messageText = messageInput.value.trim();
@@ -170,6 +843,8 @@ async function sendMessage() {
     const userMessageElement = createMessageElement(messageText, 'user', timestamp);
     const userMessageId = 'user-message-' + Date.now(); // Add an id to easily find this message later
     userMessageElement.id = userMessageId;
+    // Pending until the reply tells the stored id of the message
+    userMessageElement.classList.add('pending');
     messagesContainer.appendChild(userMessageElement);
     scrollToBottom();
     
@@ -182,17 +857,18 @@ async function sendMessage() {
         
         console.log('Sending request to chat endpoint:', messageText);
         
-        // Send message to chat endpoint
+        // Send message to chat endpoint, asking for the reply to be streamed
         const response = await fetch(CHAT_ENDPOINT, {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
-                'Accept': 'application/json'
+                'Accept': 'text/event-stream, application/json'
             },
             mode: 'cors',
             body: JSON.stringify({
                 content: messageText,
                 role: 'user',
+                conversationId: currentConversationId,
                 timestamp: new Date().toISOString()
             })
         });
@@ -203,37 +879,172 @@ async function sendMessage() {
             throw new Error(`API error: ${response.status} ${errorText}`);
         }
         
-        const data = await response.json();
-        console.log('API response:', data);
+        const contentType = response.headers.get('Content-Type') || '';
         
-        if (data.success) {
-            // Add assistant response to UI with the consistent format
-            const response = data.data;
-            const content = response.content;
-            const role = response.role || 'assistant';
-            const timestamp = response.timestamp || new Date().toISOString();
+        if (contentType.includes('text/event-stream')) {
+            await readChatStream(response);
+        } else {
+            const data = await response.json();
+            console.log('API response:', data);
             
-            // Check if this is a security failure
-            if (response.securityCheckFailed) {
-                showSecurityWarning();
-                // Highlight the last user message with pink background
-                highlightLastUserMessageAsSecurity();
+            if (data.success) {
+                displayAssistantResponse(data.data);
+                showBudgetWarnings(data.budgetWarnings);
             } else {
-                const assistantMessageElement = createMessageElement(content, role, timestamp);
-                messagesContainer.appendChild(assistantMessageElement);
-                scrollToBottom();
+                showError(`Failed to get response: ${data.error || 'Unknown error'}`);
             }
-        } else {
-            showError(`Failed to get response: ${data.error || 'Unknown error'}`);
         }
     } catch (error) {
         console.error('Error sending message:', error);
         showError('Could not connect to server');
     } finally {
         hideTypingIndicator();
+        // The conversation may have been named after this message and moved to the top
+        loadConversations();
+    }
+}
+
+// Function to read a streamed chat reply and render it as it arrives
+async function readChatStream(response) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let streamedContent = '';
+    let assistantMessageElement = null;
+    let budgetWarnings = null;
+    
+    while (true) {
+        const { value, done } = await reader.read();
+        if (done) {
+            break;
+        }
+        
+        buffer += decoder.decode(value, { stream: true });
+        
+        // Events are separated by a blank line; the last part may still be incomplete
+        const rawEvents = buffer.split('\n\n');
+        buffer = rawEvents.pop();
+        
+        rawEvents.forEach(rawEvent => {
+            const event = parseServerSentEvent(rawEvent);
+            if (!event) {
+                return;
+            }
+            
+            if (event.type === 'delta') {
+                // Replace the typing indicator with the reply on the first piece of content
+                if (!assistantMessageElement) {
+                    hideTypingIndicator();
+                    assistantMessageElement = createMessageElement('', 'assistant', new Date().toISOString());
+                    messagesContainer.appendChild(assistantMessageElement);
+                }
+                
+                streamedContent += event.data.content;
+                updateMessageContent(assistantMessageElement, streamedContent);
+                scrollToBottom();
+            } else if (event.type === 'tool') {
+                // Text streamed so far belongs to the tool call; the answer comes in a new element
+                assistantMessageElement = null;
+                streamedContent = '';
+                appendAboveTypingIndicator(createToolNoteElement(event.data));
+                scrollToBottom();
+            } else if (event.type === 'budget') {
+                budgetWarnings = event.data.budgetWarnings;
+            } else if (event.type === 'done') {
+                console.log('API response:', event.data);
+                displayAssistantResponse(event.data, assistantMessageElement);
+                showBudgetWarnings(budgetWarnings);
+            } else if (event.type === 'error') {
+                console.error('Stream error:', event.data.error);
+                // The content received before the failure was stored, show it as the stored reply
+                if (event.data.message) {
+                    displayAssistantResponse(event.data.message, assistantMessageElement);
+                }
+                showError(`Failed to get response: ${event.data.error || 'Unknown error'}`);
+            }
+        });
     }
 }
 
+// Function to parse a single Server-Sent Event block into its type and JSON data
+function parseServerSentEvent(rawEvent) {
+    let type = 'message';
+    const dataLines = [];
+    
+    rawEvent.split('\n').forEach(line => {
+        if (line.startsWith('event:')) {
+            type = line.slice('event:'.length).trim();
+        } else if (line.startsWith('data:')) {
+            dataLines.push(line.slice('data:'.length).trim());
+        }
+    });
+    
+    if (dataLines.length === 0) {
+        return null;
+    }
+    
+    try {
+        return { type, data: JSON.parse(dataLines.join('\n')) };
+    } catch (error) {
+        console.error('Error parsing stream event:', error);
+        return null;
+    }
+}
+
+// Function to display the assistant reply, reusing the element a stream was rendered into
+function displayAssistantResponse(response, existingElement = null) {
+    const content = response.content;
+    const role = response.role || 'assistant';
+    const timestamp = response.timestamp || new Date().toISOString();
+    
+    // Check if this is a security failure
+    if (response.securityCheckFailed) {
+        if (existingElement) {
+            existingElement.remove();
+        }
+        showSecurityWarning();
+        // Highlight the last user message with pink background
+        highlightLastUserMessageAsSecurity();
+        return;
+    }
+    
+    // The user message was shown before it had an id; now it can be edited
+    const userMessageElement = document.querySelector('.user-container.pending');
+    if (userMessageElement) {
+        userMessageElement.classList.remove('pending');
+        if (response.userMessageId) {
+            addMessageActions(userMessageElement, {
+                id: response.userMessageId,
+                role: 'user',
+                content: userMessageElement.querySelector('.message').firstChild.textContent
+            });
+        }
+    }
+    
+    const assistantMessageElement = createMessageElement(content, role, timestamp, {
+        partial: response.partial,
+        model: response.model,
+        fallbackUsed: response.fallbackUsed
+    });
+    if (response.id) {
+        addMessageActions(assistantMessageElement, response);
+    }
+    
+    // Show the tool calls the assistant made before answering
+    if (response.toolMessages) {
+        response.toolMessages
+            .filter(message => message.toolCalls || message.role === 'tool')
+            .forEach(message => messagesContainer.appendChild(createToolNoteElement(message)));
+    }
+    
+    if (existingElement) {
+        existingElement.replaceWith(assistantMessageElement);
+    } else {
+        messagesContainer.appendChild(assistantMessageElement);
+    }
+    scrollToBottom();
+}
+
 // Helper Functions
 function scrollToBottom() {
     messagesContainer.scrollTop = messagesContainer.scrollHeight;
@@ -282,7 +1093,7 @@ async function clearMessages() {
     }
     
     try {
-        const response = await fetch(MESSAGES_ENDPOINT, {
+        const response = await fetch(`${MESSAGES_ENDPOINT}?${conversationQuery()}`, {
             method: 'DELETE',
             headers: {
                 'Content-Type': 'application/json'
@@ -313,6 +1124,67 @@ async function clearMessages() {
     }
 }
 
+// Function to download the open conversation; the server sends it as a file
+function exportConversation() {
+    const format = exportSelect.value;
+    exportSelect.value = '';
+    if (!format) {
+        return;
+    }
+    
+    const params = new URLSearchParams({ format, conversationId: currentConversationId });
+    window.location.href = `${MESSAGES_ENDPOINT}/export?${params}`;
+}
+
+// Function to import a JSON export into the open conversation
+async function importConversation() {
+    const mode = importSelect.value;
+    const file = importFileInput.files[0];
+    importSelect.value = '';
+    importFileInput.value = '';
+    if (!mode || !file) {
+        return;
+    }
+    
+    if (mode === 'replace' && !confirm('Replace all messages of this chat with the imported ones?')) {
+        return;
+    }
+    
+    let transcript;
+    try {
+        transcript = JSON.parse(await file.text());
+    } catch (error) {
+        showError(`${file.name} is not a JSON file`);
+        return;
+    }
+    
+    try {
+        const params = new URLSearchParams({ mode, conversationId: currentConversationId });
+        const response = await fetch(`${MESSAGES_ENDPOINT}/import?${params}`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            mode: 'cors',
+            body: JSON.stringify(transcript)
+        });
+        const data = await response.json();
+        
+        if (!data.success) {
+            // Show the first problems, the rest is in the response
+            const details = (data.details || []).slice(0, 3).join('; ');
+            showError(`Import failed: ${data.error || 'Unknown error'}${details ? ` (${details})` : ''}`);
+            return;
+        }
+        
+        await loadConversations();
+        await loadMessages();
+    } catch (error) {
+        console.error('Error importing conversation:', error);
+        showError('Could not connect to server');
+    }
+}
+
 function showError(message) {
     const errorMessage = document.createElement('div');
     errorMessage.className = 'error-message';
@@ -324,6 +1196,20 @@ function showError(message) {
     }, 5000);
 }
 
+// Function to show the warnings about LLM budgets that are almost or completely used up
+function showBudgetWarnings(budgetWarnings) {
+    if (!budgetWarnings || budgetWarnings.length === 0) {
+        return;
+    }
+    
+    const budgetWarning = document.createElement('div');
+    budgetWarning.className = 'budget-warning';
+    budgetWarning.textContent = budgetWarnings.map(warning => warning.message).join(' ');
+    
+    messagesContainer.appendChild(budgetWarning);
+    scrollToBottom();
+}
+
 // Function to show security warning
 function showSecurityWarning() {
     const securityWarning = document.createElement('div');
@@ -354,11 +1240,60 @@ function highlightLastUserMessageAsSecurity() {
 // Debug modal functions
 function openDebugModal() {
     debugModal.style.display = 'block';
+    loadConversationSummary();
     loadRequestLogs();
 }
 
 function closeDebugModal() {
     debugModal.style.display = 'none';
+    requestSearchInput.value = '';
+    requestSearchResults.innerHTML = '';
+}
+
+// Function to load the rolling conversation summary from the server
+async function loadConversationSummary() {
+    try {
+        summaryContainer.innerHTML = '<div class="loading">Loading summary...</div>';
+        
+        const response = await fetch(`${SUMMARY_ENDPOINT}?${conversationQuery()}`, {
+            method: 'GET',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            mode: 'cors'
+        });
+        
+        const data = await response.json();
+        
+        if (data.success) {
+            displayConversationSummary(data.data);
+        } else {
+            summaryContainer.innerHTML = '<div class="error-message">Failed to load conversation summary</div>';
+        }
+    } catch (error) {
+        console.error('Error loading conversation summary:', error);
+        summaryContainer.innerHTML = '<div class="error-message">Could not connect to server</div>';
+    }
+}
+
+// Function to display the conversation summary in the debug modal
+function displayConversationSummary(summary) {
+    if (!summary || !summary.content) {
+        summaryContainer.innerHTML = '<div class="empty-message">No summary yet - the whole conversation still fits into the model context</div>';
+        return;
+    }
+    
+    summaryContainer.innerHTML = '';
+    
+    const summaryText = document.createElement('p');
+    summaryText.textContent = summary.content;
+    
+    const summaryInfo = document.createElement('div');
+    summaryInfo.className = 'request-timestamp';
+    summaryInfo.textContent = `Covers ${summary.summarizedMessages} older messages · updated ${new Date(summary.updatedAt).toLocaleString()}`;
+    
+    summaryContainer.appendChild(summaryText);
+    summaryContainer.appendChild(summaryInfo);
 }
 
 // Function to load request logs from the server
@@ -366,7 +1301,7 @@ async function loadRequestLogs() {
     try {
         requestsContainer.innerHTML = '<div class="loading">Loading requests...</div>';
         
-        const response = await fetch(REQUESTS_ENDPOINT, {
+        const response = await fetch(`${REQUESTS_ENDPOINT}?${conversationQuery()}`, {
             method: 'GET',
             headers: {
                 'Content-Type': 'application/json'
@@ -406,6 +1341,7 @@ function displayRequestLogs(requests) {
 function createRequestElement(request, index) {
     const requestSpoiler = document.createElement('div');
     requestSpoiler.className = 'request-spoiler';
+    requestSpoiler.dataset.requestId = request.id;
     
     // Get a title for the request
     let title = 'LLM API Request';
@@ -445,6 +1381,10 @@ function createRequestElement(request, index) {
     requestContent.className = 'request-content';
     requestContent.id = `request-content-${index}`;
     
+    if (request.trace) {
+        requestContent.appendChild(createTraceTimeline(request.trace));
+    }
+    
     const pre = document.createElement('pre');
     pre.textContent = JSON.stringify(request, null, 2);
     
@@ -457,6 +1397,51 @@ function createRequestElement(request, index) {
     return requestSpoiler;
 }
 
+// Function to create the timeline of a request trace: a bar per stage, placed by its start and duration
+function createTraceTimeline(trace) {
+    const timeline = document.createElement('div');
+    timeline.className = 'trace-timeline';
+    
+    // Spans can end after the trace was taken, e.g. the storage write of the log entry itself
+    const totalMs = Math.max(trace.durationMs, ...trace.spans.map(span => span.startMs + span.durationMs), 1);
+    
+    const heading = document.createElement('div');
+    heading.className = 'trace-heading';
+    heading.textContent = `Request ${trace.requestId} · ${trace.durationMs} ms until the end of this call`;
+    timeline.appendChild(heading);
+    
+    trace.spans.forEach(span => {
+        const row = document.createElement('div');
+        row.className = 'trace-row';
+        
+        const details = [span.model, span.prompt, span.tool, span.outcome, span.failed && 'failed'].filter(Boolean);
+        const label = document.createElement('div');
+        label.className = 'trace-label';
+        label.textContent = details.length > 0 ? `${span.name} (${details.join(', ')})` : span.name;
+        label.title = label.textContent;
+        
+        const track = document.createElement('div');
+        track.className = 'trace-track';
+        
+        const bar = document.createElement('div');
+        bar.className = span.name.startsWith('llm.') ? 'trace-bar trace-bar-llm' : 'trace-bar';
+        bar.style.left = `${(span.startMs / totalMs) * 100}%`;
+        bar.style.width = `${Math.max((span.durationMs / totalMs) * 100, 0.5)}%`;
+        track.appendChild(bar);
+        
+        const duration = document.createElement('div');
+        duration.className = 'trace-duration';
+        duration.textContent = `${span.durationMs} ms`;
+        
+        row.appendChild(label);
+        row.appendChild(track);
+        row.appendChild(duration);
+        timeline.appendChild(row);
+    });
+    
+    return timeline;
+}
+
 // Function to toggle request content visibility
 function toggleRequestContent(index) {
     const content = document.getElementById(`request-content-${index}`);